@@ -7,56 +7,270 @@
  */
 
 // Import dependencies
+const path = require("path");
+const EventEmitter = require("events");
 const Logger = require("./src/utils/Logger");
+const ConsoleSink = require("./src/utils/sinks/ConsoleSink");
+const StreamSink = require("./src/utils/sinks/StreamSink");
+const RotatingFileSink = require("./src/utils/sinks/RotatingFileSink");
 const HttpClient = require("./src/services/HttpClient");
 const HtmlParser = require("./src/services/HtmlParser");
 const UrlExtractor = require("./src/services/UrlExtractor");
+const InputReader = require("./src/services/InputReader");
+const Cassette = require("./src/services/Cassette");
+const BatchRunner = require("./src/services/BatchRunner");
+const CookieJar = require("./src/services/CookieJar");
+const HttpCache = require("./src/services/HttpCache");
+const RateLimiter = require("./src/services/RateLimiter");
+const RetryPolicy = require("./src/services/RetryPolicy");
+const ApiServer = require("./src/services/ApiServer");
+const ConfigLoader = require("./src/config/ConfigLoader");
 
 // Import strategies
-const XPathStrategy = require("./src/strategies/XPathStrategy");
-const JSDOMStrategy = require("./src/strategies/JSDOMStrategy");
-const RegexStrategy = require("./src/strategies/RegexStrategy");
+const StrategyLoader = require("./src/strategies/StrategyLoader");
+const SAXStrategy = require("./src/strategies/SAXStrategy");
+const PatternSpec = require("./src/patterns/PatternSpec");
+const NearMissAnalyzer = require("./src/patterns/NearMissAnalyzer");
+const PatternInferrer = require("./src/patterns/PatternInferrer");
+const ChainSpec = require("./src/patterns/ChainSpec");
+const ChainRunner = require("./src/services/ChainRunner");
+const DecoderPipeline = require("./src/services/DecoderPipeline");
+const FlagExtractor = require("./src/services/FlagExtractor");
+const SolverError = require("./src/errors/SolverError");
+const ConfigError = require("./src/errors/ConfigError");
+const FetchError = require("./src/errors/FetchError");
+const PolicyError = require("./src/errors/PolicyError");
+const ResultFormatter = require("./src/utils/ResultFormatter");
 
 // Import constants
-const { CHALLENGE_URL, LOG_LEVELS } = require("./src/config/constants");
+const {
+  BATCH,
+  CASSETTE,
+  CHALLENGE_URL,
+  CONFIG,
+  CONSENSUS,
+  DECODING,
+  DEFAULT_STRATEGIES,
+  EXIT_CODES,
+  HTTP,
+  HTTP_CACHE,
+  LOG_LEVELS,
+  LOGGING,
+  OUTPUT_FORMATS,
+  POLICY,
+  SERVER,
+} = require("./src/config/constants");
+
+// Exit code for each SolverError code; anything else is EXIT_CODES.UNEXPECTED
+const ERROR_EXIT_CODES = {
+  EFETCH: EXIT_CODES.FETCH_FAILED,
+  EINPUT: EXIT_CODES.FETCH_FAILED,
+  EHTTP: EXIT_CODES.FETCH_FAILED,
+  ECASSETTEMISS: EXIT_CODES.FETCH_FAILED,
+  EEXTRACT: EXIT_CODES.EXTRACTION_FAILED,
+  EINVALIDURL: EXIT_CODES.INVALID_URL,
+  EDECODE: EXIT_CODES.EXTRACTION_FAILED,
+  EFLAG: EXIT_CODES.FLAG_MISSING,
+  EPOLICY: EXIT_CODES.POLICY_BLOCKED,
+  ECHAIN: EXIT_CODES.CHAIN_ABORTED,
+  EPLUGIN: EXIT_CODES.USAGE,
+  ECONFIG: EXIT_CODES.USAGE,
+};
 
 /**
  * Main application class
+ * Emits progress events as it works (see createSolver() for the list)
  * @class RampCTFSolver
+ * @extends EventEmitter
  */
-class RampCTFSolver {
+class RampCTFSolver extends EventEmitter {
   /**
    * Creates a RampCTFSolver instance
    * @param {string} logLevel - Logging level
+   * @param {Object} [options] - Solver options
+   * @param {PatternSpec|Object|string} [options.pattern] - Pattern spec, or path to a JSON spec
+   * @param {boolean} [options.consensus] - Run every strategy and compare results
+   * @param {number|null} [options.maxDisagreement] - Fraction of strategies allowed
+   *   to diverge before consensus mode fails the run (null = report only)
+   * @param {boolean} [options.stream] - Parse the page while it downloads (SAX)
+   * @param {string} [options.url] - Challenge URL (defaults to CHALLENGE_URL)
+   * @param {string} [options.input] - Solve from a local file, or "-" for stdin
+   * @param {string} [options.record] - Record HTTP interactions to this cassette
+   * @param {string} [options.replay] - Replay HTTP interactions from this cassette
+   * @param {Object} [options.headers] - Default request headers (name → value)
+   * @param {string} [options.userAgent] - User-Agent header value
+   * @param {Object} [options.cookies] - Cookies sent with every request (name → value)
+   * @param {number} [options.timeout] - HTTP socket timeout (ms)
+   * @param {number} [options.maxRetries] - HTTP attempts per fetch, including
+   *   the first
+   * @param {number} [options.retryDelay] - Delay before the first retry (ms)
+   * @param {string} [options.proxy] - Proxy URL (defaults to HTTPS_PROXY/HTTP_PROXY)
+   * @param {string} [options.noProxy] - Hosts that bypass the proxy (defaults to NO_PROXY)
+   * @param {string} [options.cookieJar] - Load and save persistent cookies in this file
+   * @param {boolean} [options.robots] - Obey robots.txt for the User-Agent
+   * @param {number} [options.rate] - Requests per second per host
+   * @param {number} [options.burst] - Requests a host may receive back to back
+   * @param {number} [options.maxConcurrency] - Requests in flight at once,
+   *   across all hosts and batch items
+   * @param {string} [options.cacheDir] - Cache fetched pages in this directory
+   *   (ignored while recording or replaying a cassette)
+   * @param {boolean} [options.refresh] - Refetch instead of using cached pages,
+   *   then update the cache
+   * @param {string} [options.logFormat] - "pretty" (default) or "json"; JSON
+   *   logs go to stderr so stdout stays free for results
+   * @param {string} [options.logFile] - Also append logs to this rotating file
+   * @param {Array<Object>} [options.logSinks] - Custom sinks replacing the above
+   * @param {boolean} [options.logToStderr] - Send pretty logs to stderr too, for
+   *   when stdout carries machine-readable output
+   * @param {string|Array<string>} [options.decode] - Decode the extracted payload
+   *   before building the URL: DECODING.AUTO or a chain like "hex,reverse"
+   * @param {string} [options.flagPath] - Path to the flag in JSON responses
+   * @param {string} [options.flagFormat] - Regex the flag must match
+   * @param {ChainSpec|Object|string} [options.chain] - Solve a multi-stage
+   *   challenge chain (definition or path to its JSON file) instead of a
+   *   single pattern
+   * @param {Array<string>} [options.strategies] - Strategy names (xpath, jsdom,
+   *   regex, sax) or plugin module paths, in fallback order (default
+   *   DEFAULT_STRATEGIES)
    */
-  constructor(logLevel = LOG_LEVELS.INFO) {
+  constructor(logLevel = LOG_LEVELS.INFO, options = {}) {
+    super();
+
+    // Every service reports progress through the same hook
+    const onEvent = (name, payload) => this.emit(name, payload);
+
     // Initialize logger
-    this.logger = new Logger(logLevel);
+    const logFormat = options.logFormat || LOGGING.FORMATS.PRETTY;
+    let logSinks = options.logSinks;
+    if (!logSinks) {
+      logSinks = [
+        logFormat === LOGGING.FORMATS.JSON
+          ? new StreamSink(process.stderr)
+          : new ConsoleSink({ stderrOnly: options.logToStderr }),
+      ];
+      if (options.logFile) {
+        logSinks.push(new RotatingFileSink(options.logFile));
+      }
+    }
+    this.logger = new Logger(logLevel, { format: logFormat, sinks: logSinks });
+
+    // Where the challenge page comes from
+    this.url = options.url || CHALLENGE_URL;
+    this.input = options.input || null;
+
+    // Optional record/replay of all HTTP traffic
+    let cassette = null;
+    if (options.record) {
+      cassette = new Cassette(
+        options.record,
+        CASSETTE.MODES.RECORD,
+        this.logger.child("cassette")
+      );
+    } else if (options.replay) {
+      cassette = new Cassette(
+        options.replay,
+        CASSETTE.MODES.REPLAY,
+        this.logger.child("cassette")
+      );
+    }
+
+    // Optional on-disk cache; a cassette must see (or serve) real traffic
+    let cache = null;
+    if (options.cacheDir && cassette) {
+      this.logger.warn("HTTP cache disabled while recording or replaying");
+    } else if (options.cacheDir) {
+      cache = new HttpCache(options.cacheDir, {
+        refresh: options.refresh,
+        logger: this.logger.child("cache"),
+      });
+    }
 
     // Initialize services with dependency injection
-    this.httpClient = new HttpClient(this.logger);
+    this.httpClient = new HttpClient(this.logger.child("http"), {
+      cassette,
+      cache,
+      onEvent,
+      robots: options.robots,
+      rateLimiter:
+        options.rate || options.maxConcurrency
+          ? new RateLimiter({
+              rate: options.rate,
+              burst: options.burst,
+              maxConcurrency: options.maxConcurrency,
+              logger: this.logger.child("limiter"),
+            })
+          : null,
+      timeout: options.timeout,
+      retryPolicy: new RetryPolicy({
+        maxAttempts: options.maxRetries,
+        baseDelay: options.retryDelay,
+      }),
+      headers: options.headers,
+      userAgent: options.userAgent,
+      cookies: options.cookies,
+      proxy: options.proxy,
+      noProxy: options.noProxy,
+      cookieJar: new CookieJar({
+        filePath: options.cookieJar,
+        logger: this.logger.child("cookies"),
+      }),
+    });
+    this.inputReader = new InputReader(this.logger.child("input"));
 
-    // Initialize strategies
-    const strategies = [
-      new XPathStrategy(this.logger),
-      new JSDOMStrategy(this.logger),
-      new RegexStrategy(this.logger),
-    ];
+    // Every strategy compiles from the same pattern spec
+    this.pattern = PatternSpec.from(options.pattern);
 
     // Initialize parser with strategies
-    this.htmlParser = new HtmlParser(strategies, this.logger);
+    this.strategyLoader = new StrategyLoader(
+      options.strategies || DEFAULT_STRATEGIES
+    );
+    this.parserOptions = {
+      consensus: options.consensus,
+      maxDisagreement: options.maxDisagreement,
+    };
+    this.htmlParser = this._createParser(this.pattern);
+
+    // Decoders for encoded payloads
+    this.decoderPipeline = new DecoderPipeline(this.logger.child("decoder"));
+
+    const flagExtractor = new FlagExtractor(this.logger.child("flag"), {
+      jsonPath: options.flagPath,
+      flagFormat: options.flagFormat,
+    });
 
     // Initialize main extractor
     this.extractor = new UrlExtractor(
       this.httpClient,
       this.htmlParser,
-      this.logger
+      this.logger.child("extractor"),
+      {
+        streamStrategy: options.stream
+          ? new SAXStrategy(this.logger.child("sax"), this.pattern)
+          : null,
+        decoderPipeline: this.decoderPipeline,
+        flagExtractor,
+        decode: options.decode
+          ? DecoderPipeline.parseChain(options.decode)
+          : null,
+        onEvent,
+      }
+    );
+
+    // Multi-stage chains compile a parser per stage pattern
+    this.chain = options.chain ? ChainSpec.from(options.chain) : null;
+    this.chainRunner = new ChainRunner(
+      this.httpClient,
+      (pattern) => this._createParser(pattern),
+      this.logger.child("chain"),
+      { decoderPipeline: this.decoderPipeline, flagExtractor, onEvent }
     );
   }
 
   /**
    * Runs the CTF solver
    * @returns {Promise<Object>} Solution results
+   * @throws {SolverError} FetchError, ExtractionError, InvalidUrlError, ... (see
+   *   exitCodeFor() for how the CLI maps them to exit codes)
    */
   async run() {
     try {
@@ -64,7 +278,7 @@ class RampCTFSolver {
       this.logger.info("Created by: Akash");
       this.logger.info("");
 
-      const result = await this.extractor.extract(CHALLENGE_URL);
+      const result = await this._extract();
 
       this.logger.info("");
       this.logger.success("✨ Challenge completed successfully!");
@@ -75,8 +289,277 @@ class RampCTFSolver {
       return result;
     } catch (error) {
       this.logger.error("Failed to solve challenge", error);
-      process.exit(1);
+      throw error;
+    }
+  }
+
+  /**
+   * Solves every challenge listed in a file, one URL or HTML file path per line
+   * Relative file paths are resolved against the list file's directory. Items
+   * share this solver's services (HTTP client, cookie jar, strategies), but a
+   * failing item never affects the others
+   * @param {string} listFile - List file, or "-" for stdin
+   * @param {Object} [options] - Batch options
+   * @param {number} [options.concurrency] - Items solved at the same time
+   * @param {Function} [options.onItem] - Called with each item report as it finishes
+   * @returns {Promise<Object>} Batch report ({ items, summary }, see BatchRunner)
+   * @throws {Error} If the list cannot be read
+   */
+  async runBatch(listFile, options = {}) {
+    const entries = await this.inputReader.readLines(listFile);
+    const baseDir = listFile === "-" ? process.cwd() : path.dirname(listFile);
+
+    const items = entries.map((entry) =>
+      /^https?:\/\//i.test(entry)
+        ? { type: "url", source: entry }
+        : { type: "file", source: path.resolve(baseDir, entry) }
+    );
+
+    const runner = new BatchRunner(this.logger.child("batch"), {
+      concurrency: options.concurrency,
+    });
+    return runner.run(
+      items,
+      (item) =>
+        this._extract(
+          item.type === "url" ? { url: item.source } : { input: item.source }
+        ),
+      options.onItem
+    );
+  }
+
+  /**
+   * Solves one page given in a request, as the HTTP API does
+   * A pattern or decode chain in the request applies to this solve only; the
+   * configured ones are used otherwise
+   * @param {Object} request - Request
+   * @param {string} [request.url] - Challenge page URL
+   * @param {string} [request.html] - Challenge page HTML (instead of url)
+   * @param {Object} [request.pattern] - Pattern spec object
+   * @param {string} [request.decode] - Decoder chain for the payload
+   * @param {Object} [options] - Solve options
+   * @param {AbortSignal} [options.signal] - Stops the solve, including requests
+   *   in flight; it then rejects with the signal's reason
+   * @returns {Promise<Object>} Solution results
+   * @throws {ConfigError} If the request's pattern or decode chain is invalid
+   * @throws {SolverError} FetchError, ExtractionError, InvalidUrlError, ...
+   */
+  async solve(request, options = {}) {
+    let extractor = this.extractor;
+    if (request.pattern || request.decode) {
+      const pattern = request.pattern
+        ? this._parseRequest("pattern", () => PatternSpec.from(request.pattern))
+        : this.pattern;
+      const decode = request.decode
+        ? this._parseRequest("decode", () =>
+            DecoderPipeline.parseChain(request.decode)
+          )
+        : this.extractor.decode;
+
+      extractor = new UrlExtractor(
+        this.httpClient,
+        this._createParser(pattern),
+        this.logger.child("extractor"),
+        {
+          decoderPipeline: this.decoderPipeline,
+          flagExtractor: this.extractor.flagExtractor,
+          decode,
+          onEvent: this.extractor.onEvent,
+        }
+      );
+    }
+
+    const extractOptions = { signal: options.signal };
+    return request.html !== undefined
+      ? extractor.extractFromHtml(request.html, extractOptions)
+      : extractor.extract(request.url, extractOptions);
+  }
+
+  /**
+   * Decodes a payload without solving anything
+   * @param {string} text - Encoded text
+   * @param {string|Array<string>} [chain] - DECODING.AUTO or a decoder chain
+   * @returns {Object} { mode, input, output, steps } (see DecoderPipeline)
+   * @throws {DecodeError} If an explicit decoder chain fails
+   */
+  decode(text, chain = DECODING.AUTO) {
+    const decoding = this.decoderPipeline.decode(
+      text,
+      DecoderPipeline.parseChain(chain)
+    );
+    decoding.steps.forEach((step) => {
+      this.logger.info(
+        `🔓 ${step.decoder} (confidence ${step.confidence}): ${step.output}`
+      );
+    });
+    if (decoding.steps.length === 0) {
+      this.logger.warn("No decoder recognised the input");
+    }
+    return decoding;
+  }
+
+  /**
+   * Infers a pattern spec from the configured page
+   * @returns {Promise<Array<Object>>} Ranked candidates, best first (see
+   *   PatternInferrer.infer())
+   * @throws {FetchError} If the page cannot be fetched
+   * @throws {ExtractionError} If no plausible pattern is found
+   */
+  async infer() {
+    let html;
+    if (this.input) {
+      html = await this.inputReader.read(this.input);
+    } else {
+      try {
+        html = await this.httpClient.fetch(this.url);
+      } catch (error) {
+        if (error instanceof PolicyError) {
+          throw error;
+        }
+        throw new FetchError(
+          `Failed to fetch HTML: ${error.message}`,
+          this.url,
+          error.attempts || [],
+          error
+        );
+      }
+    }
+
+    const inferrer = new PatternInferrer(this.logger.child("infer"));
+    const candidates = inferrer.infer(html);
+
+    this.logger.info(`Preview: ${candidates[0].preview}`);
+    candidates.slice(1).forEach((candidate) => {
+      this.logger.info(
+        `Alternative (score ${candidate.score.toFixed(2)}): ${
+          candidate.preview
+        }`
+      );
+    });
+    return candidates;
+  }
+
+  /**
+   * Parses one field of a solve() request
+   * @private
+   * @param {string} field - Field name (for the error)
+   * @param {Function} parse - Parses the field's value
+   * @returns {*} Parsed value
+   * @throws {ConfigError} If the value is invalid
+   */
+  _parseRequest(field, parse) {
+    try {
+      return parse();
+    } catch (error) {
+      throw new ConfigError([
+        { path: field, source: "request", message: error.message },
+      ]);
+    }
+  }
+
+  /**
+   * Builds an HtmlParser whose strategies compile from a pattern
+   * @private
+   * @param {PatternSpec} pattern - Pattern spec
+   * @returns {HtmlParser} Parser
+   */
+  _createParser(pattern) {
+    const strategies = this.strategyLoader.create(
+      (key) => this.logger.child(key),
+      pattern
+    );
+
+    return new HtmlParser(strategies, this.logger.child("parser"), {
+      ...this.parserOptions,
+      nearMissAnalyzer: new NearMissAnalyzer(pattern),
+      onEvent: (name, payload) => this.emit(name, payload),
+    });
+  }
+
+  /**
+   * Runs the extractor against a source
+   * @private
+   * @param {Object} [source] - { url } or { input } (defaults to the configured one)
+   * @returns {Promise<Object>} Solution results
+   */
+  async _extract(source = { url: this.url, input: this.input }) {
+    if (this.chain) {
+      return this.chainRunner.run(
+        this.chain,
+        source.input
+          ? { html: await this.inputReader.read(source.input) }
+          : { url: source.url }
+      );
     }
+
+    if (!source.input) {
+      return this.extractor.extract(source.url);
+    }
+
+    if (this.extractor.streamStrategy) {
+      return this.extractor.extractFromStream(
+        this.inputReader.open(source.input)
+      );
+    }
+
+    const html = await this.inputReader.read(source.input);
+    return this.extractor.extractFromHtml(html);
+  }
+}
+
+// Schema leaf each createSolver() option is validated against
+const SOLVER_OPTION_LEAVES = {
+  logLevel: "log.level",
+  url: "challengeUrl",
+  pattern: "pattern",
+  strategies: "strategies",
+  timeout: "http.timeout",
+  maxRetries: "http.maxRetries",
+  retryDelay: "http.retryDelay",
+  userAgent: "http.userAgent",
+  proxy: "http.proxy",
+  robots: "http.robots",
+  rate: "http.rate",
+  burst: "http.burst",
+  maxConcurrency: "http.maxConcurrency",
+  flagPath: "flag.path",
+  flagFormat: "flag.format",
+  cacheDir: "cache.dir",
+  logFormat: "log.format",
+  logFile: "log.file",
+};
+
+/**
+ * Creates a solver for embedding in another program
+ * Unlike the CLI it logs nothing unless logSinks are given, and reports
+ * progress as events instead:
+ * - fetch:start { url, attempt, maxAttempts }
+ * - fetch:retry { url, attempt, delayMs, error, status }
+ * - strategy:start { strategy } / strategy:failed { strategy, error }
+ * - character { index, value, strategy, path, line, column }
+ * - url:built { url, decoding }
+ * - flag { flag, source, url }
+ * Nothing in it exits the process: failures reject with SolverError subclasses
+ * whose code identifies them (see exitCodeFor())
+ * @param {Object} [options] - RampCTFSolver options, plus logLevel
+ * @returns {RampCTFSolver} Solver; call run(), solve(), runBatch(), decode()
+ *   or infer() once listeners are attached
+ * @throws {SolverError} ConfigError or PluginError if the options are invalid;
+ *   options shared with the CLI are checked against src/config/schema.js
+ */
+function createSolver(options = {}) {
+  ConfigLoader.validate(options, SOLVER_OPTION_LEAVES, "createSolver");
+  const { logLevel = LOG_LEVELS.INFO, ...solverOptions } = options;
+
+  try {
+    return new RampCTFSolver(logLevel, { logSinks: [], ...solverOptions });
+  } catch (error) {
+    if (error instanceof SolverError) {
+      throw error;
+    }
+    throw new ConfigError([
+      { path: "(options)", source: "createSolver", message: error.message },
+    ]);
   }
 }
 
@@ -89,10 +572,50 @@ function parseArgs() {
   const options = {
     debug: false,
     help: false,
+    pattern: null,
+    verify: false,
+    stream: false,
+    url: null,
+    input: null,
+    record: null,
+    replay: null,
+    headers: [],
+    cookies: [],
+    userAgent: null,
+    proxy: null,
+    cookieJar: null,
+    robots: null,
+    rate: null,
+    burst: null,
+    maxConcurrency: null,
+    cache: null,
+    cacheDir: null,
+    refresh: false,
+    logLevel: null,
+    logFormat: null,
+    logFile: null,
+    config: null,
+    timeout: null,
+    maxRetries: null,
+    retryDelay: null,
+    output: null,
+    explain: false,
+    concurrency: null,
+    port: null,
+    host: null,
+    maxBody: null,
+    requestTimeout: null,
+    decode: null,
+    flagPath: null,
+    flagFormat: null,
+    chain: null,
+    strategies: [],
+    verifyThreshold: CONSENSUS.VERIFY_THRESHOLD,
+    positionals: [],
   };
 
-  args.forEach((arg) => {
-    switch (arg) {
+  for (let i = 0; i < args.length; i++) {
+    switch (args[i]) {
       case "--debug":
       case "-d":
         options.debug = true;
@@ -101,12 +624,210 @@ function parseArgs() {
       case "-h":
         options.help = true;
         break;
+      case "--pattern":
+      case "-p":
+        options.pattern = args[++i];
+        break;
+      case "--verify":
+        options.verify = true;
+        break;
+      case "--url":
+      case "-u":
+        options.url = args[++i];
+        break;
+      case "--input":
+      case "-i":
+        options.input = args[++i];
+        break;
+      case "--record":
+        options.record = args[++i];
+        break;
+      case "--replay":
+        options.replay = args[++i];
+        break;
+      case "--stream":
+        options.stream = true;
+        break;
+      case "--header":
+      case "-H":
+        options.headers.push(args[++i]);
+        break;
+      case "--cookie":
+        options.cookies.push(args[++i]);
+        break;
+      case "--cookie-jar":
+        options.cookieJar = args[++i];
+        break;
+      case "--robots":
+        options.robots = true;
+        break;
+      case "--rate":
+        options.rate = args[++i];
+        break;
+      case "--burst":
+        options.burst = args[++i];
+        break;
+      case "--max-concurrency":
+        options.maxConcurrency = args[++i];
+        break;
+      case "--cache":
+        options.cache = true;
+        break;
+      case "--no-cache":
+        options.cache = false;
+        break;
+      case "--cache-dir":
+        options.cacheDir = args[++i];
+        break;
+      case "--refresh":
+        options.refresh = true;
+        break;
+      case "--user-agent":
+      case "-A":
+        options.userAgent = args[++i];
+        break;
+      case "--proxy":
+        options.proxy = args[++i];
+        break;
+      case "--output":
+      case "-o":
+        options.output = args[++i];
+        break;
+      case "--explain":
+        options.explain = true;
+        break;
+      case "--decode":
+        options.decode = args[++i];
+        break;
+      case "--strategy":
+      case "-s":
+        options.strategies.push(args[++i]);
+        break;
+      case "--chain":
+        options.chain = args[++i];
+        break;
+      case "--flag-path":
+        options.flagPath = args[++i];
+        break;
+      case "--flag-format":
+        options.flagFormat = args[++i];
+        break;
+      case "--log-format":
+        options.logFormat = args[++i];
+        break;
+      case "--log-level":
+        options.logLevel = args[++i];
+        break;
+      case "--config":
+        options.config = args[++i];
+        break;
+      case "--timeout":
+        options.timeout = args[++i];
+        break;
+      case "--max-retries":
+        options.maxRetries = args[++i];
+        break;
+      case "--retry-delay":
+        options.retryDelay = args[++i];
+        break;
+      case "--log-file":
+        options.logFile = args[++i];
+        break;
+      case "--verify-threshold":
+        options.verifyThreshold = Number(args[++i]);
+        break;
+      case "--concurrency":
+      case "-c":
+        options.concurrency = args[++i];
+        break;
+      case "--port":
+        options.port = args[++i];
+        break;
+      case "--host":
+        options.host = args[++i];
+        break;
+      case "--max-body":
+        options.maxBody = args[++i];
+        break;
+      case "--request-timeout":
+        options.requestTimeout = args[++i];
+        break;
+      default:
+        // A lone "-" is a positional naming stdin (batch -)
+        if (args[i].startsWith("-") && args[i] !== "-") {
+          console.error(`Unknown option: ${args[i]} (see --help)`);
+          process.exit(EXIT_CODES.USAGE);
+        }
+        options.positionals.push(args[i]);
     }
-  });
+  }
 
   return options;
 }
 
+/**
+ * Converts repeated "name<separator>value" flags into an object
+ * @param {Array<string>} values - Raw flag values
+ * @param {string} separator - Separator between name and value
+ * @param {string} flag - Flag name for error messages
+ * @returns {Object} Name → value map
+ */
+function parsePairs(values, separator, flag) {
+  const pairs = {};
+
+  values.forEach((raw) => {
+    const index = raw ? raw.indexOf(separator) : -1;
+    if (index <= 0) {
+      console.error(`${flag} expects "name${separator}value", got: ${raw}`);
+      process.exit(EXIT_CODES.USAGE);
+    }
+    pairs[raw.slice(0, index).trim()] = raw.slice(index + 1).trim();
+  });
+
+  return pairs;
+}
+
+/**
+ * Collects the flags that override configuration, keyed as in the schema
+ * Only flags the user actually passed are included
+ * @param {Object} options - Parsed CLI options
+ * @returns {Object} Raw values keyed by flag name
+ */
+function configFlags(options) {
+  const flags = {
+    "--url": options.url,
+    "--pattern": options.pattern,
+    "--strategy": options.strategies.length > 0 ? options.strategies : null,
+    "--decode": options.decode,
+    "--timeout": options.timeout,
+    "--max-retries": options.maxRetries,
+    "--retry-delay": options.retryDelay,
+    "--user-agent": options.userAgent,
+    "--proxy": options.proxy,
+    "--robots": options.robots,
+    "--rate": options.rate,
+    "--burst": options.burst,
+    "--max-concurrency": options.maxConcurrency,
+    "--flag-path": options.flagPath,
+    "--flag-format": options.flagFormat,
+    // --refresh only makes sense with the cache on
+    "--cache": options.refresh ? true : options.cache,
+    "--cache-dir": options.cacheDir,
+    "--concurrency": options.concurrency,
+    "--port": options.port,
+    "--host": options.host,
+    "--max-body": options.maxBody,
+    "--request-timeout": options.requestTimeout,
+    "--log-level": options.debug ? LOG_LEVELS.DEBUG : options.logLevel,
+    "--log-format": options.logFormat,
+    "--log-file": options.logFile,
+  };
+
+  return Object.fromEntries(
+    Object.entries(flags).filter(([, value]) => value !== null)
+  );
+}
+
 /**
  * Display help message
  */
@@ -115,14 +836,121 @@ function displayHelp() {
 Ramp CTF Challenge Solver
 
 Usage: node index.js [options]
+       node index.js batch <list-file> [options]
+       node index.js infer [-u <url> | -i <file>] [options]
+       node index.js decode <text> [--decode <chain>] [options]
+       node index.js config print [options]
+       node index.js cache clear [--cache-dir <dir>]
+       node index.js serve [--port <n>] [--host <h>] [options]
+
+Commands:
+  batch <list-file>     Solve every URL or HTML file listed (one per line,
+                        "#" comments allowed) and print an aggregated report
+  infer                 Derive a pattern spec from the page's repeated
+                        structure and print it (use with --pattern)
+  decode <text>         Decode a payload (auto-detected unless --decode is set)
+  config print          Show the effective configuration and where each value
+                        came from
+  cache clear           Delete every cached response
+  serve                 Run an HTTP API: POST /extract, POST /decode,
+                        GET /health (JSON in, the --output json result out)
 
 Options:
-  -d, --debug    Enable debug logging
-  -h, --help     Display this help message
+  -d, --debug           Enable debug logging (same as --log-level DEBUG)
+  --cache               Cache fetched pages on disk and revalidate them with
+                        ETag / Last-Modified once stale
+  --no-cache            Neither read nor write the cache
+  --refresh             Refetch cached pages and update the cache
+  --cache-dir <dir>     Cache directory (default ${HTTP_CACHE.DIR})
+  --log-level <l>       ERROR, WARN, INFO (default) or DEBUG
+  --config <file>       Project config file (default: ${CONFIG.FILE_NAME} in the
+                        current directory, or ${CONFIG.FILE_ENV})
+  -u, --url <url>       Challenge page URL (default: the Ramp challenge)
+  -i, --input <file>    Solve from a saved HTML file, or "-" for stdin
+  -p, --pattern <file>  Load the DOM pattern spec from a JSON file
+  --verify              Run all strategies and fail if they disagree
+  --verify-threshold <n>
+                        Fraction of strategies allowed to diverge (default 0)
+  --stream              Extract while downloading (for very large pages)
+  --record <file>       Record all HTTP traffic to a cassette file
+  --replay <file>       Serve HTTP traffic from a cassette (no network)
+  -H, --header <h>      Add a request header "Name: value" (repeatable)
+  --cookie <c>          Send a cookie "name=value" (repeatable)
+  --cookie-jar <file>   Load and save persistent cookies across runs
+  -A, --user-agent <ua> Set the User-Agent header
+  --timeout <ms>        HTTP socket timeout (default ${HTTP.TIMEOUT})
+  --max-retries <n>     HTTP attempts per fetch, including the first
+                        (default ${HTTP.MAX_RETRIES})
+  --retry-delay <ms>    Delay before the first retry (default ${
+    HTTP.RETRY_DELAY
+  })
+  --robots              Obey each host's robots.txt for the User-Agent
+  --rate <n>            Requests per second to any one host
+  --burst <n>           Requests a host may receive back to back with --rate
+                        (default ${POLICY.BURST})
+  --max-concurrency <n> Requests in flight at once, across all hosts
+  --proxy <url>         Proxy for all requests (default: HTTPS_PROXY/HTTP_PROXY,
+                        bypassed for NO_PROXY hosts)
+  --log-format <f>      "pretty" (default) or "json" (one object per line,
+                        written to stderr)
+  --log-file <file>     Also append logs to a size-rotated file
+  -o, --output <f>      Print the result to stdout as json, ndjson, text or
+                        flag-only (progress logs then go to stderr)
+  --decode <chain>      Decode the extracted payload before building the URL:
+                        "auto" or a chain such as "base64,reverse" (hex,
+                        base64, base64url, url, html, reverse, rot<n>)
+  -s, --strategy <s>    Strategy name (xpath, jsdom, regex, sax) or plugin
+                        module path; repeat to set the fallback order
+                        (default: ${DEFAULT_STRATEGIES.join(", ")})
+  --chain <file>        Solve a multi-stage challenge described by a chain
+                        definition (stages, decoders, flag rule)
+  --flag-path <path>    Where the flag is in JSON responses (e.g. data.flag)
+  --flag-format <re>    Regex the flag must match; the first match (or its
+                        first capture group) is the flag
+  --explain             Print a table tracing each URL character back to
+                        the element (path, line:column) it came from
+  -c, --concurrency <n> Items solved at the same time in batch mode (default ${
+    BATCH.CONCURRENCY
+  })
+  --port <n>            serve: port to listen on (default ${SERVER.PORT})
+  --host <h>            serve: interface to bind (default ${SERVER.HOST})
+  --max-body <bytes>    serve: largest request body (default ${
+    SERVER.MAX_BODY_BYTES
+  })
+  --request-timeout <ms>
+                        serve: time allowed per request (default ${
+                          SERVER.REQUEST_TIMEOUT
+                        })
+  -h, --help            Display this help message
+
+Configuration:
+  Settings are layered, later ones winning: built-in defaults, the project
+  file, RAMP_* environment variables (e.g. RAMP_HTTP_TIMEOUT), then flags.
+
+Exit codes:
+  0  Flag retrieved                  5  Invalid challenge or hidden URL
+  1  Unexpected error                6  Hidden URL built but no flag fetched
+  2  Invalid arguments               7  Batch finished with unsolved items
+  3  Challenge page not fetched/read 8  Chain aborted (depth limit or cycle)
+  4  Characters not extracted        9  Request refused by robots.txt
 
 Examples:
-  node index.js           Run the solver
-  node index.js --debug   Run with debug output
+  node index.js                         Run the solver
+  node index.js --debug                 Run with debug output
+  node index.js --pattern variant.json  Solve a variant with a custom pattern
+  node index.js --verify                Cross-check every strategy
+  node index.js --input page.html       Solve a saved page offline
+  curl -s <url> | node index.js -i -    Solve HTML piped on stdin
+  node index.js --replay solve.json     Reproduce a recorded solve offline
+  node index.js -A "Mozilla/5.0" --proxy http://proxy.corp:3128
+  node index.js -o flag-only            Print just the flag (for scripts)
+  node index.js batch variants.txt -c 8 -o ndjson
+  node index.js infer -i page.html > variant.json
+  node index.js decode 73756e           Prints "sun"
+  node index.js --chain two-step.json   Follow a challenge hidden behind another
+  node index.js -s ./my-strategy.js -s xpath
+  RAMP_HTTP_TIMEOUT=5000 node index.js config print
+  node index.js serve --port 8080 --rate 2
 `);
 }
 
@@ -137,19 +965,431 @@ async function main() {
     process.exit(0);
   }
 
-  const logLevel = options.debug ? LOG_LEVELS.DEBUG : LOG_LEVELS.INFO;
-  const solver = new RampCTFSolver(logLevel);
+  if (options.url && options.input) {
+    console.error("--url and --input cannot be combined");
+    process.exit(EXIT_CODES.USAGE);
+  }
+
+  if (options.record && options.replay) {
+    console.error("--record and --replay cannot be combined");
+    process.exit(EXIT_CODES.USAGE);
+  }
+
+  const threshold = options.verifyThreshold;
+  if (!(threshold >= 0 && threshold <= 1)) {
+    console.error("--verify-threshold must be a number between 0 and 1");
+    process.exit(EXIT_CODES.USAGE);
+  }
+
+  if (
+    options.output !== null &&
+    !Object.values(OUTPUT_FORMATS).includes(options.output)
+  ) {
+    console.error("--output must be one of: json, ndjson, text, flag-only");
+    process.exit(EXIT_CODES.USAGE);
+  }
+
+  const [command, ...commandArgs] = options.positionals;
+  if (
+    command &&
+    !["batch", "infer", "decode", "config", "cache", "serve"].includes(command)
+  ) {
+    console.error(`Unknown command: ${command}`);
+    process.exit(EXIT_CODES.USAGE);
+  }
+
+  if (options.explain && (options.output || command)) {
+    console.error("--explain cannot be combined with --output or a command");
+    process.exit(EXIT_CODES.USAGE);
+  }
+
+  if (command === "batch") {
+    if (commandArgs.length !== 1) {
+      console.error("batch expects exactly one list file");
+      process.exit(EXIT_CODES.USAGE);
+    }
+    if (options.url || options.input) {
+      console.error("batch cannot be combined with --url or --input");
+      process.exit(EXIT_CODES.USAGE);
+    }
+  }
+
+  if (command === "config") {
+    if (commandArgs.length !== 1 || commandArgs[0] !== "print") {
+      console.error("Usage: node index.js config print");
+      process.exit(EXIT_CODES.USAGE);
+    }
+    if (options.output === OUTPUT_FORMATS.FLAG_ONLY) {
+      console.error("config print does not support --output flag-only");
+      process.exit(EXIT_CODES.USAGE);
+    }
+  }
+
+  if (command === "cache") {
+    if (commandArgs.length !== 1 || commandArgs[0] !== "clear") {
+      console.error("Usage: node index.js cache clear");
+      process.exit(EXIT_CODES.USAGE);
+    }
+    if (options.output === OUTPUT_FORMATS.FLAG_ONLY) {
+      console.error("cache clear does not support --output flag-only");
+      process.exit(EXIT_CODES.USAGE);
+    }
+  }
+
+  if (command === "serve") {
+    if (commandArgs.length !== 0) {
+      console.error("serve takes no arguments; use --port and --host");
+      process.exit(EXIT_CODES.USAGE);
+    }
+    if (options.url || options.input || options.output || options.stream) {
+      console.error(
+        "serve cannot be combined with --url, --input, --output or --stream " +
+          "(requests carry their own page)"
+      );
+      process.exit(EXIT_CODES.USAGE);
+    }
+    if (options.chain !== null) {
+      console.error("serve cannot be combined with --chain");
+      process.exit(EXIT_CODES.USAGE);
+    }
+  }
+
+  if (options.refresh && options.cache === false) {
+    console.error("--refresh cannot be combined with --no-cache");
+    process.exit(EXIT_CODES.USAGE);
+  }
+
+  if (command === "infer") {
+    if (commandArgs.length !== 0) {
+      console.error("infer takes no arguments; use --url or --input");
+      process.exit(EXIT_CODES.USAGE);
+    }
+    if (options.output === OUTPUT_FORMATS.FLAG_ONLY) {
+      console.error("infer does not support --output flag-only");
+      process.exit(EXIT_CODES.USAGE);
+    }
+  }
+
+  if (command === "decode") {
+    if (commandArgs.length !== 1) {
+      console.error("decode expects exactly one payload");
+      process.exit(EXIT_CODES.USAGE);
+    }
+    if (options.output === OUTPUT_FORMATS.FLAG_ONLY) {
+      console.error("decode does not support --output flag-only");
+      process.exit(EXIT_CODES.USAGE);
+    }
+  }
+
+  if (
+    options.chain !== null &&
+    (options.pattern || options.decode !== null || options.stream)
+  ) {
+    console.error(
+      "--chain cannot be combined with --pattern, --decode or --stream " +
+        "(stages define their own)"
+    );
+    process.exit(EXIT_CODES.USAGE);
+  }
+
+  if (options.chain !== null && (options.explain || command === "infer")) {
+    console.error("--chain cannot be combined with --explain or infer");
+    process.exit(EXIT_CODES.USAGE);
+  }
+
+  if (options.chain !== null) {
+    try {
+      ChainSpec.fromFile(options.chain);
+    } catch (error) {
+      console.error(`--chain: ${error.message}`);
+      process.exit(EXIT_CODES.USAGE);
+    }
+  }
+
+  // Defaults < project file < RAMP_* environment < flags
+  let loaded;
+  try {
+    loaded = new ConfigLoader({ configFile: options.config }).load(
+      configFlags(options)
+    );
+  } catch (error) {
+    exitOnSetupError(error, options);
+  }
+
+  if (command === "config") {
+    process.stdout.write(ResultFormatter.formatConfig(loaded, options.output));
+    return;
+  }
 
-  await solver.run();
+  const { config } = loaded;
+
+  if (command === "cache") {
+    const cache = new HttpCache(config.cache.dir);
+    const removed = cache.clear();
+    process.stdout.write(
+      ResultFormatter.formatCacheClear(
+        { directory: cache.directory, removed },
+        options.output
+      )
+    );
+    return;
+  }
+
+  // Cassettes, cookie jars, patterns and plugins are loaded here
+  let solver;
+  try {
+    solver = new RampCTFSolver(config.log.level, {
+      pattern: config.pattern,
+      consensus: options.verify,
+      maxDisagreement: options.verify ? options.verifyThreshold : null,
+      stream: options.stream,
+      url: config.challengeUrl,
+      input: options.input || undefined,
+      record: options.record || undefined,
+      replay: options.replay || undefined,
+      headers: parsePairs(options.headers, ":", "--header"),
+      cookies: parsePairs(options.cookies, "=", "--cookie"),
+      timeout: config.http.timeout,
+      maxRetries: config.http.maxRetries,
+      retryDelay: config.http.retryDelay,
+      userAgent: config.http.userAgent,
+      proxy: config.http.proxy || undefined,
+      robots: config.http.robots,
+      rate: config.http.rate || undefined,
+      burst: config.http.burst,
+      maxConcurrency: config.http.maxConcurrency || undefined,
+      cookieJar: options.cookieJar || undefined,
+      cacheDir: config.cache.enabled ? config.cache.dir : undefined,
+      refresh: options.refresh,
+      logFormat: config.log.format,
+      logFile: config.log.file || undefined,
+      decode: command === "decode" ? undefined : config.decode || undefined,
+      flagPath: config.flag.path || undefined,
+      flagFormat: config.flag.format || undefined,
+      chain: options.chain || undefined,
+      strategies: config.strategies,
+      logToStderr: options.output !== null || options.explain || !!command,
+    });
+  } catch (error) {
+    exitOnSetupError(error, options);
+  }
+
+  if (command === "batch") {
+    await runBatch(solver, commandArgs[0], options, config);
+    return;
+  }
+
+  if (command === "infer") {
+    await runInfer(solver, options);
+    return;
+  }
+
+  if (command === "decode") {
+    runDecode(solver, commandArgs[0], options, config);
+    return;
+  }
+
+  if (command === "serve") {
+    await runServe(solver, config);
+    return;
+  }
+
+  let result;
+  try {
+    result = await solver.run();
+  } catch (error) {
+    const exitCode = exitCodeFor(error);
+    if (options.explain && error.provenance) {
+      process.stdout.write(ResultFormatter.formatExplain(error.provenance));
+    }
+    if (options.output) {
+      process.stdout.write(
+        ResultFormatter.formatError(error, options.output, exitCode)
+      );
+    }
+    process.exitCode = exitCode;
+    return;
+  }
+
+  const exitCode =
+    result.flag === null ? EXIT_CODES.FLAG_MISSING : EXIT_CODES.SUCCESS;
+  if (options.explain) {
+    process.stdout.write(ResultFormatter.formatExplain(result.provenance));
+  }
+  if (options.output) {
+    process.stdout.write(
+      ResultFormatter.format(result, options.output, exitCode)
+    );
+  }
+  process.exitCode = exitCode;
+}
+
+/**
+ * Reports an error raised before solving starts and exits
+ * @param {Error} error - Configuration or setup error
+ * @param {Object} options - Parsed CLI options
+ */
+function exitOnSetupError(error, options) {
+  const exitCode = exitCodeFor(error);
+  console.error(error.message);
+  if (options.output) {
+    process.stdout.write(
+      ResultFormatter.formatError(error, options.output, exitCode)
+    );
+  }
+  process.exit(exitCode);
+}
+
+/**
+ * Runs the batch command and prints its report
+ * @param {RampCTFSolver} solver - Configured solver
+ * @param {string} listFile - List file, or "-" for stdin
+ * @param {Object} options - Parsed CLI options
+ * @param {Object} config - Effective configuration
+ */
+async function runBatch(solver, listFile, options, config) {
+  let report;
+  try {
+    report = await solver.runBatch(listFile, {
+      concurrency: config.batch.concurrency,
+      onItem: (item) => {
+        if (options.output === OUTPUT_FORMATS.NDJSON) {
+          process.stdout.write(ResultFormatter.formatBatchItem(item));
+        }
+      },
+    });
+  } catch (error) {
+    const exitCode = exitCodeFor(error);
+    solver.logger.error("Batch failed", error);
+    if (options.output) {
+      process.stdout.write(
+        ResultFormatter.formatError(error, options.output, exitCode)
+      );
+    }
+    process.exitCode = exitCode;
+    return;
+  }
+
+  const exitCode =
+    report.summary.solved === report.summary.total
+      ? EXIT_CODES.SUCCESS
+      : EXIT_CODES.BATCH_INCOMPLETE;
+  process.stdout.write(
+    ResultFormatter.formatBatch(
+      report,
+      options.output || OUTPUT_FORMATS.TEXT,
+      exitCode
+    )
+  );
+  process.exitCode = exitCode;
+}
+
+/**
+ * Runs the infer command and prints the inferred pattern
+ * @param {RampCTFSolver} solver - Configured solver
+ * @param {Object} options - Parsed CLI options
+ */
+async function runInfer(solver, options) {
+  let candidates;
+  try {
+    candidates = await solver.infer();
+  } catch (error) {
+    const exitCode = exitCodeFor(error);
+    solver.logger.error("Pattern inference failed", error);
+    if (options.output) {
+      process.stdout.write(
+        ResultFormatter.formatError(error, options.output, exitCode)
+      );
+    }
+    process.exitCode = exitCode;
+    return;
+  }
+
+  process.stdout.write(
+    ResultFormatter.formatInference(
+      candidates,
+      options.output,
+      EXIT_CODES.SUCCESS
+    )
+  );
+  process.exitCode = EXIT_CODES.SUCCESS;
+}
+
+/**
+ * Runs the decode command and prints the decoded payload
+ * @param {RampCTFSolver} solver - Configured solver
+ * @param {string} text - Encoded text
+ * @param {Object} options - Parsed CLI options
+ * @param {Object} config - Effective configuration
+ */
+function runDecode(solver, text, options, config) {
+  let decoding;
+  try {
+    decoding = solver.decode(text, config.decode || DECODING.AUTO);
+  } catch (error) {
+    const exitCode = exitCodeFor(error);
+    solver.logger.error("Decoding failed", error);
+    if (options.output) {
+      process.stdout.write(
+        ResultFormatter.formatError(error, options.output, exitCode)
+      );
+    }
+    process.exitCode = exitCode;
+    return;
+  }
+
+  process.stdout.write(
+    ResultFormatter.formatDecoding(decoding, options.output, EXIT_CODES.SUCCESS)
+  );
+  process.exitCode = EXIT_CODES.SUCCESS;
+}
+
+/**
+ * Runs the serve command until SIGINT or SIGTERM
+ * @param {RampCTFSolver} solver - Configured solver
+ * @param {Object} config - Effective configuration
+ */
+async function runServe(solver, config) {
+  const server = new ApiServer(solver, solver.logger.child("server"), {
+    maxBodyBytes: config.server.maxBodyBytes,
+    requestTimeout: config.server.requestTimeout,
+    exitCodeFor,
+  });
+
+  try {
+    await server.listen(config.server.port, config.server.host);
+  } catch (error) {
+    solver.logger.error("Could not start the server", error);
+    process.exitCode = EXIT_CODES.USAGE;
+    return;
+  }
+
+  const shutdown = (signal) => {
+    solver.logger.info(`${signal} received, finishing in-flight requests`);
+    server.close().then(() => {
+      process.exitCode = EXIT_CODES.SUCCESS;
+    });
+  };
+  process.once("SIGINT", shutdown);
+  process.once("SIGTERM", shutdown);
+}
+
+/**
+ * Maps an error from RampCTFSolver.run() to a process exit code
+ * @param {Error} error - Error that ended the run
+ * @returns {number} One of EXIT_CODES
+ */
+function exitCodeFor(error) {
+  return ERROR_EXIT_CODES[error && error.code] || EXIT_CODES.UNEXPECTED;
 }
 
 // Execute if run directly
 if (require.main === module) {
   main().catch((error) => {
     console.error("Unexpected error:", error);
-    process.exit(1);
+    process.exit(EXIT_CODES.UNEXPECTED);
   });
 }
 
-// Export for testing
-module.exports = { RampCTFSolver };
+// Export for testing and for embedding
+module.exports = { RampCTFSolver, createSolver };
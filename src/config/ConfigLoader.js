@@ -0,0 +1,325 @@
+const fs = require("fs");
+const path = require("path");
+const Validator = require("../utils/Validator");
+const ConfigError = require("../errors/ConfigError");
+const SCHEMA = require("./schema");
+const { CONFIG } = require("./constants");
+
+/**
+ * Builds the effective configuration from layers, lowest precedence first:
+ * schema defaults, the project file (ramp.config.json, or --config /
+ * RAMP_CONFIG), RAMP_* environment variables, then CLI flags
+ *
+ * Every value is validated against src/config/schema.js where it enters, and
+ * all problems are reported together with their path and source. The source
+ * of each effective value is kept for `config print`.
+ * @class ConfigLoader
+ */
+class ConfigLoader {
+  /**
+   * Creates a ConfigLoader instance
+   * @param {Object} [options] - Loader options
+   * @param {string} [options.configFile] - Project file to load (default:
+   *   RAMP_CONFIG, else ramp.config.json in cwd if present)
+   * @param {string} [options.cwd] - Directory to look for the project file in
+   * @param {Object} [options.env] - Environment variables (default process.env)
+   */
+  constructor(options = {}) {
+    this.cwd = options.cwd || process.cwd();
+    this.env = options.env || process.env;
+    this.configFile = options.configFile || null;
+  }
+
+  /**
+   * Lists the schema's leaf settings
+   * @param {Object} [schema] - Schema node
+   * @param {string} [prefix] - Path of the node
+   * @returns {Array<Object>} [{ path, schema }] in schema order
+   */
+  static leaves(schema = SCHEMA, prefix = "") {
+    return Object.entries(schema.properties).flatMap(([key, child]) => {
+      const childPath = prefix ? `${prefix}.${key}` : key;
+      return child.properties
+        ? ConfigLoader.leaves(child, childPath)
+        : [{ path: childPath, schema: child }];
+    });
+  }
+
+  /**
+   * Validates values set outside the layers, e.g. createSolver() options
+   * @param {Object} values - Values keyed by the name they were given under
+   * @param {Object} leafPaths - Leaf path for each name (e.g. { timeout:
+   *   "http.timeout" }); other names, and null or undefined values, are skipped
+   * @param {string} source - Where the values came from
+   * @throws {ConfigError} If any value is invalid; errors use the given names
+   */
+  static validate(values, leafPaths, source) {
+    const schemas = new Map(
+      ConfigLoader.leaves().map(({ path: leafPath, schema }) => [
+        leafPath,
+        schema,
+      ])
+    );
+
+    const errors = Object.entries(values)
+      .filter(
+        ([name, value]) =>
+          leafPaths[name] && value !== undefined && value !== null
+      )
+      .flatMap(([name, value]) =>
+        Validator.validateSchema(value, schemas.get(leafPaths[name]), name)
+      )
+      .map((problem) => ({ ...problem, source }));
+
+    if (errors.length > 0) {
+      throw new ConfigError(errors);
+    }
+  }
+
+  /**
+   * Loads and merges every layer
+   * @param {Object} [cli] - Raw CLI values keyed by flag (e.g. { "--timeout":
+   *   "5000" }); only flags the user passed should be present
+   * @returns {Object} { config, sources, file } where sources maps each leaf
+   *   path to "default", "file <path>", "env <NAME>" or "cli <flag>"
+   * @throws {ConfigError} If any layer holds invalid values
+   */
+  load(cli = {}) {
+    const errors = [];
+    const config = {};
+    const sources = {};
+
+    ConfigLoader.leaves().forEach(({ path: leafPath, schema }) => {
+      this._set(config, leafPath, schema.default);
+      sources[leafPath] = "default";
+    });
+
+    const file = this._findFile();
+    const layers = [
+      file ? this._fileLayer(file, errors) : [],
+      this._envLayer(errors),
+      this._cliLayer(cli, errors),
+    ];
+
+    layers.forEach((entries) => {
+      entries.forEach((entry) => {
+        this._set(config, entry.path, entry.value);
+        sources[entry.path] = entry.source;
+      });
+    });
+
+    if (errors.length > 0) {
+      throw new ConfigError(errors);
+    }
+    return { config, sources, file };
+  }
+
+  /**
+   * Picks the project file
+   * @private
+   * @returns {string|null} Absolute path, or null if there is none
+   */
+  _findFile() {
+    const explicit = this.configFile || this.env[CONFIG.FILE_ENV];
+    if (explicit) {
+      return path.resolve(this.cwd, explicit);
+    }
+
+    const implicit = path.join(this.cwd, CONFIG.FILE_NAME);
+    return fs.existsSync(implicit) ? implicit : null;
+  }
+
+  /**
+   * Reads the project file into entries
+   * @private
+   * @param {string} filePath - Absolute path
+   * @param {Array<Object>} errors - Collects problems
+   * @returns {Array<Object>} [{ path, value, source }]
+   */
+  _fileLayer(filePath, errors) {
+    const relative = path.relative(this.cwd, filePath);
+    const source = `file ${
+      relative && !relative.startsWith("..") ? relative : filePath
+    }`;
+
+    let data;
+    try {
+      data = JSON.parse(fs.readFileSync(filePath, "utf8"));
+    } catch (error) {
+      errors.push({
+        path: "(file)",
+        source,
+        message: `cannot be read: ${error.message}`,
+      });
+      return [];
+    }
+
+    const entries = [];
+    const walk = (value, schema, prefix) => {
+      if (!value || typeof value !== "object" || Array.isArray(value)) {
+        errors.push({
+          path: prefix || "(root)",
+          source,
+          message: `expected object, got ${JSON.stringify(value)}`,
+        });
+        return;
+      }
+
+      Object.entries(value).forEach(([key, childValue]) => {
+        const childPath = prefix ? `${prefix}.${key}` : key;
+        const child = schema.properties[key];
+        if (!child) {
+          errors.push({ path: childPath, source, message: "unknown key" });
+        } else if (child.properties) {
+          walk(childValue, child, childPath);
+        } else {
+          const resolved = child.filePath
+            ? this._resolveFilePaths(childValue, path.dirname(filePath))
+            : childValue;
+          entries.push(
+            ...this._entry(childPath, resolved, child, source, errors)
+          );
+        }
+      });
+    };
+
+    walk(data, SCHEMA, "");
+    return entries;
+  }
+
+  /**
+   * Reads RAMP_* environment variables into entries
+   * @private
+   * @param {Array<Object>} errors - Collects problems
+   * @returns {Array<Object>} [{ path, value, source }]
+   */
+  _envLayer(errors) {
+    return ConfigLoader.leaves()
+      .filter(({ schema }) => schema.env && this.env[schema.env] !== undefined)
+      .flatMap(({ path: leafPath, schema }) =>
+        this._entry(
+          leafPath,
+          this._coerce(this.env[schema.env], schema),
+          schema,
+          `env ${schema.env}`,
+          errors
+        )
+      );
+  }
+
+  /**
+   * Turns CLI values into entries
+   * @private
+   * @param {Object} cli - Raw values keyed by flag
+   * @param {Array<Object>} errors - Collects problems
+   * @returns {Array<Object>} [{ path, value, source }]
+   */
+  _cliLayer(cli, errors) {
+    return ConfigLoader.leaves()
+      .filter(({ schema }) => schema.flag && cli[schema.flag] !== undefined)
+      .flatMap(({ path: leafPath, schema }) =>
+        this._entry(
+          leafPath,
+          this._coerce(cli[schema.flag], schema),
+          schema,
+          `cli ${schema.flag}`,
+          errors
+        )
+      );
+  }
+
+  /**
+   * Validates a value for a leaf
+   * @private
+   * @param {string} leafPath - Leaf path
+   * @param {*} value - Value
+   * @param {Object} schema - Leaf schema
+   * @param {string} source - Where the value came from
+   * @param {Array<Object>} errors - Collects problems
+   * @returns {Array<Object>} [{ path, value, source }], or [] if invalid
+   */
+  _entry(leafPath, value, schema, source, errors) {
+    const problems = Validator.validateSchema(value, schema, leafPath);
+    if (problems.length > 0) {
+      errors.push(...problems.map((problem) => ({ ...problem, source })));
+      return [];
+    }
+    return [{ path: leafPath, value, source }];
+  }
+
+  /**
+   * Converts a string from the environment or CLI to the leaf's type
+   * Values that do not convert are left as strings so validation reports them
+   * @private
+   * @param {string|Array<string>} raw - Raw value
+   * @param {Object} schema - Leaf schema
+   * @returns {*} Converted value
+   */
+  _coerce(raw, schema) {
+    if (Array.isArray(raw)) {
+      return raw;
+    }
+
+    const types = [].concat(schema.type);
+    const text = String(raw).trim();
+
+    if (
+      (types.includes("integer") || types.includes("number")) &&
+      /^-?\d+(\.\d+)?$/.test(text)
+    ) {
+      return Number(text);
+    }
+    if (types.includes("boolean") && /^(true|false)$/i.test(text)) {
+      return text.toLowerCase() === "true";
+    }
+    if (types.includes("array")) {
+      return text
+        .split(",")
+        .map((item) => item.trim())
+        .filter(Boolean);
+    }
+    return raw;
+  }
+
+  /**
+   * Makes file paths in a project-file value relative to the file
+   * Plain strings are always paths; in arrays only items that look like paths
+   * (strategy names stay names)
+   * @private
+   * @param {*} value - Value from the project file
+   * @param {string} baseDir - Directory of the project file
+   * @returns {*} Value with paths resolved
+   */
+  _resolveFilePaths(value, baseDir) {
+    if (typeof value === "string") {
+      return path.resolve(baseDir, value);
+    }
+    if (Array.isArray(value)) {
+      return value.map((item) =>
+        typeof item === "string" && /[\\/]|\.[cm]?js$/.test(item)
+          ? path.resolve(baseDir, item)
+          : item
+      );
+    }
+    return value;
+  }
+
+  /**
+   * Sets a dotted path in an object, creating groups as needed
+   * @private
+   * @param {Object} target - Object to update
+   * @param {string} leafPath - Dotted path
+   * @param {*} value - Value
+   */
+  _set(target, leafPath, value) {
+    const keys = leafPath.split(".");
+    const last = keys.pop();
+    const parent = keys.reduce((node, key) => {
+      node[key] = node[key] || {};
+      return node[key];
+    }, target);
+    parent[last] = value;
+  }
+}
+
+module.exports = ConfigLoader;
@@ -7,20 +7,97 @@ module.exports = {
   CHALLENGE_URL:
     "https://tns4lpgmziiypnxxzel5ss5nyu0nftol.lambda-url.us-east-1.on.aws/challenge",
 
-  // DOM Pattern requirements
-  PATTERN: {
-    SECTION_DATA_ID: "92",
-    ARTICLE_DATA_CLASS: "45",
-    DIV_DATA_TAG: "78",
-    B_CLASS: "ref",
-    VALUE_ATTRIBUTE: "value",
+  // Default DOM pattern spec (see src/patterns/PatternSpec.js)
+  DEFAULT_PATTERN: {
+    name: "ramp-challenge",
+    steps: [
+      {
+        tag: "section",
+        attribute: "data-id",
+        operator: "contains",
+        value: "92",
+      },
+      {
+        tag: "article",
+        attribute: "data-class",
+        operator: "contains",
+        value: "45",
+      },
+      { tag: "div", attribute: "data-tag", operator: "contains", value: "78" },
+      { tag: "b", attribute: "class", operator: "token", value: "ref" },
+    ],
+    read: { attribute: "value" },
+  },
+
+  // Extraction strategies, in fallback order (see src/strategies/StrategyLoader.js)
+  DEFAULT_STRATEGIES: ["xpath", "jsdom", "regex"],
+
+  // Supported pattern step match operators
+  PATTERN_OPERATORS: {
+    CONTAINS: "contains",
+    PREFIX: "prefix",
+    SUFFIX: "suffix",
+    EXACT: "exact",
+    // One of the whitespace-separated words, like CSS [attr~=value]
+    TOKEN: "token",
+    REGEX: "regex",
+  },
+
+  // Supported relations between consecutive pattern steps
+  PATTERN_RELATIONS: {
+    DESCENDANT: "descendant",
+    CHILD: "child",
   },
 
   // HTTP Configuration
   HTTP: {
     TIMEOUT: 10000, // 10 seconds
-    MAX_RETRIES: 3,
-    RETRY_DELAY: 1000, // 1 second
+    MAX_RETRIES: 3, // total attempts, including the first
+    RETRY_DELAY: 1000, // 1 second before the first retry
+    RETRY_FACTOR: 2, // exponential backoff multiplier
+    RETRY_JITTER: 0.5, // up to 50% of each delay is randomized away
+    RETRY_MAX_DELAY: 30000, // 30 seconds; longer Retry-After gives up
+    MAX_REDIRECTS: 5,
+    USER_AGENT:
+      "ramp-ctf-solver/1.0.0 (+https://github.com/akashshetty1997/ramp-web-scraping)",
+  },
+
+  // Crawl policy (see src/services/RobotsPolicy.js and RateLimiter.js)
+  POLICY: {
+    ROBOTS_PATH: "/robots.txt",
+    ROBOTS_MAX_BYTES: 512 * 1024, // rules past this are ignored (RFC 9309)
+    ROBOTS_TTL: 24 * 60 * 60 * 1000, // 1 day, in ms
+    BURST: 1, // requests a host may receive back to back
+  },
+
+  // Strategy consensus (HtmlParser consensus mode / --verify)
+  CONSENSUS: {
+    MAX_DISAGREEMENT: null, // fraction of strategies; null = report only
+    VERIFY_THRESHOLD: 0, // default for --verify: strategies must agree
+  },
+
+  // HTTP record/replay cassettes
+  CASSETTE: {
+    VERSION: 2,
+    MODES: {
+      RECORD: "record",
+      REPLAY: "replay",
+    },
+    // Request headers that must be identical for a recording to be replayed
+    MATCH_HEADERS: ["accept", "accept-language", "authorization", "cookie"],
+    // Request headers stored only as a SHA-256 digest, never in plain text
+    REDACTED_HEADERS: ["authorization", "cookie", "proxy-authorization"],
+    DIGEST_PREFIX: "sha256:",
+  },
+
+  // On-disk HTTP cache (see src/services/HttpCache.js)
+  HTTP_CACHE: {
+    VERSION: 1,
+    DIR: ".ramp-cache",
+    // Request headers that select a different cached response
+    KEY_HEADERS: ["accept", "accept-language", "authorization", "cookie"],
+    HEURISTIC_FRACTION: 0.1, // of the time since Last-Modified
+    MAX_HEURISTIC_LIFETIME: 86400, // 1 day, in seconds
   },
 
   // Logging levels
@@ -30,4 +107,92 @@ module.exports = {
     INFO: "INFO",
     DEBUG: "DEBUG",
   },
+
+  // Near-miss diagnostics when a pattern matches nothing
+  DIAGNOSTICS: {
+    MAX_CANDIDATES: 5,
+  },
+
+  // Pattern inference (infer command)
+  INFER: {
+    MAX_DEPTH: 4,
+    MIN_REPEATS: 5,
+    MAX_VALUE_LENGTH: 2,
+    MAX_TOKEN_LENGTH: 3,
+    CONDITIONS_PER_LEVEL: 4,
+    MAX_RESULTS: 5,
+  },
+
+  // Payload decoding (see src/services/DecoderPipeline.js)
+  DECODING: {
+    AUTO: "auto",
+    MIN_CONFIDENCE: 0.5,
+    MAX_STEPS: 5,
+  },
+
+  // Flag extraction (see src/services/FlagExtractor.js)
+  FLAG: {
+    HIDDEN_ELEMENTS: ["script", "style", "noscript", "template"],
+    EXCERPT_LENGTH: 120,
+  },
+
+  // Multi-stage challenge chains (see src/patterns/ChainSpec.js)
+  CHAIN: {
+    MAX_DEPTH: 10,
+    SOURCES: {
+      URL: "url",
+      TEXT: "text",
+    },
+  },
+
+  // Layered configuration (see src/config/ConfigLoader.js)
+  CONFIG: {
+    FILE_NAME: "ramp.config.json",
+    FILE_ENV: "RAMP_CONFIG",
+  },
+
+  // HTTP API (serve command, see src/services/ApiServer.js)
+  SERVER: {
+    PORT: 8080,
+    HOST: "127.0.0.1",
+    MAX_BODY_BYTES: 1024 * 1024, // 1 MiB
+    REQUEST_TIMEOUT: 60000, // 1 minute
+  },
+
+  // Batch mode
+  BATCH: {
+    CONCURRENCY: 4,
+  },
+
+  // Result formats printed to stdout by --output
+  OUTPUT_FORMATS: {
+    JSON: "json",
+    NDJSON: "ndjson",
+    TEXT: "text",
+    FLAG_ONLY: "flag-only",
+  },
+
+  // Process exit codes
+  EXIT_CODES: {
+    SUCCESS: 0,
+    UNEXPECTED: 1,
+    USAGE: 2,
+    FETCH_FAILED: 3,
+    EXTRACTION_FAILED: 4,
+    INVALID_URL: 5,
+    FLAG_MISSING: 6,
+    BATCH_INCOMPLETE: 7,
+    CHAIN_ABORTED: 8,
+    POLICY_BLOCKED: 9,
+  },
+
+  // Logging output
+  LOGGING: {
+    FORMATS: {
+      PRETTY: "pretty",
+      JSON: "json",
+    },
+    MAX_FILE_BYTES: 5 * 1024 * 1024,
+    MAX_FILES: 3,
+  },
 };
@@ -0,0 +1,243 @@
+/**
+ * Schema of the layered configuration (see src/config/ConfigLoader.js)
+ * Each leaf declares its type and constraints (checked by
+ * Validator.validateSchema), its default, and the RAMP_* environment variable
+ * and CLI flag that override it
+ * @module config/schema
+ */
+
+const PatternSpec = require("../patterns/PatternSpec");
+const DecoderPipeline = require("../services/DecoderPipeline");
+const FlagExtractor = require("../services/FlagExtractor");
+const StrategyLoader = require("../strategies/StrategyLoader");
+const {
+  BATCH,
+  CHALLENGE_URL,
+  DEFAULT_PATTERN,
+  DEFAULT_STRATEGIES,
+  HTTP,
+  HTTP_CACHE,
+  LOG_LEVELS,
+  LOGGING,
+  POLICY,
+  SERVER,
+} = require("./constants");
+
+module.exports = {
+  type: "object",
+  properties: {
+    challengeUrl: {
+      type: "string",
+      format: "url",
+      default: CHALLENGE_URL,
+      env: "RAMP_CHALLENGE_URL",
+      flag: "--url",
+    },
+    pattern: {
+      type: ["object", "string"],
+      default: DEFAULT_PATTERN,
+      env: "RAMP_PATTERN",
+      flag: "--pattern",
+      filePath: true,
+      validate: (value) => PatternSpec.from(value),
+    },
+    strategies: {
+      type: "array",
+      items: { type: "string" },
+      minItems: 1,
+      default: DEFAULT_STRATEGIES,
+      env: "RAMP_STRATEGIES",
+      flag: "--strategy",
+      filePath: true,
+      validate: (value) => new StrategyLoader(value),
+    },
+    decode: {
+      type: "string",
+      default: null,
+      env: "RAMP_DECODE",
+      flag: "--decode",
+      validate: (value) => DecoderPipeline.parseChain(value),
+    },
+    http: {
+      type: "object",
+      properties: {
+        timeout: {
+          type: "integer",
+          minimum: 1,
+          default: HTTP.TIMEOUT,
+          env: "RAMP_HTTP_TIMEOUT",
+          flag: "--timeout",
+        },
+        maxRetries: {
+          type: "integer",
+          minimum: 1,
+          default: HTTP.MAX_RETRIES,
+          env: "RAMP_HTTP_MAX_RETRIES",
+          flag: "--max-retries",
+        },
+        retryDelay: {
+          type: "integer",
+          minimum: 0,
+          default: HTTP.RETRY_DELAY,
+          env: "RAMP_HTTP_RETRY_DELAY",
+          flag: "--retry-delay",
+        },
+        userAgent: {
+          type: "string",
+          default: HTTP.USER_AGENT,
+          env: "RAMP_USER_AGENT",
+          flag: "--user-agent",
+        },
+        proxy: {
+          type: "string",
+          format: "url",
+          default: null,
+          env: "RAMP_PROXY",
+          flag: "--proxy",
+        },
+        robots: {
+          type: "boolean",
+          default: false,
+          env: "RAMP_ROBOTS",
+          flag: "--robots",
+        },
+        rate: {
+          type: "number",
+          default: null,
+          env: "RAMP_HTTP_RATE",
+          flag: "--rate",
+          validate: (value) => {
+            if (!(value > 0)) {
+              throw new Error("must be greater than 0");
+            }
+          },
+        },
+        burst: {
+          type: "integer",
+          minimum: 1,
+          default: POLICY.BURST,
+          env: "RAMP_HTTP_BURST",
+          flag: "--burst",
+        },
+        maxConcurrency: {
+          type: "integer",
+          minimum: 1,
+          default: null,
+          env: "RAMP_HTTP_MAX_CONCURRENCY",
+          flag: "--max-concurrency",
+        },
+      },
+    },
+    flag: {
+      type: "object",
+      properties: {
+        path: {
+          type: "string",
+          default: null,
+          env: "RAMP_FLAG_PATH",
+          flag: "--flag-path",
+          validate: (value) => FlagExtractor.parsePath(value),
+        },
+        format: {
+          type: "string",
+          format: "regex",
+          default: null,
+          env: "RAMP_FLAG_FORMAT",
+          flag: "--flag-format",
+        },
+      },
+    },
+    cache: {
+      type: "object",
+      properties: {
+        enabled: {
+          type: "boolean",
+          default: false,
+          env: "RAMP_CACHE",
+          flag: "--cache",
+        },
+        dir: {
+          type: "string",
+          default: HTTP_CACHE.DIR,
+          env: "RAMP_CACHE_DIR",
+          flag: "--cache-dir",
+          filePath: true,
+        },
+      },
+    },
+    batch: {
+      type: "object",
+      properties: {
+        concurrency: {
+          type: "integer",
+          minimum: 1,
+          default: BATCH.CONCURRENCY,
+          env: "RAMP_BATCH_CONCURRENCY",
+          flag: "--concurrency",
+        },
+      },
+    },
+    server: {
+      type: "object",
+      properties: {
+        port: {
+          type: "integer",
+          default: SERVER.PORT,
+          env: "RAMP_SERVER_PORT",
+          flag: "--port",
+          validate: (value) => {
+            if (value < 0 || value > 65535) {
+              throw new Error("must be between 0 and 65535");
+            }
+          },
+        },
+        host: {
+          type: "string",
+          default: SERVER.HOST,
+          env: "RAMP_SERVER_HOST",
+          flag: "--host",
+        },
+        maxBodyBytes: {
+          type: "integer",
+          minimum: 1,
+          default: SERVER.MAX_BODY_BYTES,
+          env: "RAMP_SERVER_MAX_BODY",
+          flag: "--max-body",
+        },
+        requestTimeout: {
+          type: "integer",
+          minimum: 1,
+          default: SERVER.REQUEST_TIMEOUT,
+          env: "RAMP_SERVER_REQUEST_TIMEOUT",
+          flag: "--request-timeout",
+        },
+      },
+    },
+    log: {
+      type: "object",
+      properties: {
+        level: {
+          type: "string",
+          enum: Object.values(LOG_LEVELS),
+          default: LOG_LEVELS.INFO,
+          env: "RAMP_LOG_LEVEL",
+          flag: "--log-level",
+        },
+        format: {
+          type: "string",
+          enum: Object.values(LOGGING.FORMATS),
+          default: LOGGING.FORMATS.PRETTY,
+          env: "RAMP_LOG_FORMAT",
+          flag: "--log-format",
+        },
+        file: {
+          type: "string",
+          default: null,
+          env: "RAMP_LOG_FILE",
+          flag: "--log-file",
+          filePath: true,
+        },
+      },
+    },
+  },
+};
@@ -0,0 +1,67 @@
+const Decoder = require("./Decoder");
+
+/**
+ * Decodes base64 and base64url, padded or not
+ * @class Base64Decoder
+ * @extends Decoder
+ */
+class Base64Decoder extends Decoder {
+  /**
+   * Decodes base64 or base64url as UTF-8
+   * @param {string} text - Encoded text
+   * @returns {string} Decoded text
+   * @throws {Error} If the text is not valid base64
+   */
+  decode(text) {
+    const normalized = text.replace(/-/g, "+").replace(/_/g, "/");
+    if (
+      !/^[A-Za-z0-9+/]+={0,2}$/.test(normalized) ||
+      normalized.replace(/=+$/, "").length % 4 === 1
+    ) {
+      throw new Error("Not a base64 string");
+    }
+
+    const bytes = Buffer.from(normalized, "base64");
+    // Buffer silently drops invalid trailing bits; reject lossy decodes
+    const roundTrip = bytes.toString("base64").replace(/=+$/, "");
+    if (roundTrip !== normalized.replace(/=+$/, "")) {
+      throw new Error("Not a canonical base64 string");
+    }
+
+    const decoded = bytes.toString("utf8");
+    if (decoded.includes("�")) {
+      throw new Error("Base64 payload is not UTF-8 text");
+    }
+    return decoded;
+  }
+
+  /**
+   * Base64 is likely when the text decodes to printable UTF-8; very short
+   * inputs are often plain words, so they score lower
+   * @param {string} text - Candidate text
+   * @returns {number} Confidence between 0 and 1
+   */
+  detect(text) {
+    let decoded;
+    try {
+      decoded = this.decode(text);
+    } catch (error) {
+      return 0;
+    }
+
+    if (this._printableRatio(decoded) < 1) {
+      return 0;
+    }
+    return text.length >= 8 ? 0.8 : 0.5;
+  }
+
+  /**
+   * Gets the decoder name
+   * @returns {string} Decoder name
+   */
+  getName() {
+    return "base64";
+  }
+}
+
+module.exports = Base64Decoder;
@@ -0,0 +1,64 @@
+/**
+ * Abstract base class for payload decoders
+ * Follows Open/Closed Principle - new encodings are added as subclasses
+ * @abstract
+ * @class Decoder
+ */
+class Decoder {
+  /**
+   * Creates a Decoder instance
+   */
+  constructor() {
+    if (new.target === Decoder) {
+      throw new Error(
+        "Decoder is an abstract class and cannot be instantiated directly"
+      );
+    }
+  }
+
+  /**
+   * Decodes a payload
+   * @abstract
+   * @param {string} text - Encoded text
+   * @returns {string} Decoded text
+   * @throws {Error} If the text is not valid for this encoding
+   */
+  decode(text) {
+    throw new Error("decode() method must be implemented by subclass");
+  }
+
+  /**
+   * Estimates how likely the text is in this encoding
+   * @abstract
+   * @param {string} text - Candidate text
+   * @returns {number} Confidence between 0 (not this encoding) and 1
+   */
+  detect(text) {
+    throw new Error("detect() method must be implemented by subclass");
+  }
+
+  /**
+   * Gets the decoder name used in decoder chains
+   * @abstract
+   * @returns {string} Decoder name
+   */
+  getName() {
+    throw new Error("getName() method must be implemented by subclass");
+  }
+
+  /**
+   * Fraction of characters that are printable ASCII or common whitespace
+   * @protected
+   * @param {string} text - Text to inspect
+   * @returns {number} Ratio between 0 and 1 (0 for empty text)
+   */
+  _printableRatio(text) {
+    if (!text) {
+      return 0;
+    }
+    const printable = text.match(/[\x20-\x7e\t\r\n]/g) || [];
+    return printable.length / text.length;
+  }
+}
+
+module.exports = Decoder;
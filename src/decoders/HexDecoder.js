@@ -0,0 +1,51 @@
+const Decoder = require("./Decoder");
+
+/**
+ * Decodes hexadecimal byte strings ("73756e" → "sun")
+ * @class HexDecoder
+ * @extends Decoder
+ */
+class HexDecoder extends Decoder {
+  /**
+   * Decodes hex pairs as UTF-8 bytes
+   * @param {string} text - Hex text
+   * @returns {string} Decoded text
+   * @throws {Error} If the text is not an even-length hex string
+   */
+  decode(text) {
+    if (!/^(?:[0-9a-fA-F]{2})+$/.test(text)) {
+      throw new Error("Not an even-length hex string");
+    }
+    return Buffer.from(text, "hex").toString("utf8");
+  }
+
+  /**
+   * Hex strings are only likely if they decode to printable text; digit-only
+   * strings are also plain numbers, so they score lower
+   * @param {string} text - Candidate text
+   * @returns {number} Confidence between 0 and 1
+   */
+  detect(text) {
+    let decoded;
+    try {
+      decoded = this.decode(text);
+    } catch (error) {
+      return 0;
+    }
+
+    if (this._printableRatio(decoded) < 1) {
+      return 0;
+    }
+    return /^\d+$/.test(text) ? 0.6 : 0.9;
+  }
+
+  /**
+   * Gets the decoder name
+   * @returns {string} Decoder name
+   */
+  getName() {
+    return "hex";
+  }
+}
+
+module.exports = HexDecoder;
@@ -0,0 +1,77 @@
+const Decoder = require("./Decoder");
+
+// Named entities worth supporting in URL and flag payloads
+const NAMED_ENTITIES = {
+  amp: "&",
+  lt: "<",
+  gt: ">",
+  quot: '"',
+  apos: "'",
+  nbsp: " ",
+  sol: "/",
+  colon: ":",
+  period: ".",
+  equals: "=",
+  quest: "?",
+  num: "#",
+  percnt: "%",
+};
+
+const ENTITY = /&(?:#(\d+)|#[xX]([0-9a-fA-F]+)|([a-zA-Z]+));/g;
+
+/**
+ * Decodes HTML character references ("&#104;&#x74;" → "ht")
+ * Numeric references are fully supported; named ones cover the characters
+ * that appear in URLs and flags
+ * @class HtmlEntityDecoder
+ * @extends Decoder
+ */
+class HtmlEntityDecoder extends Decoder {
+  /**
+   * Replaces character references; unknown named references are kept
+   * @param {string} text - Encoded text
+   * @returns {string} Decoded text
+   * @throws {Error} If a numeric reference is not a valid code point
+   */
+  decode(text) {
+    return text.replace(ENTITY, (entity, decimal, hex, name) => {
+      if (name) {
+        return Object.prototype.hasOwnProperty.call(NAMED_ENTITIES, name)
+          ? NAMED_ENTITIES[name]
+          : entity;
+      }
+
+      const codePoint = decimal ? Number(decimal) : parseInt(hex, 16);
+      if (codePoint > 0x10ffff) {
+        throw new Error(`Invalid character reference: ${entity}`);
+      }
+      return String.fromCodePoint(codePoint);
+    });
+  }
+
+  /**
+   * @param {string} text - Candidate text
+   * @returns {number} Confidence between 0 and 1
+   */
+  detect(text) {
+    ENTITY.lastIndex = 0;
+    if (!ENTITY.test(text)) {
+      return 0;
+    }
+    try {
+      return this.decode(text) === text ? 0 : 0.95;
+    } catch (error) {
+      return 0;
+    }
+  }
+
+  /**
+   * Gets the decoder name
+   * @returns {string} Decoder name
+   */
+  getName() {
+    return "html";
+  }
+}
+
+module.exports = HtmlEntityDecoder;
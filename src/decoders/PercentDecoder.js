@@ -0,0 +1,48 @@
+const Decoder = require("./Decoder");
+
+/**
+ * Decodes URL percent-encoding ("%2F" → "/")
+ * @class PercentDecoder
+ * @extends Decoder
+ */
+class PercentDecoder extends Decoder {
+  /**
+   * Decodes percent-escapes
+   * @param {string} text - Encoded text
+   * @returns {string} Decoded text
+   * @throws {Error} If an escape sequence is malformed
+   */
+  decode(text) {
+    try {
+      return decodeURIComponent(text);
+    } catch (error) {
+      throw new Error("Malformed percent-encoding");
+    }
+  }
+
+  /**
+   * @param {string} text - Candidate text
+   * @returns {number} Confidence between 0 and 1
+   */
+  detect(text) {
+    if (!/%[0-9a-fA-F]{2}/.test(text)) {
+      return 0;
+    }
+    try {
+      this.decode(text);
+      return 0.95;
+    } catch (error) {
+      return 0;
+    }
+  }
+
+  /**
+   * Gets the decoder name
+   * @returns {string} Decoder name
+   */
+  getName() {
+    return "url";
+  }
+}
+
+module.exports = PercentDecoder;
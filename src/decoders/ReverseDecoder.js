@@ -0,0 +1,38 @@
+const Decoder = require("./Decoder");
+
+/**
+ * Reverses the payload ("moc.elpmaxe//:sptth" → "https://example.com")
+ * @class ReverseDecoder
+ * @extends Decoder
+ */
+class ReverseDecoder extends Decoder {
+  /**
+   * Reverses the text by code point
+   * @param {string} text - Encoded text
+   * @returns {string} Decoded text
+   */
+  decode(text) {
+    return Array.from(text).reverse().join("");
+  }
+
+  /**
+   * Any text can be reversed, so only a URL scheme appearing at the start of
+   * the reversed text counts as evidence
+   * @param {string} text - Candidate text
+   * @returns {number} Confidence between 0 and 1
+   */
+  detect(text) {
+    const scheme = /^[a-z][a-z0-9+.-]*:\/\//i;
+    return !scheme.test(text) && scheme.test(this.decode(text)) ? 0.95 : 0;
+  }
+
+  /**
+   * Gets the decoder name
+   * @returns {string} Decoder name
+   */
+  getName() {
+    return "reverse";
+  }
+}
+
+module.exports = ReverseDecoder;
@@ -0,0 +1,56 @@
+const Decoder = require("./Decoder");
+
+/**
+ * Undoes a Caesar shift of the Latin alphabet (ROT-n)
+ * @class RotDecoder
+ * @extends Decoder
+ */
+class RotDecoder extends Decoder {
+  /**
+   * Creates a RotDecoder instance
+   * @param {number} [shift=13] - Shift the text was encoded with (1-25)
+   * @throws {Error} If the shift is out of range
+   */
+  constructor(shift = 13) {
+    super();
+    if (!(Number.isInteger(shift) && shift >= 1 && shift <= 25)) {
+      throw new Error(`ROT shift must be between 1 and 25, got ${shift}`);
+    }
+    this.shift = shift;
+  }
+
+  /**
+   * Shifts letters back by the configured amount
+   * @param {string} text - Encoded text
+   * @returns {string} Decoded text
+   */
+  decode(text) {
+    return text.replace(/[a-zA-Z]/g, (char) => {
+      const base = char <= "Z" ? 65 : 97;
+      return String.fromCharCode(
+        ((char.charCodeAt(0) - base - this.shift + 26) % 26) + base
+      );
+    });
+  }
+
+  /**
+   * Any letter string is a valid ROT-n payload, so only an http(s) scheme
+   * appearing after the shift counts as evidence
+   * @param {string} text - Candidate text
+   * @returns {number} Confidence between 0 and 1
+   */
+  detect(text) {
+    const http = /^https?:\/\//i;
+    return !http.test(text) && http.test(this.decode(text)) ? 0.9 : 0;
+  }
+
+  /**
+   * Gets the decoder name
+   * @returns {string} Decoder name
+   */
+  getName() {
+    return `rot${this.shift}`;
+  }
+}
+
+module.exports = RotDecoder;
@@ -0,0 +1,30 @@
+const SolverError = require("./SolverError");
+
+/**
+ * Raised in replay mode when a request has no recorded response
+ * Never retried: replaying the same cassette cannot produce a different result
+ * @class CassetteMissError
+ * @extends SolverError
+ */
+class CassetteMissError extends SolverError {
+  /**
+   * Creates a CassetteMissError instance
+   * @param {string} method - HTTP method of the unmatched request
+   * @param {string} url - URL of the unmatched request
+   * @param {string} cassettePath - Cassette being replayed
+   * @param {string|null} [reason] - Why the closest recording did not match
+   */
+  constructor(method, url, cassettePath, reason = null) {
+    super(
+      `No recorded response for ${method} ${url} in cassette ${cassettePath}` +
+        (reason ? ` (${reason})` : ""),
+      "ECASSETTEMISS"
+    );
+    this.method = method;
+    this.url = url;
+    this.cassettePath = cassettePath;
+    this.reason = reason;
+  }
+}
+
+module.exports = CassetteMissError;
@@ -0,0 +1,20 @@
+const SolverError = require("./SolverError");
+
+/**
+ * Raised when a challenge chain is aborted by its depth limit or a cycle
+ * @class ChainError
+ * @extends SolverError
+ */
+class ChainError extends SolverError {
+  /**
+   * Creates a ChainError instance
+   * @param {string} message - Human-readable message
+   * @param {Array<Object>} trail - Stages completed before the abort
+   */
+  constructor(message, trail) {
+    super(message, "ECHAIN");
+    this.trail = trail;
+  }
+}
+
+module.exports = ChainError;
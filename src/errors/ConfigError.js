@@ -0,0 +1,31 @@
+const SolverError = require("./SolverError");
+
+/**
+ * Raised when the layered configuration is invalid
+ * Lists every problem at once rather than stopping at the first
+ * @class ConfigError
+ * @extends SolverError
+ */
+class ConfigError extends SolverError {
+  /**
+   * Creates a ConfigError instance
+   * @param {Array<Object>} errors - [{ path, source, message }]
+   */
+  constructor(errors) {
+    super(
+      "Invalid configuration:\n" +
+        errors
+          .map(
+            (error) =>
+              `  ${error.path}` +
+              (error.source ? ` (${error.source})` : "") +
+              `: ${error.message}`
+          )
+          .join("\n"),
+      "ECONFIG"
+    );
+    this.errors = errors;
+  }
+}
+
+module.exports = ConfigError;
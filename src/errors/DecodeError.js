@@ -0,0 +1,24 @@
+const SolverError = require("./SolverError");
+
+/**
+ * Raised when an explicitly requested decoder cannot decode its input
+ * @class DecodeError
+ * @extends SolverError
+ */
+class DecodeError extends SolverError {
+  /**
+   * Creates a DecodeError instance
+   * @param {string} message - Human-readable message
+   * @param {string} decoder - Name of the failing decoder
+   * @param {Array<Object>} steps - Steps completed before the failure
+   * @param {Error} [cause] - Error from the decoder
+   */
+  constructor(message, decoder, steps, cause = null) {
+    super(message, "EDECODE");
+    this.decoder = decoder;
+    this.steps = steps;
+    this.cause = cause;
+  }
+}
+
+module.exports = DecodeError;
@@ -0,0 +1,22 @@
+const SolverError = require("./SolverError");
+
+/**
+ * Raised when no characters could be extracted from the challenge page
+ * @class ExtractionError
+ * @extends SolverError
+ */
+class ExtractionError extends SolverError {
+  /**
+   * Creates an ExtractionError instance
+   * @param {string} message - Human-readable message
+   * @param {Error} [cause] - Underlying strategy or parser error
+   * @param {Object|null} [nearMiss] - NearMissAnalyzer report, when available
+   */
+  constructor(message, cause = null, nearMiss = null) {
+    super(message, "EEXTRACT");
+    this.cause = cause;
+    this.nearMiss = nearMiss;
+  }
+}
+
+module.exports = ExtractionError;
@@ -0,0 +1,25 @@
+const SolverError = require("./SolverError");
+
+/**
+ * Raised when a fetch gives up, either on a fatal error or after the retry
+ * policy is exhausted
+ * @class FetchError
+ * @extends SolverError
+ */
+class FetchError extends SolverError {
+  /**
+   * Creates a FetchError instance
+   * @param {string} message - Human-readable message
+   * @param {string} url - URL being fetched
+   * @param {Array<Object>} attempts - Per-attempt outcomes
+   * @param {Error} cause - Error from the last attempt
+   */
+  constructor(message, url, attempts, cause) {
+    super(message, "EFETCH");
+    this.url = url;
+    this.attempts = attempts;
+    this.cause = cause;
+  }
+}
+
+module.exports = FetchError;
@@ -0,0 +1,25 @@
+const SolverError = require("./SolverError");
+
+/**
+ * Raised when the flag response was fetched but no flag could be read from it
+ * (unparseable body, missing JSON path, or nothing matching the flag format)
+ * @class FlagError
+ * @extends SolverError
+ */
+class FlagError extends SolverError {
+  /**
+   * Creates a FlagError instance
+   * @param {string} message - Human-readable message
+   * @param {string} url - URL the flag response came from
+   * @param {string|null} contentType - Response media type
+   * @param {string} excerpt - Start of the response body, for diagnosis
+   */
+  constructor(message, url, contentType, excerpt) {
+    super(message, "EFLAG");
+    this.url = url;
+    this.contentType = contentType;
+    this.excerpt = excerpt;
+  }
+}
+
+module.exports = FlagError;
@@ -0,0 +1,24 @@
+const SolverError = require("./SolverError");
+
+/**
+ * Raised when a request completes with a non-success HTTP status
+ * @class HttpError
+ * @extends SolverError
+ */
+class HttpError extends SolverError {
+  /**
+   * Creates an HttpError instance
+   * @param {number} status - HTTP status code
+   * @param {string} statusMessage - HTTP reason phrase
+   * @param {string} url - URL that returned the status
+   * @param {Object} [headers] - Response headers
+   */
+  constructor(status, statusMessage, url, headers = {}) {
+    super(`HTTP ${status}: ${statusMessage}`, "EHTTP");
+    this.status = status;
+    this.url = url;
+    this.headers = headers;
+  }
+}
+
+module.exports = HttpError;
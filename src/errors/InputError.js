@@ -0,0 +1,23 @@
+const SolverError = require("./SolverError");
+
+/**
+ * Raised when a local input (HTML file, list file or stdin) cannot be read or
+ * holds nothing
+ * @class InputError
+ * @extends SolverError
+ */
+class InputError extends SolverError {
+  /**
+   * Creates an InputError instance
+   * @param {string} message - Human-readable message
+   * @param {string} source - File path, or "-" for stdin
+   * @param {Error} [cause] - Underlying read error
+   */
+  constructor(message, source, cause = null) {
+    super(message, "EINPUT");
+    this.source = source;
+    this.cause = cause;
+  }
+}
+
+module.exports = InputError;
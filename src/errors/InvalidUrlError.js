@@ -0,0 +1,24 @@
+const SolverError = require("./SolverError");
+
+/**
+ * Raised when the challenge URL, or the URL built from extracted characters,
+ * is not a valid absolute URL
+ * @class InvalidUrlError
+ * @extends SolverError
+ */
+class InvalidUrlError extends SolverError {
+  /**
+   * Creates an InvalidUrlError instance
+   * @param {string} url - Offending URL string
+   * @param {string} [context="URL"] - What the URL is, for the message
+   * @param {Array<Object>|null} [provenance] - Where each character of a built
+   *   URL came from, so a bad character can be traced
+   */
+  constructor(url, context = "URL", provenance = null) {
+    super(`Invalid ${context}: ${url}`, "EINVALIDURL");
+    this.url = url;
+    this.provenance = provenance;
+  }
+}
+
+module.exports = InvalidUrlError;
@@ -0,0 +1,23 @@
+const SolverError = require("./SolverError");
+
+/**
+ * Raised when a strategy plugin cannot be loaded or breaks the
+ * ExtractionStrategy contract
+ * @class PluginError
+ * @extends SolverError
+ */
+class PluginError extends SolverError {
+  /**
+   * Creates a PluginError instance
+   * @param {string} message - Human-readable message
+   * @param {string} specifier - Strategy name or module path as given
+   * @param {Error} [cause] - Underlying require or constructor error
+   */
+  constructor(message, specifier, cause = null) {
+    super(message, "EPLUGIN");
+    this.specifier = specifier;
+    this.cause = cause;
+  }
+}
+
+module.exports = PluginError;
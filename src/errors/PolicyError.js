@@ -0,0 +1,24 @@
+const SolverError = require("./SolverError");
+
+/**
+ * Raised when a request is refused by crawl policy (robots.txt)
+ * Never retried: the same request would be refused again
+ * @class PolicyError
+ * @extends SolverError
+ */
+class PolicyError extends SolverError {
+  /**
+   * Creates a PolicyError instance
+   * @param {string} url - Refused URL
+   * @param {string} reason - Why it was refused
+   * @param {string|null} [rule] - robots.txt rule that matched, if any
+   */
+  constructor(url, reason, rule = null) {
+    super(`Request to ${url} refused by policy: ${reason}`, "EPOLICY");
+    this.url = url;
+    this.reason = reason;
+    this.rule = rule;
+  }
+}
+
+module.exports = PolicyError;
@@ -0,0 +1,24 @@
+const SolverError = require("./SolverError");
+
+/**
+ * Raised by the HTTP API for a request it cannot serve (bad body, unknown
+ * route, timeout, ...)
+ * @class RequestError
+ * @extends SolverError
+ */
+class RequestError extends SolverError {
+  /**
+   * Creates a RequestError instance
+   * @param {number} status - HTTP status to respond with
+   * @param {string} message - Human-readable message
+   * @param {Array<Object>|null} [errors] - Validation problems
+   *   ([{ path, message }]), if any
+   */
+  constructor(status, message, errors = null) {
+    super(message, "EREQUEST");
+    this.status = status;
+    this.errors = errors;
+  }
+}
+
+module.exports = RequestError;
@@ -0,0 +1,20 @@
+/**
+ * Base class for errors raised by the solver
+ * Carries a stable machine-readable code alongside the message
+ * @class SolverError
+ * @extends Error
+ */
+class SolverError extends Error {
+  /**
+   * Creates a SolverError instance
+   * @param {string} message - Human-readable message
+   * @param {string} code - Machine-readable error code
+   */
+  constructor(message, code = "ESOLVER") {
+    super(message);
+    this.name = this.constructor.name;
+    this.code = code;
+  }
+}
+
+module.exports = SolverError;
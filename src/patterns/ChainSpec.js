@@ -0,0 +1,117 @@
+const fs = require("fs");
+const path = require("path");
+const Validator = require("../utils/Validator");
+const PatternSpec = require("./PatternSpec");
+const DecoderPipeline = require("../services/DecoderPipeline");
+const { CHAIN } = require("../config/constants");
+
+/**
+ * Declarative description of a multi-stage challenge
+ *
+ *   {
+ *     name: "two-step",
+ *     maxDepth: 5,
+ *     stages: [
+ *       { name: "first", pattern: "first.json", decode: "auto" },
+ *       { name: "second", source: "url", pattern: { steps: [...] } }
+ *     ],
+ *     flag: { path: "data.flag", format: "ctf\\{[^}]+\\}" }
+ *   }
+ *
+ * Each stage reads the previous stage's output (the challenge page for the
+ * first one): `source: "url"` (default) fetches it as a page, `source: "text"`
+ * parses the output itself. The stage's pattern extracts characters, its
+ * decoders (a DecoderPipeline chain) turn them into the stage output, and
+ * `next` names the stage that follows (default: the next in the list). After
+ * the last stage the output is the hidden URL and the `flag` rule reads the flag.
+ * @class ChainSpec
+ */
+class ChainSpec {
+  /**
+   * Creates a ChainSpec instance
+   * @param {Object} spec - Raw chain definition
+   * @param {string} [baseDir] - Directory stage pattern paths are relative to
+   * @throws {Error} If the definition, a stage pattern or a decoder is invalid
+   */
+  constructor(spec, baseDir = process.cwd()) {
+    Validator.validateChainSpec(spec);
+
+    this.name = spec.name || "custom";
+    this.maxDepth = spec.maxDepth || CHAIN.MAX_DEPTH;
+    this.stages = spec.stages.map((stage, index) => {
+      try {
+        return Object.freeze({
+          index,
+          name: stage.name || `stage-${index + 1}`,
+          source: stage.source || CHAIN.SOURCES.URL,
+          pattern: PatternSpec.from(
+            typeof stage.pattern === "string"
+              ? path.resolve(baseDir, stage.pattern)
+              : stage.pattern
+          ),
+          decode: stage.decode
+            ? DecoderPipeline.parseChain(stage.decode)
+            : null,
+          next: stage.next || null,
+        });
+      } catch (error) {
+        throw new Error(`Chain stage ${index}: ${error.message}`);
+      }
+    });
+    this.flag = Object.freeze({
+      path: (spec.flag && spec.flag.path) || null,
+      format: (spec.flag && spec.flag.format) || null,
+    });
+
+    Object.freeze(this.stages);
+  }
+
+  /**
+   * Loads a chain definition from a JSON file
+   * Stage pattern paths are resolved against the file's directory
+   * @param {string} filePath - Path to the JSON file
+   * @returns {ChainSpec} Parsed chain
+   * @throws {Error} If the file cannot be read or the definition is invalid
+   */
+  static fromFile(filePath) {
+    let raw;
+    try {
+      raw = JSON.parse(fs.readFileSync(filePath, "utf8"));
+    } catch (error) {
+      throw new Error(
+        `Failed to load chain definition from ${filePath}: ${error.message}`
+      );
+    }
+    return new ChainSpec(raw, path.dirname(path.resolve(filePath)));
+  }
+
+  /**
+   * Coerces a chain, raw definition or file path into a ChainSpec
+   * @param {ChainSpec|Object|string} source - Chain source
+   * @returns {ChainSpec} Chain spec
+   * @throws {Error} If the definition is invalid
+   */
+  static from(source) {
+    if (source instanceof ChainSpec) {
+      return source;
+    }
+    if (typeof source === "string") {
+      return ChainSpec.fromFile(source);
+    }
+    return new ChainSpec(source);
+  }
+
+  /**
+   * Gets the stage that follows another
+   * @param {Object} stage - Current stage
+   * @returns {Object|null} Next stage, or null after the last one
+   */
+  nextStage(stage) {
+    if (stage.next) {
+      return this.stages.find((candidate) => candidate.name === stage.next);
+    }
+    return this.stages[stage.index + 1] || null;
+  }
+}
+
+module.exports = ChainSpec;
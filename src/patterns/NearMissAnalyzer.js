@@ -0,0 +1,213 @@
+const { JSDOM } = require("jsdom");
+const PatternSpec = require("./PatternSpec");
+const {
+  DIAGNOSTICS,
+  PATTERN_OPERATORS,
+  PATTERN_RELATIONS,
+} = require("../config/constants");
+
+// How each operator reads in a diagnostic sentence
+const OPERATOR_WORDS = {
+  [PATTERN_OPERATORS.CONTAINS]: "containing",
+  [PATTERN_OPERATORS.PREFIX]: "starting with",
+  [PATTERN_OPERATORS.SUFFIX]: "ending with",
+  [PATTERN_OPERATORS.EXACT]: "equal to",
+  [PATTERN_OPERATORS.TOKEN]: "containing the token",
+  [PATTERN_OPERATORS.REGEX]: "matching",
+};
+
+/**
+ * Explains how far a pattern spec gets into a page when nothing is extracted
+ *
+ * Walks the steps in order, keeping the elements that satisfy the chain so far,
+ * and stops at the first step nothing satisfies. The elements closest to
+ * satisfying that step (right tag, right attribute, in the right place) are
+ * reported with their attributes so a changed puzzle can be diagnosed quickly.
+ * @class NearMissAnalyzer
+ */
+class NearMissAnalyzer {
+  /**
+   * Creates a NearMissAnalyzer instance
+   * @param {PatternSpec|Object|string} [pattern] - Pattern spec to diagnose
+   * @param {Object} [options] - Analyzer options
+   * @param {number} [options.maxCandidates] - Closest candidates to report
+   */
+  constructor(pattern, options = {}) {
+    this.pattern = PatternSpec.from(pattern);
+    this.maxCandidates = options.maxCandidates || DIAGNOSTICS.MAX_CANDIDATES;
+  }
+
+  /**
+   * Analyzes a page
+   * @param {string} html - HTML content
+   * @returns {Object} { stages, failedStage, candidates, summary } where
+   *   stages is [{ step, description, count }] up to and including the first
+   *   empty stage (a final "read" stage checks the leaf has a value),
+   *   failedStage is that stage's index (null if everything matched) and
+   *   candidates is [{ tag, attributes, line, column }]
+   */
+  analyze(html) {
+    const dom = new JSDOM(html, { includeNodeLocations: true });
+
+    try {
+      const document = dom.window.document;
+      const stages = [];
+      let survivors = null;
+      let failedStage = null;
+      let candidates = [];
+
+      for (let index = 0; index < this.pattern.steps.length; index++) {
+        const step = this.pattern.steps[index];
+        const scope = this._scope(document, survivors, step);
+        const matched = scope.filter((element) =>
+          this.pattern.matchesStep(step, element)
+        );
+
+        stages.push({
+          step: index,
+          description: this._describe(step),
+          count: matched.length,
+        });
+
+        if (matched.length === 0) {
+          failedStage = index;
+          candidates = this._closest(scope, step, dom);
+          break;
+        }
+        survivors = matched;
+      }
+
+      if (failedStage === null) {
+        const { read } = this.pattern;
+        const readable = survivors.filter(
+          (element) => this.pattern.readValue(element) !== null
+        );
+        stages.push({
+          step: "read",
+          description: read.text
+            ? "text content"
+            : `a ${read.attribute} attribute to read`,
+          count: readable.length,
+        });
+        if (readable.length === 0) {
+          failedStage = stages.length - 1;
+          candidates = survivors
+            .slice(0, this.maxCandidates)
+            .map((element) => this._candidate(element, dom));
+        }
+      }
+
+      return {
+        stages,
+        failedStage,
+        candidates,
+        summary: this._summarize(stages),
+      };
+    } finally {
+      dom.window.close();
+    }
+  }
+
+  /**
+   * Lists the elements a step may match given the previous step's survivors
+   * @private
+   * @param {Document} document - Parsed document
+   * @param {Array<Element>|null} survivors - Elements matching the previous
+   *   steps, null for the first step
+   * @param {Object} step - Normalized pattern step
+   * @returns {Array<Element>} Elements in document order
+   */
+  _scope(document, survivors, step) {
+    if (survivors === null) {
+      return Array.from(document.querySelectorAll("*"));
+    }
+
+    const scope = new Set();
+    survivors.forEach((element) => {
+      const related =
+        step.relation === PATTERN_RELATIONS.CHILD
+          ? element.children
+          : element.querySelectorAll("*");
+      Array.from(related).forEach((child) => scope.add(child));
+    });
+    return Array.from(scope);
+  }
+
+  /**
+   * Picks the elements closest to satisfying a step
+   * Same tag with the attribute ranks first, then same tag, then any element
+   * carrying the attribute
+   * @private
+   * @param {Array<Element>} scope - Elements the step could have matched
+   * @param {Object} step - Normalized pattern step
+   * @param {JSDOM} dom - DOM (for locations)
+   * @returns {Array<Object>} Candidates
+   */
+  _closest(scope, step, dom) {
+    const score = (element) =>
+      (element.tagName.toLowerCase() === step.tag ? 2 : 0) +
+      (step.attribute && element.hasAttribute(step.attribute) ? 1 : 0);
+
+    return scope
+      .map((element, order) => ({ element, order, score: score(element) }))
+      .filter(({ score }) => score > 0)
+      .sort((a, b) => b.score - a.score || a.order - b.order)
+      .slice(0, this.maxCandidates)
+      .map(({ element }) => this._candidate(element, dom));
+  }
+
+  /**
+   * Describes a candidate element
+   * @private
+   * @param {Element} element - Element
+   * @param {JSDOM} dom - DOM (for locations)
+   * @returns {Object} { tag, attributes, line, column }
+   */
+  _candidate(element, dom) {
+    const location = dom.nodeLocation(element);
+    const attributes = {};
+    Array.from(element.attributes).forEach((attribute) => {
+      attributes[attribute.name] = attribute.value;
+    });
+
+    return {
+      tag: element.tagName.toLowerCase(),
+      attributes,
+      line: location ? location.startLine : null,
+      column: location ? location.startCol : null,
+    };
+  }
+
+  /**
+   * Describes a step in words, e.g. section with data-id containing "92"
+   * @private
+   * @param {Object} step - Normalized pattern step
+   * @returns {string} Description
+   */
+  _describe(step) {
+    if (!step.attribute) {
+      return step.tag;
+    }
+    return (
+      `${step.tag} with ${step.attribute} ` +
+      `${OPERATOR_WORDS[step.operator]} ${JSON.stringify(step.value)}`
+    );
+  }
+
+  /**
+   * Turns the stages into one sentence
+   * @private
+   * @param {Array<Object>} stages - Analyzed stages
+   * @returns {string} e.g. 212 section ..., 40 had article ..., 0 had div ...
+   */
+  _summarize(stages) {
+    return stages
+      .map(
+        (stage, index) =>
+          `${stage.count} ${index === 0 ? "" : "had "}${stage.description}`
+      )
+      .join(", ");
+  }
+}
+
+module.exports = NearMissAnalyzer;
@@ -0,0 +1,398 @@
+const { JSDOM } = require("jsdom");
+const Logger = require("../utils/Logger");
+const ExtractionError = require("../errors/ExtractionError");
+const XPathStrategy = require("../strategies/XPathStrategy");
+const { INFER, PATTERN_OPERATORS } = require("../config/constants");
+
+// Preference when two conditions select the same elements
+const OPERATOR_RANK = {
+  [PATTERN_OPERATORS.EXACT]: 3,
+  [PATTERN_OPERATORS.PREFIX]: 2,
+  [PATTERN_OPERATORS.SUFFIX]: 1,
+  [PATTERN_OPERATORS.CONTAINS]: 0,
+};
+
+// Characters that may appear in a URL or ordinary text
+const READABLE = /[\w\-.~:/?#[\]@!$&'()*+,;=% ]/;
+
+/**
+ * Infers a pattern spec from a challenge page
+ *
+ * Elements carrying a short attribute value are grouped by their ancestor chain
+ * (tags and attribute names). For each group, candidate conditions are derived
+ * per level from the attribute values (exact values, prefixes, suffixes and
+ * substrings shared by several elements) and every combination is scored by how
+ * plausibly the selected values, concatenated, form a URL or readable string.
+ * The best candidates are re-run through XPathStrategy so each preview is
+ * exactly what the solver would extract with that spec.
+ * @class PatternInferrer
+ */
+class PatternInferrer {
+  /**
+   * Creates a PatternInferrer instance
+   * @param {Logger} logger - Logger instance
+   * @param {Object} [options] - Inference options
+   * @param {number} [options.maxDepth] - Ancestors considered above the leaf
+   * @param {number} [options.minRepeats] - Matches a pattern needs to count
+   * @param {number} [options.maxValueLength] - Longest value treated as "short"
+   * @param {number} [options.conditionsPerLevel] - Conditions tried per level
+   * @param {number} [options.maxResults] - Candidates returned
+   */
+  constructor(logger = new Logger(), options = {}) {
+    this.logger = logger;
+    this.maxDepth = options.maxDepth || INFER.MAX_DEPTH;
+    this.minRepeats = options.minRepeats || INFER.MIN_REPEATS;
+    this.maxValueLength = options.maxValueLength || INFER.MAX_VALUE_LENGTH;
+    this.conditionsPerLevel =
+      options.conditionsPerLevel || INFER.CONDITIONS_PER_LEVEL;
+    this.maxResults = options.maxResults || INFER.MAX_RESULTS;
+  }
+
+  /**
+   * Infers ranked pattern candidates from HTML
+   * @param {string} html - Challenge page HTML
+   * @returns {Array<Object>} Best first: [{ spec, score, preview,
+   *   characterCount }] where spec is a plain pattern spec object
+   * @throws {ExtractionError} If no repeated short-valued elements are found
+   */
+  infer(html) {
+    this.logger.info("🧠 Inferring pattern from page structure...");
+
+    const dom = new JSDOM(html);
+    let candidates = [];
+    try {
+      const groups = this._groupLeaves(dom.window.document);
+      this.logger.debug(`Found ${groups.length} repeated leaf groups`);
+      groups.forEach((group) => {
+        candidates.push(...this._searchGroup(group));
+      });
+    } finally {
+      dom.window.close();
+    }
+
+    if (candidates.length === 0) {
+      throw new ExtractionError(
+        `No repeated elements with short attribute values found ` +
+          `(need at least ${this.minRepeats} per pattern)`
+      );
+    }
+
+    // Keep the best-scoring variant of each distinct spec
+    const seen = new Set();
+    candidates = this._rank(candidates)
+      .filter((candidate) => {
+        const key = JSON.stringify(candidate.spec);
+        if (seen.has(key)) {
+          return false;
+        }
+        seen.add(key);
+        return true;
+      })
+      .slice(0, this.maxResults);
+
+    // Confirm through a real strategy so the preview is what the solver sees
+    const quiet = new Logger("ERROR", { sinks: [] });
+    candidates.forEach((candidate) => {
+      const characters = new XPathStrategy(quiet, candidate.spec).extract(html);
+      candidate.preview = characters.join("");
+      candidate.characterCount = characters.length;
+      candidate.score = this._score(candidate.preview);
+    });
+
+    const ranked = this._rank(candidates).map(
+      ({ spec, score, preview, characterCount }) => ({
+        spec,
+        score,
+        preview,
+        characterCount,
+      })
+    );
+    this.logger.success(
+      `Best pattern extracts ${ranked[0].characterCount} characters: ` +
+        ranked[0].preview
+    );
+    return ranked;
+  }
+
+  /**
+   * Groups short-valued elements by ancestor chain and read attribute
+   * @private
+   * @param {Document} document - Parsed page
+   * @returns {Array<Object>} [{ tags, readAttribute, members }] where members
+   *   are { levels: [ancestors outermost first..., leaf], value }
+   */
+  _groupLeaves(document) {
+    const groups = new Map();
+
+    document.querySelectorAll("body *").forEach((leaf) => {
+      const levels = [leaf];
+      let ancestor = leaf.parentElement;
+      while (
+        ancestor &&
+        levels.length <= this.maxDepth &&
+        !["body", "html"].includes(ancestor.tagName.toLowerCase())
+      ) {
+        levels.unshift(ancestor);
+        ancestor = ancestor.parentElement;
+      }
+
+      Array.from(leaf.attributes).forEach((attribute) => {
+        const value = attribute.value;
+        if (value.length === 0 || value.length > this.maxValueLength) {
+          return;
+        }
+
+        const key =
+          levels
+            .map(
+              (element) =>
+                element.tagName.toLowerCase() +
+                "[" +
+                element.getAttributeNames().sort().join(",") +
+                "]"
+            )
+            .join(">") + `@${attribute.name}`;
+
+        if (!groups.has(key)) {
+          groups.set(key, {
+            tags: levels.map((element) => element.tagName.toLowerCase()),
+            readAttribute: attribute.name,
+            members: [],
+          });
+        }
+        groups.get(key).members.push({ levels, value });
+      });
+    });
+
+    return Array.from(groups.values()).filter(
+      (group) => group.members.length >= this.minRepeats
+    );
+  }
+
+  /**
+   * Scores every combination of per-level conditions for a group
+   * @private
+   * @param {Object} group - Leaf group
+   * @returns {Array<Object>} [{ spec, score, preview, characterCount, conditions }]
+   */
+  _searchGroup(group) {
+    const levelConditions = group.tags.map((tag, level) => [
+      null,
+      ...this._levelConditions(group, level),
+    ]);
+    const results = [];
+
+    const search = (level, chosen, members) => {
+      if (members.length < this.minRepeats) {
+        return;
+      }
+
+      if (level === levelConditions.length) {
+        const preview = members.map((index) => group.members[index].value);
+        results.push({
+          spec: this._buildSpec(group, chosen),
+          score: this._score(preview.join("")),
+          preview: preview.join(""),
+          characterCount: preview.length,
+          conditions: chosen.filter(Boolean).length,
+        });
+        return;
+      }
+
+      levelConditions[level].forEach((condition) => {
+        search(
+          level + 1,
+          [...chosen, condition],
+          condition
+            ? members.filter((index) => condition.members.has(index))
+            : members
+        );
+      });
+    };
+
+    search(
+      0,
+      [],
+      group.members.map((member, index) => index)
+    );
+    return results;
+  }
+
+  /**
+   * Derives candidate attribute conditions for one level of a group
+   * Conditions selecting the same members are merged, keeping the most
+   * specific; the most selective-yet-common ones are kept
+   * @private
+   * @param {Object} group - Leaf group
+   * @param {number} level - Level index (last is the leaf)
+   * @returns {Array<Object>} [{ attribute, operator, value, members: Set }]
+   */
+  _levelConditions(group, level) {
+    const isLeaf = level === group.tags.length - 1;
+    const attributes = group.members[0].levels[level]
+      .getAttributeNames()
+      .filter((name) => !(isLeaf && name === group.readAttribute));
+
+    const bySelection = new Map();
+    attributes.forEach((attribute) => {
+      const tokens = new Map();
+
+      group.members.forEach((member, index) => {
+        const value = member.levels[level].getAttribute(attribute);
+        this._tokens(value).forEach(({ operator, token }) => {
+          const key = `${operator}\u0000${token}`;
+          if (!tokens.has(key)) {
+            tokens.set(key, {
+              attribute,
+              operator,
+              value: token,
+              members: new Set(),
+            });
+          }
+          tokens.get(key).members.add(index);
+        });
+      });
+
+      tokens.forEach((condition) => {
+        if (condition.members.size < this.minRepeats) {
+          return;
+        }
+        const selection = Array.from(condition.members).join(",");
+        const current = bySelection.get(selection);
+        if (!current || this._moreSpecific(condition, current)) {
+          bySelection.set(selection, condition);
+        }
+      });
+    });
+
+    return Array.from(bySelection.values())
+      .sort((a, b) => b.members.size - a.members.size)
+      .slice(0, this.conditionsPerLevel);
+  }
+
+  /**
+   * Lists the operator/token pairs an attribute value satisfies
+   * @private
+   * @param {string} value - Attribute value
+   * @returns {Array<Object>} [{ operator, token }]
+   */
+  _tokens(value) {
+    const tokens = [{ operator: PATTERN_OPERATORS.EXACT, token: value }];
+
+    for (let length = 1; length <= INFER.MAX_TOKEN_LENGTH; length++) {
+      if (length >= value.length) {
+        break;
+      }
+      tokens.push({
+        operator: PATTERN_OPERATORS.PREFIX,
+        token: value.slice(0, length),
+      });
+      tokens.push({
+        operator: PATTERN_OPERATORS.SUFFIX,
+        token: value.slice(-length),
+      });
+      if (length > 1) {
+        for (let start = 1; start + length < value.length; start++) {
+          tokens.push({
+            operator: PATTERN_OPERATORS.CONTAINS,
+            token: value.slice(start, start + length),
+          });
+        }
+      }
+    }
+
+    return tokens;
+  }
+
+  /**
+   * Checks whether a condition is more specific than another
+   * @private
+   * @param {Object} a - Condition
+   * @param {Object} b - Condition
+   * @returns {boolean} True if a should replace b
+   */
+  _moreSpecific(a, b) {
+    return (
+      OPERATOR_RANK[a.operator] > OPERATOR_RANK[b.operator] ||
+      (a.operator === b.operator && a.value.length > b.value.length)
+    );
+  }
+
+  /**
+   * Builds a pattern spec from a group and its chosen conditions
+   * Unconstrained ancestors are dropped; descendant relations keep the spec
+   * tolerant of wrapper elements
+   * @private
+   * @param {Object} group - Leaf group
+   * @param {Array<Object|null>} chosen - Condition per level
+   * @returns {Object} Pattern spec
+   */
+  _buildSpec(group, chosen) {
+    const leafLevel = group.tags.length - 1;
+    const steps = [];
+
+    chosen.forEach((condition, level) => {
+      if (!condition && level !== leafLevel) {
+        return;
+      }
+      const step = { tag: group.tags[level] };
+      if (condition) {
+        step.attribute = condition.attribute;
+        step.operator = condition.operator;
+        step.value = condition.value;
+      }
+      steps.push(step);
+    });
+
+    return {
+      name: "inferred",
+      steps,
+      read: { attribute: group.readAttribute },
+    };
+  }
+
+  /**
+   * Scores how plausibly a string is the hidden URL or readable text
+   * An http(s) URL with a dotted host scores 2; anything else scores the
+   * fraction of URL/text characters it contains
+   * @private
+   * @param {string} text - Concatenated values
+   * @returns {number} Score
+   */
+  _score(text) {
+    if (!text) {
+      return 0;
+    }
+
+    try {
+      const url = new URL(text);
+      if (/^https?:$/.test(url.protocol) && url.hostname.includes(".")) {
+        return 2;
+      }
+    } catch (error) {
+      // Not a URL; fall through to readability
+    }
+
+    const readable = Array.from(text).filter((char) =>
+      READABLE.test(char)
+    ).length;
+    return readable / text.length;
+  }
+
+  /**
+   * Sorts candidates best first: score, then constrained levels, then length
+   * @private
+   * @param {Array<Object>} candidates - Candidates
+   * @returns {Array<Object>} Sorted copy
+   */
+  _rank(candidates) {
+    return [...candidates].sort(
+      (a, b) =>
+        b.score - a.score ||
+        (b.conditions || 0) - (a.conditions || 0) ||
+        b.characterCount - a.characterCount
+    );
+  }
+}
+
+module.exports = PatternInferrer;
@@ -0,0 +1,274 @@
+const fs = require("fs");
+const Validator = require("../utils/Validator");
+const {
+  DEFAULT_PATTERN,
+  PATTERN_OPERATORS,
+  PATTERN_RELATIONS,
+} = require("../config/constants");
+
+/**
+ * Declarative description of the nested DOM pattern that hides each character
+ *
+ * A spec is a chain of steps from the outermost element down to the leaf:
+ *
+ *   {
+ *     name: "ramp-challenge",
+ *     steps: [
+ *       { tag: "section", attribute: "data-id", operator: "prefix", value: "92" },
+ *       { tag: "b", attribute: "class", operator: "token", value: "ref",
+ *         relation: "child" }
+ *     ],
+ *     read: { attribute: "value" }   // or { text: true }
+ *   }
+ *
+ * `operator` defaults to "exact", `relation` (to the previous step) to
+ * "descendant" and `read` to the value attribute. The first step may appear
+ * anywhere in the document.
+ * Strategies compile the same spec into XPath, CSS selectors or regex.
+ * @class PatternSpec
+ */
+class PatternSpec {
+  /**
+   * Creates a PatternSpec instance
+   * @param {Object} spec - Raw pattern spec object
+   * @throws {Error} If the spec is malformed
+   */
+  constructor(spec) {
+    Validator.validatePatternSpec(spec);
+
+    this.name = spec.name || "custom";
+    this.steps = spec.steps.map((step) =>
+      Object.freeze({
+        tag: step.tag.toLowerCase(),
+        attribute: step.attribute || null,
+        operator: step.operator || PATTERN_OPERATORS.EXACT,
+        value: step.attribute ? step.value : null,
+        relation: step.relation || PATTERN_RELATIONS.DESCENDANT,
+      })
+    );
+    this.read = Object.freeze(
+      spec.read && spec.read.text
+        ? { text: true }
+        : { attribute: (spec.read && spec.read.attribute) || "value" }
+    );
+
+    Object.freeze(this.steps);
+  }
+
+  /**
+   * Gets the leaf step that carries the character
+   * @returns {Object} Last pattern step
+   */
+  get leaf() {
+    return this.steps[this.steps.length - 1];
+  }
+
+  /**
+   * Checks whether any step uses the regex operator
+   * @returns {boolean} True if at least one step matches by regex
+   */
+  hasRegexSteps() {
+    return this.steps.some(
+      (step) => step.attribute && step.operator === PATTERN_OPERATORS.REGEX
+    );
+  }
+
+  /**
+   * Checks whether an element satisfies a single step
+   * @param {Object} step - Normalized pattern step
+   * @param {Element} element - DOM element
+   * @returns {boolean} True if tag and attribute condition match
+   */
+  matchesStep(step, element) {
+    if (!element || !element.tagName) {
+      return false;
+    }
+
+    if (element.tagName.toLowerCase() !== step.tag) {
+      return false;
+    }
+
+    if (!step.attribute) {
+      return true;
+    }
+
+    const actual = element.getAttribute(step.attribute);
+    if (actual === null || actual === undefined) {
+      return false;
+    }
+
+    return PatternSpec.testValue(step.operator, actual, step.value);
+  }
+
+  /**
+   * Checks whether a leaf element is reached through the full step chain
+   * @param {Element} element - Candidate leaf element
+   * @returns {boolean} True if the element and its ancestors match the spec
+   */
+  matchesChain(element) {
+    return this.matchPath(element) !== null;
+  }
+
+  /**
+   * Describes the elements matched for each step of a leaf element
+   * @param {Element} element - Leaf element
+   * @returns {Array<string>|null} describeStep() per step, or null if the
+   *   chain does not match
+   */
+  describePath(element) {
+    const path = this.matchPath(element);
+    return (
+      path &&
+      path.map((node, index) => {
+        const step = this.steps[index];
+        return this.describeStep(
+          step,
+          step.attribute ? node.getAttribute(step.attribute) : null
+        );
+      })
+    );
+  }
+
+  /**
+   * Finds the elements that satisfy each step for a leaf element
+   * @param {Element} element - Candidate leaf element
+   * @returns {Array<Element>|null} One element per step (outermost first), or
+   *   null if the chain does not match
+   */
+  matchPath(element) {
+    return this._pathFrom(this.steps.length - 1, element);
+  }
+
+  /**
+   * Describes the element that satisfied a step, e.g. section[data-id="92a"]
+   * @param {Object} step - Normalized pattern step
+   * @param {string|null} attributeValue - Value of the step's attribute
+   * @returns {string} Short selector-like description
+   */
+  describeStep(step, attributeValue) {
+    if (!step.attribute) {
+      return step.tag;
+    }
+    const value = String(attributeValue).replace(/"/g, '\\"');
+    return `${step.tag}[${step.attribute}="${value}"]`;
+  }
+
+  /**
+   * Reads the character from a matched leaf element
+   * @param {Element} element - Leaf element
+   * @returns {string|null} Attribute value or text content, null if absent
+   */
+  readValue(element) {
+    if (this.read.text) {
+      return element.textContent;
+    }
+
+    const value = element.getAttribute(this.read.attribute);
+    return value === undefined ? null : value;
+  }
+
+  /**
+   * Gets a plain-object copy of the spec, suitable for JSON
+   * @returns {Object} Normalized spec
+   */
+  toJSON() {
+    return {
+      name: this.name,
+      steps: this.steps.map((step) => ({ ...step })),
+      read: { ...this.read },
+    };
+  }
+
+  /**
+   * Recursively matches step `index` at `element` against its ancestors
+   * The nearest matching ancestor wins for descendant steps
+   * @private
+   * @param {number} index - Step index to match
+   * @param {Element} element - Element expected to match the step
+   * @returns {Array<Element>|null} Elements for steps 0..index, or null
+   */
+  _pathFrom(index, element) {
+    if (!this.matchesStep(this.steps[index], element)) {
+      return null;
+    }
+
+    if (index === 0) {
+      return [element];
+    }
+
+    if (this.steps[index].relation === PATTERN_RELATIONS.CHILD) {
+      const path = this._pathFrom(index - 1, element.parentNode);
+      return path && [...path, element];
+    }
+
+    let ancestor = element.parentNode;
+    while (ancestor && ancestor.tagName) {
+      const path = this._pathFrom(index - 1, ancestor);
+      if (path) {
+        return [...path, element];
+      }
+      ancestor = ancestor.parentNode;
+    }
+
+    return null;
+  }
+
+  /**
+   * Tests an attribute value against an operator
+   * @param {string} operator - One of PATTERN_OPERATORS
+   * @param {string} actual - Attribute value found in the document
+   * @param {string} expected - Value from the spec
+   * @returns {boolean} True if the value matches
+   */
+  static testValue(operator, actual, expected) {
+    switch (operator) {
+      case PATTERN_OPERATORS.CONTAINS:
+        return actual.includes(expected);
+      case PATTERN_OPERATORS.PREFIX:
+        return actual.startsWith(expected);
+      case PATTERN_OPERATORS.SUFFIX:
+        return actual.endsWith(expected);
+      case PATTERN_OPERATORS.TOKEN:
+        return actual.split(/\s+/).includes(expected);
+      case PATTERN_OPERATORS.REGEX:
+        return new RegExp(expected).test(actual);
+      default:
+        return actual === expected;
+    }
+  }
+
+  /**
+   * Loads a pattern spec from a JSON file
+   * @param {string} filePath - Path to the JSON spec
+   * @returns {PatternSpec} Parsed spec
+   * @throws {Error} If the file cannot be read or is invalid
+   */
+  static fromFile(filePath) {
+    let raw;
+    try {
+      raw = JSON.parse(fs.readFileSync(filePath, "utf8"));
+    } catch (error) {
+      throw new Error(
+        `Failed to load pattern spec from ${filePath}: ${error.message}`
+      );
+    }
+    return new PatternSpec(raw);
+  }
+
+  /**
+   * Coerces a spec object, file path or PatternSpec into a PatternSpec
+   * @param {PatternSpec|Object|string} [source] - Spec source, default if omitted
+   * @returns {PatternSpec} Pattern spec
+   */
+  static from(source) {
+    if (source instanceof PatternSpec) {
+      return source;
+    }
+    if (typeof source === "string") {
+      return PatternSpec.fromFile(source);
+    }
+    return new PatternSpec(source || DEFAULT_PATTERN);
+  }
+}
+
+module.exports = PatternSpec;
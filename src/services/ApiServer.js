@@ -0,0 +1,386 @@
+const http = require("http");
+const Logger = require("../utils/Logger");
+const Validator = require("../utils/Validator");
+const ResultFormatter = require("../utils/ResultFormatter");
+const PatternSpec = require("../patterns/PatternSpec");
+const DecoderPipeline = require("./DecoderPipeline");
+const RequestError = require("../errors/RequestError");
+const {
+  DECODING,
+  EXIT_CODES,
+  OUTPUT_FORMATS,
+  SERVER,
+} = require("../config/constants");
+
+// Body of POST /extract: the page (url or html) plus per-request overrides.
+// Patterns are accepted inline only, never as a path on the server
+const EXTRACT_SCHEMA = {
+  type: "object",
+  properties: {
+    url: { type: "string", format: "url" },
+    html: { type: "string" },
+    pattern: {
+      type: "object",
+      validate: (value) => PatternSpec.from(value),
+    },
+    decode: {
+      type: "string",
+      validate: (value) => DecoderPipeline.parseChain(value),
+    },
+  },
+};
+
+// Body of POST /decode
+const DECODE_SCHEMA = {
+  type: "object",
+  required: ["text"],
+  properties: {
+    text: { type: "string" },
+    chain: {
+      type: "string",
+      validate: (value) => DecoderPipeline.parseChain(value),
+    },
+  },
+};
+
+// HTTP status for each exit code of a failed solve; anything else is a 500
+const EXIT_STATUSES = {
+  [EXIT_CODES.USAGE]: 400,
+  [EXIT_CODES.FETCH_FAILED]: 502,
+  [EXIT_CODES.EXTRACTION_FAILED]: 422,
+  [EXIT_CODES.INVALID_URL]: 422,
+  [EXIT_CODES.FLAG_MISSING]: 422,
+  [EXIT_CODES.POLICY_BLOCKED]: 403,
+};
+
+/**
+ * Small JSON HTTP API around the solver
+ * Routes: POST /extract, POST /decode and GET /health. Responses use the same
+ * documents as `--output json` ({ ok, exitCode, ... } or { ok: false,
+ * exitCode, error }). A request that outlives the timeout is answered with
+ * 504, and its solve is aborted so no further requests are made for it
+ * @class ApiServer
+ */
+class ApiServer {
+  /**
+   * Creates an ApiServer instance
+   * @param {Object} solver - Object with solve({ url | html, pattern, decode },
+   *   { signal }) and decode(text, chain), e.g. RampCTFSolver
+   * @param {Logger} [logger] - Logger instance
+   * @param {Object} [options] - Server options
+   * @param {number} [options.maxBodyBytes] - Largest accepted request body
+   * @param {number} [options.requestTimeout] - Time allowed per request (ms)
+   * @param {Function} [options.exitCodeFor] - Maps a solver error to the exit
+   *   code reported in error documents
+   */
+  constructor(solver, logger = new Logger(), options = {}) {
+    this.solver = solver;
+    this.logger = logger;
+    this.maxBodyBytes = options.maxBodyBytes || SERVER.MAX_BODY_BYTES;
+    this.requestTimeout = options.requestTimeout || SERVER.REQUEST_TIMEOUT;
+    this.exitCodeFor = options.exitCodeFor || (() => EXIT_CODES.UNEXPECTED);
+
+    this.routes = {
+      "/extract": {
+        method: "POST",
+        handle: (body, signal) =>
+          this._counted(() => this._extract(body, signal)),
+      },
+      "/decode": {
+        method: "POST",
+        handle: (body) => this._counted(() => this._decode(body)),
+      },
+      "/health": { method: "GET", handle: () => this._health() },
+    };
+    this.inFlight = 0;
+    this.startedAt = null;
+    this.server = http.createServer((request, response) =>
+      this._handle(request, response)
+    );
+  }
+
+  /**
+   * Starts listening
+   * @param {number} port - Port (0 picks a free one)
+   * @param {string} [host] - Interface to bind
+   * @returns {Promise<Object>} { host, port } actually bound
+   */
+  listen(port, host = SERVER.HOST) {
+    return new Promise((resolve, reject) => {
+      this.server.once("error", reject);
+      this.server.listen(port, host, () => {
+        this.server.off("error", reject);
+        this.startedAt = Date.now();
+
+        const address = this.server.address();
+        this.logger.info(
+          `🌐 Listening on http://${address.address}:${address.port}`
+        );
+        resolve({ host: address.address, port: address.port });
+      });
+    });
+  }
+
+  /**
+   * Stops accepting connections and closes idle ones
+   * @returns {Promise<void>} Resolves once in-flight requests have finished
+   */
+  close() {
+    return new Promise((resolve) => {
+      this.server.close(() => resolve());
+      this.server.closeIdleConnections();
+    });
+  }
+
+  /**
+   * Serves one request
+   * @private
+   * @param {IncomingMessage} request - Request
+   * @param {ServerResponse} response - Response
+   */
+  async _handle(request, response) {
+    const startedAt = Date.now();
+    const { pathname } = new URL(request.url, "http://localhost");
+    const controller = new AbortController();
+    let timer = null;
+    let status;
+    let body;
+
+    try {
+      const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => {
+          const error = new RequestError(
+            504,
+            `Request timed out after ${this.requestTimeout}ms`
+          );
+          controller.abort(error);
+          reject(error);
+        }, this.requestTimeout);
+      });
+      ({ status, body } = await Promise.race([
+        this._route(pathname, request, controller.signal),
+        timeout,
+      ]));
+    } catch (error) {
+      ({ status, body } = this._failure(error, response));
+    } finally {
+      clearTimeout(timer);
+    }
+
+    response.writeHead(status, {
+      "content-type": "application/json; charset=utf-8",
+      "content-length": Buffer.byteLength(body),
+    });
+    response.end(body);
+
+    this.logger.info(
+      `${request.method} ${pathname} → ${status} (${Date.now() - startedAt}ms)`
+    );
+  }
+
+  /**
+   * Finds the route, reads the body and runs the handler
+   * @private
+   * @param {string} pathname - Request path
+   * @param {IncomingMessage} request - Request
+   * @param {AbortSignal} signal - Aborted when the request times out
+   * @returns {Promise<Object>} { status, body } where body is JSON text
+   * @throws {RequestError} For unknown routes, wrong methods or bad bodies
+   */
+  async _route(pathname, request, signal) {
+    const route = this.routes[pathname];
+    if (!route) {
+      throw new RequestError(404, `No route for ${pathname}`);
+    }
+    if (request.method !== route.method) {
+      const error = new RequestError(
+        405,
+        `${pathname} only accepts ${route.method}`
+      );
+      error.allow = route.method;
+      throw error;
+    }
+
+    const payload =
+      route.method === "POST" ? await this._readJson(request) : null;
+    return route.handle(payload, signal);
+  }
+
+  /**
+   * Runs a solver handler, counting it in inFlight until it settles
+   * A timed-out request stays counted until its aborted solve has stopped
+   * @private
+   * @param {Function} handle - Async handler
+   * @returns {Promise<Object>} Handler result
+   */
+  async _counted(handle) {
+    this.inFlight++;
+    try {
+      return await handle();
+    } finally {
+      this.inFlight--;
+    }
+  }
+
+  /**
+   * Handles POST /extract
+   * @private
+   * @param {Object} body - { url } or { html }, plus optional pattern and decode
+   * @param {AbortSignal} signal - Aborts the solve
+   * @returns {Promise<Object>} { status, body }
+   * @throws {RequestError} If the body is invalid
+   * @throws {SolverError} If the solve fails
+   */
+  async _extract(body, signal) {
+    const errors = Validator.validateSchema(body, EXTRACT_SCHEMA);
+    if (
+      errors.length === 0 &&
+      (body.url === undefined) === (body.html === undefined)
+    ) {
+      errors.push({
+        path: "(root)",
+        message: "expected exactly one of url, html",
+      });
+    }
+    if (errors.length > 0) {
+      throw new RequestError(400, "Invalid request body", errors);
+    }
+
+    const result = await this.solver.solve(body, { signal });
+    const exitCode =
+      result.flag === null ? EXIT_CODES.FLAG_MISSING : EXIT_CODES.SUCCESS;
+    return {
+      // A hidden URL with no flag behind it is reported like a FlagError
+      status: EXIT_STATUSES[exitCode] || 200,
+      body: ResultFormatter.format(result, OUTPUT_FORMATS.JSON, exitCode),
+    };
+  }
+
+  /**
+   * Handles POST /decode
+   * @private
+   * @param {Object} body - { text, chain? } (chain defaults to auto-detection)
+   * @returns {Promise<Object>} { status, body }
+   * @throws {RequestError} If the body is invalid
+   * @throws {DecodeError} If an explicit chain fails
+   */
+  async _decode(body) {
+    const errors = Validator.validateSchema(body, DECODE_SCHEMA);
+    if (errors.length > 0) {
+      throw new RequestError(400, "Invalid request body", errors);
+    }
+
+    const decoding = this.solver.decode(body.text, body.chain || DECODING.AUTO);
+    return {
+      status: 200,
+      body: ResultFormatter.formatDecoding(
+        decoding,
+        OUTPUT_FORMATS.JSON,
+        EXIT_CODES.SUCCESS
+      ),
+    };
+  }
+
+  /**
+   * Handles GET /health
+   * @private
+   * @returns {Object} { status, body }
+   */
+  _health() {
+    const document = {
+      ok: true,
+      status: "up",
+      uptimeMs: Date.now() - this.startedAt,
+      inFlight: this.inFlight,
+    };
+    return { status: 200, body: JSON.stringify(document, null, 2) + "\n" };
+  }
+
+  /**
+   * Turns an error into a response
+   * @private
+   * @param {Error} error - Error from routing, the body or the solver
+   * @param {ServerResponse} response - Response (for extra headers)
+   * @returns {Object} { status, body }
+   */
+  _failure(error, response) {
+    let status;
+    let exitCode;
+    if (error instanceof RequestError) {
+      status = error.status;
+      exitCode = status < 500 ? EXIT_CODES.USAGE : EXIT_CODES.UNEXPECTED;
+      if (error.allow) {
+        response.setHeader("allow", error.allow);
+      }
+      if (status === 413) {
+        // The rest of the body is not read; do not reuse the connection
+        response.setHeader("connection", "close");
+      }
+    } else {
+      exitCode = this.exitCodeFor(error);
+      status = EXIT_STATUSES[exitCode] || 500;
+    }
+
+    if (error instanceof RequestError) {
+      this.logger.warn(error.message);
+    } else if (status >= 500) {
+      this.logger.error("Request failed", error);
+    }
+    return {
+      status,
+      body: ResultFormatter.formatError(error, OUTPUT_FORMATS.JSON, exitCode),
+    };
+  }
+
+  /**
+   * Reads a JSON request body within the size limit
+   * @private
+   * @param {IncomingMessage} request - Request
+   * @returns {Promise<*>} Parsed body
+   * @throws {RequestError} 415 if not JSON, 413 if too large, 400 if malformed
+   */
+  _readJson(request) {
+    const type = (request.headers["content-type"] || "").split(";")[0].trim();
+    if (type.toLowerCase() !== "application/json") {
+      request.resume();
+      return Promise.reject(
+        new RequestError(415, "Content-Type must be application/json")
+      );
+    }
+
+    const tooLarge = () =>
+      new RequestError(413, `Request body exceeds ${this.maxBodyBytes} bytes`);
+    if (Number(request.headers["content-length"]) > this.maxBodyBytes) {
+      request.resume();
+      return Promise.reject(tooLarge());
+    }
+
+    return new Promise((resolve, reject) => {
+      const chunks = [];
+      let size = 0;
+
+      const onData = (chunk) => {
+        size += chunk.length;
+        if (size > this.maxBodyBytes) {
+          request.off("data", onData);
+          request.resume();
+          reject(tooLarge());
+          return;
+        }
+        chunks.push(chunk);
+      };
+
+      request.on("data", onData);
+      request.on("error", reject);
+      request.on("end", () => {
+        try {
+          resolve(JSON.parse(Buffer.concat(chunks).toString("utf8")));
+        } catch (error) {
+          reject(new RequestError(400, `Malformed JSON: ${error.message}`));
+        }
+      });
+    });
+  }
+}
+
+module.exports = ApiServer;
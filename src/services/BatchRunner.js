@@ -0,0 +1,122 @@
+const Logger = require("../utils/Logger");
+const { BATCH } = require("../config/constants");
+
+/**
+ * Runs many solves with a concurrency limit and aggregates a report
+ * A failing item is recorded and never stops the others
+ * @class BatchRunner
+ */
+class BatchRunner {
+  /**
+   * Creates a BatchRunner instance
+   * @param {Logger} logger - Logger instance
+   * @param {Object} [options] - Runner options
+   * @param {number} [options.concurrency] - Items solved at the same time
+   */
+  constructor(logger = new Logger(), options = {}) {
+    this.logger = logger;
+    this.concurrency = options.concurrency || BATCH.CONCURRENCY;
+  }
+
+  /**
+   * Solves every item and builds the report
+   * @param {Array<Object>} items - { type: "url"|"file", source }
+   * @param {Function} solve - Async function (item) → UrlExtractor result
+   * @param {Function} [onItem] - Called with each item report as it finishes
+   * @returns {Promise<Object>} { items, summary } where items are in input
+   *   order: [{ index, type, source, status, url, flag, strategy,
+   *   characterCount, durationMs, warnings, error }] and status is "solved",
+   *   "no-flag" or "failed"; summary is { total, solved, noFlag, failed,
+   *   concurrency, durationMs }
+   */
+  async run(items, solve, onItem = () => {}) {
+    const startedAt = Date.now();
+    const reports = new Array(items.length);
+    let next = 0;
+
+    this.logger.info(
+      `📚 Solving ${items.length} items (concurrency ${this.concurrency})...`
+    );
+
+    const worker = async () => {
+      while (next < items.length) {
+        const index = next++;
+        reports[index] = await this._runItem(index, items[index], solve);
+        onItem(reports[index]);
+      }
+    };
+
+    const workers = Math.min(this.concurrency, items.length);
+    await Promise.all(Array.from({ length: workers }, worker));
+
+    const count = (status) =>
+      reports.filter((report) => report.status === status).length;
+    const summary = {
+      total: items.length,
+      solved: count("solved"),
+      noFlag: count("no-flag"),
+      failed: count("failed"),
+      concurrency: this.concurrency,
+      durationMs: Date.now() - startedAt,
+    };
+
+    this.logger.info(
+      `📚 Batch complete: ${summary.solved} solved, ${summary.noFlag} without ` +
+        `flag, ${summary.failed} failed (${summary.durationMs}ms)`
+    );
+    return { items: reports, summary };
+  }
+
+  /**
+   * Solves one item, capturing any failure in its report
+   * @private
+   * @param {number} index - Position in the list
+   * @param {Object} item - { type, source }
+   * @param {Function} solve - Async solve function
+   * @returns {Promise<Object>} Item report
+   */
+  async _runItem(index, item, solve) {
+    const startedAt = Date.now();
+    const report = {
+      index,
+      type: item.type,
+      source: item.source,
+      status: "failed",
+      url: null,
+      flag: null,
+      strategy: null,
+      characterCount: null,
+      durationMs: null,
+      warnings: [],
+      error: null,
+    };
+
+    this.logger.info(`[${index + 1}] Solving ${item.source}`);
+
+    try {
+      const result = await solve(item);
+      Object.assign(report, {
+        status: result.flag === null ? "no-flag" : "solved",
+        url: result.url,
+        flag: result.flag,
+        strategy: result.strategy,
+        characterCount: result.characterCount,
+        warnings: result.warnings,
+      });
+    } catch (error) {
+      report.error = {
+        name: error.name,
+        code: error.code || null,
+        message: error.message,
+      };
+      this.logger.warn(
+        `[${index + 1}] ${item.source} failed: ${error.message}`
+      );
+    }
+
+    report.durationMs = Date.now() - startedAt;
+    return report;
+  }
+}
+
+module.exports = BatchRunner;
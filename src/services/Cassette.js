@@ -0,0 +1,225 @@
+const fs = require("fs");
+const crypto = require("crypto");
+const Logger = require("../utils/Logger");
+const CassetteMissError = require("../errors/CassetteMissError");
+const ConfigError = require("../errors/ConfigError");
+const { CASSETTE } = require("../config/constants");
+
+/**
+ * Record/replay store for HTTP interactions
+ * Record mode appends every request/response pair to a JSON file; replay mode
+ * serves them back without touching the network, matching each request on
+ * method, URL and the headers in CASSETTE.MATCH_HEADERS. Credential headers
+ * (CASSETTE.REDACTED_HEADERS) are written as digests, so cassettes can be
+ * committed; matching compares digests
+ * @class Cassette
+ */
+class Cassette {
+  /**
+   * Creates a Cassette instance
+   * @param {string} filePath - Cassette JSON file
+   * @param {string} mode - CASSETTE.MODES.RECORD or CASSETTE.MODES.REPLAY
+   * @param {Logger} logger - Logger instance
+   * @throws {ConfigError} If the mode is unknown or a replay cassette cannot
+   *   be loaded
+   */
+  constructor(filePath, mode, logger = new Logger()) {
+    if (!Object.values(CASSETTE.MODES).includes(mode)) {
+      throw this._error(`unknown cassette mode: ${mode}`, filePath);
+    }
+
+    this.filePath = filePath;
+    this.mode = mode;
+    this.logger = logger;
+    this.interactions = [];
+    this.used = new Set();
+
+    if (this.isReplaying()) {
+      this._load();
+    }
+  }
+
+  /**
+   * Checks whether new interactions are being recorded
+   * @returns {boolean} True in record mode
+   */
+  isRecording() {
+    return this.mode === CASSETTE.MODES.RECORD;
+  }
+
+  /**
+   * Checks whether responses are served from the file
+   * @returns {boolean} True in replay mode
+   */
+  isReplaying() {
+    return this.mode === CASSETTE.MODES.REPLAY;
+  }
+
+  /**
+   * Records an interaction and flushes the cassette to disk
+   * @param {Object} interaction - { request: { method, url, headers },
+   *   response, timing } where headers are the lower-cased headers sent
+   */
+  record(interaction) {
+    const { request } = interaction;
+    if (request.headers) {
+      interaction = {
+        ...interaction,
+        request: { ...request, headers: this._redact(request.headers) },
+      };
+    }
+    this.interactions.push(interaction);
+    this._save();
+    this.logger.debug(
+      `Recorded ${interaction.request.method} ${interaction.request.url} ` +
+        `(HTTP ${interaction.response.status})`
+    );
+  }
+
+  /**
+   * Finds the next unused recorded interaction for a request
+   * Repeated requests to the same URL are served in recording order.
+   * Interactions recorded without headers (version 1 cassettes) match on
+   * method and URL alone
+   * @param {string} method - HTTP method
+   * @param {string} url - Request URL
+   * @param {Object} [headers] - Lower-cased request headers
+   * @returns {Object} Recorded interaction
+   * @throws {CassetteMissError} If nothing matches
+   */
+  match(method, url, headers = {}) {
+    const candidates = this.interactions
+      .map((interaction, index) => ({ interaction, index }))
+      .filter(
+        ({ interaction, index }) =>
+          !this.used.has(index) &&
+          interaction.request.method === method &&
+          interaction.request.url === url
+      );
+
+    const found = candidates.find(
+      ({ interaction }) => this._differingHeader(interaction, headers) === null
+    );
+    if (!found) {
+      const reason =
+        candidates.length > 0
+          ? `recorded with a different ${this._differingHeader(
+              candidates[0].interaction,
+              headers
+            )} header`
+          : null;
+      throw new CassetteMissError(method, url, this.filePath, reason);
+    }
+
+    const { index } = found;
+
+    this.used.add(index);
+    this.logger.debug(`Replaying ${method} ${url} from cassette`);
+    return this.interactions[index];
+  }
+
+  /**
+   * Finds the first match header that differs from a recording
+   * @private
+   * @param {Object} interaction - Recorded interaction
+   * @param {Object} headers - Lower-cased request headers
+   * @returns {string|null} Header name, or null if the request matches
+   */
+  _differingHeader(interaction, headers) {
+    const recorded = interaction.request.headers;
+    if (!recorded) {
+      return null;
+    }
+
+    const name = CASSETTE.MATCH_HEADERS.find((header) => {
+      const value = recorded[header] || null;
+      let sent = headers[header] || null;
+      // Cassettes recorded before redaction hold credentials in plain text
+      if (sent !== null && value && value.startsWith(CASSETTE.DIGEST_PREFIX)) {
+        sent = this._digest(sent);
+      }
+      return value !== sent;
+    });
+    return name || null;
+  }
+
+  /**
+   * Replaces credential headers with their digests
+   * @private
+   * @param {Object} headers - Lower-cased request headers
+   * @returns {Object} Headers safe to write to disk
+   */
+  _redact(headers) {
+    const redacted = { ...headers };
+    CASSETTE.REDACTED_HEADERS.forEach((header) => {
+      if (redacted[header] !== undefined) {
+        redacted[header] = this._digest(redacted[header]);
+      }
+    });
+    return redacted;
+  }
+
+  /**
+   * Hashes a header value for storage and comparison
+   * @private
+   * @param {string} value - Header value
+   * @returns {string} "sha256:<hex>"
+   */
+  _digest(value) {
+    return (
+      CASSETTE.DIGEST_PREFIX +
+      crypto.createHash("sha256").update(String(value)).digest("hex")
+    );
+  }
+
+  /**
+   * Loads interactions from disk
+   * @private
+   * @throws {ConfigError} If the file is missing or malformed
+   */
+  _load() {
+    let data;
+    try {
+      data = JSON.parse(fs.readFileSync(this.filePath, "utf8"));
+    } catch (error) {
+      throw this._error(`cannot load cassette: ${error.message}`);
+    }
+
+    if (!data || !Array.isArray(data.interactions)) {
+      throw this._error("cassette has no interactions array");
+    }
+
+    this.interactions = data.interactions;
+    this.logger.info(
+      `Replaying ${this.interactions.length} interactions from ${this.filePath}`
+    );
+  }
+
+  /**
+   * Builds the error for an unusable cassette
+   * @private
+   * @param {string} message - What is wrong
+   * @param {string} [filePath] - Cassette file
+   * @returns {ConfigError} Error to throw
+   */
+  _error(message, filePath = this.filePath) {
+    return new ConfigError([
+      { path: this.mode || "cassette", source: `file ${filePath}`, message },
+    ]);
+  }
+
+  /**
+   * Writes all interactions to disk
+   * @private
+   */
+  _save() {
+    const data = {
+      version: CASSETTE.VERSION,
+      recordedAt: new Date().toISOString(),
+      interactions: this.interactions,
+    };
+    fs.writeFileSync(this.filePath, JSON.stringify(data, null, 2) + "\n");
+  }
+}
+
+module.exports = Cassette;
@@ -0,0 +1,362 @@
+const Logger = require("../utils/Logger");
+const FlagExtractor = require("./FlagExtractor");
+const CassetteMissError = require("../errors/CassetteMissError");
+const PolicyError = require("../errors/PolicyError");
+const ChainError = require("../errors/ChainError");
+const ExtractionError = require("../errors/ExtractionError");
+const FetchError = require("../errors/FetchError");
+const InvalidUrlError = require("../errors/InvalidUrlError");
+const { CHAIN } = require("../config/constants");
+
+/**
+ * Walks a multi-stage challenge chain (see ChainSpec)
+ * Each stage's output feeds the next; the last output is the hidden URL whose
+ * response holds the flag. Every stage is recorded in the trail, which is also
+ * attached to any error that ends the walk
+ * @class ChainRunner
+ */
+class ChainRunner {
+  /**
+   * Creates a ChainRunner instance
+   * @param {HttpClient} httpClient - HTTP client for pages and the flag
+   * @param {Function} createParser - Builds an HtmlParser for a PatternSpec
+   * @param {Logger} logger - Logger instance
+   * @param {Object} [options] - Runner options
+   * @param {DecoderPipeline} [options.decoderPipeline] - Decodes stage payloads
+   * @param {FlagExtractor} [options.flagExtractor] - Reads the flag when the
+   *   chain has no flag rule of its own
+   * @param {Function} [options.onEvent] - Progress hook called with (name,
+   *   payload) for "url:built" (the final URL) and "flag"
+   */
+  constructor(httpClient, createParser, logger = new Logger(), options = {}) {
+    this.httpClient = httpClient;
+    this.createParser = createParser;
+    this.logger = logger;
+    this.decoderPipeline = options.decoderPipeline || null;
+    this.flagExtractor = options.flagExtractor || new FlagExtractor(logger);
+    this.onEvent = options.onEvent || (() => {});
+  }
+
+  /**
+   * Walks the chain from a challenge page
+   * @param {ChainSpec} chain - Chain to walk
+   * @param {Object} start - { url } to fetch, or { html } already in hand
+   * @returns {Promise<Object>} { url, flag, flagUrl, flagSource, redirects,
+   *   characters, characterCount, strategy, chain, depth, trail, cache,
+   *   timings, warnings } where trail is [{ stage, name, source, url, cache,
+   *   strategy, characterCount, payload, decoding, value }] and cache is
+   *   { flag } (see HttpClient.fetchResponse)
+   * @throws {ChainError} If the depth limit is hit or a page would be revisited
+   * @throws {SolverError} FetchError, ExtractionError, InvalidUrlError, ... from
+   *   a stage, with `trail` and `stage` attached
+   */
+  async run(chain, start) {
+    const startedAt = Date.now();
+    const trail = [];
+    const visited = new Set();
+    const fetched = new Set();
+    const warnings = [];
+    let stage = chain.stages[0];
+    let input = start.html !== undefined ? start.html : null;
+    let previous = start.url || null;
+    let base = null;
+    let last = null;
+
+    this.logger.info(
+      `🔗 Walking chain "${chain.name}" (${chain.stages.length} stages)`
+    );
+
+    try {
+      while (stage) {
+        if (trail.length >= chain.maxDepth) {
+          throw new ChainError(
+            `Chain exceeded its depth limit of ${chain.maxDepth} stages ` +
+              `(next: "${stage.name}")`,
+            trail
+          );
+        }
+
+        const next = chain.nextStage(stage);
+        const result = await this._runStage(stage, {
+          input,
+          previous,
+          base,
+          visited,
+          fetched,
+          decodeToUrl: !next || next.source === CHAIN.SOURCES.URL,
+          trail,
+        });
+        warnings.push(...result.warnings);
+
+        trail.push(result.entry);
+        last = result;
+        previous = result.entry.value;
+        base = result.entry.url || base;
+        input = null;
+        stage = next;
+      }
+
+      const hiddenUrl = this._resolveUrl(
+        previous,
+        base,
+        `hidden URL from chain stage "${last.entry.name}"`
+      );
+      if (fetched.has(hiddenUrl)) {
+        throw new ChainError(
+          `Cycle detected: the final URL ${hiddenUrl} is a page already ` +
+            "visited in this chain",
+          trail
+        );
+      }
+      this.onEvent("url:built", { url: hiddenUrl, decoding: null });
+
+      const flagResponse = await this._fetchFlag(hiddenUrl, chain);
+      if (flagResponse.flag === null) {
+        warnings.push(`Flag could not be fetched: ${flagResponse.error}`);
+      }
+
+      this.logger.success(
+        `Chain completed in ${trail.length} stages: ${trail
+          .map((entry) => entry.name)
+          .join(" → ")}`
+      );
+
+      return {
+        url: hiddenUrl,
+        flag: flagResponse.flag,
+        flagUrl: flagResponse.url,
+        flagSource: flagResponse.source,
+        redirects: flagResponse.redirects,
+        characters: last.characters,
+        characterCount: last.characters.length,
+        strategy: last.entry.strategy,
+        chain: chain.name,
+        depth: trail.length,
+        trail,
+        cache: { flag: flagResponse.cache },
+        timings: { total: Date.now() - startedAt },
+        warnings,
+      };
+    } catch (error) {
+      if (!error.trail) {
+        error.trail = trail;
+        error.stage = stage ? stage.name : null;
+      }
+      this.logger.error(`Chain "${chain.name}" failed`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Runs a single stage
+   * @private
+   * @param {Object} stage - ChainSpec stage
+   * @param {Object} context - { input, previous, base, visited, fetched,
+   *   decodeToUrl, trail }
+   * @returns {Promise<Object>} { entry, characters, warnings }
+   * @throws {ChainError} If the stage would revisit its input
+   */
+  async _runStage(stage, context) {
+    this.logger.info(
+      `🔗 Stage ${context.trail.length + 1}: ${stage.name} (${stage.source})`
+    );
+
+    let html;
+    let pageUrl = null;
+    let key;
+
+    if (context.input !== null) {
+      html = context.input;
+      key = `${stage.name}\u0000input`;
+    } else if (stage.source === CHAIN.SOURCES.TEXT) {
+      html = context.previous;
+      key = `${stage.name}\u0000text\u0000${html}`;
+    } else {
+      pageUrl = this._resolveUrl(
+        context.previous,
+        context.base,
+        `URL for chain stage "${stage.name}"`
+      );
+      key = `${stage.name}\u0000url\u0000${pageUrl}`;
+    }
+
+    if (context.visited.has(key)) {
+      throw new ChainError(
+        `Cycle detected: stage "${stage.name}" would read ` +
+          `${pageUrl || "the same input"} again`,
+        context.trail
+      );
+    }
+    context.visited.add(key);
+
+    let cache = null;
+    if (pageUrl) {
+      context.fetched.add(pageUrl);
+      ({ html, cache } = await this._fetchPage(pageUrl));
+    }
+
+    const parsed = await this._extract(stage, html);
+    const payload = parsed.characters.join("");
+    const decoding =
+      stage.decode && this.decoderPipeline
+        ? this.decoderPipeline.decode(payload, stage.decode, {
+            until: context.decodeToUrl ? (text) => this._isHttpUrl(text) : null,
+          })
+        : null;
+    const value = decoding ? decoding.output : payload;
+
+    this.logger.success(`Stage ${stage.name} produced: ${value}`);
+    return {
+      entry: {
+        stage: stage.index,
+        name: stage.name,
+        source: stage.source,
+        url: pageUrl,
+        cache,
+        strategy: parsed.strategy,
+        characterCount: parsed.characters.length,
+        payload,
+        decoding: decoding ? decoding.steps : [],
+        value,
+      },
+      characters: parsed.characters,
+      warnings: parsed.failures.map(
+        (failure) =>
+          `${stage.name}: ${failure.strategy} failed: ${failure.error}`
+      ),
+    };
+  }
+
+  /**
+   * Extracts a stage's characters with a parser compiled from its pattern
+   * @private
+   * @param {Object} stage - ChainSpec stage
+   * @param {string} html - Stage input
+   * @returns {Promise<Object>} HtmlParser.parseWithDetails() result
+   * @throws {ExtractionError} If no characters can be extracted
+   */
+  async _extract(stage, html) {
+    try {
+      return await this.createParser(stage.pattern).parseWithDetails(html);
+    } catch (error) {
+      throw new ExtractionError(
+        `Stage "${stage.name}": failed to extract characters: ${error.message}`,
+        error,
+        error.nearMiss || null
+      );
+    }
+  }
+
+  /**
+   * Fetches a stage page
+   * @private
+   * @param {string} url - Page URL
+   * @returns {Promise<Object>} { html, cache } (see HttpClient.fetchResponse)
+   * @throws {FetchError} If the page cannot be fetched
+   * @throws {CassetteMissError} If a replay has no recorded response
+   * @throws {PolicyError} If crawl policy refuses the request
+   */
+  async _fetchPage(url) {
+    try {
+      const response = await this.httpClient.fetchResponse(url);
+      return { html: response.body, cache: response.cache || null };
+    } catch (error) {
+      if (error instanceof CassetteMissError || error instanceof PolicyError) {
+        throw error;
+      }
+      throw new FetchError(
+        `Failed to fetch chain page: ${error.message}`,
+        url,
+        error.attempts || [],
+        error
+      );
+    }
+  }
+
+  /**
+   * Fetches the flag from the final URL
+   * A failed fetch is reported, not thrown, like a single-stage solve
+   * @private
+   * @param {string} url - Hidden URL
+   * @param {ChainSpec} chain - Chain (for its flag rule)
+   * @returns {Promise<Object>} { flag, source, url, redirects, cache, error }
+   * @throws {FlagError} If the response holds no flag in the expected format
+   * @throws {PolicyError} If crawl policy refuses the request
+   */
+  async _fetchFlag(url, chain) {
+    this.logger.info("🏁 Fetching flag...");
+
+    const extractor =
+      chain.flag.path || chain.flag.format
+        ? new FlagExtractor(this.logger, {
+            jsonPath: chain.flag.path,
+            flagFormat: chain.flag.format,
+          })
+        : this.flagExtractor;
+
+    let response;
+    try {
+      response = await this.httpClient.fetchResponse(url);
+    } catch (error) {
+      if (error instanceof CassetteMissError || error instanceof PolicyError) {
+        throw error;
+      }
+      this.logger.warn(`Could not fetch flag automatically: ${error.message}`);
+      return {
+        flag: null,
+        source: null,
+        url: null,
+        redirects: null,
+        cache: null,
+        error: error.message,
+      };
+    }
+
+    const { flag, source } = extractor.extract(response);
+    this.logger.success(`Flag retrieved: ${flag}`);
+    this.onEvent("flag", { flag, source, url: response.url });
+    return {
+      flag,
+      source,
+      url: response.url,
+      redirects: response.redirects,
+      cache: response.cache || null,
+      error: null,
+    };
+  }
+
+  /**
+   * Resolves a stage output to an absolute http(s) URL
+   * Relative outputs are resolved against the page they were found on
+   * @private
+   * @param {string} value - Stage output
+   * @param {string|null} base - URL of the page the output came from
+   * @param {string} context - What the URL is, for the error message
+   * @returns {string} Absolute URL
+   * @throws {InvalidUrlError} If the output is not an http(s) URL
+   */
+  _resolveUrl(value, base, context) {
+    let url;
+    try {
+      url = new URL(value, base || undefined);
+    } catch (error) {
+      throw new InvalidUrlError(value, context);
+    }
+    if (url.protocol !== "http:" && url.protocol !== "https:") {
+      throw new InvalidUrlError(value, context);
+    }
+    return url.toString();
+  }
+
+  /**
+   * Checks whether text is already an absolute http(s) URL (auto-decode stop)
+   * @private
+   * @param {string} text - Decoded text
+   * @returns {boolean} True if it is one
+   */
+  _isHttpUrl(text) {
+    return /^https?:\/\/[^\s/]+\.[^\s]+$/i.test(text);
+  }
+}
+
+module.exports = ChainRunner;
@@ -0,0 +1,321 @@
+const fs = require("fs");
+const net = require("net");
+const Logger = require("../utils/Logger");
+const ConfigError = require("../errors/ConfigError");
+
+/**
+ * RFC 6265 cookie store shared by every request an HttpClient makes
+ * Handles domain and path matching, Expires/Max-Age and Secure. Public suffix
+ * checks are not performed. Only persistent cookies are written to disk;
+ * session cookies live as long as the process
+ * @class CookieJar
+ */
+class CookieJar {
+  /**
+   * Creates a CookieJar instance
+   * @param {Object} [options] - Jar options
+   * @param {string} [options.filePath] - Load from and save to this JSON file
+   * @param {Logger} [options.logger] - Logger instance
+   * @param {Function} [options.now] - Clock returning ms since epoch
+   * @throws {ConfigError} If the jar file exists but cannot be read
+   */
+  constructor(options = {}) {
+    this.filePath = options.filePath || null;
+    this.logger = options.logger || new Logger();
+    this.now = options.now || Date.now;
+    this.cookies = [];
+
+    if (this.filePath && fs.existsSync(this.filePath)) {
+      this._load();
+    }
+  }
+
+  /**
+   * Stores the cookies from a response's Set-Cookie headers
+   * @param {string|Array<string>} setCookie - Set-Cookie header value(s)
+   * @param {string} requestUrl - URL the response came from
+   */
+  setCookies(setCookie, requestUrl) {
+    const headers = Array.isArray(setCookie) ? setCookie : [setCookie];
+    const url = new URL(requestUrl);
+    let changed = false;
+
+    headers.forEach((header) => {
+      const cookie = this._parse(header, url);
+      if (cookie) {
+        this._store(cookie);
+        changed = true;
+      }
+    });
+
+    if (changed && this.filePath) {
+      this.save();
+    }
+  }
+
+  /**
+   * Builds the Cookie header value for a request
+   * @param {string} requestUrl - URL about to be requested
+   * @returns {string} "name=value; ..." or an empty string
+   */
+  getCookieHeader(requestUrl) {
+    const url = new URL(requestUrl);
+    const host = url.hostname.toLowerCase();
+    const now = this.now();
+
+    this._evictExpired(now);
+
+    return this.cookies
+      .filter(
+        (cookie) =>
+          (cookie.hostOnly
+            ? host === cookie.domain
+            : this._domainMatches(host, cookie.domain)) &&
+          this._pathMatches(url.pathname, cookie.path) &&
+          (!cookie.secure || url.protocol === "https:")
+      )
+      .sort(
+        (a, b) => b.path.length - a.path.length || a.createdAt - b.createdAt
+      )
+      .map((cookie) => {
+        cookie.lastAccessedAt = now;
+        return `${cookie.name}=${cookie.value}`;
+      })
+      .join("; ");
+  }
+
+  /**
+   * Writes persistent, unexpired cookies to the jar file
+   */
+  save() {
+    if (!this.filePath) {
+      return;
+    }
+
+    this._evictExpired(this.now());
+    const data = {
+      cookies: this.cookies.filter((cookie) => cookie.persistent),
+    };
+    fs.writeFileSync(this.filePath, JSON.stringify(data, null, 2) + "\n");
+  }
+
+  /**
+   * Parses a single Set-Cookie header (RFC 6265 section 5.2 and 5.3)
+   * @private
+   * @param {string} header - Set-Cookie header value
+   * @param {URL} url - Request URL
+   * @returns {Object|null} Cookie record, or null if it must be ignored
+   */
+  _parse(header, url) {
+    const [pair, ...attributes] = header.split(";");
+    const separator = pair.indexOf("=");
+    if (separator === -1) {
+      return null;
+    }
+
+    const name = pair.slice(0, separator).trim();
+    const value = pair.slice(separator + 1).trim();
+    if (!name) {
+      return null;
+    }
+
+    const host = url.hostname.toLowerCase();
+    const now = this.now();
+    const cookie = {
+      name,
+      value,
+      domain: host,
+      hostOnly: true,
+      path: this._defaultPath(url.pathname),
+      secure: false,
+      httpOnly: false,
+      persistent: false,
+      expiresAt: null,
+      createdAt: now,
+      lastAccessedAt: now,
+    };
+
+    let maxAge = null;
+    let expires = null;
+
+    attributes.forEach((attribute) => {
+      const index = attribute.indexOf("=");
+      const key = (index === -1 ? attribute : attribute.slice(0, index))
+        .trim()
+        .toLowerCase();
+      const attributeValue =
+        index === -1 ? "" : attribute.slice(index + 1).trim();
+
+      switch (key) {
+        case "max-age":
+          if (/^-?\d+$/.test(attributeValue)) {
+            maxAge = Number(attributeValue);
+          }
+          break;
+        case "expires": {
+          const date = Date.parse(attributeValue);
+          if (!Number.isNaN(date)) {
+            expires = date;
+          }
+          break;
+        }
+        case "domain":
+          if (attributeValue) {
+            cookie.domain = attributeValue.replace(/^\./, "").toLowerCase();
+            cookie.hostOnly = false;
+          }
+          break;
+        case "path":
+          if (attributeValue.startsWith("/")) {
+            cookie.path = attributeValue;
+          }
+          break;
+        case "secure":
+          cookie.secure = true;
+          break;
+        case "httponly":
+          cookie.httpOnly = true;
+          break;
+      }
+    });
+
+    // Max-Age takes precedence over Expires
+    if (maxAge !== null) {
+      cookie.persistent = true;
+      cookie.expiresAt = maxAge <= 0 ? 0 : now + maxAge * 1000;
+    } else if (expires !== null) {
+      cookie.persistent = true;
+      cookie.expiresAt = expires;
+    }
+
+    if (!cookie.hostOnly && !this._domainMatches(host, cookie.domain)) {
+      this.logger.debug(
+        `Ignoring cookie ${name}: domain ${cookie.domain} does not match ${host}`
+      );
+      return null;
+    }
+
+    if (cookie.secure && url.protocol !== "https:") {
+      this.logger.debug(
+        `Ignoring secure cookie ${name} set over ${url.protocol}`
+      );
+      return null;
+    }
+
+    return cookie;
+  }
+
+  /**
+   * Adds or replaces a cookie, keeping the original creation time
+   * @private
+   * @param {Object} cookie - Parsed cookie
+   */
+  _store(cookie) {
+    const index = this.cookies.findIndex(
+      (existing) =>
+        existing.name === cookie.name &&
+        existing.domain === cookie.domain &&
+        existing.path === cookie.path
+    );
+
+    if (index !== -1) {
+      cookie.createdAt = this.cookies[index].createdAt;
+      this.cookies.splice(index, 1);
+    }
+
+    if (cookie.expiresAt !== null && cookie.expiresAt <= this.now()) {
+      this.logger.debug(`Cookie ${cookie.name} expired or deleted`);
+      return;
+    }
+
+    this.cookies.push(cookie);
+    this.logger.debug(
+      `Stored cookie ${cookie.name} for ${cookie.domain}${cookie.path}`
+    );
+  }
+
+  /**
+   * Drops expired cookies
+   * @private
+   * @param {number} now - Current time (ms)
+   */
+  _evictExpired(now) {
+    this.cookies = this.cookies.filter(
+      (cookie) => cookie.expiresAt === null || cookie.expiresAt > now
+    );
+  }
+
+  /**
+   * RFC 6265 section 5.1.3 domain matching
+   * @private
+   * @param {string} host - Request host (lower-case)
+   * @param {string} domain - Cookie domain (lower-case)
+   * @returns {boolean} True if the host domain-matches
+   */
+  _domainMatches(host, domain) {
+    if (host === domain) {
+      return true;
+    }
+    return host.endsWith(`.${domain}`) && !net.isIP(host);
+  }
+
+  /**
+   * RFC 6265 section 5.1.4 path matching
+   * @private
+   * @param {string} requestPath - Request path
+   * @param {string} cookiePath - Cookie path
+   * @returns {boolean} True if the request path path-matches
+   */
+  _pathMatches(requestPath, cookiePath) {
+    if (requestPath === cookiePath) {
+      return true;
+    }
+    if (!requestPath.startsWith(cookiePath)) {
+      return false;
+    }
+    return (
+      cookiePath.endsWith("/") || requestPath.charAt(cookiePath.length) === "/"
+    );
+  }
+
+  /**
+   * RFC 6265 section 5.1.4 default-path
+   * @private
+   * @param {string} requestPath - Request path
+   * @returns {string} Default cookie path
+   */
+  _defaultPath(requestPath) {
+    if (!requestPath.startsWith("/")) {
+      return "/";
+    }
+    const lastSlash = requestPath.lastIndexOf("/");
+    return lastSlash === 0 ? "/" : requestPath.slice(0, lastSlash);
+  }
+
+  /**
+   * Loads cookies from the jar file
+   * @private
+   * @throws {ConfigError} If the file is malformed
+   */
+  _load() {
+    try {
+      const data = JSON.parse(fs.readFileSync(this.filePath, "utf8"));
+      this.cookies = Array.isArray(data.cookies) ? data.cookies : [];
+    } catch (error) {
+      throw new ConfigError([
+        {
+          path: "cookieJar",
+          source: `file ${this.filePath}`,
+          message: `cannot load cookie jar: ${error.message}`,
+        },
+      ]);
+    }
+
+    this._evictExpired(this.now());
+    this.logger.debug(
+      `Loaded ${this.cookies.length} cookies from ${this.filePath}`
+    );
+  }
+}
+
+module.exports = CookieJar;
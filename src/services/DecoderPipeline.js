@@ -0,0 +1,220 @@
+const Logger = require("../utils/Logger");
+const HexDecoder = require("../decoders/HexDecoder");
+const Base64Decoder = require("../decoders/Base64Decoder");
+const PercentDecoder = require("../decoders/PercentDecoder");
+const HtmlEntityDecoder = require("../decoders/HtmlEntityDecoder");
+const ReverseDecoder = require("../decoders/ReverseDecoder");
+const RotDecoder = require("../decoders/RotDecoder");
+const DecodeError = require("../errors/DecodeError");
+const { DECODING } = require("../config/constants");
+
+/**
+ * Applies a chain of decoders to a payload, either as listed or auto-detected
+ * Every applied step is recorded as { decoder, confidence, input, output }
+ * @class DecoderPipeline
+ */
+class DecoderPipeline {
+  /**
+   * Creates a DecoderPipeline instance
+   * @param {Logger} logger - Logger instance
+   * @param {Object} [options] - Pipeline options
+   * @param {Array<Decoder>} [options.decoders] - Decoders tried in auto mode,
+   *   in tie-break order
+   * @param {number} [options.minConfidence] - Lowest confidence auto mode acts on
+   * @param {number} [options.maxSteps] - Most steps auto mode applies
+   */
+  constructor(logger = new Logger(), options = {}) {
+    this.logger = logger;
+    this.decoders = options.decoders || [
+      new PercentDecoder(),
+      new HtmlEntityDecoder(),
+      new HexDecoder(),
+      new Base64Decoder(),
+      new ReverseDecoder(),
+      new RotDecoder(13),
+    ];
+    this.minConfidence = options.minConfidence || DECODING.MIN_CONFIDENCE;
+    this.maxSteps = options.maxSteps || DECODING.MAX_STEPS;
+  }
+
+  /**
+   * Parses a decoder chain such as "auto" or "hex,rot13,reverse"
+   * @param {string|Array<string>} spec - Chain text or list of names
+   * @returns {string|Array<string>} DECODING.AUTO or the list of names
+   * @throws {Error} If the chain is empty or names an unknown decoder
+   */
+  static parseChain(spec) {
+    if (spec === DECODING.AUTO) {
+      return DECODING.AUTO;
+    }
+
+    const names = (Array.isArray(spec) ? spec : String(spec).split(","))
+      .map((name) => name.trim().toLowerCase())
+      .filter(Boolean);
+    if (names.length === 0) {
+      throw new Error("Decoder chain is empty");
+    }
+    names.forEach((name) => DecoderPipeline.create(name));
+    return names;
+  }
+
+  /**
+   * Creates a decoder by chain name
+   * @param {string} name - hex, base64, base64url, url, html, reverse or rot<n>
+   * @returns {Decoder} Decoder instance
+   * @throws {Error} If the name is unknown
+   */
+  static create(name) {
+    const rot = /^rot(\d+)$/.exec(name);
+    if (rot) {
+      return new RotDecoder(Number(rot[1]));
+    }
+
+    switch (name) {
+      case "hex":
+        return new HexDecoder();
+      case "base64":
+      case "base64url":
+        return new Base64Decoder();
+      case "url":
+        return new PercentDecoder();
+      case "html":
+        return new HtmlEntityDecoder();
+      case "reverse":
+        return new ReverseDecoder();
+      default:
+        throw new Error(
+          `Unknown decoder: ${name} ` +
+            "(expected hex, base64, base64url, url, html, reverse or rot<n>)"
+        );
+    }
+  }
+
+  /**
+   * Decodes a payload
+   * @param {string} text - Payload
+   * @param {string|Array<string>} [chain] - DECODING.AUTO or decoder names
+   * @param {Object} [options] - Auto-mode options
+   * @param {Function} [options.until] - Auto mode stops once this returns true
+   *   for the current text (checked before each step)
+   * @returns {Object} { mode, input, output, steps }
+   * @throws {DecodeError} If a listed decoder cannot decode its input
+   */
+  decode(text, chain = DECODING.AUTO, options = {}) {
+    return chain === DECODING.AUTO
+      ? this.auto(text, options.until)
+      : this.run(text, chain);
+  }
+
+  /**
+   * Applies the listed decoders in order
+   * @param {string} text - Payload
+   * @param {Array<string>} names - Decoder names
+   * @returns {Object} { mode: "explicit", input, output, steps }
+   * @throws {DecodeError} If a decoder cannot decode its input
+   */
+  run(text, names) {
+    const steps = [];
+    let current = text;
+
+    names.forEach((name) => {
+      const decoder = DecoderPipeline.create(name);
+      let output;
+      try {
+        output = decoder.decode(current);
+      } catch (error) {
+        throw new DecodeError(
+          `Decoder ${decoder.getName()} failed at step ${steps.length + 1}: ` +
+            error.message,
+          decoder.getName(),
+          steps,
+          error
+        );
+      }
+      steps.push(this._step(decoder, decoder.detect(current), current, output));
+      current = output;
+    });
+
+    return { mode: "explicit", input: text, output: current, steps };
+  }
+
+  /**
+   * Repeatedly applies the most confident decoder
+   * Stops when `until` is satisfied, no decoder reaches minConfidence, a
+   * decoder would produce text already seen, or maxSteps is reached
+   * @param {string} text - Payload
+   * @param {Function} [until] - Predicate on the current text
+   * @returns {Object} { mode: "auto", input, output, steps }
+   */
+  auto(text, until = null) {
+    const steps = [];
+    const seen = new Set([text]);
+    let current = text;
+
+    while (steps.length < this.maxSteps && !(until && until(current))) {
+      const best = this._mostConfident(current, seen);
+      if (!best) {
+        break;
+      }
+      steps.push(
+        this._step(best.decoder, best.confidence, current, best.output)
+      );
+      seen.add(best.output);
+      current = best.output;
+    }
+
+    return { mode: "auto", input: text, output: current, steps };
+  }
+
+  /**
+   * Finds the decoder most confident about the text
+   * @private
+   * @param {string} text - Current text
+   * @param {Set<string>} seen - Texts already produced (cycle guard)
+   * @returns {Object|null} { decoder, confidence, output }, or null if none
+   */
+  _mostConfident(text, seen) {
+    let best = null;
+
+    this.decoders.forEach((decoder) => {
+      const confidence = decoder.detect(text);
+      if (
+        confidence < this.minConfidence ||
+        (best && confidence <= best.confidence)
+      ) {
+        return;
+      }
+
+      let output;
+      try {
+        output = decoder.decode(text);
+      } catch (error) {
+        return;
+      }
+      if (!seen.has(output)) {
+        best = { decoder, confidence, output };
+      }
+    });
+
+    return best;
+  }
+
+  /**
+   * Records and logs a decoding step
+   * @private
+   * @param {Decoder} decoder - Decoder applied
+   * @param {number} confidence - Detection confidence
+   * @param {string} input - Text before the step
+   * @param {string} output - Text after the step
+   * @returns {Object} { decoder, confidence, input, output }
+   */
+  _step(decoder, confidence, input, output) {
+    this.logger.debug(
+      `Decoded with ${decoder.getName()} (confidence ${confidence}): ` +
+        `${input} → ${output}`
+    );
+    return { decoder: decoder.getName(), confidence, input, output };
+  }
+}
+
+module.exports = DecoderPipeline;
@@ -0,0 +1,251 @@
+const { JSDOM } = require("jsdom");
+const Logger = require("../utils/Logger");
+const FlagError = require("../errors/FlagError");
+const { FLAG } = require("../config/constants");
+
+/**
+ * Reads the flag out of the hidden URL's response according to its Content-Type
+ * JSON bodies are parsed and read at a path, HTML is rendered to its visible
+ * text through a real DOM (scripts, styles and entities handled), anything else
+ * is plain text. An optional flag-format regex then picks the actual token
+ * @class FlagExtractor
+ */
+class FlagExtractor {
+  /**
+   * Creates a FlagExtractor instance
+   * @param {Logger} logger - Logger instance
+   * @param {Object} [options] - Extractor options
+   * @param {string} [options.jsonPath] - Path to the flag in JSON responses,
+   *   e.g. "flag", "data.flag" or "$.items[0].value"
+   * @param {string|RegExp} [options.flagFormat] - Expected flag format; the first
+   *   match (capture group 1 if present) becomes the flag
+   */
+  constructor(logger = new Logger(), options = {}) {
+    this.logger = logger;
+    this.jsonPath = options.jsonPath
+      ? FlagExtractor.parsePath(options.jsonPath)
+      : null;
+    this.flagFormat = options.flagFormat
+      ? new RegExp(options.flagFormat)
+      : null;
+  }
+
+  /**
+   * Parses a JSON path into property names and array indexes
+   * @param {string} path - Path such as "data.items[0].flag" (a leading "$." is
+   *   optional)
+   * @returns {Array<string|number>} Path segments
+   * @throws {Error} If the path is malformed
+   */
+  static parsePath(path) {
+    const source = path.replace(/^\$\.?/, "");
+    if (!/^(?:[^.[\]]+|\[\d+\])(?:\.[^.[\]]+|\[\d+\])*$/.test(source)) {
+      throw new Error(`Invalid JSON path: ${path}`);
+    }
+
+    const segments = [];
+    const segment = /([^.[\]]+)|\[(\d+)\]/g;
+    let match;
+    while ((match = segment.exec(source)) !== null) {
+      segments.push(match[2] !== undefined ? Number(match[2]) : match[1]);
+    }
+    return segments;
+  }
+
+  /**
+   * Extracts the flag from a response
+   * @param {Object} response - { url, headers, body } from HttpClient.fetchResponse
+   * @returns {Object} { flag, source, contentType } where source is "json",
+   *   "html" or "text"
+   * @throws {FlagError} If the body cannot be read or no flag is found
+   */
+  extract(response) {
+    const contentType = this._mediaType(response.headers);
+    const source = this._sourceKind(contentType, response.body);
+    const fail = (message) =>
+      new FlagError(
+        message,
+        response.url,
+        contentType,
+        response.body.slice(0, FLAG.EXCERPT_LENGTH)
+      );
+
+    this.logger.debug(
+      `Reading flag from ${contentType || "untyped"} response as ${source}`
+    );
+
+    let candidates;
+    switch (source) {
+      case "json":
+        candidates = this._jsonCandidates(response.body, fail);
+        break;
+      case "html":
+        candidates = [this._visibleText(response.body)];
+        break;
+      default:
+        candidates = [response.body.trim()];
+    }
+
+    const flag = this._pick(candidates.filter(Boolean));
+    if (flag === null) {
+      throw fail(
+        this.flagFormat
+          ? `No flag matching ${this.flagFormat} in the ${source} response`
+          : `The ${source} response contains no flag text`
+      );
+    }
+
+    return { flag, source, contentType };
+  }
+
+  /**
+   * Reads the media type from the Content-Type header
+   * @private
+   * @param {Object} [headers] - Response headers (lower-case names)
+   * @returns {string|null} Media type, lower-case, or null if absent
+   */
+  _mediaType(headers) {
+    const header = headers && headers["content-type"];
+    if (!header) {
+      return null;
+    }
+    return String(header).split(";")[0].trim().toLowerCase() || null;
+  }
+
+  /**
+   * Decides how to read the body
+   * Untyped or generic responses are sniffed: a body starting with "<" is HTML
+   * @private
+   * @param {string|null} contentType - Media type
+   * @param {string} body - Response body
+   * @returns {string} "json", "html" or "text"
+   */
+  _sourceKind(contentType, body) {
+    if (contentType && /^application\/(.+\+)?json$/.test(contentType)) {
+      return "json";
+    }
+    if (
+      contentType === "text/html" ||
+      contentType === "application/xhtml+xml"
+    ) {
+      return "html";
+    }
+    if (contentType && contentType.startsWith("text/")) {
+      return "text";
+    }
+    return /^\s*</.test(body) ? "html" : "text";
+  }
+
+  /**
+   * Lists the JSON strings that may hold the flag
+   * With a path, only the value at that path; otherwise a top-level string,
+   * a "flag" property, or (with a flag format) every string in the document
+   * @private
+   * @param {string} body - JSON body
+   * @param {Function} fail - Builds a FlagError from a message
+   * @returns {Array<string>} Candidate strings, most likely first
+   * @throws {FlagError} If the body is not JSON or the path does not resolve
+   */
+  _jsonCandidates(body, fail) {
+    let data;
+    try {
+      data = JSON.parse(body);
+    } catch (error) {
+      throw fail(`Response declared JSON but is not valid: ${error.message}`);
+    }
+
+    if (this.jsonPath) {
+      let value = data;
+      this.jsonPath.forEach((segment) => {
+        if (
+          value === null ||
+          typeof value !== "object" ||
+          !(segment in value)
+        ) {
+          throw fail(
+            `JSON path ${this.jsonPath.join(".")} not found in the response`
+          );
+        }
+        value = value[segment];
+      });
+      if (value === null || typeof value === "object") {
+        throw fail(
+          `JSON path ${this.jsonPath.join(".")} is not a string or number`
+        );
+      }
+      return [String(value)];
+    }
+
+    if (typeof data === "string") {
+      return [data];
+    }
+    if (data && typeof data.flag === "string") {
+      return [data.flag];
+    }
+    if (this.flagFormat) {
+      return this._strings(data);
+    }
+    throw fail(
+      'JSON response has no top-level string or "flag" property; ' +
+        "set a JSON path or a flag format"
+    );
+  }
+
+  /**
+   * Collects every string in a JSON value, depth first
+   * @private
+   * @param {*} value - Parsed JSON
+   * @returns {Array<string>} Strings in document order
+   */
+  _strings(value) {
+    if (typeof value === "string") {
+      return [value];
+    }
+    if (value && typeof value === "object") {
+      return Object.values(value).flatMap((child) => this._strings(child));
+    }
+    return [];
+  }
+
+  /**
+   * Renders HTML to the text a browser would show
+   * @private
+   * @param {string} html - HTML body
+   * @returns {string} Visible text with whitespace collapsed
+   */
+  _visibleText(html) {
+    const dom = new JSDOM(html);
+    try {
+      const { document } = dom.window;
+      document
+        .querySelectorAll(FLAG.HIDDEN_ELEMENTS.join(","))
+        .forEach((element) => element.remove());
+      const root = document.body || document.documentElement;
+      return (root ? root.textContent : "").replace(/\s+/g, " ").trim();
+    } finally {
+      dom.window.close();
+    }
+  }
+
+  /**
+   * Picks the flag from the candidates
+   * @private
+   * @param {Array<string>} candidates - Non-empty candidate strings
+   * @returns {string|null} Flag, or null if none qualifies
+   */
+  _pick(candidates) {
+    if (!this.flagFormat) {
+      return candidates.length > 0 ? candidates[0].trim() : null;
+    }
+
+    for (const candidate of candidates) {
+      const match = this.flagFormat.exec(candidate);
+      if (match) {
+        return match[1] !== undefined ? match[1] : match[0];
+      }
+    }
+    return null;
+  }
+}
+
+module.exports = FlagExtractor;
@@ -1,5 +1,6 @@
 const Logger = require("../utils/Logger");
 const Validator = require("../utils/Validator");
+const { CONSENSUS } = require("../config/constants");
 
 /**
  * HTML Parser service that coordinates extraction strategies
@@ -11,10 +12,26 @@ class HtmlParser {
    * Creates an HtmlParser instance
    * @param {Array<ExtractionStrategy>} strategies - Array of extraction strategies
    * @param {Logger} logger - Logger instance
+   * @param {Object} [options] - Parser options
+   * @param {boolean} [options.consensus=false] - Run every strategy and compare results
+   * @param {number|null} [options.maxDisagreement=null] - Max fraction of strategies
+   *   allowed to diverge from the majority in consensus mode (null = report only)
+   * @param {NearMissAnalyzer} [options.nearMissAnalyzer] - Explains how far the
+   *   pattern got when no strategy extracts anything
+   * @param {Function} [options.onEvent] - Progress hook called with (name,
+   *   payload) for "strategy:start", "strategy:failed" and each "character"
+   *   of the result
    */
-  constructor(strategies = [], logger = new Logger()) {
+  constructor(strategies = [], logger = new Logger(), options = {}) {
     this.strategies = strategies;
     this.logger = logger;
+    this.consensus = options.consensus || false;
+    this.maxDisagreement =
+      options.maxDisagreement === undefined
+        ? CONSENSUS.MAX_DISAGREEMENT
+        : options.maxDisagreement;
+    this.nearMissAnalyzer = options.nearMissAnalyzer || null;
+    this.onEvent = options.onEvent || (() => {});
   }
 
   /**
@@ -24,38 +41,64 @@ class HtmlParser {
    * @throws {Error} If all strategies fail
    */
   async parse(html) {
+    const { characters } = await this.parseWithDetails(html);
+    return characters;
+  }
+
+  /**
+   * Parses HTML using available strategies and reports which one won
+   * @param {string} html - HTML content to parse
+   * @returns {Promise<Object>} { characters, matches, strategy, failures } where
+   *   matches carry each character's provenance (see
+   *   ExtractionStrategy#extractMatches) and failures lists [{ strategy, error }]
+   *   for strategies tried before the winner
+   * @throws {Error} If all strategies fail
+   */
+  async parseWithDetails(html) {
     try {
       Validator.validateHtml(html);
       this.logger.info("Starting HTML parsing with multiple strategies...");
 
-      let characters = [];
-      let lastError = null;
+      const failures = [];
 
       // Try each strategy until one succeeds
       for (const strategy of this.strategies) {
+        const name = strategy.getName();
         try {
-          this.logger.info(`Trying ${strategy.getName()}...`);
-          characters = await strategy.extract(html);
+          this.logger.info(`Trying ${name}...`);
+          this.onEvent("strategy:start", { strategy: name });
+          const matches = await this._extractMatches(strategy, html);
+          const characters = matches.map((match) => match.value);
 
-          if (characters && characters.length > 0) {
+          if (characters.length > 0) {
             Validator.validateCharacters(characters);
             this.logger.success(
-              `Successfully extracted ${
-                characters.length
-              } characters using ${strategy.getName()}`
+              `Successfully extracted ${characters.length} characters using ${name}`
             );
-            return characters;
+            this._emitCharacters(matches);
+            return { characters, matches, strategy: name, failures };
           }
+          failures.push({ strategy: name, error: "No characters extracted" });
+          this.onEvent("strategy:failed", {
+            strategy: name,
+            error: "No characters extracted",
+          });
         } catch (error) {
-          lastError = error;
-          this.logger.warn(`${strategy.getName()} failed: ${error.message}`);
+          failures.push({ strategy: name, error: error.message });
+          this.logger.warn(`${name} failed: ${error.message}`);
+          this.onEvent("strategy:failed", {
+            strategy: name,
+            error: error.message,
+          });
         }
       }
 
       // All strategies failed
-      throw new Error(
+      const lastFailure = failures[failures.length - 1];
+      throw this._noMatchError(
+        html,
         `All extraction strategies failed. Last error: ${
-          lastError?.message || "Unknown error"
+          lastFailure ? lastFailure.error : "Unknown error"
         }`
       );
     } catch (error) {
@@ -64,6 +107,258 @@ class HtmlParser {
     }
   }
 
+  /**
+   * Runs every strategy and returns the majority result with a diff report
+   * @param {string} html - HTML content to parse
+   * @returns {Promise<Object>} Consensus report:
+   *   { characters, matches, agreedBy, results, disagreements, disagreementRatio,
+   *   unanimous } where matches come from the first agreeing strategy
+   * @throws {Error} If no strategy extracts anything, or disagreement exceeds maxDisagreement
+   */
+  async parseWithConsensus(html) {
+    try {
+      Validator.validateHtml(html);
+      this.logger.info("Starting HTML parsing in consensus mode...");
+
+      const results = [];
+      for (const strategy of this.strategies) {
+        const name = strategy.getName();
+        try {
+          this.logger.info(`Running ${name}...`);
+          this.onEvent("strategy:start", { strategy: name });
+          const matches = await this._extractMatches(strategy, html);
+          results.push({
+            strategy: name,
+            characters: matches.map((match) => match.value),
+            matches,
+            error: null,
+          });
+        } catch (error) {
+          this.logger.warn(`${name} failed: ${error.message}`);
+          this.onEvent("strategy:failed", {
+            strategy: name,
+            error: error.message,
+          });
+          results.push({
+            strategy: name,
+            characters: [],
+            matches: [],
+            error: error.message,
+          });
+        }
+      }
+
+      const majority = this._findMajority(results);
+      if (!majority) {
+        throw this._noMatchError(
+          html,
+          "All extraction strategies failed: no strategy extracted any characters"
+        );
+      }
+      Validator.validateCharacters(majority.characters);
+
+      const disagreements = results
+        .filter((result) => !majority.members.includes(result.strategy))
+        .map((result) => this._diff(result, majority.characters));
+
+      const report = {
+        characters: majority.characters,
+        matches: results.find(
+          (result) => result.strategy === majority.members[0]
+        ).matches,
+        agreedBy: majority.members,
+        results: results.map(({ strategy, characters, error }) => ({
+          strategy,
+          characterCount: characters.length,
+          error,
+        })),
+        disagreements,
+        disagreementRatio: disagreements.length / results.length,
+        unanimous: disagreements.length === 0,
+      };
+
+      this._logConsensus(report);
+
+      if (
+        this.maxDisagreement !== null &&
+        report.disagreementRatio > this.maxDisagreement
+      ) {
+        throw new Error(
+          `Strategies disagree: ${disagreements.length}/${results.length} ` +
+            `diverged from the majority (threshold ${this.maxDisagreement})`
+        );
+      }
+
+      this._emitCharacters(report.matches);
+      return report;
+    } catch (error) {
+      this.logger.error("Consensus parsing failed", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Builds the error for a page nothing could be extracted from, attaching a
+   * near-miss report (error.nearMiss) when an analyzer is configured
+   * @private
+   * @param {string} html - HTML content
+   * @param {string} message - Base error message
+   * @returns {Error} Error to throw
+   */
+  _noMatchError(html, message) {
+    if (!this.nearMissAnalyzer) {
+      return new Error(message);
+    }
+
+    let nearMiss;
+    try {
+      nearMiss = this.nearMissAnalyzer.analyze(html);
+    } catch (analysisError) {
+      this.logger.debug(`Near-miss analysis failed: ${analysisError.message}`);
+      return new Error(message);
+    }
+
+    this.logger.warn(`Pattern diagnostics: ${nearMiss.summary}`);
+    nearMiss.candidates.forEach((candidate) => {
+      this.logger.warn(
+        `  Closest candidate at ${candidate.line}:${candidate.column}: ` +
+          `<${candidate.tag}> ${JSON.stringify(candidate.attributes)}`
+      );
+    });
+
+    const error = new Error(
+      `${message}. Pattern diagnostics: ${nearMiss.summary}`
+    );
+    error.nearMiss = nearMiss;
+    return error;
+  }
+
+  /**
+   * Reports each character of a result through the progress hook
+   * @private
+   * @param {Array<Object>} matches - [{ value, strategy, path, line, column }]
+   */
+  _emitCharacters(matches) {
+    matches.forEach((match, index) =>
+      this.onEvent("character", { index, ...match })
+    );
+  }
+
+  /**
+   * Runs a strategy, preferring rich matches when it can provide them
+   * @private
+   * @param {ExtractionStrategy} strategy - Strategy to run
+   * @param {string} html - HTML content to parse
+   * @returns {Promise<Array<Object>>} [{ value, strategy, path, line, column }]
+   */
+  async _extractMatches(strategy, html) {
+    if (typeof strategy.extractMatches === "function") {
+      return (await strategy.extractMatches(html)) || [];
+    }
+
+    const characters = (await strategy.extract(html)) || [];
+    return characters.map((value) => ({
+      value,
+      strategy: strategy.getName(),
+      path: null,
+      line: null,
+      column: null,
+    }));
+  }
+
+  /**
+   * Groups identical non-empty results and picks the largest group
+   * Ties go to the group containing the earliest registered strategy
+   * @private
+   * @param {Array<Object>} results - Per-strategy results
+   * @returns {Object|null} { characters, members } or null if all are empty
+   */
+  _findMajority(results) {
+    const groups = new Map();
+
+    results.forEach((result) => {
+      if (result.characters.length === 0) {
+        return;
+      }
+      const key = JSON.stringify(result.characters);
+      if (!groups.has(key)) {
+        groups.set(key, { characters: result.characters, members: [] });
+      }
+      groups.get(key).members.push(result.strategy);
+    });
+
+    let majority = null;
+    for (const group of groups.values()) {
+      if (!majority || group.members.length > majority.members.length) {
+        majority = group;
+      }
+    }
+    return majority;
+  }
+
+  /**
+   * Compares one strategy's output with the majority position by position
+   * @private
+   * @param {Object} result - Dissenting strategy result
+   * @param {Array<string>} expected - Majority characters
+   * @returns {Object} Structured diff
+   */
+  _diff(result, expected) {
+    const actual = result.characters;
+    const mismatches = [];
+    const length = Math.max(actual.length, expected.length);
+
+    for (let index = 0; index < length; index++) {
+      if (actual[index] !== expected[index]) {
+        mismatches.push({
+          index,
+          expected: index < expected.length ? expected[index] : null,
+          actual: index < actual.length ? actual[index] : null,
+        });
+      }
+    }
+
+    return {
+      strategy: result.strategy,
+      error: result.error,
+      characterCount: actual.length,
+      expectedCount: expected.length,
+      firstMismatch: mismatches.length > 0 ? mismatches[0].index : null,
+      mismatches,
+    };
+  }
+
+  /**
+   * Logs a summary of a consensus report
+   * @private
+   * @param {Object} report - Consensus report
+   */
+  _logConsensus(report) {
+    if (report.unanimous) {
+      this.logger.success(
+        `All ${report.results.length} strategies agree on ` +
+          `${report.characters.length} characters`
+      );
+      return;
+    }
+
+    this.logger.success(
+      `Majority result (${report.characters.length} characters) from ` +
+        report.agreedBy.join(", ")
+    );
+    report.disagreements.forEach((diff) => {
+      const reason = diff.error
+        ? `error: ${diff.error}`
+        : `${diff.mismatches.length} mismatched positions, ` +
+          `first at index ${diff.firstMismatch}`;
+      this.logger.warn(
+        `${diff.strategy} diverged (${diff.characterCount}/` +
+          `${diff.expectedCount} characters, ${reason})`
+      );
+      this.logger.debug(`${diff.strategy} mismatches`, diff.mismatches);
+    });
+  }
+
   /**
    * Adds a new extraction strategy
    * @param {ExtractionStrategy} strategy - Strategy to add
@@ -0,0 +1,331 @@
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const Logger = require("../utils/Logger");
+const { HTTP_CACHE } = require("../config/constants");
+
+// Entry files are named by the SHA-256 of their key; clear() touches nothing else
+const ENTRY_FILE = /^[0-9a-f]{64}\.json$/;
+
+// Headers a 304 must not overwrite on the stored response
+const BODY_HEADERS = [
+  "content-encoding",
+  "content-length",
+  "transfer-encoding",
+];
+
+/**
+ * On-disk cache of successful GET responses (a private cache per RFC 9111)
+ * Entries are keyed by URL plus the request headers in HTTP_CACHE.KEY_HEADERS
+ * and any the response names in Vary. Freshness comes from Cache-Control
+ * max-age, else Expires, else a heuristic based on Last-Modified; stale
+ * entries with an ETag or Last-Modified are revalidated with a conditional
+ * request. Responses marked no-store or Vary: * are never stored
+ * @class HttpCache
+ */
+class HttpCache {
+  /**
+   * Creates an HttpCache instance
+   * @param {string} directory - Directory holding one JSON file per entry
+   * @param {Object} [options] - Cache options
+   * @param {boolean} [options.refresh] - Ignore stored entries but still store
+   *   new responses
+   * @param {Logger} [options.logger] - Logger instance
+   * @param {Function} [options.now] - Clock returning ms since epoch
+   */
+  constructor(directory, options = {}) {
+    this.directory = path.resolve(directory);
+    this.refresh = Boolean(options.refresh);
+    this.logger = options.logger || new Logger();
+    this.now = options.now || Date.now;
+  }
+
+  /**
+   * Finds the stored response for a request
+   * @param {string} url - Request URL
+   * @param {Object} headers - Lower-cased request headers
+   * @returns {Object|null} { entry, fresh, age } (age in seconds), or null if
+   *   nothing usable is stored or the cache is refreshing
+   */
+  lookup(url, headers) {
+    if (this.refresh) {
+      return null;
+    }
+
+    const entry = this._read(this._file(url, headers));
+    if (!entry || entry.url !== url) {
+      return null;
+    }
+
+    const varies = Object.entries(entry.vary).some(
+      ([name, value]) => (headers[name] || null) !== value
+    );
+    if (varies) {
+      this.logger.debug(`Cached ${url} varies on a header that differs`);
+      return null;
+    }
+
+    const age = this._currentAge(entry);
+    const fresh = age < entry.lifetime;
+    if (!fresh && !entry.etag && !entry.lastModified) {
+      this.logger.debug(`Cached ${url} is stale and cannot be revalidated`);
+      return null;
+    }
+
+    return { entry, fresh, age };
+  }
+
+  /**
+   * Builds the headers that make a request conditional on a stored entry
+   * @param {Object} entry - Stored entry
+   * @returns {Object} If-None-Match / If-Modified-Since headers
+   */
+  conditionalHeaders(entry) {
+    const headers = {};
+    if (entry.etag) {
+      headers["if-none-match"] = entry.etag;
+    }
+    if (entry.lastModified) {
+      headers["if-modified-since"] = entry.lastModified;
+    }
+    return headers;
+  }
+
+  /**
+   * Stores a response if its headers allow it
+   * @param {string} url - Request URL
+   * @param {Object} headers - Lower-cased request headers
+   * @param {Object} response - { url, status, headers, body, redirects }
+   * @returns {Object|null} Stored entry, or null if the response is not storable
+   */
+  store(url, headers, response) {
+    const directives = this._directives(response.headers["cache-control"]);
+    const vary = this._varyNames(response.headers.vary);
+
+    if ("no-store" in directives || vary.includes("*")) {
+      this.logger.debug(`Not caching ${url}: no-store or Vary: *`);
+      return null;
+    }
+
+    const entry = {
+      version: HTTP_CACHE.VERSION,
+      url,
+      vary: Object.fromEntries(
+        vary.map((name) => [name, headers[name] || null])
+      ),
+      response: {
+        url: response.url,
+        status: response.status,
+        headers: response.headers,
+        body: response.body,
+        redirects: response.redirects,
+      },
+    };
+    this._stamp(entry, response.headers);
+
+    if (entry.lifetime <= 0 && !entry.etag && !entry.lastModified) {
+      this.logger.debug(`Not caching ${url}: no freshness or validators`);
+      return null;
+    }
+
+    this._write(this._file(url, headers), entry);
+    this.logger.debug(
+      `Cached ${url} (fresh for ${Math.max(0, entry.lifetime)}s)`
+    );
+    return entry;
+  }
+
+  /**
+   * Refreshes a stored entry after a 304 Not Modified response
+   * @param {string} url - Request URL
+   * @param {Object} headers - Lower-cased request headers
+   * @param {Object} entry - Stored entry that was revalidated
+   * @param {Object} notModifiedHeaders - Headers of the 304 response
+   * @returns {Object} Updated entry
+   */
+  revalidate(url, headers, entry, notModifiedHeaders) {
+    const updated = { ...notModifiedHeaders };
+    BODY_HEADERS.forEach((name) => delete updated[name]);
+
+    entry.response.headers = { ...entry.response.headers, ...updated };
+    this._stamp(entry, entry.response.headers);
+    this._write(this._file(url, headers), entry);
+    return entry;
+  }
+
+  /**
+   * Deletes every stored entry
+   * @returns {number} Entries removed
+   */
+  clear() {
+    if (!fs.existsSync(this.directory)) {
+      return 0;
+    }
+
+    const files = fs
+      .readdirSync(this.directory)
+      .filter((name) => ENTRY_FILE.test(name));
+    files.forEach((name) => fs.unlinkSync(path.join(this.directory, name)));
+    this.logger.debug(`Removed ${files.length} entries from ${this.directory}`);
+    return files.length;
+  }
+
+  /**
+   * Records the time, age, lifetime and validators of a response on an entry
+   * @private
+   * @param {Object} entry - Entry to update
+   * @param {Object} headers - Response headers
+   */
+  _stamp(entry, headers) {
+    const now = this.now();
+    const date = Date.parse(headers.date);
+    const dateValue = Number.isNaN(date) ? now : date;
+    const ageValue = Number(headers.age) || 0;
+
+    entry.storedAt = new Date(now).toISOString();
+    entry.responseTime = now;
+    entry.initialAge = Math.max(
+      ageValue,
+      Math.max(0, Math.round((now - dateValue) / 1000))
+    );
+    entry.lifetime = this._lifetime(headers, dateValue);
+    entry.etag = headers.etag || null;
+    entry.lastModified = headers["last-modified"] || null;
+  }
+
+  /**
+   * Computes how long a response stays fresh (RFC 9111 section 4.2.1)
+   * @private
+   * @param {Object} headers - Response headers
+   * @param {number} dateValue - Response Date (ms since epoch)
+   * @returns {number} Freshness lifetime in seconds (0 = always revalidate)
+   */
+  _lifetime(headers, dateValue) {
+    const directives = this._directives(headers["cache-control"]);
+
+    if ("no-cache" in directives) {
+      return 0;
+    }
+    if (/^\d+$/.test(directives["max-age"] || "")) {
+      return Number(directives["max-age"]);
+    }
+    if (headers.expires !== undefined) {
+      // An invalid Expires (e.g. "0") means already expired
+      const expires = Date.parse(headers.expires);
+      return Number.isNaN(expires)
+        ? 0
+        : Math.round((expires - dateValue) / 1000);
+    }
+
+    const lastModified = Date.parse(headers["last-modified"]);
+    if (!Number.isNaN(lastModified) && lastModified < dateValue) {
+      return Math.min(
+        Math.round(
+          ((dateValue - lastModified) / 1000) * HTTP_CACHE.HEURISTIC_FRACTION
+        ),
+        HTTP_CACHE.MAX_HEURISTIC_LIFETIME
+      );
+    }
+    return 0;
+  }
+
+  /**
+   * Computes an entry's current age (RFC 9111 section 4.2.3)
+   * @private
+   * @param {Object} entry - Stored entry
+   * @returns {number} Age in seconds
+   */
+  _currentAge(entry) {
+    return (
+      entry.initialAge +
+      Math.max(0, Math.floor((this.now() - entry.responseTime) / 1000))
+    );
+  }
+
+  /**
+   * Parses a Cache-Control header
+   * @private
+   * @param {string} [header] - Header value
+   * @returns {Object} Directive name (lower-case) → value, or "" if it has none
+   */
+  _directives(header) {
+    const directives = {};
+    String(header || "")
+      .split(",")
+      .forEach((part) => {
+        const [name, ...value] = part.split("=");
+        if (name.trim()) {
+          directives[name.trim().toLowerCase()] = value
+            .join("=")
+            .trim()
+            .replace(/^"|"$/g, "");
+        }
+      });
+    return directives;
+  }
+
+  /**
+   * Lists the request headers a response varies on
+   * @private
+   * @param {string} [header] - Vary header value
+   * @returns {Array<string>} Lower-cased names
+   */
+  _varyNames(header) {
+    return String(header || "")
+      .split(",")
+      .map((name) => name.trim().toLowerCase())
+      .filter(Boolean);
+  }
+
+  /**
+   * Gets the entry file for a request
+   * @private
+   * @param {string} url - Request URL
+   * @param {Object} headers - Lower-cased request headers
+   * @returns {string} Absolute path
+   */
+  _file(url, headers) {
+    const key = JSON.stringify([
+      url,
+      ...HTTP_CACHE.KEY_HEADERS.map((name) => headers[name] || null),
+    ]);
+    const hash = crypto.createHash("sha256").update(key).digest("hex");
+    return path.join(this.directory, `${hash}.json`);
+  }
+
+  /**
+   * Reads an entry file
+   * Unreadable or outdated entries are treated as missing
+   * @private
+   * @param {string} filePath - Entry file
+   * @returns {Object|null} Entry, or null
+   */
+  _read(filePath) {
+    if (!fs.existsSync(filePath)) {
+      return null;
+    }
+
+    try {
+      const entry = JSON.parse(fs.readFileSync(filePath, "utf8"));
+      return entry.version === HTTP_CACHE.VERSION ? entry : null;
+    } catch (error) {
+      this.logger.warn(`Ignoring unreadable cache entry ${filePath}`);
+      return null;
+    }
+  }
+
+  /**
+   * Writes an entry file atomically, so parallel runs never see half of one
+   * @private
+   * @param {string} filePath - Entry file
+   * @param {Object} entry - Entry
+   */
+  _write(filePath, entry) {
+    fs.mkdirSync(this.directory, { recursive: true });
+    const temporary = `${filePath}.${process.pid}.tmp`;
+    fs.writeFileSync(temporary, JSON.stringify(entry) + "\n");
+    fs.renameSync(temporary, filePath);
+  }
+}
+
+module.exports = HttpCache;
@@ -1,8 +1,29 @@
+const http = require("http");
 const https = require("https");
+const zlib = require("zlib");
+const { Readable, Transform } = require("stream");
 const Logger = require("../utils/Logger");
 const Validator = require("../utils/Validator");
+const RetryPolicy = require("./RetryPolicy");
+const ProxyResolver = require("./ProxyResolver");
+const TunnelAgent = require("./TunnelAgent");
+const CookieJar = require("./CookieJar");
+const RobotsPolicy = require("./RobotsPolicy");
+const CassetteMissError = require("../errors/CassetteMissError");
+const PolicyError = require("../errors/PolicyError");
+const FetchError = require("../errors/FetchError");
+const HttpError = require("../errors/HttpError");
 const { HTTP } = require("../config/constants");
 
+// Statuses that carry a Location to follow
+const REDIRECT_STATUSES = [301, 302, 303, 307, 308];
+
+// Encodings _decode() can undo
+const ACCEPT_ENCODING = "gzip, deflate, br";
+
+// Headers never forwarded to a different origin on redirect
+const CREDENTIAL_HEADERS = ["authorization", "cookie", "proxy-authorization"];
+
 /**
  * HTTP Client for making requests
  * Follows Single Responsibility Principle - only handles HTTP requests
@@ -12,102 +33,795 @@ class HttpClient {
   /**
    * Creates an HttpClient instance
    * @param {Logger} logger - Logger instance for logging
+   * @param {Object} [options] - Client options
+   * @param {Cassette} [options.cassette] - Record or replay HTTP interactions
+   * @param {RetryPolicy} [options.retryPolicy] - Decides whether and when to retry
+   * @param {Object} [options.headers] - Default headers for every request
+   * @param {string} [options.userAgent] - User-Agent header value
+   * @param {Object} [options.cookies] - Cookies sent with every request (name → value)
+   * @param {string} [options.proxy] - Proxy URL (defaults to HTTPS_PROXY/HTTP_PROXY)
+   * @param {string} [options.noProxy] - Hosts that bypass the proxy (defaults to NO_PROXY)
+   * @param {CookieJar} [options.cookieJar] - Stores Set-Cookie responses across
+   *   requests (defaults to an in-memory jar)
+   * @param {number} [options.timeout] - Socket timeout per request (ms)
+   * @param {HttpCache} [options.cache] - Serves and stores fetchResponse() bodies
+   * @param {boolean} [options.robots] - Obey each origin's robots.txt for this
+   *   client's User-Agent
+   * @param {RateLimiter} [options.rateLimiter] - Per-host rate and global
+   *   concurrency limits shared by every request
+   * @param {Function} [options.onEvent] - Progress hook called with (name,
+   *   payload) for "fetch:start" and "fetch:retry"
    */
-  constructor(logger = new Logger()) {
+  constructor(logger = new Logger(), options = {}) {
     this.logger = logger;
-    this.timeout = HTTP.TIMEOUT;
-    this.maxRetries = HTTP.MAX_RETRIES;
-    this.retryDelay = HTTP.RETRY_DELAY;
+    this.cassette = options.cassette || null;
+    this.retryPolicy = options.retryPolicy || new RetryPolicy();
+    this.headers = options.headers || {};
+    this.userAgent = options.userAgent || HTTP.USER_AGENT;
+    this.cookies = options.cookies || {};
+    this.cookieJar = options.cookieJar || new CookieJar({ logger });
+    this.proxyResolver = new ProxyResolver({
+      proxy: options.proxy,
+      noProxy: options.noProxy,
+    });
+    this.tunnelAgents = new Map();
+    this.timeout = options.timeout || HTTP.TIMEOUT;
+    this.cache = options.cache || null;
+    this.robotsPolicy = options.robots
+      ? new RobotsPolicy((url) => this._fetchRobots(url), {
+          userAgent: this.userAgent,
+          logger,
+        })
+      : null;
+    this.rateLimiter = options.rateLimiter || null;
+    this.onEvent = options.onEvent || (() => {});
+    this.maxRedirects = HTTP.MAX_REDIRECTS;
   }
 
   /**
    * Fetches content from a URL with retry logic
    * @param {string} url - URL to fetch
-   * @param {number} [retryCount=0] - Current retry attempt
+   * @param {Object} [options] - Request options
+   * @param {Object} [options.headers] - Headers overriding the defaults
+   * @param {AbortSignal} [options.signal] - Aborts the request and any retries
    * @returns {Promise<string>} HTML content
-   * @throws {Error} If fetch fails after all retries
+   * @throws {FetchError} If the fetch fails fatally or retries are exhausted
    */
-  async fetch(url, retryCount = 0) {
-    try {
+  async fetch(url, options = {}) {
+    const response = await this.fetchResponse(url, options);
+    return response.body;
+  }
+
+  /**
+   * Fetches a URL with retry logic and returns the body with response metadata
+   * @param {string} url - URL to fetch
+   * @param {Object} [options] - Request options
+   * @param {Object} [options.headers] - Headers overriding the defaults
+   * @param {AbortSignal} [options.signal] - Aborts the request and any retries;
+   *   the fetch then rejects with the signal's reason
+   * @returns {Promise<Object>} { url, status, headers, body, redirects,
+   *   attempts, cache } where url is the final URL after redirects, redirects
+   *   is the hop chain, attempts records the outcome of every try (empty on a
+   *   cache hit) and cache is { status, storedAt, age } ("hit", "revalidated",
+   *   "miss" or "refresh"), or null without a cache
+   * @throws {FetchError} If the fetch fails fatally or retries are exhausted
+   */
+  async fetchResponse(url, options = {}) {
+    const headers = this._buildHeaders(options.headers);
+    // Entries are keyed on what is actually sent, jar cookies included
+    const sentHeaders = this.cache ? this._withJarCookies(url, headers) : null;
+    const cached = this.cache ? this.cache.lookup(url, sentHeaders) : null;
+
+    if (cached && cached.fresh) {
+      this.logger.info(`💾 Cache hit: ${url} (age ${cached.age}s)`);
+      this._replayCookies(cached.entry.response);
+      return {
+        ...cached.entry.response,
+        attempts: [],
+        cache: this._cacheInfo("hit", cached.entry, cached.age),
+      };
+    }
+
+    const requestHeaders = cached
+      ? { ...headers, ...this.cache.conditionalHeaders(cached.entry) }
+      : headers;
+
+    const signal = options.signal || null;
+    return this._withRetries(url, "Fetch", signal, async () => {
       Validator.validateUrl(url);
+
+      const response = await this._makeRequest(url, requestHeaders, {
+        signal,
+      });
+
+      if (cached && response.status === 304) {
+        const entry = this.cache.revalidate(
+          url,
+          sentHeaders,
+          cached.entry,
+          response.headers
+        );
+        this.logger.info(`💾 Cache revalidated: ${url} (HTTP 304)`);
+        return {
+          ...entry.response,
+          cache: this._cacheInfo("revalidated", entry, 0),
+        };
+      }
+
+      Validator.validateHtml(response.body);
+      this.logger.success(
+        `Successfully fetched ${response.body.length} characters`
+      );
+
+      response.cache = null;
+      if (this.cache) {
+        const entry = this.cache.store(url, sentHeaders, response);
+        response.cache = this._cacheInfo(
+          this.cache.refresh ? "refresh" : "miss",
+          entry,
+          entry ? 0 : null
+        );
+      }
+      return response;
+    });
+  }
+
+  /**
+   * Opens a streaming GET request with the same retry logic as fetch()
+   * Retries cover establishing the response only; once the stream is handed
+   * back, errors surface on the stream itself
+   * @param {string} url - URL to fetch
+   * @param {Object} [options] - Request options
+   * @param {Object} [options.headers] - Headers overriding the defaults
+   * @param {AbortSignal} [options.signal] - Aborts the request (and the stream
+   *   once handed back) and any retries
+   * @returns {Promise<Readable>} Response stream (utf8, decompressed) carrying
+   *   statusCode, headers, url (final), redirects and attempts
+   * @throws {FetchError} If the request fails fatally or retries are exhausted
+   */
+  async fetchStream(url, options = {}) {
+    const headers = this._buildHeaders(options.headers);
+
+    const signal = options.signal || null;
+    return this._withRetries(url, "Stream", signal, async () => {
+      Validator.validateUrl(url);
+
+      const response = await this._openStream(url, headers, { signal });
+      this.logger.success(
+        `Response stream opened (HTTP ${response.statusCode})`
+      );
+      return response;
+    });
+  }
+
+  /**
+   * Applies the cookies a cached response set, as if it had been fetched
+   * @private
+   * @param {Object} response - Stored response ({ url, headers })
+   */
+  _replayCookies(response) {
+    const setCookie = response.headers && response.headers["set-cookie"];
+    if (setCookie) {
+      this.cookieJar.setCookies(setCookie, response.url);
+    }
+  }
+
+  /**
+   * Describes how the cache took part in a fetch
+   * @private
+   * @param {string} status - "hit", "revalidated", "miss" or "refresh"
+   * @param {Object|null} entry - Stored entry, or null if nothing was stored
+   * @param {number|null} age - Entry age in seconds
+   * @returns {Object} { status, storedAt, age }
+   */
+  _cacheInfo(status, entry, age) {
+    return { status, storedAt: entry ? entry.storedAt : null, age };
+  }
+
+  /**
+   * Runs an operation until it succeeds or the retry policy gives up
+   * @private
+   * @param {string} url - URL being requested (for logs and errors)
+   * @param {string} label - "Fetch" or "Stream"
+   * @param {AbortSignal|null} signal - Stops further attempts and delays
+   * @param {Function} operation - Async attempt returning an object
+   * @returns {Promise<Object>} Operation result with an `attempts` array:
+   *   [{ attempt, startedAt, durationMs, outcome, error, status, delayMs }]
+   * @throws {FetchError} If the policy stops retrying
+   * @throws {CassetteMissError} Immediately, if replay has no match
+   * @throws {PolicyError} Immediately, if crawl policy refuses a request
+   * @throws {*} The signal's reason, once it is aborted
+   */
+  async _withRetries(url, label, signal, operation) {
+    const attempts = [];
+    const maxAttempts = this.retryPolicy.maxAttempts;
+
+    for (let attempt = 1; ; attempt++) {
+      this._checkAborted(signal);
+      const startedAt = Date.now();
       this.logger.info(
-        `Fetching URL: ${url} (Attempt ${retryCount + 1}/${this.maxRetries})`
+        `${label}ing URL: ${url} (Attempt ${attempt}/${maxAttempts})`
       );
+      this.onEvent("fetch:start", { url, attempt, maxAttempts });
 
-      const html = await this._makeRequest(url);
-      Validator.validateHtml(html);
+      try {
+        const result = await this._limited(operation);
+        attempts.push({
+          attempt,
+          startedAt: new Date(startedAt).toISOString(),
+          durationMs: Date.now() - startedAt,
+          outcome: "success",
+          error: null,
+          status: result.status || result.statusCode || null,
+          delayMs: null,
+        });
+        result.attempts = attempts;
+        return result;
+      } catch (error) {
+        this._checkAborted(signal);
+        this.logger.error(`${label} attempt ${attempt} failed`, error);
+
+        if (
+          error instanceof CassetteMissError ||
+          error instanceof PolicyError
+        ) {
+          throw error;
+        }
 
-      this.logger.success(`Successfully fetched ${html.length} characters`);
-      return html;
+        const retry = this.retryPolicy.shouldRetry(error, attempt);
+        const delayMs = retry
+          ? this.retryPolicy.getDelay(error, attempt)
+          : null;
+        attempts.push({
+          attempt,
+          startedAt: new Date(startedAt).toISOString(),
+          durationMs: Date.now() - startedAt,
+          outcome: retry ? "retried" : "failed",
+          error: error.message,
+          status: error.status || null,
+          delayMs,
+        });
+
+        if (!retry) {
+          throw new FetchError(
+            `Failed to ${label.toLowerCase()} URL after ${attempt} ` +
+              `attempt(s): ${error.message}`,
+            url,
+            attempts,
+            error
+          );
+        }
+
+        this.logger.info(`Retrying in ${delayMs}ms...`);
+        this.onEvent("fetch:retry", {
+          url,
+          attempt,
+          delayMs,
+          error: error.message,
+          status: error.status || null,
+        });
+        await this._delay(delayMs, signal);
+      }
+    }
+  }
+
+  /**
+   * Runs one attempt inside a request slot of the rate limiter
+   * @private
+   * @param {Function} operation - Async attempt
+   * @returns {Promise<Object>} Attempt result
+   */
+  async _limited(operation) {
+    if (!this.rateLimiter) {
+      return operation();
+    }
+
+    const release = await this.rateLimiter.acquire();
+    let result;
+    try {
+      result = await operation();
     } catch (error) {
-      this.logger.error(`Fetch attempt ${retryCount + 1} failed`, error);
+      release();
+      throw error;
+    }
+
+    // A stream keeps its slot until it has been read or destroyed
+    if (typeof result.once === "function") {
+      result.once("close", release);
+    } else {
+      release();
+    }
+    return result;
+  }
 
-      if (retryCount < this.maxRetries - 1) {
-        this.logger.info(`Retrying in ${this.retryDelay}ms...`);
-        await this._delay(this.retryDelay);
-        return this.fetch(url, retryCount + 1);
+  /**
+   * Checks crawl policy and waits for the rate limit before a request hop
+   * @private
+   * @param {string} url - URL about to be requested
+   * @param {boolean} [checkRobots=true] - false for the hops of a robots.txt
+   *   fetch, which must not wait on the rules they are fetching
+   * @returns {Promise<void>}
+   * @throws {PolicyError} If robots.txt refuses the URL
+   */
+  async _applyPolicy(url, checkRobots = true) {
+    if (this.robotsPolicy && checkRobots) {
+      await this.robotsPolicy.check(url);
+    }
+    // Replayed traffic never reaches a server, so it is not paced
+    if (this.rateLimiter && !(this.cassette && this.cassette.isReplaying())) {
+      await this.rateLimiter.take(url);
+    }
+  }
+
+  /**
+   * Fetches a robots.txt file for the robots policy
+   * @private
+   * @param {string} url - robots.txt URL
+   * @returns {Promise<Object>} { status, body }; HTTP errors become statuses
+   * @throws {Error} If the request fails without a response (code EREDIRECT
+   *   if its redirects could not be followed)
+   */
+  async _fetchRobots(url) {
+    try {
+      const response = await this._makeRequest(url, this._buildHeaders(), {
+        checkRobots: false,
+      });
+      return { status: response.status, body: response.body };
+    } catch (error) {
+      if (error instanceof HttpError) {
+        return { status: error.status, body: "" };
       }
+      throw error;
+    }
+  }
+
+  /**
+   * Makes an HTTP GET request and buffers the body
+   * @private
+   * @param {string} url - URL to request
+   * @param {Object} headers - Request headers
+   * @param {Object} [options] - _openStream() options
+   * @returns {Promise<Object>} { url, status, headers, body, redirects }
+   */
+  async _makeRequest(url, headers, options) {
+    const response = await this._openStream(url, headers, options);
+
+    return new Promise((resolve, reject) => {
+      let data = "";
+
+      // Collect data chunks
+      response.on("data", (chunk) => {
+        data += chunk;
+      });
 
-      throw new Error(
-        `Failed to fetch URL after ${this.maxRetries} attempts: ${error.message}`
+      // Resolve when complete
+      response.on("end", () =>
+        resolve({
+          url: response.url,
+          status: response.statusCode,
+          headers: response.headers,
+          body: data,
+          redirects: response.redirects,
+        })
       );
+      response.on("error", reject);
+    });
+  }
+
+  /**
+   * Follows redirects until a 200 response stream is reached
+   * A 304 is handed back too when the request is conditional
+   * @private
+   * @param {string} url - URL to request
+   * @param {Object} headers - Request headers
+   * @param {Object} [options] - Stream options
+   * @param {boolean} [options.checkRobots=true] - Check robots.txt on each hop
+   * @param {AbortSignal|null} [options.signal] - Aborts the request
+   * @returns {Promise<Readable>} Response stream with utf8 encoding, plus
+   *   url (final URL) and redirects ([{ url, status, location }])
+   * @throws {HttpError} On a non-200 status
+   * @throws {Error} With code EREDIRECT on too many redirects or a loop
+   */
+  async _openStream(url, headers, options = {}) {
+    const conditional =
+      "if-none-match" in headers || "if-modified-since" in headers;
+    const redirects = [];
+    const visited = new Set([url]);
+    let currentUrl = url;
+    let currentHeaders = headers;
+
+    for (;;) {
+      await this._applyPolicy(currentUrl, options.checkRobots !== false);
+      this._checkAborted(options.signal);
+      const response = await this._send(
+        currentUrl,
+        this._withJarCookies(currentUrl, currentHeaders),
+        options.signal
+      );
+      if (response.headers && response.headers["set-cookie"]) {
+        this.cookieJar.setCookies(response.headers["set-cookie"], currentUrl);
+      }
+      const location = response.headers && response.headers.location;
+
+      if (!REDIRECT_STATUSES.includes(response.statusCode) || !location) {
+        const notModified = conditional && response.statusCode === 304;
+        if (response.statusCode !== 200 && !notModified) {
+          // Discard the body so the socket is released
+          response.resume();
+          throw new HttpError(
+            response.statusCode,
+            response.statusMessage,
+            currentUrl,
+            response.headers
+          );
+        }
+
+        response.url = currentUrl;
+        response.redirects = redirects;
+        return response;
+      }
+
+      response.resume();
+      const nextUrl = new URL(location, currentUrl).toString();
+      redirects.push({
+        url: currentUrl,
+        status: response.statusCode,
+        location: nextUrl,
+      });
+
+      if (redirects.length > this.maxRedirects) {
+        throw this._redirectError(
+          `Too many redirects (more than ${this.maxRedirects}) from ${url}`
+        );
+      }
+      if (visited.has(nextUrl)) {
+        throw this._redirectError(`Redirect loop detected at ${nextUrl}`);
+      }
+
+      this.logger.info(
+        `↪️  HTTP ${response.statusCode} redirect to ${nextUrl}`
+      );
+      if (new URL(nextUrl).origin !== new URL(currentUrl).origin) {
+        currentHeaders = this._withoutCredentials(currentHeaders);
+      }
+      visited.add(nextUrl);
+      currentUrl = nextUrl;
     }
   }
 
   /**
-   * Makes an HTTP GET request
+   * Builds the error for redirects that cannot be followed
+   * @private
+   * @param {string} message - Error message
+   * @returns {Error} Error with code EREDIRECT
+   */
+  _redirectError(message) {
+    const error = new Error(message);
+    error.code = "EREDIRECT";
+    return error;
+  }
+
+  /**
+   * Performs a single request hop against the network or the cassette
    * @private
    * @param {string} url - URL to request
-   * @returns {Promise<string>} Response body
+   * @param {Object} headers - Request headers
+   * @param {AbortSignal|null} [signal] - Aborts a live request
+   * @returns {Promise<Readable>} Response stream of any status
    */
-  _makeRequest(url) {
-    return new Promise((resolve, reject) => {
-      const request = https.get(url, (response) => {
-        let data = "";
+  _send(url, headers, signal = null) {
+    if (this.cassette && this.cassette.isReplaying()) {
+      return this._replay(url, headers);
+    }
+    return this._request(url, headers, signal);
+  }
 
-        // Set encoding
-        response.setEncoding("utf8");
+  /**
+   * Serves a recorded response
+   * @private
+   * @param {string} url - URL to request
+   * @param {Object} headers - Request headers
+   * @returns {Promise<Readable>} Response stream carrying statusCode and headers
+   * @throws {CassetteMissError} If the cassette has no matching interaction
+   */
+  async _replay(url, headers) {
+    const { response } = this.cassette.match("GET", url, headers);
 
-        // Collect data chunks
-        response.on("data", (chunk) => {
-          data += chunk;
-        });
+    const stream = Readable.from([response.body]);
+    stream.statusCode = response.status;
+    stream.statusMessage = response.statusMessage;
+    stream.headers = response.headers;
+    return stream;
+  }
 
-        // Resolve when complete
-        response.on("end", () => {
-          if (response.statusCode !== 200) {
-            reject(
-              new Error(
-                `HTTP ${response.statusCode}: ${response.statusMessage}`
-              )
-            );
-          } else {
-            resolve(data);
-          }
+  /**
+   * Wraps a live response so its body is recorded once fully consumed
+   * @private
+   * @param {string} url - Requested URL
+   * @param {Object} headers - Request headers sent
+   * @param {Readable} response - Decoded live response (utf8); the body is
+   *   stored decompressed
+   * @param {number} startedAt - Request start time (ms since epoch)
+   * @returns {Readable} Pass-through stream carrying statusCode and headers
+   */
+  _recordResponse(url, headers, response, startedAt) {
+    const cassette = this.cassette;
+    let body = "";
+
+    const recorder = new Transform({
+      decodeStrings: false,
+      encoding: "utf8",
+      transform(chunk, encoding, callback) {
+        body += chunk;
+        callback(null, chunk);
+      },
+      flush(callback) {
+        cassette.record({
+          request: { method: "GET", url, headers },
+          response: {
+            status: response.statusCode,
+            statusMessage: response.statusMessage,
+            headers: response.headers,
+            body,
+          },
+          timing: {
+            startedAt: new Date(startedAt).toISOString(),
+            durationMs: Date.now() - startedAt,
+          },
         });
-      });
+        callback();
+      },
+    });
 
-      // Set timeout
-      request.setTimeout(this.timeout, () => {
-        request.destroy();
-        reject(new Error("Request timeout"));
-      });
+    response.on("error", (error) => recorder.destroy(error));
+    response.pipe(recorder);
+
+    recorder.statusCode = response.statusCode;
+    recorder.statusMessage = response.statusMessage;
+    recorder.headers = response.headers;
+    return recorder;
+  }
+
+  /**
+   * Makes a single HTTP(S) GET request without following redirects
+   * @private
+   * @param {string} url - URL to request
+   * @param {Object} headers - Request headers
+   * @param {AbortSignal|null} [signal] - Destroys the request (and its
+   *   response stream) when aborted
+   * @returns {Promise<Readable>} Decompressed utf8 response stream
+   * @throws {Error} If the protocol is unsupported or the request fails
+   */
+  _request(url, headers, signal = null) {
+    const startedAt = Date.now();
+    const target = new URL(url);
+
+    if (target.protocol !== "http:" && target.protocol !== "https:") {
+      return Promise.reject(
+        new Error(`Unsupported protocol: ${target.protocol}`)
+      );
+    }
+
+    let proxy;
+    try {
+      proxy = this.proxyResolver.resolve(url);
+    } catch (error) {
+      return Promise.reject(error);
+    }
+
+    return new Promise((resolve, reject) => {
+      const onResponse = (response) => {
+        const body = this._decode(response);
+
+        if (this.cassette && this.cassette.isRecording()) {
+          resolve(this._recordResponse(url, headers, body, startedAt));
+        } else {
+          resolve(body);
+        }
+      };
+      const requestOptions = signal ? { headers, signal } : { headers };
+
+      let request;
+      if (!proxy) {
+        const transport = target.protocol === "http:" ? http : https;
+        request = transport.get(url, requestOptions, onResponse);
+      } else if (target.protocol === "https:") {
+        // Tunnel TLS through the proxy with CONNECT
+        this.logger.debug(`Tunneling ${url} through proxy ${proxy.host}`);
+        request = https.get(
+          url,
+          { ...requestOptions, agent: this._tunnelAgent(proxy) },
+          onResponse
+        );
+      } else {
+        // Plain HTTP goes to the proxy in absolute-form
+        this.logger.debug(`Sending ${url} through proxy ${proxy.host}`);
+        const transport = proxy.protocol === "https:" ? https : http;
+        request = transport.get(
+          {
+            host: proxy.hostname,
+            port: proxy.port || (proxy.protocol === "https:" ? 443 : 80),
+            path: url,
+            headers: {
+              ...headers,
+              host: target.host,
+              ...ProxyResolver.authorizationHeader(proxy),
+            },
+            signal: requestOptions.signal,
+          },
+          onResponse
+        );
+      }
 
-      // Handle errors
+      // Handle errors (attached first, so nothing below can orphan the request)
       request.on("error", (error) => {
         reject(error);
       });
+
+      // Set timeout (applies to socket inactivity while streaming too)
+      try {
+        request.setTimeout(this.timeout, () => {
+          const error = new Error("Request timeout");
+          error.code = "ETIMEDOUT";
+          request.destroy(error);
+        });
+      } catch (error) {
+        request.destroy(error);
+      }
+    });
+  }
+
+  /**
+   * Merges default and per-request headers (names are case-insensitive)
+   * @private
+   * @param {Object} [overrides] - Per-request headers
+   * @returns {Object} Lower-cased header map
+   */
+  _buildHeaders(overrides = {}) {
+    const headers = {
+      "user-agent": this.userAgent,
+      "accept-encoding": ACCEPT_ENCODING,
+    };
+
+    const cookie = Object.entries(this.cookies)
+      .map(([name, value]) => `${name}=${value}`)
+      .join("; ");
+    if (cookie) {
+      headers.cookie = cookie;
+    }
+
+    [this.headers, overrides].forEach((source) => {
+      Object.entries(source).forEach(([name, value]) => {
+        headers[name.toLowerCase()] = value;
+      });
     });
+
+    return headers;
+  }
+
+  /**
+   * Adds the jar's cookies for a URL to the request headers
+   * Static cookies from options come first; the jar decides per URL, so its
+   * cookies survive cross-origin redirects only where their domain matches
+   * @private
+   * @param {string} url - URL about to be requested
+   * @param {Object} headers - Lower-cased header map
+   * @returns {Object} Header map including the jar's cookies
+   */
+  _withJarCookies(url, headers) {
+    const jarCookies = this.cookieJar.getCookieHeader(url);
+    if (!jarCookies) {
+      return headers;
+    }
+
+    return {
+      ...headers,
+      cookie: headers.cookie ? `${headers.cookie}; ${jarCookies}` : jarCookies,
+    };
+  }
+
+  /**
+   * Drops credential-bearing headers before following a cross-origin redirect
+   * @private
+   * @param {Object} headers - Lower-cased header map
+   * @returns {Object} Header map without credentials
+   */
+  _withoutCredentials(headers) {
+    const stripped = { ...headers };
+    CREDENTIAL_HEADERS.forEach((name) => delete stripped[name]);
+    return stripped;
+  }
+
+  /**
+   * Gets the CONNECT tunnel agent for a proxy, creating it on first use
+   * @private
+   * @param {URL} proxy - Proxy URL
+   * @returns {TunnelAgent} Agent
+   */
+  _tunnelAgent(proxy) {
+    if (!this.tunnelAgents.has(proxy.href)) {
+      this.tunnelAgents.set(proxy.href, new TunnelAgent(proxy, this.timeout));
+    }
+    return this.tunnelAgents.get(proxy.href);
+  }
+
+  /**
+   * Decompresses a response according to its Content-Encoding
+   * @private
+   * @param {IncomingMessage} response - Raw response
+   * @returns {Readable} utf8 stream carrying statusCode, statusMessage, headers
+   */
+  _decode(response) {
+    const encoding = (response.headers["content-encoding"] || "")
+      .trim()
+      .toLowerCase();
+
+    let decoder = null;
+    switch (encoding) {
+      case "gzip":
+      case "x-gzip":
+        decoder = zlib.createGunzip();
+        break;
+      case "deflate":
+        decoder = zlib.createInflate();
+        break;
+      case "br":
+        decoder = zlib.createBrotliDecompress();
+        break;
+    }
+
+    if (!decoder) {
+      response.setEncoding("utf8");
+      return response;
+    }
+
+    this.logger.debug(`Decompressing ${encoding} response body`);
+    response.on("error", (error) => decoder.destroy(error));
+    response.pipe(decoder);
+    decoder.setEncoding("utf8");
+
+    decoder.statusCode = response.statusCode;
+    decoder.statusMessage = response.statusMessage;
+    decoder.headers = response.headers;
+    return decoder;
+  }
+
+  /**
+   * Throws the signal's reason if it has been aborted
+   * @private
+   * @param {AbortSignal|null} signal - Signal to check
+   * @throws {*} The abort reason
+   */
+  _checkAborted(signal) {
+    if (signal && signal.aborted) {
+      throw signal.reason || new Error("Request aborted");
+    }
   }
 
   /**
    * Delays execution for specified milliseconds
    * @private
    * @param {number} ms - Milliseconds to delay
+   * @param {AbortSignal|null} [signal] - Cuts the delay short; the promise
+   *   then rejects with the abort reason
    * @returns {Promise<void>}
    */
-  _delay(ms) {
-    return new Promise((resolve) => setTimeout(resolve, ms));
+  _delay(ms, signal = null) {
+    return new Promise((resolve, reject) => {
+      const onAbort = () => {
+        clearTimeout(timer);
+        reject(signal.reason || new Error("Request aborted"));
+      };
+      const timer = setTimeout(() => {
+        if (signal) {
+          signal.removeEventListener("abort", onAbort);
+        }
+        resolve();
+      }, ms);
+      if (signal) {
+        signal.addEventListener("abort", onAbort, { once: true });
+      }
+    });
   }
 }
 
@@ -0,0 +1,144 @@
+const fs = require("fs");
+const Logger = require("../utils/Logger");
+const Validator = require("../utils/Validator");
+const InputError = require("../errors/InputError");
+
+// Source name that selects standard input
+const STDIN = "-";
+
+/**
+ * Reads challenge HTML from local sources instead of the network
+ * Follows Single Responsibility Principle - only handles local input
+ * @class InputReader
+ */
+class InputReader {
+  /**
+   * Creates an InputReader instance
+   * @param {Logger} logger - Logger instance
+   * @param {Readable} [stdin=process.stdin] - Stream used for the "-" source
+   */
+  constructor(logger = new Logger(), stdin = process.stdin) {
+    this.logger = logger;
+    this.stdin = stdin;
+  }
+
+  /**
+   * Reads a whole source into memory
+   * @param {string} source - File path, or "-" for stdin
+   * @returns {Promise<string>} HTML content
+   * @throws {InputError} If the source cannot be read or is empty
+   */
+  async read(source) {
+    this.logger.info(`Reading HTML from ${this.describe(source)}...`);
+
+    let html;
+    try {
+      html =
+        source === STDIN
+          ? await this._readStream(this.open(source))
+          : await fs.promises.readFile(source, "utf8");
+      Validator.validateHtml(html);
+    } catch (error) {
+      throw new InputError(
+        `Failed to read input from ${this.describe(source)}: ${error.message}`,
+        source,
+        error
+      );
+    }
+
+    this.logger.success(`Read ${html.length} characters`);
+    return html;
+  }
+
+  /**
+   * Reads a list source: one entry per line, ignoring blank lines and # comments
+   * @param {string} source - File path, or "-" for stdin
+   * @returns {Promise<Array<string>>} Trimmed entries
+   * @throws {InputError} If the source cannot be read or has no entries
+   */
+  async readLines(source) {
+    let text;
+    try {
+      text =
+        source === STDIN
+          ? await this._readStream(this.open(source))
+          : await fs.promises.readFile(source, "utf8");
+    } catch (error) {
+      throw new InputError(
+        `Failed to read list from ${this.describe(source)}: ${error.message}`,
+        source,
+        error
+      );
+    }
+
+    const lines = text
+      .split(/\r?\n/)
+      .map((line) => line.trim())
+      .filter((line) => line && !line.startsWith("#"));
+
+    if (lines.length === 0) {
+      throw new InputError(
+        `List ${this.describe(source)} has no entries`,
+        source
+      );
+    }
+    return lines;
+  }
+
+  /**
+   * Opens a source as a readable stream
+   * A file is checked up front, so a missing one fails like read() does rather
+   * than as an error on the stream
+   * @param {string} source - File path, or "-" for stdin
+   * @returns {Readable} HTML stream
+   * @throws {InputError} If the file does not exist or cannot be read
+   */
+  open(source) {
+    if (source === STDIN) {
+      this.stdin.setEncoding("utf8");
+      return this.stdin;
+    }
+
+    try {
+      if (!fs.statSync(source).isFile()) {
+        throw new Error("not a regular file");
+      }
+      fs.accessSync(source, fs.constants.R_OK);
+    } catch (error) {
+      throw new InputError(
+        `Failed to read input from ${source}: ${error.message}`,
+        source,
+        error
+      );
+    }
+    return fs.createReadStream(source, { encoding: "utf8" });
+  }
+
+  /**
+   * Describes a source for log messages
+   * @param {string} source - File path, or "-" for stdin
+   * @returns {string} Human-readable source name
+   */
+  describe(source) {
+    return source === STDIN ? "stdin" : source;
+  }
+
+  /**
+   * Buffers a stream into a string
+   * @private
+   * @param {Readable} stream - Stream to read
+   * @returns {Promise<string>} Stream contents
+   */
+  _readStream(stream) {
+    return new Promise((resolve, reject) => {
+      let data = "";
+      stream.on("data", (chunk) => {
+        data += chunk;
+      });
+      stream.on("end", () => resolve(data));
+      stream.on("error", reject);
+    });
+  }
+}
+
+module.exports = InputReader;
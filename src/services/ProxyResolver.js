@@ -0,0 +1,116 @@
+/**
+ * Chooses the proxy (if any) for a request URL
+ * An explicit proxy wins; otherwise HTTPS_PROXY / HTTP_PROXY are used, and
+ * NO_PROXY hosts always bypass the proxy
+ * @class ProxyResolver
+ */
+class ProxyResolver {
+  /**
+   * Creates a ProxyResolver instance
+   * @param {Object} [options] - Resolver options
+   * @param {string} [options.proxy] - Proxy URL for all requests
+   * @param {string} [options.noProxy] - Comma-separated hosts to bypass
+   * @param {Object} [options.env=process.env] - Environment to read
+   */
+  constructor(options = {}) {
+    const env = options.env || process.env;
+
+    this.proxy = options.proxy || null;
+    this.httpsProxy = env.HTTPS_PROXY || env.https_proxy || null;
+    this.httpProxy = env.HTTP_PROXY || env.http_proxy || null;
+    this.noProxy = this._parseNoProxy(
+      options.noProxy !== undefined
+        ? options.noProxy
+        : env.NO_PROXY || env.no_proxy || ""
+    );
+  }
+
+  /**
+   * Resolves the proxy for a URL
+   * @param {string} url - Request URL
+   * @returns {URL|null} Proxy URL, or null to connect directly
+   * @throws {Error} If the configured proxy URL is invalid
+   */
+  resolve(url) {
+    const target = new URL(url);
+    if (this._bypasses(target)) {
+      return null;
+    }
+
+    const proxy =
+      this.proxy ||
+      (target.protocol === "https:" ? this.httpsProxy : this.httpProxy);
+    if (!proxy) {
+      return null;
+    }
+
+    try {
+      return new URL(proxy.includes("://") ? proxy : `http://${proxy}`);
+    } catch (error) {
+      throw new Error(`Invalid proxy URL: ${proxy}`);
+    }
+  }
+
+  /**
+   * Builds the Proxy-Authorization header for credentials in a proxy URL
+   * @param {URL} proxy - Proxy URL
+   * @returns {Object} Header map, empty if the proxy has no credentials
+   */
+  static authorizationHeader(proxy) {
+    if (!proxy.username) {
+      return {};
+    }
+
+    const credentials =
+      decodeURIComponent(proxy.username) +
+      ":" +
+      decodeURIComponent(proxy.password);
+    return {
+      "Proxy-Authorization": `Basic ${Buffer.from(credentials).toString(
+        "base64"
+      )}`,
+    };
+  }
+
+  /**
+   * Checks a target against the NO_PROXY list
+   * @private
+   * @param {URL} target - Request URL
+   * @returns {boolean} True if the target must not be proxied
+   */
+  _bypasses(target) {
+    const hostname = target.hostname.toLowerCase();
+    const port = target.port || (target.protocol === "https:" ? "443" : "80");
+
+    return this.noProxy.some((entry) => {
+      if (entry.host === "*") {
+        return true;
+      }
+      if (entry.port && entry.port !== port) {
+        return false;
+      }
+      return hostname === entry.host || hostname.endsWith(`.${entry.host}`);
+    });
+  }
+
+  /**
+   * Parses a NO_PROXY value ("localhost,.example.com,10.0.0.1:8080")
+   * @private
+   * @param {string} value - Raw NO_PROXY value
+   * @returns {Array<Object>} Entries ({ host, port })
+   */
+  _parseNoProxy(value) {
+    return value
+      .split(/[\s,]+/)
+      .filter(Boolean)
+      .map((entry) => {
+        const match = entry
+          .toLowerCase()
+          .match(/^(?:\*?\.)?([^:]+)(?::(\d+))?$/);
+        return match ? { host: match[1], port: match[2] || null } : null;
+      })
+      .filter(Boolean);
+  }
+}
+
+module.exports = ProxyResolver;
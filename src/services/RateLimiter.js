@@ -0,0 +1,143 @@
+const Logger = require("../utils/Logger");
+const { POLICY } = require("../config/constants");
+
+/**
+ * Paces requests shared by every fetch of an HttpClient
+ * A token bucket per host caps the request rate (each host starts with
+ * `burst` tokens and regains `rate` per second), and a global semaphore caps
+ * how many requests are in flight at once. Waiters are served in arrival order
+ * @class RateLimiter
+ */
+class RateLimiter {
+  /**
+   * Creates a RateLimiter instance
+   * @param {Object} [options] - Limiter options
+   * @param {number|null} [options.rate] - Requests per second per host
+   *   (null = unlimited)
+   * @param {number} [options.burst] - Requests a host may receive back to back
+   * @param {number|null} [options.maxConcurrency] - Requests in flight across
+   *   all hosts (null = unlimited)
+   * @param {Logger} [options.logger] - Logger instance
+   * @param {Function} [options.now] - Clock returning ms since epoch
+   * @param {Function} [options.sleep] - Async (ms) delay
+   */
+  constructor(options = {}) {
+    this.rate = options.rate || null;
+    this.burst = options.burst || POLICY.BURST;
+    this.maxConcurrency = options.maxConcurrency || null;
+    this.logger = options.logger || new Logger();
+    this.now = options.now || Date.now;
+    this.sleep =
+      options.sleep ||
+      ((ms) => new Promise((resolve) => setTimeout(resolve, ms)));
+
+    this.buckets = new Map();
+    this.active = 0;
+    this.waiting = [];
+  }
+
+  /**
+   * Waits for a free request slot
+   * @returns {Promise<Function>} Releases the slot; safe to call more than once
+   */
+  async acquire() {
+    if (this.maxConcurrency) {
+      if (this.active < this.maxConcurrency) {
+        this.active++;
+      } else {
+        this.logger.debug(
+          `Waiting for a request slot (${this.active} in flight)`
+        );
+        // release() hands its slot straight to the next waiter
+        await new Promise((resolve) => this.waiting.push(resolve));
+      }
+    }
+
+    let released = false;
+    return () => {
+      if (released || !this.maxConcurrency) {
+        return;
+      }
+      released = true;
+
+      const next = this.waiting.shift();
+      if (next) {
+        next();
+      } else {
+        this.active--;
+      }
+    };
+  }
+
+  /**
+   * Waits until the URL's host may receive another request
+   * @param {string} url - URL about to be requested
+   * @returns {Promise<void>}
+   */
+  take(url) {
+    if (!this.rate) {
+      return Promise.resolve();
+    }
+
+    const host = new URL(url).host;
+    const bucket = this._bucket(host);
+
+    // Chained per host so concurrent callers take tokens in order
+    const turn = bucket.queue.then(() => this._consume(bucket, host));
+    bucket.queue = turn.catch(() => {});
+    return turn;
+  }
+
+  /**
+   * Takes one token from a bucket, sleeping until one is available
+   * @private
+   * @param {Object} bucket - Host bucket
+   * @param {string} host - Host name (for logs)
+   * @returns {Promise<void>}
+   */
+  async _consume(bucket, host) {
+    this._refill(bucket);
+
+    if (bucket.tokens < 1) {
+      const waitMs = Math.ceil(((1 - bucket.tokens) / this.rate) * 1000);
+      this.logger.debug(`Rate limit: waiting ${waitMs}ms before ${host}`);
+      await this.sleep(waitMs);
+      this._refill(bucket);
+    }
+
+    bucket.tokens = Math.max(0, bucket.tokens - 1);
+  }
+
+  /**
+   * Adds the tokens earned since the bucket was last updated
+   * @private
+   * @param {Object} bucket - Host bucket
+   */
+  _refill(bucket) {
+    const now = this.now();
+    bucket.tokens = Math.min(
+      this.burst,
+      bucket.tokens + ((now - bucket.updatedAt) / 1000) * this.rate
+    );
+    bucket.updatedAt = now;
+  }
+
+  /**
+   * Gets a host's bucket, creating a full one on first use
+   * @private
+   * @param {string} host - Host name
+   * @returns {Object} { tokens, updatedAt, queue }
+   */
+  _bucket(host) {
+    if (!this.buckets.has(host)) {
+      this.buckets.set(host, {
+        tokens: this.burst,
+        updatedAt: this.now(),
+        queue: Promise.resolve(),
+      });
+    }
+    return this.buckets.get(host);
+  }
+}
+
+module.exports = RateLimiter;
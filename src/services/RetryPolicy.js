@@ -0,0 +1,128 @@
+const HttpError = require("../errors/HttpError");
+const { HTTP } = require("../config/constants");
+
+// Network error codes worth another attempt
+const RETRYABLE_CODES = [
+  "ECONNRESET",
+  "ECONNREFUSED",
+  "ECONNABORTED",
+  "ETIMEDOUT",
+  "EPIPE",
+  "EAI_AGAIN",
+  "ENETUNREACH",
+  "EHOSTUNREACH",
+];
+
+// HTTP statuses worth another attempt (everything else 4xx is fatal)
+const RETRYABLE_STATUSES = [408, 429];
+
+/**
+ * Retry policy with exponential backoff, jitter and Retry-After support
+ *
+ * Any object exposing `maxAttempts`, `shouldRetry(error, attempt)` and
+ * `getDelay(error, attempt)` can be passed to HttpClient in its place.
+ * @class RetryPolicy
+ */
+class RetryPolicy {
+  /**
+   * Creates a RetryPolicy instance
+   * @param {Object} [options] - Policy options
+   * @param {number} [options.maxAttempts] - Total attempts, including the first
+   * @param {number} [options.baseDelay] - Delay before the first retry (ms)
+   * @param {number} [options.maxDelay] - Upper bound for any delay (ms)
+   * @param {number} [options.factor] - Backoff multiplier per attempt
+   * @param {number} [options.jitter] - Fraction of the delay randomized (0-1)
+   * @param {Function} [options.random] - Random source in [0, 1)
+   */
+  constructor(options = {}) {
+    this.maxAttempts = options.maxAttempts || HTTP.MAX_RETRIES;
+    this.baseDelay =
+      options.baseDelay === undefined ? HTTP.RETRY_DELAY : options.baseDelay;
+    this.maxDelay = options.maxDelay || HTTP.RETRY_MAX_DELAY;
+    this.factor = options.factor || HTTP.RETRY_FACTOR;
+    this.jitter =
+      options.jitter === undefined ? HTTP.RETRY_JITTER : options.jitter;
+    this.random = options.random || Math.random;
+  }
+
+  /**
+   * Classifies an error as retryable or fatal
+   * @param {Error} error - Error from an attempt
+   * @returns {string} "retryable" or "fatal"
+   */
+  classify(error) {
+    if (error instanceof HttpError) {
+      return error.status >= 500 || RETRYABLE_STATUSES.includes(error.status)
+        ? "retryable"
+        : "fatal";
+    }
+
+    if (error && RETRYABLE_CODES.includes(error.code)) {
+      return "retryable";
+    }
+
+    // Validation failures, unsupported protocols, redirect loops, ...
+    return "fatal";
+  }
+
+  /**
+   * Decides whether another attempt should be made
+   * @param {Error} error - Error from the attempt that just failed
+   * @param {number} attempt - 1-based number of that attempt
+   * @returns {boolean} True if the request should be retried
+   */
+  shouldRetry(error, attempt) {
+    if (attempt >= this.maxAttempts || this.classify(error) === "fatal") {
+      return false;
+    }
+
+    // Don't hammer a server that asked us to wait longer than we're willing to
+    const retryAfter = this._parseRetryAfter(error);
+    return retryAfter === null || retryAfter <= this.maxDelay;
+  }
+
+  /**
+   * Computes how long to wait before the next attempt
+   * @param {Error} error - Error from the attempt that just failed
+   * @param {number} attempt - 1-based number of that attempt
+   * @returns {number} Delay in milliseconds
+   */
+  getDelay(error, attempt) {
+    const retryAfter = this._parseRetryAfter(error);
+    if (retryAfter !== null) {
+      return retryAfter;
+    }
+
+    const exponential = Math.min(
+      this.maxDelay,
+      this.baseDelay * Math.pow(this.factor, attempt - 1)
+    );
+    return Math.round(exponential * (1 - this.jitter * this.random()));
+  }
+
+  /**
+   * Reads a Retry-After header (delta-seconds or HTTP-date) from an HttpError
+   * @private
+   * @param {Error} error - Error from an attempt
+   * @returns {number|null} Delay in milliseconds, or null if absent/invalid
+   */
+  _parseRetryAfter(error) {
+    if (!(error instanceof HttpError) || !error.headers) {
+      return null;
+    }
+
+    const header = error.headers["retry-after"];
+    if (!header) {
+      return null;
+    }
+
+    if (/^\d+$/.test(header.trim())) {
+      return Number(header.trim()) * 1000;
+    }
+
+    const date = Date.parse(header);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+  }
+}
+
+module.exports = RetryPolicy;
@@ -0,0 +1,240 @@
+const Logger = require("../utils/Logger");
+const PolicyError = require("../errors/PolicyError");
+const CassetteMissError = require("../errors/CassetteMissError");
+const { HTTP, POLICY } = require("../config/constants");
+
+/**
+ * robots.txt enforcement (RFC 9309) for one user agent
+ * Each origin's robots.txt is fetched once and its rules kept for
+ * POLICY.ROBOTS_TTL; parallel checks against the same origin share the fetch.
+ * A missing robots.txt (4xx, or redirects that lead nowhere) allows
+ * everything; an unreachable one (5xx or a network error) disallows
+ * everything, as the RFC requires
+ * @class RobotsPolicy
+ */
+class RobotsPolicy {
+  /**
+   * Creates a RobotsPolicy instance
+   * @param {Function} fetchRobots - Async (url) → { status, body } for a
+   *   robots.txt URL, following redirects; throws on network errors, with
+   *   code EREDIRECT when the redirects cannot be followed
+   * @param {Object} [options] - Policy options
+   * @param {string} [options.userAgent] - User-Agent whose product token
+   *   (e.g. "ramp-ctf-solver") selects the rule group
+   * @param {Logger} [options.logger] - Logger instance
+   * @param {Function} [options.now] - Clock returning ms since epoch
+   */
+  constructor(fetchRobots, options = {}) {
+    this.fetchRobots = fetchRobots;
+    this.token = RobotsPolicy.productToken(
+      options.userAgent || HTTP.USER_AGENT
+    );
+    this.logger = options.logger || new Logger();
+    this.now = options.now || Date.now;
+    this.origins = new Map();
+  }
+
+  /**
+   * Gets the product token of a User-Agent (its first word, before any "/")
+   * @param {string} userAgent - User-Agent header value
+   * @returns {string} Lower-cased token
+   */
+  static productToken(userAgent) {
+    return userAgent.trim().split(/[\s/]/)[0].toLowerCase();
+  }
+
+  /**
+   * Parses robots.txt into groups
+   * Consecutive user-agent lines share a group; other records (Sitemap,
+   * Crawl-delay, ...) are ignored
+   * @param {string} text - robots.txt content
+   * @returns {Array<Object>} [{ agents, rules: [{ allow, pattern }] }]
+   */
+  static parse(text) {
+    const groups = [];
+    let current = null;
+    let inAgents = false;
+
+    text
+      .slice(0, POLICY.ROBOTS_MAX_BYTES)
+      .split(/\r\n|\r|\n/)
+      .forEach((line) => {
+        const content = line.replace(/#.*$/, "").trim();
+        const separator = content.indexOf(":");
+        if (separator === -1) {
+          return;
+        }
+
+        const key = content.slice(0, separator).trim().toLowerCase();
+        const value = content.slice(separator + 1).trim();
+
+        if (key === "user-agent") {
+          if (!inAgents) {
+            current = { agents: [], rules: [] };
+            groups.push(current);
+          }
+          current.agents.push(RobotsPolicy.productToken(value || "*"));
+          inAgents = true;
+        } else if (key === "allow" || key === "disallow") {
+          inAgents = false;
+          // An empty Disallow allows everything, so it adds no rule
+          if (current && value) {
+            current.rules.push({ allow: key === "allow", pattern: value });
+          }
+        }
+      });
+
+    return groups;
+  }
+
+  /**
+   * Checks that a URL may be fetched
+   * robots.txt itself is always allowed
+   * @param {string} url - URL about to be requested
+   * @returns {Promise<void>}
+   * @throws {PolicyError} If robots.txt disallows the URL or is unreachable
+   * @throws {CassetteMissError} If robots.txt is missing from a replay
+   */
+  async check(url) {
+    const target = new URL(url);
+    if (target.pathname === POLICY.ROBOTS_PATH) {
+      return;
+    }
+
+    const { rules, unreachable } = await this._rulesFor(target.origin);
+    if (unreachable) {
+      throw new PolicyError(
+        url,
+        `${target.origin}${POLICY.ROBOTS_PATH} is unreachable (${unreachable})`
+      );
+    }
+
+    const rule = this._match(rules, target.pathname + target.search);
+    if (rule && !rule.allow) {
+      throw new PolicyError(
+        url,
+        `disallowed for ${this.token} by ${target.origin}${POLICY.ROBOTS_PATH}`,
+        `Disallow: ${rule.pattern}`
+      );
+    }
+
+    this.logger.debug(
+      `robots.txt allows ${url}` + (rule ? ` (Allow: ${rule.pattern})` : "")
+    );
+  }
+
+  /**
+   * Gets the rules that apply to this agent on an origin, fetching them once
+   * @private
+   * @param {string} origin - URL origin
+   * @returns {Promise<Object>} { rules, unreachable } where unreachable is the
+   *   reason robots.txt could not be read, or null
+   */
+  _rulesFor(origin) {
+    const cached = this.origins.get(origin);
+    if (cached && this.now() - cached.fetchedAt < POLICY.ROBOTS_TTL) {
+      return cached.rules;
+    }
+
+    const rules = this._load(origin);
+    this.origins.set(origin, { rules, fetchedAt: this.now() });
+    // A replay miss is not a verdict on the origin; ask again next time
+    rules.catch(() => this.origins.delete(origin));
+    return rules;
+  }
+
+  /**
+   * Fetches and parses an origin's robots.txt
+   * @private
+   * @param {string} origin - URL origin
+   * @returns {Promise<Object>} { rules, unreachable }
+   * @throws {CassetteMissError} If robots.txt is missing from a replay
+   */
+  async _load(origin) {
+    const robotsUrl = `${origin}${POLICY.ROBOTS_PATH}`;
+    this.logger.info(`🤖 Fetching ${robotsUrl}`);
+
+    let response;
+    try {
+      response = await this.fetchRobots(robotsUrl);
+    } catch (error) {
+      if (error instanceof CassetteMissError) {
+        throw error;
+      }
+      // RFC 9309 section 2.3.1.2: not found after redirects means unavailable
+      if (error.code === "EREDIRECT") {
+        this.logger.debug(`No robots.txt at ${origin} (${error.message})`);
+        return { rules: [], unreachable: null };
+      }
+      this.logger.warn(`Could not fetch ${robotsUrl}: ${error.message}`);
+      return { rules: [], unreachable: error.message };
+    }
+
+    if (response.status >= 500) {
+      return { rules: [], unreachable: `HTTP ${response.status}` };
+    }
+    if (response.status >= 400) {
+      this.logger.debug(`No robots.txt at ${origin} (HTTP ${response.status})`);
+      return { rules: [], unreachable: null };
+    }
+
+    const rules = this._select(RobotsPolicy.parse(response.body));
+    this.logger.debug(`Loaded ${rules.length} robots.txt rules for ${origin}`);
+    return { rules, unreachable: null };
+  }
+
+  /**
+   * Picks the rules of the groups naming this agent, else of the "*" groups
+   * @private
+   * @param {Array<Object>} groups - Parsed groups
+   * @returns {Array<Object>} [{ allow, pattern }]
+   */
+  _select(groups) {
+    const named = groups.filter((group) => group.agents.includes(this.token));
+    const chosen =
+      named.length > 0
+        ? named
+        : groups.filter((group) => group.agents.includes("*"));
+    return chosen.flatMap((group) => group.rules);
+  }
+
+  /**
+   * Finds the rule deciding a path: the longest matching pattern, with Allow
+   * winning a tie
+   * @private
+   * @param {Array<Object>} rules - [{ allow, pattern }]
+   * @param {string} path - Path and query of the URL
+   * @returns {Object|null} Deciding rule, or null if none matches (allowed)
+   */
+  _match(rules, path) {
+    return rules
+      .filter((rule) => this._toRegExp(rule.pattern).test(path))
+      .reduce((best, rule) => {
+        if (
+          !best ||
+          rule.pattern.length > best.pattern.length ||
+          (rule.pattern.length === best.pattern.length && rule.allow)
+        ) {
+          return rule;
+        }
+        return best;
+      }, null);
+  }
+
+  /**
+   * Compiles a robots.txt path pattern ("*" wildcard, trailing "$" anchor)
+   * @private
+   * @param {string} pattern - Path pattern
+   * @returns {RegExp} Expression matching from the start of the path
+   */
+  _toRegExp(pattern) {
+    const anchored = pattern.endsWith("$");
+    const body = (anchored ? pattern.slice(0, -1) : pattern)
+      .split("*")
+      .map((part) => part.replace(/[.+?^${}()|[\]\\]/g, "\\$&"))
+      .join(".*");
+    return new RegExp(`^${body}${anchored ? "$" : ""}`);
+  }
+}
+
+module.exports = RobotsPolicy;
@@ -0,0 +1,79 @@
+const http = require("http");
+const https = require("https");
+const tls = require("tls");
+const ProxyResolver = require("./ProxyResolver");
+
+/**
+ * HTTPS agent that reaches its targets through an HTTP(S) proxy via CONNECT
+ * @class TunnelAgent
+ * @extends https.Agent
+ */
+class TunnelAgent extends https.Agent {
+  /**
+   * Creates a TunnelAgent instance
+   * @param {URL} proxy - Proxy URL (credentials in userinfo are sent as Basic)
+   * @param {number} timeout - CONNECT timeout in milliseconds
+   */
+  constructor(proxy, timeout) {
+    super({ keepAlive: false });
+    this.proxy = proxy;
+    this.connectTimeout = timeout;
+  }
+
+  /**
+   * Opens a CONNECT tunnel and upgrades it to TLS
+   * @override
+   * @param {Object} options - Connection options from the request
+   * @param {Function} callback - Called with (error, socket)
+   */
+  createConnection(options, callback) {
+    const target = `${options.host}:${options.port}`;
+    const headers = {
+      Host: target,
+      ...ProxyResolver.authorizationHeader(this.proxy),
+    };
+
+    const transport = this.proxy.protocol === "https:" ? https : http;
+    const request = transport.request({
+      host: this.proxy.hostname,
+      port: this.proxy.port || (this.proxy.protocol === "https:" ? 443 : 80),
+      method: "CONNECT",
+      path: target,
+      headers,
+      agent: false,
+    });
+
+    request.setTimeout(this.connectTimeout, () => {
+      const error = new Error(`Proxy CONNECT to ${target} timed out`);
+      error.code = "ETIMEDOUT";
+      request.destroy(error);
+    });
+
+    request.once("connect", (response, socket) => {
+      request.setTimeout(0);
+
+      if (response.statusCode !== 200) {
+        socket.destroy();
+        callback(
+          new Error(
+            `Proxy CONNECT to ${target} failed: HTTP ${response.statusCode}`
+          )
+        );
+        return;
+      }
+
+      callback(
+        null,
+        tls.connect({
+          socket,
+          servername: options.servername || options.host,
+        })
+      );
+    });
+
+    request.once("error", (error) => callback(error));
+    request.end();
+  }
+}
+
+module.exports = TunnelAgent;
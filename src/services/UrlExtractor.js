@@ -2,6 +2,12 @@ const Logger = require("../utils/Logger");
 const Validator = require("../utils/Validator");
 const HttpClient = require("./HttpClient");
 const HtmlParser = require("./HtmlParser");
+const FlagExtractor = require("./FlagExtractor");
+const CassetteMissError = require("../errors/CassetteMissError");
+const PolicyError = require("../errors/PolicyError");
+const ExtractionError = require("../errors/ExtractionError");
+const FetchError = require("../errors/FetchError");
+const InvalidUrlError = require("../errors/InvalidUrlError");
 
 /**
  * Main URL Extractor service that orchestrates the entire extraction process
@@ -14,68 +20,247 @@ class UrlExtractor {
    * @param {HttpClient} httpClient - HTTP client for fetching
    * @param {HtmlParser} htmlParser - HTML parser for extraction
    * @param {Logger} logger - Logger instance
+   * @param {Object} [options] - Extractor options
+   * @param {SAXStrategy} [options.streamStrategy] - Streaming strategy; when set,
+   *   the page is parsed while it downloads instead of through htmlParser
+   * @param {DecoderPipeline} [options.decoderPipeline] - Decodes the extracted
+   *   payload before it is used as the hidden URL
+   * @param {string|Array<string>|null} [options.decode] - DECODING.AUTO or a
+   *   decoder chain; null (default) uses the payload as-is
+   * @param {FlagExtractor} [options.flagExtractor] - Reads the flag from the
+   *   hidden URL's response (default: by Content-Type, no format check)
+   * @param {Function} [options.onEvent] - Progress hook called with (name,
+   *   payload) for "url:built" and "flag", and for the streaming strategy's
+   *   "strategy:start", "strategy:failed" and "character" events
    */
-  constructor(httpClient, htmlParser, logger = new Logger()) {
+  constructor(httpClient, htmlParser, logger = new Logger(), options = {}) {
     this.httpClient = httpClient;
     this.htmlParser = htmlParser;
     this.logger = logger;
+    this.streamStrategy = options.streamStrategy || null;
+    this.decoderPipeline = options.decoderPipeline || null;
+    this.decode = options.decode || null;
+    this.flagExtractor = options.flagExtractor || new FlagExtractor(logger);
+    this.onEvent = options.onEvent || (() => {});
   }
 
   /**
    * Extracts hidden URL from the challenge page
    * @param {string} challengeUrl - URL of the challenge page
+   * @param {Object} [options] - Extraction options
+   * @param {AbortSignal} [options.signal] - Stops the extraction, including
+   *   requests in flight; it then rejects with the signal's reason
    * @returns {Promise<Object>} Object containing url, flag, and characters
+   * @throws {InvalidUrlError} If the challenge URL or the built URL is invalid
+   * @throws {FetchError} If the challenge page cannot be fetched
+   * @throws {PolicyError} If crawl policy refuses a request
+   * @throws {ExtractionError} If no characters can be extracted
+   * @throws {FlagError} If the flag response holds no valid flag
+   */
+  async extract(challengeUrl, options = {}) {
+    const signal = options.signal || null;
+    return this._solve(signal, async (timings) => {
+      try {
+        Validator.validateUrl(challengeUrl);
+      } catch (error) {
+        throw new InvalidUrlError(challengeUrl, "challenge URL");
+      }
+
+      if (this.streamStrategy) {
+        // Steps 1 + 2: Stream HTML and extract characters as they arrive
+        return this._timed(timings, "extraction", () =>
+          this._streamCharacters(challengeUrl, signal)
+        );
+      }
+
+      // Step 1: Fetch HTML
+      const { html, attempts, cache } = await this._timed(timings, "page", () =>
+        this._fetchHtml(challengeUrl, signal)
+      );
+
+      // Step 2: Parse and extract characters
+      const extraction = await this._timed(timings, "extraction", () =>
+        this._extractCharacters(html)
+      );
+      return { ...extraction, attempts, cache };
+    });
+  }
+
+  /**
+   * Extracts hidden URL from HTML that is already in hand (file, stdin, ...)
+   * @param {string} html - Challenge page HTML
+   * @param {Object} [options] - Extraction options
+   * @param {AbortSignal} [options.signal] - Stops the extraction, including the
+   *   flag request; it then rejects with the signal's reason
+   * @returns {Promise<Object>} Object containing url, flag, and characters
+   * @throws {InvalidUrlError} If the built URL is invalid
+   * @throws {ExtractionError} If no characters can be extracted
+   */
+  async extractFromHtml(html, options = {}) {
+    return this._solve(options.signal || null, (timings) => {
+      this.logger.info("📄 Step 1: Using provided HTML (fetch skipped)");
+      return this._timed(timings, "extraction", () =>
+        this._extractCharacters(html)
+      );
+    });
+  }
+
+  /**
+   * Extracts hidden URL from a readable stream of HTML via the streaming strategy
+   * @param {Readable} stream - Challenge page HTML stream
+   * @returns {Promise<Object>} Object containing url, flag, and characters
+   * @throws {Error} If no streaming strategy is configured
+   * @throws {InvalidUrlError} If the built URL is invalid
+   * @throws {ExtractionError} If no characters can be extracted
+   */
+  async extractFromStream(stream) {
+    if (!this.streamStrategy) {
+      throw new Error("extractFromStream() requires a streamStrategy");
+    }
+
+    return this._solve(null, (timings) => {
+      this.logger.info("📄 Steps 1-2: Streaming provided HTML...");
+      return this._timed(timings, "extraction", () =>
+        this._extractStreamCharacters(stream)
+      );
+    });
+  }
+
+  /**
+   * Runs the shared workflow once characters can be obtained
+   * @private
+   * @param {AbortSignal|null} signal - Checked between steps and passed to
+   *   every request
+   * @param {Function} obtainCharacters - Async step(s) called with the timings
+   *   object, resolving to { characters, matches, consensus, strategy, warnings,
+   *   attempts?, cache? }
+   * @returns {Promise<Object>} Object containing url, flag, and characters, plus
+   *   the winning strategy, per-character provenance ([{ index, value, strategy,
+   *   path, line, column }]), timings ({ page, extraction, flag, total } in ms;
+   *   page is null when nothing was fetched separately), decoding ({ mode,
+   *   input, output, steps }, or null when decoding is off), cache ({ page,
+   *   flag }, each { status, storedAt, age } or null when not cached) and
+   *   warnings
    * @throws {Error} If extraction fails
+   * @throws {*} The signal's reason, once it is aborted
    */
-  async extract(challengeUrl) {
+  async _solve(signal, obtainCharacters) {
+    const startedAt = Date.now();
+    const timings = { page: null, extraction: null, flag: null, total: null };
+
     try {
       this.logger.info("=".repeat(60));
       this.logger.info("🚀 Starting URL extraction process...");
       this.logger.info("=".repeat(60));
 
-      // Step 1: Fetch HTML
-      const html = await this._fetchHtml(challengeUrl);
-
-      // Step 2: Parse and extract characters
-      const characters = await this._extractCharacters(html);
+      const {
+        characters,
+        matches,
+        consensus,
+        strategy,
+        warnings,
+        attempts = null,
+        cache = null,
+      } = await obtainCharacters(timings);
+      this._checkAborted(signal);
 
       // Step 3: Build URL
-      const hiddenUrl = this._buildUrl(characters);
+      const provenance = matches.map((match, index) => ({ index, ...match }));
+      const { url: hiddenUrl, decoding } = this._buildUrl(
+        characters,
+        provenance
+      );
 
       // Step 4: Attempt to fetch flag
-      const flag = await this._fetchFlag(hiddenUrl);
+      const flagResponse = await this._timed(timings, "flag", () =>
+        this._fetchFlag(hiddenUrl, signal)
+      );
+      if (flagResponse.flag === null) {
+        warnings.push(`Flag could not be fetched: ${flagResponse.error}`);
+      }
+      timings.total = Date.now() - startedAt;
 
       // Return results
       const result = {
         url: hiddenUrl,
-        flag: flag,
+        flag: flagResponse.flag,
+        flagUrl: flagResponse.url,
+        flagSource: flagResponse.source,
+        redirects: flagResponse.redirects,
         characters: characters,
         characterCount: characters.length,
+        strategy,
+        provenance,
+        consensus: consensus,
+        decoding,
+        attempts: { page: attempts, flag: flagResponse.attempts },
+        cache: { page: cache, flag: flagResponse.cache },
+        timings,
+        warnings,
       };
 
       this._displayResults(result);
       return result;
     } catch (error) {
       this.logger.error("URL extraction failed", error);
+      // Whatever a request failed with, the cause was the abort
+      this._checkAborted(signal);
       throw error;
     }
   }
 
+  /**
+   * Throws the signal's reason if it has been aborted
+   * @private
+   * @param {AbortSignal|null} signal - Signal to check
+   * @throws {*} The abort reason
+   */
+  _checkAborted(signal) {
+    if (signal && signal.aborted) {
+      throw signal.reason || new Error("Extraction aborted");
+    }
+  }
+
+  /**
+   * Runs a step and records its duration
+   * @private
+   * @param {Object} timings - Timings object to update
+   * @param {string} key - Step name
+   * @param {Function} step - Async step
+   * @returns {Promise<*>} Step result
+   */
+  async _timed(timings, key, step) {
+    const startedAt = Date.now();
+    try {
+      return await step();
+    } finally {
+      timings[key] = Date.now() - startedAt;
+    }
+  }
+
   /**
    * Fetches HTML from challenge URL
    * @private
    * @param {string} url - URL to fetch
-   * @returns {Promise<string>} HTML content
+   * @param {AbortSignal|null} signal - Aborts the fetch
+   * @returns {Promise<Object>} { html, attempts, cache }
+   * @throws {FetchError} If the page cannot be fetched
+   * @throws {CassetteMissError} If a replay has no recorded response
+   * @throws {PolicyError} If crawl policy refuses the request
    */
-  async _fetchHtml(url) {
+  async _fetchHtml(url, signal) {
     this.logger.info("📥 Step 1: Fetching HTML...");
 
     try {
-      const html = await this.httpClient.fetch(url);
-      this.logger.success(`HTML fetched: ${html.length} characters`);
-      return html;
+      const response = await this.httpClient.fetchResponse(url, { signal });
+      this.logger.success(`HTML fetched: ${response.body.length} characters`);
+      return {
+        html: response.body,
+        attempts: response.attempts,
+        cache: response.cache || null,
+      };
     } catch (error) {
-      throw new Error(`Failed to fetch HTML: ${error.message}`);
+      throw this._fetchError(url, error);
     }
   }
 
@@ -83,64 +268,250 @@ class UrlExtractor {
    * Extracts characters from HTML
    * @private
    * @param {string} html - HTML content
-   * @returns {Promise<Array>} Extracted characters
+   * @returns {Promise<Object>} { characters, matches, consensus, strategy,
+   *   warnings } (consensus is null unless the parser runs in consensus mode)
+   * @throws {ExtractionError} If no characters can be extracted
    */
   async _extractCharacters(html) {
     this.logger.info("🔍 Step 2: Extracting characters...");
 
     try {
-      const characters = await this.htmlParser.parse(html);
+      let characters;
+      let matches;
+      let consensus = null;
+      let strategy;
+      let warnings;
+
+      if (this.htmlParser.consensus) {
+        const report = await this.htmlParser.parseWithConsensus(html);
+        // Provenance is reported once, at the top level of the result
+        ({ matches, ...consensus } = report);
+        characters = consensus.characters;
+        strategy = consensus.agreedBy[0];
+        warnings = consensus.disagreements.map(
+          (disagreement) =>
+            `${disagreement.strategy} disagreed with the majority` +
+            (disagreement.error ? `: ${disagreement.error}` : "")
+        );
+      } else {
+        const parsed = await this.htmlParser.parseWithDetails(html);
+        characters = parsed.characters;
+        matches = parsed.matches;
+        strategy = parsed.strategy;
+        warnings = parsed.failures.map(
+          (failure) => `${failure.strategy} failed: ${failure.error}`
+        );
+      }
+
       this.logger.success(`Extracted ${characters.length} characters`);
-      return characters;
+      return { characters, matches, consensus, strategy, warnings };
     } catch (error) {
-      throw new Error(`Failed to extract characters: ${error.message}`);
+      throw new ExtractionError(
+        `Failed to extract characters: ${error.message}`,
+        error,
+        error.nearMiss || null
+      );
     }
   }
 
   /**
-   * Builds URL from extracted characters
+   * Streams the challenge page through the streaming strategy
+   * @private
+   * @param {string} url - URL to stream
+   * @param {AbortSignal|null} signal - Aborts the request and its stream
+   * @returns {Promise<Object>} { characters, matches, consensus: null,
+   *   strategy, warnings, attempts }
+   * @throws {FetchError} If the page cannot be fetched
+   */
+  async _streamCharacters(url, signal) {
+    this.logger.info(
+      "📥🔍 Steps 1-2: Streaming HTML and extracting characters..."
+    );
+
+    let response;
+    try {
+      response = await this.httpClient.fetchStream(url, { signal });
+    } catch (error) {
+      throw this._fetchError(url, error);
+    }
+
+    const extraction = await this._extractStreamCharacters(response);
+    return { ...extraction, attempts: response.attempts };
+  }
+
+  /**
+   * Extracts characters from an HTML stream with the streaming strategy
+   * @private
+   * @param {Readable} stream - HTML stream
+   * @returns {Promise<Object>} { characters, matches, consensus: null, strategy,
+   *   warnings }
+   * @throws {ExtractionError} If no characters can be extracted
+   */
+  async _extractStreamCharacters(stream) {
+    const name = this.streamStrategy.getName();
+    this.onEvent("strategy:start", { strategy: name });
+
+    try {
+      const matches = [];
+      const characters = await this.streamStrategy.extractStream(
+        stream,
+        (value, index, match) => {
+          matches.push(match);
+          this.onEvent("character", { index, ...match });
+        }
+      );
+      Validator.validateCharacters(characters);
+      this.logger.success(`Extracted ${characters.length} characters`);
+      return {
+        characters,
+        matches,
+        consensus: null,
+        strategy: name,
+        warnings: [],
+      };
+    } catch (error) {
+      this.onEvent("strategy:failed", { strategy: name, error: error.message });
+      throw new ExtractionError(
+        `Failed to extract characters: ${error.message}`,
+        error
+      );
+    }
+  }
+
+  /**
+   * Wraps a challenge page fetch failure
+   * @private
+   * @param {string} url - Challenge URL
+   * @param {Error} error - Error from HttpClient
+   * @returns {Error} FetchError, or the original CassetteMissError or
+   *   PolicyError
+   */
+  _fetchError(url, error) {
+    if (error instanceof CassetteMissError || error instanceof PolicyError) {
+      return error;
+    }
+    return new FetchError(
+      `Failed to fetch HTML: ${error.message}`,
+      url,
+      error.attempts || [],
+      error
+    );
+  }
+
+  /**
+   * Builds URL from extracted characters, decoding the payload if configured
    * @private
    * @param {Array} characters - Array of characters
-   * @returns {string} Built URL
+   * @param {Array<Object>} [provenance] - Character provenance, attached to the
+   *   error if the URL is invalid
+   * @returns {Object} { url, decoding } (decoding is null when off)
+   * @throws {DecodeError} If an explicit decoder chain fails
+   * @throws {InvalidUrlError} If the characters do not form a valid URL
    */
-  _buildUrl(characters) {
+  _buildUrl(characters, provenance = null) {
     this.logger.info("🔧 Step 3: Building URL...");
 
+    const payload = characters.join("");
+    const decoding = this._decodePayload(payload);
+    const url = decoding ? decoding.output : payload;
     try {
-      const url = characters.join("");
       Validator.validateUrl(url);
-      this.logger.success(`URL built: ${url}`);
-      return url;
     } catch (error) {
-      // If not a valid URL, return the string anyway
-      const url = characters.join("");
-      this.logger.warn(`Built string may not be a valid URL: ${url}`);
-      return url;
+      throw new InvalidUrlError(
+        url,
+        "hidden URL built from characters",
+        provenance
+      );
     }
+
+    this.logger.success(`URL built: ${url}`);
+    this.onEvent("url:built", { url, decoding });
+    return { url, decoding };
+  }
+
+  /**
+   * Runs the configured decoder chain over the extracted payload
+   * Auto mode stops as soon as the text is an http(s) URL, so payloads that
+   * already are one pass through unchanged
+   * @private
+   * @param {string} payload - Concatenated characters
+   * @returns {Object|null} DecoderPipeline result, or null when decoding is off
+   * @throws {DecodeError} If an explicit decoder chain fails
+   */
+  _decodePayload(payload) {
+    if (!this.decode || !this.decoderPipeline) {
+      return null;
+    }
+
+    const decoding = this.decoderPipeline.decode(payload, this.decode, {
+      until: (text) => /^https?:\/\/[^\s/]+\.[^\s]+$/i.test(text),
+    });
+    if (decoding.steps.length > 0) {
+      this.logger.info(
+        `🔓 Decoded payload: ${decoding.steps
+          .map((step) => step.decoder)
+          .join(" → ")}`
+      );
+    }
+    return decoding;
   }
 
   /**
    * Attempts to fetch the flag from hidden URL
+   * A failed fetch is not fatal (the URL can still be opened by hand), but a
+   * response that holds no valid flag is
    * @private
    * @param {string} url - Hidden URL
-   * @returns {Promise<string>} Flag or null
+   * @param {AbortSignal|null} signal - Aborts the fetch
+   * @returns {Promise<Object>} { flag, source, url, redirects, attempts, cache,
+   *   error }
+   *   where source is how the body was read ("json", "html" or "text") and url
+   *   is where the flag was actually served from; flag is null (and error set)
+   *   if it could not be fetched
+   * @throws {FlagError} If the response holds no flag in the expected format
+   * @throws {PolicyError} If crawl policy refuses the request
    */
-  async _fetchFlag(url) {
+  async _fetchFlag(url, signal) {
     this.logger.info("🏁 Step 4: Fetching flag...");
 
+    let response;
     try {
-      const response = await this.httpClient.fetch(url);
-      // Extract text content (remove HTML tags)
-      const flag = response.replace(/<[^>]*>/g, "").trim();
-      this.logger.success(`Flag retrieved: ${flag}`);
-      return flag;
+      response = await this.httpClient.fetchResponse(url, { signal });
     } catch (error) {
+      this._checkAborted(signal);
+      // A replay that diverges from its recording, or a request refused by
+      // policy, must not pass silently
+      if (error instanceof CassetteMissError || error instanceof PolicyError) {
+        throw error;
+      }
+
       this.logger.warn(`Could not fetch flag automatically: ${error.message}`);
       this.logger.info(
         "Please open the URL manually in your browser to get the flag"
       );
-      return null;
+      return {
+        flag: null,
+        source: null,
+        url: null,
+        redirects: null,
+        attempts: error.attempts || null,
+        cache: null,
+        error: error.message,
+      };
     }
+
+    const { flag, source } = this.flagExtractor.extract(response);
+    this.logger.success(`Flag retrieved: ${flag}`);
+    this.onEvent("flag", { flag, source, url: response.url });
+    return {
+      flag,
+      source,
+      url: response.url,
+      redirects: response.redirects,
+      attempts: response.attempts,
+      cache: response.cache || null,
+      error: null,
+    };
   }
 
   /**
@@ -157,7 +528,32 @@ class UrlExtractor {
     if (result.flag) {
       this.logger.info(`🚩 Flag: ${result.flag}`);
     }
+    if (result.redirects && result.redirects.length > 0) {
+      this.logger.info(
+        `↪️  Flag served from: ${result.flagUrl} ` +
+          `(after ${result.redirects.length} redirects)`
+      );
+    }
     this.logger.info(`📊 Total characters: ${result.characterCount}`);
+    if (result.strategy) {
+      this.logger.info(`🧩 Extracted by: ${result.strategy}`);
+    }
+    if (result.decoding && result.decoding.steps.length > 0) {
+      this.logger.info(
+        `🔓 Decoded with: ${result.decoding.steps
+          .map((step) => `${step.decoder} (${step.confidence})`)
+          .join(" → ")}`
+      );
+    }
+    if (result.consensus) {
+      const { agreedBy, results, unanimous } = result.consensus;
+      this.logger.info(
+        `🤝 Consensus: ${agreedBy.length}/${results.length} strategies agree` +
+          (unanimous ? "" : ` (${agreedBy.join(", ")})`)
+      );
+    }
+    result.warnings.forEach((warning) => this.logger.warn(warning));
+    this.logger.info(`⏱️  Total time: ${result.timings.total}ms`);
     this.logger.info("=".repeat(60));
   }
 }
@@ -1,3 +1,5 @@
+const PatternSpec = require("../patterns/PatternSpec");
+
 /**
  * Abstract base class for extraction strategies
  * Follows Open/Closed Principle - open for extension, closed for modification
@@ -8,14 +10,17 @@ class ExtractionStrategy {
   /**
    * Creates an ExtractionStrategy instance
    * @param {Logger} logger - Logger instance
+   * @param {PatternSpec|Object|string} [pattern] - Pattern spec to compile from
    */
-  constructor(logger) {
+  constructor(logger, pattern) {
     if (new.target === ExtractionStrategy) {
       throw new Error(
         "ExtractionStrategy is an abstract class and cannot be instantiated directly"
       );
     }
     this.logger = logger;
+    this.pattern = PatternSpec.from(pattern);
+    this.diagnostics = [];
   }
 
   /**
@@ -29,6 +34,30 @@ class ExtractionStrategy {
     throw new Error("extract() method must be implemented by subclass");
   }
 
+  /**
+   * Extracts characters with their provenance
+   * Subclasses override this to report where each character came from; the
+   * default wraps extract() and leaves the location unknown
+   * @param {string} html - HTML content to parse
+   * @returns {Promise<Array<Object>>|Array<Object>} [{ value, strategy, path,
+   *   line, column }] where path describes the element matched by each
+   *   pattern step (outermost first) and line/column (1-based) locate the leaf
+   *   element's start tag; subclasses may return the array directly
+   * @throws {Error} If extraction fails
+   */
+  async extractMatches(html) {
+    // extract() may be async in subclasses and plugins
+    return (await this.extract(html)).map((value) => this._buildMatch(value));
+  }
+
+  /**
+   * Gets parser diagnostics recorded by the most recent extract() call
+   * @returns {Array<Object>} Structured diagnostics, empty if none
+   */
+  getDiagnostics() {
+    return this.diagnostics;
+  }
+
   /**
    * Gets the strategy name
    * @abstract
@@ -37,6 +66,52 @@ class ExtractionStrategy {
   getName() {
     throw new Error("getName() method must be implemented by subclass");
   }
+
+  /**
+   * Builds a provenance record for one extracted character
+   * @protected
+   * @param {string} value - Extracted character
+   * @param {Array<string>|null} [path] - Matched element per step
+   * @param {Object|null} [location] - { line, column } of the leaf element
+   * @returns {Object} { value, strategy, path, line, column }
+   */
+  _buildMatch(value, path = null, location = null) {
+    return {
+      value,
+      strategy: this.getName(),
+      path,
+      line: location ? location.line : null,
+      column: location ? location.column : null,
+    };
+  }
+
+  /**
+   * Creates a function mapping string offsets in `html` to line and column
+   * @protected
+   * @param {string} html - Source HTML
+   * @returns {Function} (offset) → { line, column }, both 1-based
+   */
+  _createLocator(html) {
+    const lineStarts = [0];
+    for (let i = html.indexOf("\n"); i !== -1; i = html.indexOf("\n", i + 1)) {
+      lineStarts.push(i + 1);
+    }
+
+    return (offset) => {
+      // Binary search for the last line starting at or before offset
+      let low = 0;
+      let high = lineStarts.length - 1;
+      while (low < high) {
+        const mid = Math.ceil((low + high) / 2);
+        if (lineStarts[mid] <= offset) {
+          low = mid;
+        } else {
+          high = mid - 1;
+        }
+      }
+      return { line: low + 1, column: offset - lineStarts[low] + 1 };
+    };
+  }
 }
 
 module.exports = ExtractionStrategy;
@@ -1,6 +1,6 @@
 const ExtractionStrategy = require("./ExtractionStrategy");
 const { JSDOM } = require("jsdom");
-const { PATTERN } = require("../config/constants");
+const { PATTERN_OPERATORS, PATTERN_RELATIONS } = require("../config/constants");
 
 /**
  * JSDOM-based extraction strategy
@@ -16,45 +16,59 @@ class JSDOMStrategy extends ExtractionStrategy {
    * @throws {Error} If extraction fails
    */
   extract(html) {
+    return this.extractMatches(html).map((match) => match.value);
+  }
+
+  /**
+   * Extracts characters using JSDOM, with each leaf's DOM path and location
+   * @override
+   * @param {string} html - HTML content to parse
+   * @returns {Array<Object>} [{ value, strategy, path, line, column }]
+   * @throws {Error} If extraction fails
+   */
+  extractMatches(html) {
     try {
       this.logger.info("Starting JSDOM extraction...");
 
       // Create DOM from HTML
-      const dom = new JSDOM(html);
+      const dom = new JSDOM(html, { includeNodeLocations: true });
       const document = dom.window.document;
 
-      // Find all matching sections
+      // Find all candidate leaf elements in document order
       const selector = this._buildSelector();
-      const sections = document.querySelectorAll(selector.section);
-      this.logger.debug(`Found ${sections.length} sections`);
+      this.logger.debug(`CSS selector: ${selector}`);
+      const elements = document.querySelectorAll(selector);
+      this.logger.debug(`Found ${elements.length} candidate elements`);
 
-      const characters = [];
+      // CSS has no regex operator, so those steps are verified in JS
+      const needsChainCheck = this.pattern.hasRegexSteps();
+      const matches = [];
 
-      sections.forEach((section, sectionIndex) => {
+      elements.forEach((element, index) => {
         try {
-          // Find nested articles
-          const articles = section.querySelectorAll(selector.article);
-
-          articles.forEach((article) => {
-            // Find nested divs
-            const divs = article.querySelectorAll(selector.div);
-
-            divs.forEach((div) => {
-              // Find b tags with value
-              const bTags = div.querySelectorAll(selector.b);
-
-              bTags.forEach((b) => {
-                const value = b.getAttribute(PATTERN.VALUE_ATTRIBUTE);
-                if (value !== null && value !== undefined) {
-                  characters.push(value);
-                  this.logger.debug(`Found character: "${value}"`);
+          const path = this.pattern.describePath(element);
+          if (needsChainCheck && !path) {
+            return;
+          }
+
+          const value = this.pattern.readValue(element);
+          if (value !== null && value !== undefined) {
+            const location = dom.nodeLocation(element);
+            matches.push(
+              this._buildMatch(
+                value,
+                path,
+                location && {
+                  line: location.startLine,
+                  column: location.startCol,
                 }
-              });
-            });
-          });
+              )
+            );
+            this.logger.debug(`Found character: "${value}"`);
+          }
         } catch (error) {
           this.logger.warn(
-            `Error processing section ${sectionIndex}: ${error.message}`
+            `Error processing element ${index}: ${error.message}`
           );
         }
       });
@@ -62,10 +76,8 @@ class JSDOMStrategy extends ExtractionStrategy {
       // Clean up JSDOM resources
       dom.window.close();
 
-      this.logger.success(
-        `Extracted ${characters.length} characters using JSDOM`
-      );
-      return characters;
+      this.logger.success(`Extracted ${matches.length} characters using JSDOM`);
+      return matches;
     } catch (error) {
       this.logger.error("JSDOM extraction failed", error);
       throw new Error(`JSDOM extraction failed: ${error.message}`);
@@ -73,17 +85,58 @@ class JSDOMStrategy extends ExtractionStrategy {
   }
 
   /**
-   * Builds CSS selectors for pattern matching
+   * Compiles the pattern spec into a single CSS selector
    * @private
-   * @returns {Object} Object containing selectors
+   * @returns {string} CSS selector matching leaf elements
    */
   _buildSelector() {
-    return {
-      section: `section[data-id*="${PATTERN.SECTION_DATA_ID}"]`,
-      article: `article[data-class*="${PATTERN.ARTICLE_DATA_CLASS}"]`,
-      div: `div[data-tag*="${PATTERN.DIV_DATA_TAG}"]`,
-      b: `b.${PATTERN.B_CLASS}[${PATTERN.VALUE_ATTRIBUTE}]`,
-    };
+    const { steps, read, leaf } = this.pattern;
+
+    return steps
+      .map((step, index) => {
+        let compound = step.tag;
+
+        if (step.attribute) {
+          compound += this._buildAttributeSelector(step);
+        }
+        if (step === leaf && read.attribute) {
+          compound += `[${read.attribute}]`;
+        }
+
+        if (index === 0) {
+          return compound;
+        }
+        return step.relation === PATTERN_RELATIONS.CHILD
+          ? ` > ${compound}`
+          : ` ${compound}`;
+      })
+      .join("");
+  }
+
+  /**
+   * Compiles a single step's attribute condition into a CSS attribute selector
+   * @private
+   * @param {Object} step - Normalized pattern step
+   * @returns {string} Attribute selector
+   */
+  _buildAttributeSelector(step) {
+    const value = `"${step.value.replace(/["\\]/g, "\\$&")}"`;
+
+    switch (step.operator) {
+      case PATTERN_OPERATORS.CONTAINS:
+        return `[${step.attribute}*=${value}]`;
+      case PATTERN_OPERATORS.PREFIX:
+        return `[${step.attribute}^=${value}]`;
+      case PATTERN_OPERATORS.SUFFIX:
+        return `[${step.attribute}$=${value}]`;
+      case PATTERN_OPERATORS.TOKEN:
+        return `[${step.attribute}~=${value}]`;
+      case PATTERN_OPERATORS.REGEX:
+        // Presence only; the regex itself is checked by matchesChain()
+        return `[${step.attribute}]`;
+      default:
+        return `[${step.attribute}=${value}]`;
+    }
   }
 
   /**
@@ -1,5 +1,6 @@
 const ExtractionStrategy = require("./ExtractionStrategy");
-const { PATTERN } = require("../config/constants");
+const PatternSpec = require("../patterns/PatternSpec");
+const { PATTERN_OPERATORS } = require("../config/constants");
 
 /**
  * Regex-based extraction strategy (fallback)
@@ -15,25 +16,52 @@ class RegexStrategy extends ExtractionStrategy {
    * @throws {Error} If extraction fails
    */
   extract(html) {
+    return this.extractMatches(html).map((match) => match.value);
+  }
+
+  /**
+   * Extracts characters using Regular Expressions, with the attribute values
+   * matched per step and the leaf tag's location
+   * @override
+   * @param {string} html - HTML content to parse
+   * @returns {Array<Object>} [{ value, strategy, path, line, column }]
+   * @throws {Error} If extraction fails
+   */
+  extractMatches(html) {
     try {
       this.logger.info("Starting Regex extraction...");
 
-      const pattern = this._buildRegexPattern();
-      const characters = [];
+      const { pattern, valueGroup, stepGroups, regexChecks } =
+        this._buildRegexPattern();
+      const locate = this._createLocator(html);
+      const matches = [];
       let match;
       let matchCount = 0;
 
       while ((match = pattern.exec(html)) !== null) {
+        // Regex-operator steps are captured and verified separately
+        const rejected = regexChecks.some(
+          ({ group, step }) =>
+            !PatternSpec.testValue(step.operator, match[group], step.value)
+        );
+        if (rejected) {
+          continue;
+        }
+
         matchCount++;
-        const value = match[1];
-        characters.push(value);
+        const value = match[valueGroup];
+        const path = this.pattern.steps.map((step, index) =>
+          this.pattern.describeStep(step, match[stepGroups[index]])
+        );
+        // The match ends in the leaf's opening tag (or its text, which holds
+        // no "<"), so the leaf starts at the match's last "<"
+        const leafStart = match.index + match[0].lastIndexOf("<");
+        matches.push(this._buildMatch(value, path, locate(leafStart)));
         this.logger.debug(`Match ${matchCount}: "${value}"`);
       }
 
-      this.logger.success(
-        `Extracted ${characters.length} characters using Regex`
-      );
-      return characters;
+      this.logger.success(`Extracted ${matches.length} characters using Regex`);
+      return matches;
     } catch (error) {
       this.logger.error("Regex extraction failed", error);
       throw new Error(`Regex extraction failed: ${error.message}`);
@@ -41,21 +69,107 @@ class RegexStrategy extends ExtractionStrategy {
   }
 
   /**
-   * Builds the regex pattern for matching
+   * Compiles the pattern spec into a regex over the raw markup
+   *
+   * Each step becomes an opening-tag match, joined lazily, so nesting and the
+   * child/descendant relation are approximated rather than enforced.
+   * Every step's attribute value is captured (stepGroups, null for steps
+   * without an attribute) for provenance; regex-operator steps are also listed
+   * in regexChecks for verification in JS.
    * @private
-   * @returns {RegExp} Regex pattern
+   * @returns {Object} { pattern, valueGroup, stepGroups, regexChecks }
    */
   _buildRegexPattern() {
-    // Build pattern dynamically from constants
-    const sectionPattern = `<section[^>]*data-id="[^"]*${PATTERN.SECTION_DATA_ID}[^"]*"[^>]*>`;
-    const articlePattern = `[\\s\\S]*?<article[^>]*data-class="[^"]*${PATTERN.ARTICLE_DATA_CLASS}[^"]*"[^>]*>`;
-    const divPattern = `[\\s\\S]*?<div[^>]*data-tag="[^"]*${PATTERN.DIV_DATA_TAG}[^"]*"[^>]*>`;
-    const bPattern = `[\\s\\S]*?<b[^>]*class="${PATTERN.B_CLASS}"[^>]*${PATTERN.VALUE_ATTRIBUTE}="([^"]*)"[^>]*>`;
+    const { steps, read, leaf } = this.pattern;
+    const regexChecks = [];
+    const stepGroups = [];
+    let groupCount = 0;
+    let valueGroup = null;
+
+    const stepPatterns = steps.map((step) => {
+      let tagPattern = `<${step.tag}(?=[\\s>/])`;
+
+      if (step.attribute) {
+        groupCount++;
+        stepGroups.push(groupCount);
+        if (step.operator === PATTERN_OPERATORS.REGEX) {
+          regexChecks.push({ group: groupCount, step });
+        }
+        tagPattern += this._buildAttributeLookahead(step);
+      } else {
+        stepGroups.push(null);
+      }
+
+      if (step === leaf && read.attribute) {
+        groupCount++;
+        valueGroup = groupCount;
+        tagPattern += `(?=[^>]*\\s${this._escape(read.attribute)}="([^"]*)")`;
+      }
+
+      tagPattern += "[^>]*>";
+
+      if (step === leaf && read.text) {
+        groupCount++;
+        valueGroup = groupCount;
+        tagPattern += "([^<]*)";
+      }
+
+      return tagPattern;
+    });
 
-    const fullPattern = sectionPattern + articlePattern + divPattern + bPattern;
+    const fullPattern = stepPatterns.join("[\\s\\S]*?");
 
     this.logger.debug("Regex pattern built");
-    return new RegExp(fullPattern, "gi");
+    return {
+      pattern: new RegExp(fullPattern, "gi"),
+      valueGroup,
+      stepGroups,
+      regexChecks,
+    };
+  }
+
+  /**
+   * Compiles a single step's attribute condition into a lookahead
+   * @private
+   * @param {Object} step - Normalized pattern step
+   * @returns {string} Lookahead matching the attribute anywhere in the tag,
+   *   capturing its value in one group
+   */
+  _buildAttributeLookahead(step) {
+    const value = this._escape(step.value);
+    let valuePattern;
+
+    switch (step.operator) {
+      case PATTERN_OPERATORS.CONTAINS:
+        valuePattern = `[^"]*${value}[^"]*`;
+        break;
+      case PATTERN_OPERATORS.PREFIX:
+        valuePattern = `${value}[^"]*`;
+        break;
+      case PATTERN_OPERATORS.SUFFIX:
+        valuePattern = `[^"]*${value}`;
+        break;
+      case PATTERN_OPERATORS.TOKEN:
+        valuePattern = `(?:[^"]*\\s)?${value}(?:\\s[^"]*)?`;
+        break;
+      case PATTERN_OPERATORS.REGEX:
+        valuePattern = `[^"]*`;
+        break;
+      default:
+        valuePattern = value;
+    }
+
+    return `(?=[^>]*\\s${this._escape(step.attribute)}="(${valuePattern})")`;
+  }
+
+  /**
+   * Escapes a string for literal use inside a RegExp
+   * @private
+   * @param {string} value - Raw string
+   * @returns {string} Escaped string
+   */
+  _escape(value) {
+    return value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
   }
 
   /**
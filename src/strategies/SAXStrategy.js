@@ -0,0 +1,185 @@
+const ExtractionStrategy = require("./ExtractionStrategy");
+const { Parser } = require("htmlparser2");
+const { StringDecoder } = require("string_decoder");
+
+/**
+ * Streaming SAX extraction strategy
+ * Matches the pattern incrementally against a stack of open ancestors instead
+ * of building a DOM, so memory stays flat on very large pages
+ * @class SAXStrategy
+ * @extends ExtractionStrategy
+ */
+class SAXStrategy extends ExtractionStrategy {
+  /**
+   * Extracts characters from an HTML string
+   * @override
+   * @param {string} html - HTML content to parse
+   * @returns {Array<string>} Array of extracted characters
+   * @throws {Error} If extraction fails
+   */
+  extract(html) {
+    return this.extractMatches(html).map((match) => match.value);
+  }
+
+  /**
+   * Extracts characters from an HTML string with their paths and locations
+   * @override
+   * @param {string} html - HTML content to parse
+   * @returns {Array<Object>} [{ value, strategy, path, line, column }]
+   * @throws {Error} If extraction fails
+   */
+  extractMatches(html) {
+    try {
+      this.logger.info("Starting SAX extraction...");
+
+      const matches = [];
+      const parser = this._createParser((match) => {
+        matches.push(match);
+        this.logger.debug(`Found character: "${match.value}"`);
+      }, this._createLocator(html));
+      parser.end(html);
+
+      this.logger.success(`Extracted ${matches.length} characters using SAX`);
+      return matches;
+    } catch (error) {
+      this.logger.error("SAX extraction failed", error);
+      throw new Error(`SAX extraction failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Extracts characters from a readable stream as it arrives
+   * @param {Readable} stream - Stream of HTML (strings or Buffers)
+   * @param {Function} [onCharacter] - Called with (value, index, match) per
+   *   character; match carries the DOM path (line and column are null when
+   *   streaming)
+   * @returns {Promise<Array<string>>} All extracted characters once the stream ends
+   * @throws {Error} If the stream errors
+   */
+  extractStream(stream, onCharacter = () => {}) {
+    return new Promise((resolve, reject) => {
+      this.logger.info("Starting streaming SAX extraction...");
+
+      const characters = [];
+      const decoder = new StringDecoder("utf8");
+      let received = 0;
+
+      const parser = this._createParser((match) => {
+        characters.push(match.value);
+        this.logger.debug(
+          `Found character ${characters.length}: "${match.value}" ` +
+            `(${received} bytes read)`
+        );
+        onCharacter(match.value, characters.length - 1, match);
+      });
+
+      stream.on("data", (chunk) => {
+        if (typeof chunk === "string") {
+          received += Buffer.byteLength(chunk);
+          parser.write(chunk);
+        } else {
+          received += chunk.length;
+          parser.write(decoder.write(chunk));
+        }
+      });
+
+      stream.on("end", () => {
+        parser.end(decoder.end());
+        this.logger.success(
+          `Extracted ${characters.length} characters using SAX ` +
+            `(${received} bytes streamed)`
+        );
+        resolve(characters);
+      });
+
+      stream.on("error", (error) => {
+        this.logger.error("SAX stream extraction failed", error);
+        reject(new Error(`SAX extraction failed: ${error.message}`));
+      });
+    });
+  }
+
+  /**
+   * Creates a tokenizer that tracks open ancestors and emits matches
+   * @private
+   * @param {Function} emit - Called with each extracted character's match
+   * @param {Function} [locate] - Maps a source offset to { line, column }
+   * @returns {Parser} htmlparser2 parser
+   */
+  _createParser(emit, locate = null) {
+    let current = null;
+    let capture = null;
+
+    const parser = new Parser(
+      {
+        onopentag: (name, attributes) => {
+          // Minimal element shape understood by PatternSpec.matchesChain()
+          const element = {
+            tagName: name,
+            parentNode: current,
+            textContent: "",
+            getAttribute: (attribute) =>
+              Object.prototype.hasOwnProperty.call(attributes, attribute)
+                ? attributes[attribute]
+                : null,
+          };
+          current = element;
+
+          if (capture) {
+            return;
+          }
+          const path = this.pattern.describePath(element);
+          if (!path) {
+            return;
+          }
+
+          const location = locate ? locate(parser.startIndex) : null;
+          if (this.pattern.read.text) {
+            capture = { element, path, location };
+            return;
+          }
+
+          const value = this.pattern.readValue(element);
+          if (value !== null) {
+            emit(this._buildMatch(value, path, location));
+          }
+        },
+        ontext: (text) => {
+          if (capture) {
+            capture.element.textContent += text;
+          }
+        },
+        onclosetag: () => {
+          if (capture && current === capture.element) {
+            emit(
+              this._buildMatch(
+                capture.element.textContent,
+                capture.path,
+                capture.location
+              )
+            );
+            capture = null;
+          }
+          current = current ? current.parentNode : null;
+        },
+      },
+      {
+        decodeEntities: true,
+        lowerCaseTags: true,
+        lowerCaseAttributeNames: true,
+      }
+    );
+    return parser;
+  }
+
+  /**
+   * Gets the strategy name
+   * @override
+   * @returns {string} Strategy name
+   */
+  getName() {
+    return "SAX Strategy";
+  }
+}
+
+module.exports = SAXStrategy;
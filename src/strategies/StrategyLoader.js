@@ -0,0 +1,194 @@
+const path = require("path");
+const XPathStrategy = require("./XPathStrategy");
+const JSDOMStrategy = require("./JSDOMStrategy");
+const RegexStrategy = require("./RegexStrategy");
+const SAXStrategy = require("./SAXStrategy");
+const PluginError = require("../errors/PluginError");
+
+// Built-in strategies by the name used with --strategy
+const BUILT_IN = {
+  xpath: XPathStrategy,
+  jsdom: JSDOMStrategy,
+  regex: RegexStrategy,
+  sax: SAXStrategy,
+};
+
+// Methods every strategy must provide (see ExtractionStrategy)
+const CONTRACT = ["extract", "getName"];
+
+/**
+ * Resolves strategy specifiers to strategy classes and instances
+ * A specifier is a built-in name (xpath, jsdom, regex, sax) or a path to a
+ * module exporting a strategy class, constructed as `new Strategy(logger,
+ * pattern)`. Plugins need not extend ExtractionStrategy but must honour its
+ * contract; they are checked when loaded, not when first used
+ * @class StrategyLoader
+ */
+class StrategyLoader {
+  /**
+   * Creates a StrategyLoader instance
+   * @param {Array<string>} specifiers - Names or module paths, in fallback order
+   * @param {string} [baseDir] - Directory module paths are relative to
+   * @throws {PluginError} If a specifier cannot be loaded or breaks the contract
+   */
+  constructor(specifiers, baseDir = process.cwd()) {
+    if (!Array.isArray(specifiers) || specifiers.length === 0) {
+      throw new PluginError("At least one strategy is required", "");
+    }
+
+    this.entries = specifiers.map((specifier) => {
+      const Strategy = this._resolve(specifier, baseDir);
+      this._checkClass(Strategy, specifier);
+      return { specifier, Strategy, key: this._key(specifier) };
+    });
+  }
+
+  /**
+   * Lists the built-in strategy names
+   * @returns {Array<string>} Names accepted as specifiers
+   */
+  static builtInNames() {
+    return Object.keys(BUILT_IN);
+  }
+
+  /**
+   * Instantiates every strategy for a pattern
+   * @param {Function} createLogger - Returns a logger for a strategy key
+   * @param {PatternSpec} pattern - Pattern spec the strategies compile from
+   * @returns {Array<Object>} Strategy instances, in fallback order
+   * @throws {PluginError} If a constructor throws or an instance breaks the
+   *   contract
+   */
+  create(createLogger, pattern) {
+    return this.entries.map(({ specifier, Strategy, key }) => {
+      let strategy;
+      try {
+        strategy = new Strategy(createLogger(key), pattern);
+      } catch (error) {
+        throw new PluginError(
+          `Strategy ${specifier} failed to initialise: ${error.message}`,
+          specifier,
+          error
+        );
+      }
+      this._checkInstance(strategy, specifier);
+      return strategy;
+    });
+  }
+
+  /**
+   * Resolves a specifier to a class
+   * @private
+   * @param {string} specifier - Built-in name or module path
+   * @param {string} baseDir - Directory module paths are relative to
+   * @returns {Function} Strategy class
+   * @throws {PluginError} If the name is unknown or the module cannot be loaded
+   */
+  _resolve(specifier, baseDir) {
+    const name = String(specifier).toLowerCase();
+    if (Object.prototype.hasOwnProperty.call(BUILT_IN, name)) {
+      return BUILT_IN[name];
+    }
+
+    if (!this._isPath(specifier)) {
+      throw new PluginError(
+        `Unknown strategy "${specifier}" (expected one of: ` +
+          `${StrategyLoader.builtInNames().join(", ")}, or a module path)`,
+        specifier
+      );
+    }
+
+    let exported;
+    try {
+      exported = require(path.resolve(baseDir, specifier));
+    } catch (error) {
+      // Keep the first line; Node appends a multi-line "Require stack"
+      throw new PluginError(
+        `Failed to load strategy module ${specifier}: ` +
+          error.message.split("\n")[0],
+        specifier,
+        error
+      );
+    }
+    // Accept `module.exports = Class` as well as `exports.default = Class`
+    return exported && exported.default ? exported.default : exported;
+  }
+
+  /**
+   * Checks that a module exported a class implementing the contract
+   * @private
+   * @param {*} Strategy - Exported value
+   * @param {string} specifier - Specifier, for the error message
+   * @throws {PluginError} If it does not
+   */
+  _checkClass(Strategy, specifier) {
+    if (typeof Strategy !== "function" || !Strategy.prototype) {
+      throw new PluginError(
+        `Strategy module ${specifier} must export a class`,
+        specifier
+      );
+    }
+
+    const missing = CONTRACT.filter(
+      (method) => typeof Strategy.prototype[method] !== "function"
+    );
+    if (missing.length > 0) {
+      throw new PluginError(
+        `Strategy ${specifier} does not implement ${missing.join(", ")}()`,
+        specifier
+      );
+    }
+  }
+
+  /**
+   * Checks a constructed strategy
+   * Catches classes whose contract methods are only inherited abstract stubs
+   * @private
+   * @param {Object} strategy - Strategy instance
+   * @param {string} specifier - Specifier, for the error message
+   * @throws {PluginError} If getName() fails or is not a non-empty string
+   */
+  _checkInstance(strategy, specifier) {
+    let name;
+    try {
+      name = strategy.getName();
+    } catch (error) {
+      throw new PluginError(
+        `Strategy ${specifier} getName() failed: ${error.message}`,
+        specifier,
+        error
+      );
+    }
+
+    if (typeof name !== "string" || name.length === 0) {
+      throw new PluginError(
+        `Strategy ${specifier} getName() must return a non-empty string`,
+        specifier
+      );
+    }
+  }
+
+  /**
+   * Checks whether a specifier is a module path rather than a name
+   * @private
+   * @param {string} specifier - Specifier
+   * @returns {boolean} True for paths
+   */
+  _isPath(specifier) {
+    return /[\\/]/.test(specifier) || /\.[cm]?js$/.test(specifier);
+  }
+
+  /**
+   * Derives a logger component name from a specifier
+   * @private
+   * @param {string} specifier - Specifier
+   * @returns {string} Component name
+   */
+  _key(specifier) {
+    return this._isPath(specifier)
+      ? path.basename(specifier).replace(/\.[cm]?js$/, "")
+      : specifier.toLowerCase();
+  }
+}
+
+module.exports = StrategyLoader;
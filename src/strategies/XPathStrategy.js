@@ -1,59 +1,77 @@
 const ExtractionStrategy = require("./ExtractionStrategy");
 const xpath = require("xpath");
-const { DOMParser } = require("xmldom");
-const { PATTERN } = require("../config/constants");
+const parse5 = require("parse5");
+const { JSDOM } = require("jsdom");
+const { PATTERN_OPERATORS, PATTERN_RELATIONS } = require("../config/constants");
 
 /**
  * XPath-based extraction strategy
+ * Evaluates against the same HTML5-compliant DOM as JSDOMStrategy, so
+ * malformed markup, void elements and unquoted attributes parse identically
  * @class XPathStrategy
  * @extends ExtractionStrategy
  */
 class XPathStrategy extends ExtractionStrategy {
   /**
-   * Creates an XPathStrategy instance
-   * @param {Logger} logger - Logger instance
+   * Extracts characters using XPath
+   * @override
+   * @param {string} html - HTML content to parse
+   * @returns {Array<string>} Array of extracted characters
+   * @throws {Error} If extraction fails
    */
-  constructor(logger) {
-    super(logger);
-    this.parser = new DOMParser({
-      locator: {},
-      errorHandler: {
-        warning: (msg) => this.logger.warn(`XML Parser Warning: ${msg}`),
-        error: (msg) => this.logger.error(`XML Parser Error: ${msg}`),
-        fatalError: (msg) => this.logger.error(`XML Parser Fatal: ${msg}`),
-      },
-    });
+  extract(html) {
+    return this.extractMatches(html).map((match) => match.value);
   }
 
   /**
-   * Extracts characters using XPath
+   * Extracts characters using XPath, with each leaf's DOM path and location
    * @override
    * @param {string} html - HTML content to parse
-   * @returns {Array<string>} Array of extracted characters
+   * @returns {Array<Object>} [{ value, strategy, path, line, column }]
    * @throws {Error} If extraction fails
    */
-  extract(html) {
+  extractMatches(html) {
     try {
       this.logger.info("Starting XPath extraction...");
 
-      // Parse HTML into DOM
-      const doc = this.parser.parseFromString(html, "text/html");
+      // Record parse errors as diagnostics rather than log spam
+      this.diagnostics = this._collectDiagnostics(html);
+      if (this.diagnostics.length > 0) {
+        this.logger.debug(
+          `HTML parser reported ${this.diagnostics.length} issues`,
+          this.diagnostics
+        );
+      }
+
+      // Parse HTML into an HTML5 DOM
+      const dom = new JSDOM(html, { includeNodeLocations: true });
+      const doc = dom.window.document;
 
       // Build XPath expression
       const xpathExpression = this._buildXPathExpression();
       this.logger.debug("XPath expression:", xpathExpression);
 
       // Select matching nodes
-      const nodes = xpath.select(xpathExpression, doc);
+      const nodes = xpath.parse(xpathExpression).select({
+        node: doc,
+        isHtml: true,
+        functions: this._buildFunctions(),
+      });
       this.logger.info(`Found ${nodes.length} matching elements`);
 
       // Extract values
-      const characters = [];
+      const matches = [];
       nodes.forEach((node, index) => {
         try {
-          const value = node.getAttribute(PATTERN.VALUE_ATTRIBUTE);
+          const value = this.pattern.readValue(node);
           if (value !== null && value !== undefined) {
-            characters.push(value);
+            matches.push(
+              this._buildMatch(
+                value,
+                this.pattern.describePath(node),
+                this._nodeLocation(dom, node)
+              )
+            );
             this.logger.debug(`Character ${index + 1}: "${value}"`);
           }
         } catch (error) {
@@ -63,10 +81,11 @@ class XPathStrategy extends ExtractionStrategy {
         }
       });
 
-      this.logger.success(
-        `Extracted ${characters.length} characters using XPath`
-      );
-      return characters;
+      // Clean up JSDOM resources
+      dom.window.close();
+
+      this.logger.success(`Extracted ${matches.length} characters using XPath`);
+      return matches;
     } catch (error) {
       this.logger.error("XPath extraction failed", error);
       throw new Error(`XPath extraction failed: ${error.message}`);
@@ -74,17 +93,134 @@ class XPathStrategy extends ExtractionStrategy {
   }
 
   /**
-   * Builds the XPath expression for pattern matching
+   * Gets the source location of an element's start tag
+   * @private
+   * @param {JSDOM} dom - DOM created with includeNodeLocations
+   * @param {Element} node - Element
+   * @returns {Object|null} { line, column }, null for implied elements
+   */
+  _nodeLocation(dom, node) {
+    const location = dom.nodeLocation(node);
+    return location
+      ? { line: location.startLine, column: location.startCol }
+      : null;
+  }
+
+  /**
+   * Compiles the pattern spec into an XPath expression
    * @private
    * @returns {string} XPath expression
    */
   _buildXPathExpression() {
-    return (
-      `//section[contains(@data-id, '${PATTERN.SECTION_DATA_ID}')]` +
-      `//article[contains(@data-class, '${PATTERN.ARTICLE_DATA_CLASS}')]` +
-      `//div[contains(@data-tag, '${PATTERN.DIV_DATA_TAG}')]` +
-      `//b[@class='${PATTERN.B_CLASS}']`
-    );
+    const { steps, read, leaf } = this.pattern;
+
+    return steps
+      .map((step, index) => {
+        const axis =
+          index > 0 && step.relation === PATTERN_RELATIONS.CHILD ? "/" : "//";
+        const predicates = [];
+
+        if (step.attribute) {
+          predicates.push(this._buildPredicate(step));
+        }
+        if (step === leaf && read.attribute) {
+          predicates.push(`@${read.attribute}`);
+        }
+
+        return (
+          axis +
+          step.tag +
+          predicates.map((predicate) => `[${predicate}]`).join("")
+        );
+      })
+      .join("");
+  }
+
+  /**
+   * Compiles a single step's attribute condition into an XPath predicate
+   * @private
+   * @param {Object} step - Normalized pattern step
+   * @returns {string} XPath predicate body
+   */
+  _buildPredicate(step) {
+    const attribute = `@${step.attribute}`;
+    const value = this._literal(step.value);
+
+    switch (step.operator) {
+      case PATTERN_OPERATORS.CONTAINS:
+        return `contains(${attribute}, ${value})`;
+      case PATTERN_OPERATORS.PREFIX:
+        return `starts-with(${attribute}, ${value})`;
+      case PATTERN_OPERATORS.SUFFIX:
+        // XPath 1.0 has no ends-with()
+        return (
+          `substring(${attribute}, string-length(${attribute}) - ` +
+          `string-length(${value}) + 1) = ${value}`
+        );
+      case PATTERN_OPERATORS.TOKEN:
+        // The classic XPath 1.0 idiom for CSS [attr~=value]
+        return (
+          `contains(concat(' ', normalize-space(${attribute}), ' '), ` +
+          `${this._literal(` ${step.value} `)})`
+        );
+      case PATTERN_OPERATORS.REGEX:
+        return `matches(${attribute}, ${value})`;
+      default:
+        return `${attribute} = ${value}`;
+    }
+  }
+
+  /**
+   * Quotes a string as an XPath 1.0 literal
+   * @private
+   * @param {string} value - Raw string
+   * @returns {string} XPath literal expression
+   */
+  _literal(value) {
+    if (!value.includes("'")) {
+      return `'${value}'`;
+    }
+    if (!value.includes('"')) {
+      return `"${value}"`;
+    }
+    const parts = value.split("'").map((part) => `'${part}'`);
+    return `concat(${parts.join(`, "'", `)})`;
+  }
+
+  /**
+   * Custom XPath functions available to compiled expressions
+   * @private
+   * @returns {Object} Function map for xpath.parse().select()
+   */
+  _buildFunctions() {
+    return {
+      matches: (context, value, pattern) =>
+        new RegExp(pattern.stringValue()).test(value.stringValue()),
+    };
+  }
+
+  /**
+   * Collects HTML5 tokenizer errors as structured diagnostics
+   * @private
+   * @param {string} html - HTML content
+   * @returns {Array<Object>} Diagnostics ({ severity, code, line, column, offset })
+   */
+  _collectDiagnostics(html) {
+    const diagnostics = [];
+
+    parse5.parse(html, {
+      onParseError: (error) => {
+        diagnostics.push({
+          severity: "warning",
+          code: error.code,
+          line: error.startLine,
+          column: error.startCol,
+          offset: error.startOffset,
+        });
+      },
+    });
+
+    return diagnostics;
   }
 
   /**
@@ -1,14 +1,28 @@
+const ConsoleSink = require("./sinks/ConsoleSink");
+const StreamSink = require("./sinks/StreamSink");
+const { LOGGING } = require("../config/constants");
+
 /**
  * Logger utility class for consistent logging across the application
  * Follows Single Responsibility Principle - only handles logging
+ *
+ * Every event becomes an entry { timestamp, level, message, component, data }
+ * that is formatted ("pretty" emoji lines or one JSON object per line) and
+ * handed to each sink. A sink is any object with `write(line, entry)`.
  * @class Logger
  */
 class Logger {
   /**
    * Creates a Logger instance
    * @param {string} level - Logging level (ERROR, WARN, INFO, DEBUG)
+   * @param {Object} [options] - Logger options
+   * @param {string} [options.format] - LOGGING.FORMATS.PRETTY or LOGGING.FORMATS.JSON
+   * @param {Array<Object>} [options.sinks] - Destinations (default: console for
+   *   pretty, stderr for JSON)
+   * @param {string|null} [options.component] - Component name added to entries
+   * @throws {Error} If the format is unknown
    */
-  constructor(level = "INFO") {
+  constructor(level = "INFO", options = {}) {
     this.level = level;
     this.levels = {
       ERROR: 0,
@@ -16,39 +30,81 @@ class Logger {
       INFO: 2,
       DEBUG: 3,
     };
+
+    this.format = options.format || LOGGING.FORMATS.PRETTY;
+    if (!Object.values(LOGGING.FORMATS).includes(this.format)) {
+      throw new Error(`Unknown log format: ${this.format}`);
+    }
+
+    this.sinks =
+      options.sinks ||
+      (this.format === LOGGING.FORMATS.JSON
+        ? [new StreamSink(process.stderr)]
+        : [new ConsoleSink()]);
+    this.component = options.component || null;
+  }
+
+  /**
+   * Creates a logger for a component that shares this logger's sinks
+   * @param {string} component - Component name
+   * @returns {Logger} Child logger
+   */
+  child(component) {
+    return new Logger(this.level, {
+      format: this.format,
+      sinks: this.sinks,
+      component,
+    });
   }
 
   /**
    * Logs an error message
    * @param {string} message - Error message to log
    * @param {Error} [error] - Optional error object
+   * @param {Object} [data] - Optional structured data
    */
-  error(message, error = null) {
+  error(message, error = null, data = null) {
     if (this._shouldLog("ERROR")) {
-      console.error(`❌ [ERROR] ${message}`);
-      if (error && error.stack) {
-        console.error(error.stack);
-      }
+      const details = error
+        ? {
+            ...data,
+            error: {
+              name: error.name,
+              message: error.message,
+              code: error.code,
+              stack: error.stack,
+            },
+          }
+        : data;
+      this._write(
+        "error",
+        "❌ [ERROR]",
+        message,
+        details,
+        error && error.stack
+      );
     }
   }
 
   /**
    * Logs a warning message
    * @param {string} message - Warning message to log
+   * @param {Object} [data] - Optional structured data
    */
-  warn(message) {
+  warn(message, data = null) {
     if (this._shouldLog("WARN")) {
-      console.warn(`⚠️  [WARN] ${message}`);
+      this._write("warn", "⚠️  [WARN]", message, data);
     }
   }
 
   /**
    * Logs an info message
    * @param {string} message - Info message to log
+   * @param {Object} [data] - Optional structured data
    */
-  info(message) {
+  info(message, data = null) {
     if (this._shouldLog("INFO")) {
-      console.log(`ℹ️  [INFO] ${message}`);
+      this._write("info", "ℹ️  [INFO]", message, data);
     }
   }
 
@@ -59,19 +115,51 @@ class Logger {
    */
   debug(message, data = null) {
     if (this._shouldLog("DEBUG")) {
-      console.log(`🔍 [DEBUG] ${message}`);
-      if (data) {
-        console.log(JSON.stringify(data, null, 2));
-      }
+      this._write(
+        "debug",
+        "🔍 [DEBUG]",
+        message,
+        data,
+        data ? JSON.stringify(data, null, 2) : null
+      );
     }
   }
 
   /**
-   * Logs a success message
+   * Logs a success message (shown at INFO level and above)
    * @param {string} message - Success message to log
+   * @param {Object} [data] - Optional structured data
+   */
+  success(message, data = null) {
+    if (this._shouldLog("INFO")) {
+      this._write("success", "✅ [SUCCESS]", message, data);
+    }
+  }
+
+  /**
+   * Builds an entry, formats it and hands it to every sink
+   * @private
+   * @param {string} level - Entry level (lower-case)
+   * @param {string} prefix - Pretty-format prefix
+   * @param {string} message - Message
+   * @param {*} data - Structured data, or null
+   * @param {string|null} [detail] - Extra pretty-format line (stack, data dump)
    */
-  success(message) {
-    console.log(`✅ [SUCCESS] ${message}`);
+  _write(level, prefix, message, data, detail = null) {
+    const entry = {
+      timestamp: new Date().toISOString(),
+      level,
+      message,
+      component: this.component,
+      data: data === undefined ? null : data,
+    };
+
+    const line =
+      this.format === LOGGING.FORMATS.JSON
+        ? JSON.stringify(entry)
+        : `${prefix} ${message}` + (detail ? `\n${detail}` : "");
+
+    this.sinks.forEach((sink) => sink.write(line, entry));
   }
 
   /**
@@ -0,0 +1,331 @@
+const { OUTPUT_FORMATS } = require("../config/constants");
+
+/**
+ * Formats solver results and failures for stdout
+ * Follows Single Responsibility Principle - only handles result presentation
+ * @class ResultFormatter
+ */
+class ResultFormatter {
+  /**
+   * Formats a successful run
+   * @param {Object} result - Result from UrlExtractor
+   * @param {string} format - One of OUTPUT_FORMATS
+   * @param {number} exitCode - Exit code the process will end with
+   * @returns {string} Output text, newline-terminated (empty if nothing to print)
+   * @throws {Error} If the format is unknown
+   */
+  static format(result, format, exitCode) {
+    const document = { ok: exitCode === 0, exitCode, ...result };
+
+    switch (format) {
+      case OUTPUT_FORMATS.JSON:
+        return JSON.stringify(document, null, 2) + "\n";
+      case OUTPUT_FORMATS.NDJSON:
+        return JSON.stringify(document) + "\n";
+      case OUTPUT_FORMATS.TEXT:
+        return ResultFormatter._text([
+          ["url", result.url],
+          ["flag", result.flag],
+          ["flag_url", result.flagUrl],
+          ["flag_source", result.flagSource],
+          ["strategy", result.strategy],
+          ["characters", result.characterCount],
+          ...(result.trail || []).map((entry) => [
+            "stage",
+            `${entry.name} ${entry.value}`,
+          ]),
+          ...(result.decoding ? result.decoding.steps : []).map((step) => [
+            "decoded",
+            `${step.decoder} ${step.output}`,
+          ]),
+          ...Object.entries(result.cache || {})
+            .filter(([, cache]) => cache)
+            .map(([fetch, cache]) => ["cache", `${fetch} ${cache.status}`]),
+          ["time_ms", result.timings && result.timings.total],
+          ...(result.warnings || []).map((warning) => ["warning", warning]),
+        ]);
+      case OUTPUT_FORMATS.FLAG_ONLY:
+        return result.flag === null ? "" : `${result.flag}\n`;
+      default:
+        throw new Error(`Unknown output format: ${format}`);
+    }
+  }
+
+  /**
+   * Formats a failed run
+   * Only the JSON formats describe failures on stdout; text formats leave the
+   * explanation to the logs on stderr
+   * @param {Error} error - Error that ended the run
+   * @param {string} format - One of OUTPUT_FORMATS
+   * @param {number} exitCode - Exit code the process will end with
+   * @returns {string} Output text, newline-terminated (empty if nothing to print)
+   */
+  static formatError(error, format, exitCode) {
+    const document = {
+      ok: false,
+      exitCode,
+      error: {
+        name: error.name,
+        code: error.code || null,
+        message: error.message,
+        url: error.url || null,
+      },
+    };
+    if (error.nearMiss) {
+      document.nearMiss = error.nearMiss;
+    }
+    if (error.trail) {
+      document.trail = error.trail;
+    }
+    if (error.errors) {
+      document.errors = error.errors;
+    }
+
+    switch (format) {
+      case OUTPUT_FORMATS.JSON:
+        return JSON.stringify(document, null, 2) + "\n";
+      case OUTPUT_FORMATS.NDJSON:
+        return JSON.stringify(document) + "\n";
+      default:
+        return "";
+    }
+  }
+
+  /**
+   * Formats an inferred pattern
+   * Without an output format only the spec is printed, so it can be saved and
+   * passed straight to --pattern
+   * @param {Array<Object>} candidates - Ranked candidates from PatternInferrer
+   * @param {string|null} format - One of OUTPUT_FORMATS, or null
+   * @param {number} exitCode - Exit code the process will end with
+   * @returns {string} Output text, newline-terminated
+   * @throws {Error} If the format is unknown or flag-only
+   */
+  static formatInference(candidates, format, exitCode) {
+    const [best, ...alternatives] = candidates;
+    const document = {
+      ok: exitCode === 0,
+      exitCode,
+      pattern: best.spec,
+      preview: best.preview,
+      characterCount: best.characterCount,
+      score: best.score,
+      alternatives,
+    };
+
+    switch (format) {
+      case null:
+        return JSON.stringify(best.spec, null, 2) + "\n";
+      case OUTPUT_FORMATS.JSON:
+        return JSON.stringify(document, null, 2) + "\n";
+      case OUTPUT_FORMATS.NDJSON:
+        return JSON.stringify(document) + "\n";
+      case OUTPUT_FORMATS.TEXT:
+        return ResultFormatter._text([
+          ["pattern", JSON.stringify(best.spec)],
+          ["preview", best.preview],
+          ["characters", best.characterCount],
+          ["score", best.score],
+          ...alternatives.map((candidate) => [
+            "alternative",
+            `${candidate.score} ${candidate.preview}`,
+          ]),
+        ]);
+      default:
+        throw new Error(`Unsupported output format for infer: ${format}`);
+    }
+  }
+
+  /**
+   * Formats a standalone decoding
+   * Without an output format only the decoded text is printed
+   * @param {Object} decoding - { mode, input, output, steps } from DecoderPipeline
+   * @param {string|null} format - One of OUTPUT_FORMATS, or null
+   * @param {number} exitCode - Exit code the process will end with
+   * @returns {string} Output text, newline-terminated
+   * @throws {Error} If the format is unknown or flag-only
+   */
+  static formatDecoding(decoding, format, exitCode) {
+    const document = { ok: exitCode === 0, exitCode, ...decoding };
+
+    switch (format) {
+      case null:
+        return `${decoding.output}\n`;
+      case OUTPUT_FORMATS.JSON:
+        return JSON.stringify(document, null, 2) + "\n";
+      case OUTPUT_FORMATS.NDJSON:
+        return JSON.stringify(document) + "\n";
+      case OUTPUT_FORMATS.TEXT:
+        return ResultFormatter._text([
+          ["input", decoding.input],
+          ...decoding.steps.map((step) => [
+            "step",
+            `${step.decoder} (${step.confidence}) ${step.output}`,
+          ]),
+          ["output", decoding.output],
+        ]);
+      default:
+        throw new Error(`Unsupported output format for decode: ${format}`);
+    }
+  }
+
+  /**
+   * Formats the effective configuration
+   * Without an output format (or with text) each setting is printed as
+   * "path = value  (source)"
+   * @param {Object} loaded - { config, sources, file } from ConfigLoader
+   * @param {string|null} format - One of OUTPUT_FORMATS, or null
+   * @returns {string} Output text, newline-terminated
+   * @throws {Error} If the format is unknown or flag-only
+   */
+  static formatConfig(loaded, format) {
+    const { config, sources, file } = loaded;
+    const document = { ok: true, exitCode: 0, config, sources, file };
+
+    switch (format) {
+      case null:
+      case OUTPUT_FORMATS.TEXT:
+        return Object.entries(sources)
+          .map(([path, source]) => {
+            const value = path
+              .split(".")
+              .reduce((node, key) => node[key], config);
+            const shown =
+              value !== null && typeof value === "object"
+                ? JSON.stringify(value)
+                : value;
+            return `${path} = ${shown}  (${source})\n`;
+          })
+          .join("");
+      case OUTPUT_FORMATS.JSON:
+        return JSON.stringify(document, null, 2) + "\n";
+      case OUTPUT_FORMATS.NDJSON:
+        return JSON.stringify(document) + "\n";
+      default:
+        throw new Error(`Unsupported output format for config: ${format}`);
+    }
+  }
+
+  /**
+   * Formats the outcome of `cache clear`
+   * @param {Object} summary - { directory, removed }
+   * @param {string|null} format - One of OUTPUT_FORMATS, or null
+   * @returns {string} Output text, newline-terminated
+   * @throws {Error} If the format is unknown or flag-only
+   */
+  static formatCacheClear(summary, format) {
+    const document = { ok: true, exitCode: 0, ...summary };
+
+    switch (format) {
+      case null:
+        return `Removed ${summary.removed} cache entries from ${summary.directory}\n`;
+      case OUTPUT_FORMATS.JSON:
+        return JSON.stringify(document, null, 2) + "\n";
+      case OUTPUT_FORMATS.NDJSON:
+        return JSON.stringify(document) + "\n";
+      case OUTPUT_FORMATS.TEXT:
+        return ResultFormatter._text([
+          ["directory", summary.directory],
+          ["removed", summary.removed],
+        ]);
+      default:
+        throw new Error(`Unsupported output format for cache: ${format}`);
+    }
+  }
+
+  /**
+   * Formats a batch report
+   * NDJSON items are written as they finish (see formatBatchItem()), so here it
+   * only produces the closing summary line
+   * @param {Object} report - { items, summary } from BatchRunner
+   * @param {string} format - One of OUTPUT_FORMATS
+   * @param {number} exitCode - Exit code the process will end with
+   * @returns {string} Output text, newline-terminated
+   * @throws {Error} If the format is unknown
+   */
+  static formatBatch(report, format, exitCode) {
+    const ok = exitCode === 0;
+
+    switch (format) {
+      case OUTPUT_FORMATS.JSON:
+        return JSON.stringify({ ok, exitCode, ...report }, null, 2) + "\n";
+      case OUTPUT_FORMATS.NDJSON:
+        return JSON.stringify({ ok, exitCode, summary: report.summary }) + "\n";
+      case OUTPUT_FORMATS.TEXT: {
+        const { total, solved, noFlag, failed, durationMs } = report.summary;
+        return (
+          report.items
+            .map(
+              (item) =>
+                `[${item.index + 1}] ${item.status} ${item.source} ` +
+                `(${item.durationMs}ms)` +
+                (item.flag !== null ? ` flag: ${item.flag}` : "") +
+                (item.error ? ` error: ${item.error.message}` : "") +
+                "\n"
+            )
+            .join("") +
+          `total: ${total}, solved: ${solved}, no flag: ${noFlag}, ` +
+          `failed: ${failed}, time_ms: ${durationMs}\n`
+        );
+      }
+      case OUTPUT_FORMATS.FLAG_ONLY:
+        // One line per item, in list order, blank where no flag was found
+        return report.items.map((item) => `${item.flag || ""}\n`).join("");
+      default:
+        throw new Error(`Unknown output format: ${format}`);
+    }
+  }
+
+  /**
+   * Formats one finished batch item as an NDJSON line
+   * @param {Object} item - Item report from BatchRunner
+   * @returns {string} JSON line
+   */
+  static formatBatchItem(item) {
+    return JSON.stringify(item) + "\n";
+  }
+
+  /**
+   * Renders provenance as a table mapping each URL character to its element
+   * @param {Array<Object>} provenance - [{ index, value, strategy, path, line,
+   *   column }] from a result or an InvalidUrlError
+   * @returns {string} Table text, newline-terminated
+   */
+  static formatExplain(provenance) {
+    const rows = provenance.map((match) => [
+      String(match.index),
+      JSON.stringify(match.value),
+      match.line === null ? "?" : `${match.line}:${match.column}`,
+      match.strategy,
+      match.path ? match.path.join(" > ") : "?",
+    ]);
+    const header = ["#", "Char", "Line:Col", "Strategy", "Path"];
+
+    const widths = header.map((title, column) =>
+      Math.max(title.length, ...rows.map((row) => row[column].length))
+    );
+    const render = (row) =>
+      row
+        .map((cell, column) =>
+          column === row.length - 1 ? cell : cell.padEnd(widths[column])
+        )
+        .join("  ") + "\n";
+
+    return render(header) + rows.map(render).join("");
+  }
+
+  /**
+   * Renders "key: value" lines, skipping empty values
+   * @private
+   * @param {Array<Array>} rows - [key, value] pairs
+   * @returns {string} Text block
+   */
+  static _text(rows) {
+    return rows
+      .filter(([, value]) => value !== null && value !== undefined)
+      .map(([key, value]) => `${key}: ${value}\n`)
+      .join("");
+  }
+}
+
+module.exports = ResultFormatter;
@@ -1,3 +1,13 @@
+const {
+  CHAIN,
+  PATTERN_OPERATORS,
+  PATTERN_RELATIONS,
+} = require("../config/constants");
+
+// Element and attribute names accepted in pattern specs
+const TAG_NAME = /^[a-zA-Z][a-zA-Z0-9-]*$/;
+const ATTRIBUTE_NAME = /^[a-zA-Z_:][a-zA-Z0-9_:.-]*$/;
+
 /**
  * Validator utility class for input validation
  * Follows Single Responsibility Principle - only handles validation
@@ -54,6 +64,319 @@ class Validator {
 
     return true;
   }
+
+  /**
+   * Validates a declarative DOM pattern spec
+   * @param {Object} spec - Pattern spec ({ name, steps, read })
+   * @returns {boolean} True if valid
+   * @throws {Error} If the spec is malformed
+   */
+  static validatePatternSpec(spec) {
+    if (!spec || typeof spec !== "object" || Array.isArray(spec)) {
+      throw new Error("Pattern spec must be an object");
+    }
+
+    if (!Array.isArray(spec.steps) || spec.steps.length === 0) {
+      throw new Error("Pattern spec must define a non-empty steps array");
+    }
+
+    const operators = Object.values(PATTERN_OPERATORS);
+    const relations = Object.values(PATTERN_RELATIONS);
+
+    spec.steps.forEach((step, index) => {
+      const where = `Pattern step ${index}`;
+
+      if (!step || typeof step !== "object") {
+        throw new Error(`${where} must be an object`);
+      }
+
+      if (typeof step.tag !== "string" || !TAG_NAME.test(step.tag)) {
+        throw new Error(`${where} has an invalid tag: ${step.tag}`);
+      }
+
+      if (step.attribute !== undefined) {
+        if (
+          typeof step.attribute !== "string" ||
+          !ATTRIBUTE_NAME.test(step.attribute)
+        ) {
+          throw new Error(
+            `${where} has an invalid attribute: ${step.attribute}`
+          );
+        }
+
+        if (typeof step.value !== "string") {
+          throw new Error(`${where} must define a string value to match`);
+        }
+      }
+
+      if (step.operator !== undefined && !operators.includes(step.operator)) {
+        throw new Error(
+          `${where} has an unknown operator "${step.operator}" ` +
+            `(expected one of: ${operators.join(", ")})`
+        );
+      }
+
+      if (
+        step.operator === PATTERN_OPERATORS.TOKEN &&
+        !/^\S+$/.test(step.value)
+      ) {
+        throw new Error(
+          `${where} must match a single token (no whitespace, not empty)`
+        );
+      }
+
+      if (step.operator === PATTERN_OPERATORS.REGEX) {
+        try {
+          new RegExp(step.value);
+        } catch (error) {
+          throw new Error(`${where} has an invalid regex: ${error.message}`);
+        }
+      }
+
+      if (step.relation !== undefined && !relations.includes(step.relation)) {
+        throw new Error(
+          `${where} has an unknown relation "${step.relation}" ` +
+            `(expected one of: ${relations.join(", ")})`
+        );
+      }
+    });
+
+    const read = spec.read;
+    if (read !== undefined) {
+      const readsAttribute = read && typeof read.attribute === "string";
+      const readsText = read && read.text === true;
+
+      if (readsAttribute === readsText) {
+        throw new Error(
+          "Pattern spec read must set exactly one of attribute or text"
+        );
+      }
+
+      if (readsAttribute && !ATTRIBUTE_NAME.test(read.attribute)) {
+        throw new Error(
+          `Pattern spec read has an invalid attribute: ${read.attribute}`
+        );
+      }
+    }
+
+    return true;
+  }
+
+  /**
+   * Validates the shape of a chain definition
+   * Stage patterns are validated when they are compiled (see PatternSpec) and
+   * decoder names when the chain is parsed (see DecoderPipeline)
+   * @param {Object} spec - Raw chain definition
+   * @returns {boolean} True if valid
+   * @throws {Error} If the definition is malformed
+   */
+  static validateChainSpec(spec) {
+    if (!spec || typeof spec !== "object" || Array.isArray(spec)) {
+      throw new Error("Chain definition must be an object");
+    }
+
+    if (!Array.isArray(spec.stages) || spec.stages.length === 0) {
+      throw new Error("Chain definition must define a non-empty stages array");
+    }
+
+    if (
+      spec.maxDepth !== undefined &&
+      !(Number.isInteger(spec.maxDepth) && spec.maxDepth > 0)
+    ) {
+      throw new Error("Chain maxDepth must be a positive integer");
+    }
+
+    const sources = Object.values(CHAIN.SOURCES);
+    const names = new Set();
+
+    spec.stages.forEach((stage, index) => {
+      const where = `Chain stage ${index}`;
+
+      if (!stage || typeof stage !== "object") {
+        throw new Error(`${where} must be an object`);
+      }
+
+      if (stage.name !== undefined) {
+        if (typeof stage.name !== "string" || stage.name.length === 0) {
+          throw new Error(`${where} has an invalid name`);
+        }
+        if (names.has(stage.name)) {
+          throw new Error(`${where} reuses the name "${stage.name}"`);
+        }
+        names.add(stage.name);
+      }
+
+      if (stage.source !== undefined && !sources.includes(stage.source)) {
+        throw new Error(
+          `${where} has an unknown source "${stage.source}" ` +
+            `(expected one of: ${sources.join(", ")})`
+        );
+      }
+
+      if (index === 0 && stage.source === CHAIN.SOURCES.TEXT) {
+        throw new Error(
+          `${where} cannot read text: there is no previous stage output`
+        );
+      }
+
+      if (
+        stage.pattern === undefined ||
+        (typeof stage.pattern !== "string" && typeof stage.pattern !== "object")
+      ) {
+        throw new Error(`${where} must define a pattern (spec or file path)`);
+      }
+    });
+
+    spec.stages.forEach((stage, index) => {
+      if (stage.next !== undefined && !names.has(stage.next)) {
+        throw new Error(
+          `Chain stage ${index} continues to unknown stage "${stage.next}"`
+        );
+      }
+    });
+
+    const flag = spec.flag;
+    if (
+      flag !== undefined &&
+      (!flag ||
+        typeof flag !== "object" ||
+        (flag.path !== undefined && typeof flag.path !== "string") ||
+        (flag.format !== undefined && typeof flag.format !== "string"))
+    ) {
+      throw new Error(
+        "Chain flag rule must be an object with optional string path and format"
+      );
+    }
+
+    return true;
+  }
+
+  /**
+   * Validates a value against a schema, collecting every problem
+   * Supports type (string, integer, number, boolean, array, object, or a list
+   * of them), enum, minimum, minItems, items, properties (unknown keys are
+   * errors), required (property names), format ("url" or "regex") and
+   * validate (a function that throws)
+   * @param {*} value - Value to check
+   * @param {Object} schema - Schema (see src/config/schema.js)
+   * @param {string} [path] - Path of the value, used in error entries
+   * @returns {Array<Object>} [{ path, message }], empty if valid
+   */
+  static validateSchema(value, schema, path = "") {
+    const where = path || "(root)";
+    const types = [].concat(schema.type);
+
+    if (!types.some((type) => Validator._isType(value, type))) {
+      return [
+        {
+          path: where,
+          message: `expected ${types.join(" or ")}, got ${JSON.stringify(
+            value
+          )}`,
+        },
+      ];
+    }
+
+    const errors = [];
+    const fail = (message) => errors.push({ path: where, message });
+
+    if (schema.enum && !schema.enum.includes(value)) {
+      fail(`must be one of: ${schema.enum.join(", ")}`);
+    }
+
+    if (
+      schema.minimum !== undefined &&
+      typeof value === "number" &&
+      value < schema.minimum
+    ) {
+      fail(`must be at least ${schema.minimum}`);
+    }
+
+    if (schema.format === "url" && typeof value === "string") {
+      try {
+        new URL(value);
+      } catch (error) {
+        fail(`must be an absolute URL, got ${JSON.stringify(value)}`);
+      }
+    }
+
+    if (schema.format === "regex" && typeof value === "string") {
+      try {
+        new RegExp(value);
+      } catch (error) {
+        fail(`must be a valid regex: ${error.message}`);
+      }
+    }
+
+    if (Array.isArray(value)) {
+      if (schema.minItems !== undefined && value.length < schema.minItems) {
+        fail(`must have at least ${schema.minItems} item(s)`);
+      }
+      if (schema.items) {
+        value.forEach((item, index) => {
+          errors.push(
+            ...Validator.validateSchema(item, schema.items, `${path}[${index}]`)
+          );
+        });
+      }
+    }
+
+    if (schema.properties && Validator._isType(value, "object")) {
+      (schema.required || [])
+        .filter((key) => value[key] === undefined)
+        .forEach((key) => {
+          errors.push({
+            path: path ? `${path}.${key}` : key,
+            message: "is required",
+          });
+        });
+      Object.keys(value).forEach((key) => {
+        const child = path ? `${path}.${key}` : key;
+        if (!schema.properties[key]) {
+          errors.push({ path: child, message: "unknown key" });
+          return;
+        }
+        errors.push(
+          ...Validator.validateSchema(value[key], schema.properties[key], child)
+        );
+      });
+    }
+
+    // Semantic checks only make sense once the shape is right
+    if (schema.validate && errors.length === 0) {
+      try {
+        schema.validate(value);
+      } catch (error) {
+        fail(error.message);
+      }
+    }
+
+    return errors;
+  }
+
+  /**
+   * Checks a value against a single schema type
+   * @private
+   * @param {*} value - Value to check
+   * @param {string} type - Schema type name
+   * @returns {boolean} True if the value has that type
+   */
+  static _isType(value, type) {
+    switch (type) {
+      case "object":
+        return (
+          value !== null && typeof value === "object" && !Array.isArray(value)
+        );
+      case "array":
+        return Array.isArray(value);
+      case "integer":
+        return Number.isInteger(value);
+      case "number":
+        return typeof value === "number" && !Number.isNaN(value);
+      default:
+        return typeof value === type;
+    }
+  }
 }
 
 module.exports = Validator;
@@ -0,0 +1,35 @@
+/**
+ * Log sink that writes formatted lines through console.*
+ * Errors and warnings go to stderr; everything else goes to stdout unless
+ * `stderrOnly` is set (used when stdout carries machine-readable output)
+ * @class ConsoleSink
+ */
+class ConsoleSink {
+  /**
+   * Creates a ConsoleSink instance
+   * @param {Object} [options] - Sink options
+   * @param {boolean} [options.stderrOnly=false] - Send every level to stderr
+   */
+  constructor(options = {}) {
+    this.stderrOnly = Boolean(options.stderrOnly);
+  }
+
+  /**
+   * Writes a log line
+   * @param {string} line - Formatted line
+   * @param {Object} entry - Structured entry ({ level, ... })
+   */
+  write(line, entry) {
+    if (entry.level === "error") {
+      console.error(line);
+    } else if (entry.level === "warn") {
+      console.warn(line);
+    } else if (this.stderrOnly) {
+      console.error(line);
+    } else {
+      console.log(line);
+    }
+  }
+}
+
+module.exports = ConsoleSink;
@@ -0,0 +1,35 @@
+/**
+ * Log sink that keeps entries in memory, for tests and embedding
+ * @class MemorySink
+ */
+class MemorySink {
+  /**
+   * Creates a MemorySink instance
+   * @param {number} [limit=Infinity] - Oldest entries are dropped past this size
+   */
+  constructor(limit = Infinity) {
+    this.limit = limit;
+    this.entries = [];
+  }
+
+  /**
+   * Stores a log entry
+   * @param {string} line - Formatted line (unused)
+   * @param {Object} entry - Structured entry
+   */
+  write(line, entry) {
+    this.entries.push(entry);
+    if (this.entries.length > this.limit) {
+      this.entries.shift();
+    }
+  }
+
+  /**
+   * Removes all stored entries
+   */
+  clear() {
+    this.entries = [];
+  }
+}
+
+module.exports = MemorySink;
@@ -0,0 +1,63 @@
+const fs = require("fs");
+const { LOGGING } = require("../../config/constants");
+
+/**
+ * Log sink that appends to a file and rotates it by size
+ * When the file would exceed `maxBytes` it is renamed to `<file>.1`, older
+ * rotations shift up, and anything beyond `maxFiles` is deleted. Writes are
+ * synchronous so nothing is lost if the process exits right after logging
+ * @class RotatingFileSink
+ */
+class RotatingFileSink {
+  /**
+   * Creates a RotatingFileSink instance
+   * @param {string} filePath - Log file
+   * @param {Object} [options] - Sink options
+   * @param {number} [options.maxBytes] - Size that triggers a rotation
+   * @param {number} [options.maxFiles] - Rotated files kept besides the live one
+   */
+  constructor(filePath, options = {}) {
+    this.filePath = filePath;
+    this.maxBytes = options.maxBytes || LOGGING.MAX_FILE_BYTES;
+    this.maxFiles =
+      options.maxFiles === undefined ? LOGGING.MAX_FILES : options.maxFiles;
+    this.size = fs.existsSync(filePath) ? fs.statSync(filePath).size : 0;
+  }
+
+  /**
+   * Appends a log line, rotating first if needed
+   * @param {string} line - Formatted line
+   */
+  write(line) {
+    const data = line + "\n";
+    const bytes = Buffer.byteLength(data);
+
+    if (this.size > 0 && this.size + bytes > this.maxBytes) {
+      this._rotate();
+    }
+
+    fs.appendFileSync(this.filePath, data);
+    this.size += bytes;
+  }
+
+  /**
+   * Shifts <file>.N to <file>.N+1 and the live file to <file>.1
+   * @private
+   */
+  _rotate() {
+    if (this.maxFiles === 0) {
+      fs.rmSync(this.filePath, { force: true });
+    } else {
+      fs.rmSync(`${this.filePath}.${this.maxFiles}`, { force: true });
+      for (let i = this.maxFiles - 1; i >= 1; i--) {
+        if (fs.existsSync(`${this.filePath}.${i}`)) {
+          fs.renameSync(`${this.filePath}.${i}`, `${this.filePath}.${i + 1}`);
+        }
+      }
+      fs.renameSync(this.filePath, `${this.filePath}.1`);
+    }
+    this.size = 0;
+  }
+}
+
+module.exports = RotatingFileSink;
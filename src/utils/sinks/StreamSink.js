@@ -0,0 +1,23 @@
+/**
+ * Log sink that writes one line per entry to a writable stream
+ * @class StreamSink
+ */
+class StreamSink {
+  /**
+   * Creates a StreamSink instance
+   * @param {Writable} [stream=process.stderr] - Destination stream
+   */
+  constructor(stream = process.stderr) {
+    this.stream = stream;
+  }
+
+  /**
+   * Writes a log line
+   * @param {string} line - Formatted line
+   */
+  write(line) {
+    this.stream.write(line + "\n");
+  }
+}
+
+module.exports = StreamSink;
@@ -0,0 +1,157 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const ConfigLoader = require("../../src/config/ConfigLoader");
+const ConfigError = require("../../src/errors/ConfigError");
+const { DEFAULT_PATTERN, HTTP } = require("../../src/config/constants");
+
+describe("ConfigLoader", () => {
+  let cwd;
+
+  beforeEach(() => {
+    cwd = fs.mkdtempSync(path.join(os.tmpdir(), "ramp-config-"));
+  });
+
+  afterEach(() => {
+    fs.rmSync(cwd, { recursive: true, force: true });
+  });
+
+  function writeConfig(data, name = "ramp.config.json") {
+    const filePath = path.join(cwd, name);
+    fs.writeFileSync(
+      filePath,
+      typeof data === "string" ? data : JSON.stringify(data)
+    );
+    return filePath;
+  }
+
+  function load(cli = {}, env = {}, options = {}) {
+    return new ConfigLoader({ cwd, env, ...options }).load(cli);
+  }
+
+  function errorsOf(run) {
+    try {
+      run();
+    } catch (error) {
+      expect(error).toBeInstanceOf(ConfigError);
+      return error.errors;
+    }
+    throw new Error("expected a ConfigError");
+  }
+
+  it("starts from the schema defaults", () => {
+    const { config, sources, file } = load();
+
+    expect(file).toBeNull();
+    expect(config.http.timeout).toBe(HTTP.TIMEOUT);
+    expect(config.cache.enabled).toBe(false);
+    expect(sources["http.timeout"]).toBe("default");
+  });
+
+  it("layers file < env < cli and reports each value's source", () => {
+    writeConfig({ http: { timeout: 1000, maxRetries: 2, retryDelay: 5 } });
+
+    const { config, sources } = load(
+      { "--timeout": "3000" },
+      { RAMP_HTTP_TIMEOUT: "2000", RAMP_HTTP_MAX_RETRIES: "4" }
+    );
+
+    expect(config.http).toMatchObject({
+      timeout: 3000,
+      maxRetries: 4,
+      retryDelay: 5,
+    });
+    expect(sources["http.timeout"]).toBe("cli --timeout");
+    expect(sources["http.maxRetries"]).toBe("env RAMP_HTTP_MAX_RETRIES");
+    expect(sources["http.retryDelay"]).toBe("file ramp.config.json");
+  });
+
+  it("coerces env and cli strings to the leaf type", () => {
+    const { config } = load(
+      { "--strategy": "regex, xpath", "--rate": "2.5" },
+      { RAMP_ROBOTS: "TRUE", RAMP_HTTP_BURST: " 3 " }
+    );
+
+    expect(config.strategies).toEqual(["regex", "xpath"]);
+    expect(config.http.rate).toBe(2.5);
+    expect(config.http.robots).toBe(true);
+    expect(config.http.burst).toBe(3);
+  });
+
+  it("does not coerce values from the project file", () => {
+    writeConfig({ http: { timeout: "1000" } });
+
+    expect(errorsOf(() => load())).toEqual([
+      expect.objectContaining({
+        path: "http.timeout",
+        source: "file ramp.config.json",
+        message: expect.stringMatching(/expected integer/),
+      }),
+    ]);
+  });
+
+  it("reports every problem from every layer at once", () => {
+    writeConfig({ http: { nope: 1 }, log: { level: "LOUD" } });
+
+    const errors = errorsOf(() =>
+      load({ "--port": "70000" }, { RAMP_HTTP_TIMEOUT: "soon" })
+    );
+    expect(errors.map((error) => `${error.source}: ${error.path}`)).toEqual([
+      "file ramp.config.json: http.nope",
+      "file ramp.config.json: log.level",
+      "env RAMP_HTTP_TIMEOUT: http.timeout",
+      "cli --port: server.port",
+    ]);
+  });
+
+  it("resolves file paths against the project file", () => {
+    fs.mkdirSync(path.join(cwd, "conf"));
+    fs.writeFileSync(
+      path.join(cwd, "conf", "pattern.json"),
+      JSON.stringify(DEFAULT_PATTERN)
+    );
+    const filePath = writeConfig(
+      { cache: { dir: "cache" }, pattern: "pattern.json" },
+      path.join("conf", "ramp.json")
+    );
+
+    const { config, file } = load({}, { RAMP_CONFIG: "conf/ramp.json" });
+
+    expect(file).toBe(filePath);
+    expect(config.cache.dir).toBe(path.join(cwd, "conf", "cache"));
+    expect(config.pattern).toBe(path.join(cwd, "conf", "pattern.json"));
+  });
+
+  it("reports an unreadable project file", () => {
+    writeConfig("{ not json");
+
+    expect(errorsOf(() => load())).toEqual([
+      expect.objectContaining({
+        path: "(file)",
+        message: expect.stringMatching(/cannot be read/),
+      }),
+    ]);
+  });
+
+  it("validates values set outside the layers under their own names", () => {
+    expect(() =>
+      ConfigLoader.validate(
+        { timeout: 10, other: "ignored", proxy: null },
+        { timeout: "http.timeout", proxy: "http.proxy" },
+        "test"
+      )
+    ).not.toThrow();
+
+    expect(
+      errorsOf(() =>
+        ConfigLoader.validate(
+          { timeout: 0 },
+          { timeout: "http.timeout" },
+          "test"
+        )
+      )
+    ).toEqual([
+      { path: "timeout", source: "test", message: "must be at least 1" },
+    ]);
+  });
+});
@@ -0,0 +1,46 @@
+const http = require("http");
+const Logger = require("../src/utils/Logger");
+
+/**
+ * Builds a logger that writes nowhere
+ * @returns {Logger} Silent logger
+ */
+function quietLogger() {
+  return new Logger("ERROR", { sinks: [] });
+}
+
+/**
+ * Starts a local HTTP server on a free port
+ * @param {Function} handler - (request, response) handler
+ * @returns {Promise<Object>} { origin, requests, server, close } where
+ *   requests lists every request received as { method, url, headers } and
+ *   server is the underlying http.Server (for CONNECT and upgrade listeners)
+ */
+function startServer(handler) {
+  const requests = [];
+  const server = http.createServer((request, response) => {
+    requests.push({
+      method: request.method,
+      url: request.url,
+      headers: request.headers,
+    });
+    handler(request, response);
+  });
+
+  return new Promise((resolve) => {
+    server.listen(0, "127.0.0.1", () => {
+      resolve({
+        origin: `http://127.0.0.1:${server.address().port}`,
+        requests,
+        server,
+        close: () =>
+          new Promise((done) => {
+            server.close(done);
+            server.closeAllConnections();
+          }),
+      });
+    });
+  });
+}
+
+module.exports = { quietLogger, startServer };
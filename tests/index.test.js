@@ -0,0 +1,259 @@
+const path = require("path");
+const os = require("os");
+const fs = require("fs");
+const { spawn } = require("child_process");
+const { createSolver } = require("../index");
+const { startServer } = require("./helpers");
+
+/**
+ * Builds a challenge page the default pattern reads
+ * @param {string} text - Characters to hide
+ * @returns {string} HTML
+ */
+function challengePage(text) {
+  const characters = [...text]
+    .map(
+      (character) =>
+        '<section data-id="92"><article data-class="45">' +
+        `<div data-tag="78"><b class="ref" value="${character}"></b></div>` +
+        "</article></section>"
+    )
+    .join("");
+  return `<html><body>${characters}</body></html>`;
+}
+
+describe("createSolver", () => {
+  it("rejects options the schema rejects", () => {
+    expect(() => createSolver({ timeout: -1 })).toThrow(
+      expect.objectContaining({ code: "ECONFIG" })
+    );
+    expect(() => createSolver({ timeout: "soon" })).toThrow(/timeout/);
+    expect(() => createSolver({ flagFormat: "(" })).toThrow(
+      expect.objectContaining({ code: "ECONFIG" })
+    );
+  });
+
+  it("rejects a pattern that cannot be loaded", () => {
+    expect(() => createSolver({ pattern: "/nope/pattern.json" })).toThrow(
+      expect.objectContaining({ code: "ECONFIG" })
+    );
+  });
+
+  describe("documented failures reject with a code", () => {
+    let server;
+
+    beforeAll(async () => {
+      server = await startServer((request, response) => {
+        if (request.url === "/robots.txt") {
+          response.writeHead(200, { "content-type": "text/plain" });
+          response.end("User-agent: *\nDisallow: /private");
+        } else {
+          response.writeHead(500);
+          response.end();
+        }
+      });
+    });
+
+    afterAll(() => server.close());
+
+    it("EINPUT when the input file is missing", async () => {
+      await expect(
+        createSolver({ input: "/nope.html" }).run()
+      ).rejects.toMatchObject({ code: "EINPUT" });
+    });
+
+    it("EFETCH when the page cannot be fetched", async () => {
+      await expect(
+        createSolver({ url: `${server.origin}/page`, maxRetries: 1 }).run()
+      ).rejects.toMatchObject({ code: "EFETCH" });
+    });
+
+    it("EPOLICY when robots.txt refuses the page", async () => {
+      await expect(
+        createSolver({ url: `${server.origin}/private`, robots: true }).run()
+      ).rejects.toMatchObject({ code: "EPOLICY" });
+    });
+
+    it("EEXTRACT when the page holds no characters", async () => {
+      await expect(
+        createSolver().solve({ html: "<html><body></body></html>" })
+      ).rejects.toMatchObject({
+        code: "EEXTRACT",
+        nearMiss: expect.objectContaining({ failedStage: 0, candidates: [] }),
+      });
+    });
+
+    it("EINVALIDURL when the characters are not a URL", async () => {
+      await expect(
+        createSolver().solve({ html: challengePage("not a url") })
+      ).rejects.toMatchObject({ code: "EINVALIDURL" });
+    });
+
+    it("ECONFIG for an invalid pattern in a solve request", async () => {
+      await expect(
+        createSolver().solve({ html: "<p></p>", pattern: { steps: [] } })
+      ).rejects.toMatchObject({ code: "ECONFIG" });
+    });
+
+    it("ECASSETTEMISS when a replay has no recorded response", async () => {
+      const directory = fs.mkdtempSync(path.join(os.tmpdir(), "ramp-"));
+      const cassette = path.join(directory, "empty.json");
+      fs.writeFileSync(
+        cassette,
+        JSON.stringify({ version: 2, interactions: [] })
+      );
+      try {
+        await expect(
+          createSolver({ url: `${server.origin}/page`, replay: cassette }).run()
+        ).rejects.toMatchObject({ code: "ECASSETTEMISS" });
+      } finally {
+        fs.rmSync(directory, { recursive: true, force: true });
+      }
+    });
+  });
+});
+
+describe("command line", () => {
+  /**
+   * Runs the CLI to completion
+   * @param {Array<string>} args - Arguments after the script
+   * @returns {Promise<Object>} { status, stdout, stderr }
+   */
+  function cli(args) {
+    return new Promise((resolve, reject) => {
+      const child = spawn(
+        process.execPath,
+        [path.join(__dirname, "../index.js"), ...args],
+        { stdio: ["ignore", "pipe", "pipe"], timeout: 10000 }
+      );
+      const output = { stdout: "", stderr: "" };
+      child.stdout.on("data", (chunk) => (output.stdout += chunk));
+      child.stderr.on("data", (chunk) => (output.stderr += chunk));
+      child.on("error", reject);
+      child.on("close", (status) => resolve({ status, ...output }));
+    });
+  }
+
+  it("rejects an unknown option with a usage error", async () => {
+    const result = await cli(["--ouput", "json"]);
+
+    expect(result.status).toBe(2);
+    expect(result.stderr).toMatch(/Unknown option: --ouput/);
+  });
+
+  it("keeps a lone dash as a positional", async () => {
+    const result = await cli(["batch", "-"]);
+
+    expect(result.stderr).not.toMatch(/Unknown option/);
+    expect(result.stderr).not.toMatch(/exactly one list file/);
+  });
+
+  describe("exit codes", () => {
+    let server;
+    let directory;
+
+    beforeAll(async () => {
+      server = await startServer((request, response) => {
+        if (request.url === "/flag") {
+          response.writeHead(200, { "content-type": "text/plain" });
+          response.end("ramp{batch}");
+        } else {
+          response.writeHead(404);
+          response.end();
+        }
+      });
+      directory = fs.mkdtempSync(path.join(os.tmpdir(), "ramp-"));
+    });
+
+    afterAll(async () => {
+      await server.close();
+      fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    /**
+     * Solves a saved page through the CLI with NDJSON output
+     * @param {string|null} html - Page content, or null for a missing file
+     * @returns {Promise<Object>} { status, document }
+     */
+    async function solvePage(html) {
+      let file = path.join(directory, "missing.html");
+      if (html !== null) {
+        file = path.join(directory, `page-${Date.now()}.html`);
+        fs.writeFileSync(file, html);
+      }
+      const result = await cli(["--input", file, "--output", "ndjson"]);
+      return { status: result.status, document: JSON.parse(result.stdout) };
+    }
+
+    it.each([
+      ["EINPUT", 3, null],
+      ["EEXTRACT", 4, "<p>plain page</p>"],
+      ["EINVALIDURL", 5, challengePage("not a url")],
+    ])("maps %s to exit code %i", async (code, status, html) => {
+      const result = await solvePage(html);
+
+      expect(result.status).toBe(status);
+      expect(result.document).toMatchObject({
+        ok: false,
+        exitCode: status,
+        error: { code },
+      });
+    });
+
+    it("exits 6 when the flag cannot be fetched", async () => {
+      const { status, document } = await solvePage(
+        challengePage(`${server.origin}/hidden`)
+      );
+
+      expect(status).toBe(6);
+      expect(document).toMatchObject({ ok: false, exitCode: 6, flag: null });
+    });
+
+    it("streams batch items as NDJSON, then the summary", async () => {
+      const list = path.join(directory, "list.txt");
+      fs.writeFileSync(
+        path.join(directory, "solved.html"),
+        challengePage(`${server.origin}/flag`)
+      );
+      fs.writeFileSync(
+        path.join(directory, "no-flag.html"),
+        challengePage(`${server.origin}/gone`)
+      );
+      fs.writeFileSync(list, "solved.html\nno-flag.html\nmissing.html\n");
+
+      const result = await cli([
+        "batch",
+        list,
+        "--output",
+        "ndjson",
+        "-c",
+        "1",
+      ]);
+      const lines = result.stdout
+        .trim()
+        .split("\n")
+        .map((line) => JSON.parse(line));
+
+      expect(result.status).toBe(7);
+      expect(lines.map((line) => line.status)).toEqual([
+        "solved",
+        "no-flag",
+        "failed",
+        undefined,
+      ]);
+      expect(lines[0]).toMatchObject({ index: 0, flag: "ramp{batch}" });
+      expect(lines[2].error).toMatchObject({ code: "EINPUT" });
+      expect(lines[3]).toEqual({
+        ok: false,
+        exitCode: 7,
+        summary: expect.objectContaining({
+          total: 3,
+          solved: 1,
+          noFlag: 1,
+          failed: 1,
+          concurrency: 1,
+        }),
+      });
+    });
+  });
+});
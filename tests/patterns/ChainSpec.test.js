@@ -0,0 +1,93 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const ChainSpec = require("../../src/patterns/ChainSpec");
+const PatternSpec = require("../../src/patterns/PatternSpec");
+
+const PATTERN = { steps: [{ tag: "b" }], read: { attribute: "value" } };
+
+describe("ChainSpec", () => {
+  it("fills in stage defaults and follows next", () => {
+    const chain = new ChainSpec({
+      stages: [
+        { pattern: PATTERN, next: "last" },
+        { name: "skipped", pattern: PATTERN },
+        { name: "last", source: "text", pattern: PATTERN, decode: "hex,rot13" },
+      ],
+    });
+
+    expect(chain.name).toBe("custom");
+    expect(chain.maxDepth).toBe(10);
+    expect(chain.flag).toEqual({ path: null, format: null });
+    expect(chain.stages[0]).toMatchObject({
+      index: 0,
+      name: "stage-1",
+      source: "url",
+      decode: null,
+    });
+    expect(chain.stages[0].pattern).toBeInstanceOf(PatternSpec);
+    expect(chain.stages[2].decode).toEqual(["hex", "rot13"]);
+    expect(chain.nextStage(chain.stages[0]).name).toBe("last");
+    expect(chain.nextStage(chain.stages[1]).name).toBe("last");
+    expect(chain.nextStage(chain.stages[2])).toBeNull();
+    expect(Object.isFrozen(chain.stages[0])).toBe(true);
+  });
+
+  it("loads a file, resolving stage patterns next to it", () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "ramp-chain-"));
+    try {
+      fs.writeFileSync(path.join(dir, "leaf.json"), JSON.stringify(PATTERN));
+      fs.writeFileSync(
+        path.join(dir, "chain.json"),
+        JSON.stringify({
+          name: "two-step",
+          maxDepth: 3,
+          stages: [{ pattern: "leaf.json" }],
+          flag: { path: "data.flag" },
+        })
+      );
+
+      const chain = ChainSpec.from(path.join(dir, "chain.json"));
+
+      expect(chain).toMatchObject({ name: "two-step", maxDepth: 3 });
+      expect(chain.flag).toEqual({ path: "data.flag", format: null });
+      expect(chain.stages[0].pattern.steps[0].tag).toBe("b");
+      expect(ChainSpec.from(chain)).toBe(chain);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  it.each([
+    [{ stages: [] }, "non-empty stages array"],
+    [{ stages: [{ pattern: PATTERN }], maxDepth: 0 }, "maxDepth must be"],
+    [{ stages: [{ source: "text", pattern: PATTERN }] }, "cannot read text"],
+    [{ stages: [{ source: "ftp", pattern: PATTERN }] }, 'unknown source "ftp"'],
+    [{ stages: [{}] }, "must define a pattern"],
+    [
+      {
+        stages: [
+          { name: "a", pattern: PATTERN },
+          { name: "a", pattern: PATTERN },
+        ],
+      },
+      'reuses the name "a"',
+    ],
+    [
+      { stages: [{ pattern: PATTERN, next: "nowhere" }] },
+      'continues to unknown stage "nowhere"',
+    ],
+    [
+      { stages: [{ pattern: PATTERN }, { pattern: PATTERN, decode: "nope" }] },
+      "Chain stage 1: ",
+    ],
+  ])("rejects an invalid definition (%#)", (spec, message) => {
+    expect(() => new ChainSpec(spec)).toThrow(message);
+  });
+
+  it("reports a file that cannot be loaded", () => {
+    expect(() => ChainSpec.from("/nope/chain.json")).toThrow(
+      /^Failed to load chain definition from \/nope\/chain\.json/
+    );
+  });
+});
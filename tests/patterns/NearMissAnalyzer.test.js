@@ -0,0 +1,115 @@
+const NearMissAnalyzer = require("../../src/patterns/NearMissAnalyzer");
+
+/**
+ * Wraps leaves in the default pattern's section and article
+ * @param {string} inner - Markup inside the article
+ * @returns {string} HTML, one element per line
+ */
+function page(inner) {
+  return [
+    "<html><body>",
+    '<section data-id="92">',
+    '<article data-class="45">',
+    inner,
+    "</article>",
+    "</section>",
+    '<p data-tag="78"></p>',
+    "</body></html>",
+  ].join("\n");
+}
+
+describe("NearMissAnalyzer", () => {
+  it("stops at the first step nothing satisfies and ranks the closest elements", () => {
+    const html = page(
+      '<span></span><div></div><div data-tag="79"><b class="ref" value="h"></b></div>'
+    );
+
+    const report = new NearMissAnalyzer().analyze(html);
+
+    expect(report.stages).toEqual([
+      {
+        step: 0,
+        description: 'section with data-id containing "92"',
+        count: 1,
+      },
+      {
+        step: 1,
+        description: 'article with data-class containing "45"',
+        count: 1,
+      },
+      { step: 2, description: 'div with data-tag containing "78"', count: 0 },
+    ]);
+    expect(report.failedStage).toBe(2);
+    // Tag and attribute, then tag only; the <p> is outside the article
+    expect(report.candidates).toEqual([
+      { tag: "div", attributes: { "data-tag": "79" }, line: 4, column: 25 },
+      { tag: "div", attributes: {}, line: 4, column: 14 },
+    ]);
+    expect(report.summary).toBe(
+      '1 section with data-id containing "92", ' +
+        '1 had article with data-class containing "45", ' +
+        '0 had div with data-tag containing "78"'
+    );
+  });
+
+  it("reports leaves that match but carry nothing to read", () => {
+    const report = new NearMissAnalyzer().analyze(
+      page('<div data-tag="78"><b class="ref big"></b></div>')
+    );
+
+    expect(report.stages.slice(3)).toEqual([
+      {
+        step: 3,
+        description: 'b with class containing the token "ref"',
+        count: 1,
+      },
+      { step: "read", description: "a value attribute to read", count: 0 },
+    ]);
+    expect(report.failedStage).toBe(4);
+    expect(report.candidates).toEqual([
+      expect.objectContaining({ tag: "b", attributes: { class: "ref big" } }),
+    ]);
+  });
+
+  it("finds no failure when the pattern reads a value", () => {
+    const report = new NearMissAnalyzer().analyze(
+      page('<div data-tag="78"><b class="ref" value="h"></b></div>')
+    );
+
+    expect(report.failedStage).toBeNull();
+    expect(report.candidates).toEqual([]);
+    expect(report.stages.map((stage) => stage.count)).toEqual([1, 1, 1, 1, 1]);
+  });
+
+  it("limits candidates and honours child relations", () => {
+    const analyzer = new NearMissAnalyzer(
+      {
+        steps: [
+          { tag: "ul" },
+          {
+            tag: "li",
+            attribute: "id",
+            operator: "exact",
+            value: "x",
+            relation: "child",
+          },
+        ],
+        read: { text: true },
+      },
+      { maxCandidates: 2 }
+    );
+
+    const report = analyzer.analyze(
+      '<ul><li id="a">a</li><li id="b">b</li><li id="c">c</li><div><li id="x">x</li></div></ul>'
+    );
+
+    expect(report.stages[1]).toEqual({
+      step: 1,
+      description: 'li with id equal to "x"',
+      count: 0,
+    });
+    expect(
+      report.candidates.map((candidate) => candidate.attributes.id)
+    ).toEqual(["a", "b"]);
+  });
+});
@@ -0,0 +1,80 @@
+const PatternInferrer = require("../../src/patterns/PatternInferrer");
+const ExtractionError = require("../../src/errors/ExtractionError");
+const { quietLogger } = require("../helpers");
+
+const URL_TEXT = "https://ramp.test/hidden";
+
+/**
+ * Builds a challenge page hiding text among decoy characters
+ * Real characters sit under sections whose data-id contains "92"; each is
+ * followed by a decoy under a section whose data-id contains "13"
+ * @param {string} text - Hidden text
+ * @returns {string} HTML
+ */
+function challengePage(text) {
+  const leaf = (id, character) =>
+    `<section data-id="x${id}"><article data-class="c">` +
+    `<div><b class="ref" value="${character}"></b></div></article></section>`;
+  const body = [...text]
+    .map(
+      (character, index) =>
+        leaf(`92${index}`, character) + leaf(`13${index}`, "§")
+    )
+    .join("");
+  return `<html><body>${body}</body></html>`;
+}
+
+describe("PatternInferrer", () => {
+  it("infers a spec that selects the hidden URL over the decoys", () => {
+    const [best, ...alternatives] = new PatternInferrer(quietLogger()).infer(
+      challengePage(URL_TEXT)
+    );
+
+    expect(best).toMatchObject({
+      preview: URL_TEXT,
+      characterCount: URL_TEXT.length,
+      score: 2,
+    });
+    expect(best.spec).toMatchObject({
+      name: "inferred",
+      read: { attribute: "value" },
+    });
+    expect(best.spec.steps[0]).toMatchObject({
+      tag: "section",
+      attribute: "data-id",
+      value: expect.stringMatching(/92/),
+    });
+    expect(best.spec.steps[best.spec.steps.length - 1].tag).toBe("b");
+    alternatives.forEach((candidate) => {
+      expect(candidate.score).toBeLessThanOrEqual(best.score);
+    });
+  });
+
+  it("returns at most maxResults distinct candidates", () => {
+    const candidates = new PatternInferrer(quietLogger(), {
+      maxResults: 2,
+    }).infer(challengePage(URL_TEXT));
+
+    expect(candidates).toHaveLength(2);
+    expect(JSON.stringify(candidates[0].spec)).not.toBe(
+      JSON.stringify(candidates[1].spec)
+    );
+  });
+
+  it("prefers readable text when no URL is hidden", () => {
+    const [best] = new PatternInferrer(quietLogger()).infer(
+      challengePage("hello world")
+    );
+
+    expect(best.preview).toBe("hello world");
+    expect(best.score).toBe(1);
+  });
+
+  it("fails on a page without repeated short values", () => {
+    expect(() =>
+      new PatternInferrer(quietLogger()).infer(
+        '<html><body><p id="only">text</p></body></html>'
+      )
+    ).toThrow(ExtractionError);
+  });
+});
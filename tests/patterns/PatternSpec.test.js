@@ -0,0 +1,227 @@
+const PatternSpec = require("../../src/patterns/PatternSpec");
+const XPathStrategy = require("../../src/strategies/XPathStrategy");
+const JSDOMStrategy = require("../../src/strategies/JSDOMStrategy");
+const RegexStrategy = require("../../src/strategies/RegexStrategy");
+const SAXStrategy = require("../../src/strategies/SAXStrategy");
+const { DEFAULT_PATTERN } = require("../../src/config/constants");
+const { quietLogger } = require("../helpers");
+
+const STRATEGIES = [XPathStrategy, JSDOMStrategy, RegexStrategy, SAXStrategy];
+
+// RegexStrategy approximates relations and reads raw markup (see its docs)
+const DOM_STRATEGIES = [XPathStrategy, JSDOMStrategy, SAXStrategy];
+
+/**
+ * Runs every compiling strategy over the same page
+ * @param {Object} spec - Raw pattern spec
+ * @param {string} html - Page
+ * @param {Array<Function>} strategies - Strategy classes
+ * @returns {Object} Characters extracted, keyed by strategy name
+ */
+function extractAll(spec, html, strategies) {
+  const pattern = new PatternSpec(spec);
+  return Object.fromEntries(
+    strategies.map((Strategy) => {
+      const strategy = new Strategy(quietLogger(), pattern);
+      return [strategy.getName(), strategy.extract(html)];
+    })
+  );
+}
+
+/**
+ * Expects every strategy to extract the same characters
+ * @param {Object} spec - Raw pattern spec
+ * @param {string} html - Page
+ * @param {Array<string>} expected - Characters in document order
+ * @param {Array<Function>} [strategies] - Strategy classes
+ */
+function expectAll(spec, html, expected, strategies = STRATEGIES) {
+  Object.entries(extractAll(spec, html, strategies)).forEach(
+    ([name, characters]) => {
+      expect({ [name]: characters }).toEqual({ [name]: expected });
+    }
+  );
+}
+
+describe("PatternSpec", () => {
+  it("normalizes defaults", () => {
+    const pattern = new PatternSpec({
+      steps: [{ tag: "DIV", attribute: "id", value: "x" }, { tag: "b" }],
+    });
+
+    expect(pattern.toJSON()).toEqual({
+      name: "custom",
+      steps: [
+        {
+          tag: "div",
+          attribute: "id",
+          operator: "exact",
+          value: "x",
+          relation: "descendant",
+        },
+        {
+          tag: "b",
+          attribute: null,
+          operator: "exact",
+          value: null,
+          relation: "descendant",
+        },
+      ],
+      read: { attribute: "value" },
+    });
+    expect(Object.isFrozen(pattern.steps)).toBe(true);
+  });
+
+  it("rejects malformed specs", () => {
+    expect(() => new PatternSpec({ steps: [] })).toThrow(/non-empty steps/);
+    expect(() => new PatternSpec({ steps: [{ tag: "1x" }] })).toThrow(
+      /invalid tag/
+    );
+    expect(
+      () =>
+        new PatternSpec({
+          steps: [{ tag: "b", attribute: "id", value: "x", operator: "near" }],
+        })
+    ).toThrow(/unknown operator "near"/);
+    expect(
+      () =>
+        new PatternSpec({
+          steps: [{ tag: "b", attribute: "id", value: "(", operator: "regex" }],
+        })
+    ).toThrow(/invalid regex/);
+  });
+
+  it("coerces objects, instances and the default", () => {
+    const pattern = PatternSpec.from(DEFAULT_PATTERN);
+    expect(PatternSpec.from(pattern)).toBe(pattern);
+    expect(PatternSpec.from().toJSON()).toEqual(pattern.toJSON());
+  });
+
+  it.each([
+    ["exact", "ab", ["1"]],
+    ["contains", "b", ["1", "2"]],
+    ["prefix", "a", ["1", "3"]],
+    ["suffix", "b", ["1"]],
+    ["regex", "^a.$", ["1", "3"]],
+  ])(
+    "compiles the %s operator alike in every strategy",
+    (operator, value, expected) => {
+      const html =
+        '<div data-k="ab"><b value="1"></b></div>' +
+        '<div data-k="cbc"><b value="2"></b></div>' +
+        '<div data-k="ax"><b value="3"></b></div>';
+      expectAll(
+        {
+          steps: [
+            { tag: "div", attribute: "data-k", operator, value },
+            { tag: "b" },
+          ],
+        },
+        html,
+        expected
+      );
+    }
+  );
+
+  it("compiles the token operator as one word among many", () => {
+    const html =
+      '<b class="ref" value="1"></b>' +
+      '<b class="ref hidden" value="2"></b>' +
+      '<b class="x\tref\n" value="3"></b>' +
+      '<b class="reference" value="4"></b>' +
+      '<b class="pref ref-x" value="5"></b>';
+    expectAll(
+      {
+        steps: [
+          { tag: "b", attribute: "class", operator: "token", value: "ref" },
+        ],
+      },
+      html,
+      ["1", "2", "3"]
+    );
+  });
+
+  it("extracts multi-class leaves with the default pattern", () => {
+    const html = ["ref", "ref hidden", "hidden ref"]
+      .map(
+        (classes, index) =>
+          '<section data-id="92"><article data-class="45">' +
+          `<div data-tag="78"><b class="${classes}" value="${index}"></b>` +
+          "</div></article></section>"
+      )
+      .join("");
+    expectAll(DEFAULT_PATTERN, html, ["0", "1", "2"]);
+  });
+
+  it("rejects a token value that is not a single word", () => {
+    expect(
+      () =>
+        new PatternSpec({
+          steps: [
+            { tag: "b", attribute: "class", operator: "token", value: "a b" },
+          ],
+        })
+    ).toThrow(/single token/);
+  });
+
+  it("compiles child and descendant relations", () => {
+    const html =
+      '<section><b value="1"></b></section>' +
+      '<section><p><b value="2"></b></p></section>';
+
+    expectAll({ steps: [{ tag: "section" }, { tag: "b" }] }, html, ["1", "2"]);
+    expectAll(
+      { steps: [{ tag: "section" }, { tag: "b", relation: "child" }] },
+      html,
+      ["1"],
+      DOM_STRATEGIES
+    );
+  });
+
+  it("compiles text reads and quotes in values", () => {
+    expectAll(
+      {
+        steps: [{ tag: "i", attribute: "title", value: "it's" }],
+        read: { text: true },
+      },
+      `<i title="it's">A</i><i title="its">B</i>`,
+      ["A"]
+    );
+    // Both quote kinds need concat() in XPath and escaping in CSS
+    expectAll(
+      {
+        steps: [{ tag: "i", attribute: "title", value: `it's "x"` }],
+        read: { text: true },
+      },
+      `<i title="it's &quot;x&quot;">A</i><i title="other">B</i>`,
+      ["A"],
+      DOM_STRATEGIES
+    );
+  });
+
+  it("matches a leaf element through the whole chain", () => {
+    const { JSDOM } = require("jsdom");
+    const { document } = new JSDOM(
+      '<section data-id="92a"><b class="ref" value="z"></b></section>'
+    ).window;
+    const pattern = new PatternSpec({
+      steps: [
+        {
+          tag: "section",
+          attribute: "data-id",
+          operator: "prefix",
+          value: "92",
+        },
+        { tag: "b", attribute: "class", value: "ref" },
+      ],
+    });
+    const leaf = document.querySelector("b");
+
+    expect(pattern.matchesChain(leaf)).toBe(true);
+    expect(pattern.describePath(leaf)).toEqual([
+      'section[data-id="92a"]',
+      'b[class="ref"]',
+    ]);
+    expect(pattern.readValue(leaf)).toBe("z");
+  });
+});
@@ -0,0 +1,110 @@
+const http = require("http");
+const ApiServer = require("../../src/services/ApiServer");
+const { createSolver } = require("../../index");
+const { quietLogger, startServer } = require("../helpers");
+
+/**
+ * Sends a request to the API
+ * @param {Object} address - { host, port }
+ * @param {string} method - HTTP method
+ * @param {string} path - Route
+ * @param {Object} [body] - JSON body
+ * @returns {Promise<Object>} { status, body } with the body parsed
+ */
+function call(address, method, path, body) {
+  return new Promise((resolve, reject) => {
+    const request = http.request(
+      {
+        host: address.host,
+        port: address.port,
+        method,
+        path,
+        headers: { "content-type": "application/json" },
+      },
+      (response) => {
+        let data = "";
+        response.setEncoding("utf8");
+        response.on("data", (chunk) => {
+          data += chunk;
+        });
+        response.on("end", () =>
+          resolve({ status: response.statusCode, body: JSON.parse(data) })
+        );
+      }
+    );
+    request.on("error", reject);
+    request.end(body ? JSON.stringify(body) : undefined);
+  });
+}
+
+describe("ApiServer", () => {
+  let upstream;
+  let api;
+
+  afterEach(async () => {
+    await api.close();
+    if (upstream) {
+      await upstream.close();
+      upstream = null;
+    }
+  });
+
+  it("does not count the health check as in flight", async () => {
+    api = new ApiServer(createSolver(), quietLogger());
+    const address = await api.listen(0);
+
+    const { status, body } = await call(address, "GET", "/health");
+    expect(status).toBe(200);
+    expect(body.inFlight).toBe(0);
+  });
+
+  it("counts solver requests only, however many health checks overlap", async () => {
+    let received;
+    const upstreamHit = new Promise((resolve) => {
+      received = resolve;
+    });
+    upstream = await startServer(() => received());
+
+    api = new ApiServer(createSolver({ maxRetries: 1 }), quietLogger());
+    const address = await api.listen(0);
+
+    const extract = call(address, "POST", "/extract", {
+      url: `${upstream.origin}/challenge`,
+    });
+    await upstreamHit;
+
+    const checks = await Promise.all([
+      call(address, "GET", "/health"),
+      call(address, "GET", "/health"),
+    ]);
+    expect(checks.map(({ body }) => body.inFlight)).toEqual([1, 1]);
+
+    // Dropping the upstream connection fails the solve and frees its slot
+    await upstream.close();
+    upstream = null;
+    expect((await extract).body.ok).toBe(false);
+    expect((await call(address, "GET", "/health")).body.inFlight).toBe(0);
+  });
+
+  it("aborts the solve of a timed-out request", async () => {
+    const closed = [];
+    upstream = await startServer((request) => {
+      // Never answers; note when the solver gives up on the connection
+      request.on("close", () => closed.push(request.url));
+    });
+
+    const solver = createSolver({ maxRetries: 5, retryDelay: 10 });
+    api = new ApiServer(solver, quietLogger(), { requestTimeout: 200 });
+    const address = await api.listen(0);
+
+    const { status, body } = await call(address, "POST", "/extract", {
+      url: `${upstream.origin}/challenge`,
+    });
+    expect(status).toBe(504);
+    expect(body.ok).toBe(false);
+
+    await new Promise((resolve) => setTimeout(resolve, 200));
+    expect(closed).toEqual(["/challenge"]);
+    expect(upstream.requests).toHaveLength(1);
+  });
+});
@@ -0,0 +1,104 @@
+const BatchRunner = require("../../src/services/BatchRunner");
+const { quietLogger } = require("../helpers");
+
+const ITEMS = ["a", "b", "c", "d", "e"].map((source) => ({
+  type: "url",
+  source,
+}));
+
+/**
+ * Builds a solve function whose items finish after the given delays
+ * @param {Object} delays - source → delay in ms
+ * @returns {Function} Solve function recording the peak concurrency
+ */
+function delayedSolve(delays) {
+  const solve = async (item) => {
+    solve.active++;
+    solve.peak = Math.max(solve.peak, solve.active);
+    await new Promise((resolve) => setTimeout(resolve, delays[item.source]));
+    solve.active--;
+
+    if (item.source === "d") {
+      throw Object.assign(new Error("HTTP 500"), {
+        name: "HttpError",
+        code: "EHTTP",
+      });
+    }
+    return {
+      url: `https://ramp.test/${item.source}`,
+      flag: item.source === "c" ? null : `flag-${item.source}`,
+      strategy: "XPath Strategy",
+      characterCount: 18,
+      warnings: [],
+    };
+  };
+  solve.active = 0;
+  solve.peak = 0;
+  return solve;
+}
+
+describe("BatchRunner", () => {
+  const delays = { a: 100, b: 5, c: 5, d: 5, e: 5 };
+
+  it("never runs more items than its concurrency", async () => {
+    const solve = delayedSolve(delays);
+
+    await new BatchRunner(quietLogger(), { concurrency: 2 }).run(ITEMS, solve);
+
+    expect(solve.peak).toBe(2);
+  });
+
+  it("reports items in input order and streams them as they finish", async () => {
+    const finished = [];
+    const { items } = await new BatchRunner(quietLogger(), {
+      concurrency: 2,
+    }).run(ITEMS, delayedSolve(delays), (item) => finished.push(item.source));
+
+    expect(items.map((item) => item.index)).toEqual([0, 1, 2, 3, 4]);
+    expect(finished).toEqual(["b", "c", "d", "e", "a"]);
+  });
+
+  it("records failures without stopping the other items", async () => {
+    const report = await new BatchRunner(quietLogger(), {
+      concurrency: 8,
+    }).run(ITEMS, delayedSolve(delays));
+
+    expect(report.items.map((item) => item.status)).toEqual([
+      "solved",
+      "solved",
+      "no-flag",
+      "failed",
+      "solved",
+    ]);
+    expect(report.items[3]).toEqual({
+      index: 3,
+      type: "url",
+      source: "d",
+      status: "failed",
+      url: null,
+      flag: null,
+      strategy: null,
+      characterCount: null,
+      durationMs: expect.any(Number),
+      warnings: [],
+      error: { name: "HttpError", code: "EHTTP", message: "HTTP 500" },
+    });
+    expect(report.summary).toEqual({
+      total: 5,
+      solved: 3,
+      noFlag: 1,
+      failed: 1,
+      concurrency: 8,
+      durationMs: expect.any(Number),
+    });
+  });
+
+  it("reports an empty list", async () => {
+    const solve = jest.fn();
+    const report = await new BatchRunner(quietLogger()).run([], solve);
+
+    expect(solve).not.toHaveBeenCalled();
+    expect(report.items).toEqual([]);
+    expect(report.summary).toMatchObject({ total: 0, concurrency: 4 });
+  });
+});
@@ -0,0 +1,168 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const Cassette = require("../../src/services/Cassette");
+const HttpClient = require("../../src/services/HttpClient");
+const RetryPolicy = require("../../src/services/RetryPolicy");
+const CassetteMissError = require("../../src/errors/CassetteMissError");
+const ConfigError = require("../../src/errors/ConfigError");
+const { CASSETTE } = require("../../src/config/constants");
+const { quietLogger, startServer } = require("../helpers");
+
+function interaction(url, headers, body) {
+  return {
+    request: { method: "GET", url, headers },
+    response: { status: 200, statusMessage: "OK", headers: {}, body },
+    timing: null,
+  };
+}
+
+describe("Cassette", () => {
+  let dir;
+  let file;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "ramp-cassette-"));
+    file = path.join(dir, "cassette.json");
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  function replaying(interactions) {
+    fs.writeFileSync(file, JSON.stringify({ interactions }));
+    return new Cassette(file, CASSETTE.MODES.REPLAY, quietLogger());
+  }
+
+  it("raises a ConfigError for a missing or malformed replay file", () => {
+    expect(
+      () => new Cassette(file, CASSETTE.MODES.REPLAY, quietLogger())
+    ).toThrow(ConfigError);
+
+    fs.writeFileSync(file, JSON.stringify({ interactions: "nope" }));
+    expect(
+      () => new Cassette(file, CASSETTE.MODES.REPLAY, quietLogger())
+    ).toThrow(/no interactions array/);
+  });
+
+  it("serves repeated requests in recording order", () => {
+    const cassette = replaying([
+      interaction("https://a.test/", { cookie: "a=1" }, "first"),
+      interaction("https://a.test/", { cookie: "a=1" }, "second"),
+    ]);
+
+    const headers = { cookie: "a=1", "user-agent": "other" };
+    expect(
+      cassette.match("GET", "https://a.test/", headers).response.body
+    ).toBe("first");
+    expect(
+      cassette.match("GET", "https://a.test/", headers).response.body
+    ).toBe("second");
+    expect(() => cassette.match("GET", "https://a.test/", headers)).toThrow(
+      CassetteMissError
+    );
+  });
+
+  it("matches on key headers and names the one that differs", () => {
+    const cassette = replaying([
+      interaction("https://a.test/", { cookie: "sid=abc" }, "body"),
+    ]);
+
+    expect(() =>
+      cassette.match("GET", "https://a.test/", { cookie: "sid=xyz" })
+    ).toThrow(/different cookie header/);
+
+    expect(
+      cassette.match("GET", "https://a.test/", { cookie: "sid=abc" }).response
+        .body
+    ).toBe("body");
+  });
+
+  it("matches recordings without headers on method and URL alone", () => {
+    const cassette = replaying([
+      interaction("https://a.test/", undefined, "old"),
+    ]);
+    expect(
+      cassette.match("GET", "https://a.test/", { cookie: "x=1" }).response.body
+    ).toBe("old");
+  });
+
+  it("records request headers and replays them without the network", async () => {
+    const server = await startServer((request, response) => {
+      response.writeHead(200, { "content-type": "text/html" });
+      response.end("<p>live</p>");
+    });
+
+    try {
+      const recorder = new HttpClient(quietLogger(), {
+        cassette: new Cassette(file, CASSETTE.MODES.RECORD, quietLogger()),
+        headers: { Accept: "text/html" },
+      });
+      await recorder.fetch(`${server.origin}/page`);
+
+      const saved = JSON.parse(fs.readFileSync(file, "utf8"));
+      expect(saved.interactions[0].request.headers.accept).toBe("text/html");
+    } finally {
+      await server.close();
+    }
+
+    const player = new HttpClient(quietLogger(), {
+      cassette: new Cassette(file, CASSETTE.MODES.REPLAY, quietLogger()),
+      headers: { Accept: "text/html" },
+    });
+    const url = JSON.parse(fs.readFileSync(file, "utf8")).interactions[0]
+      .request.url;
+    await expect(player.fetch(url)).resolves.toBe("<p>live</p>");
+
+    const diverging = new HttpClient(quietLogger(), {
+      cassette: new Cassette(file, CASSETTE.MODES.REPLAY, quietLogger()),
+      headers: { Accept: "application/json" },
+      retryPolicy: new RetryPolicy({ maxAttempts: 1 }),
+    });
+    await expect(diverging.fetch(url)).rejects.toThrow(CassetteMissError);
+  });
+  it("stores credential headers as digests and matches on them", async () => {
+    const server = await startServer((request, response) => {
+      response.writeHead(200, { "content-type": "text/html" });
+      response.end("<p>private</p>");
+    });
+    const credentials = {
+      Authorization: "Bearer s3cret",
+      Cookie: "sid=session-token",
+    };
+
+    let url;
+    try {
+      const recorder = new HttpClient(quietLogger(), {
+        cassette: new Cassette(file, CASSETTE.MODES.RECORD, quietLogger()),
+        headers: credentials,
+      });
+      url = `${server.origin}/account`;
+      await recorder.fetch(url);
+    } finally {
+      await server.close();
+    }
+
+    const text = fs.readFileSync(file, "utf8");
+    expect(text).not.toMatch(/s3cret|session-token/);
+    const { headers } = JSON.parse(text).interactions[0].request;
+    expect(headers.authorization).toMatch(/^sha256:[0-9a-f]{64}$/);
+    expect(headers.cookie).toMatch(/^sha256:[0-9a-f]{64}$/);
+
+    const player = new HttpClient(quietLogger(), {
+      cassette: new Cassette(file, CASSETTE.MODES.REPLAY, quietLogger()),
+      headers: credentials,
+    });
+    await expect(player.fetch(url)).resolves.toBe("<p>private</p>");
+
+    const intruder = new HttpClient(quietLogger(), {
+      cassette: new Cassette(file, CASSETTE.MODES.REPLAY, quietLogger()),
+      headers: { ...credentials, Authorization: "Bearer guess" },
+      retryPolicy: new RetryPolicy({ maxAttempts: 1 }),
+    });
+    await expect(intruder.fetch(url)).rejects.toThrow(
+      /different authorization header/
+    );
+  });
+});
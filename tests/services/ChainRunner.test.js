@@ -0,0 +1,208 @@
+const ChainRunner = require("../../src/services/ChainRunner");
+const DecoderPipeline = require("../../src/services/DecoderPipeline");
+const HtmlParser = require("../../src/services/HtmlParser");
+const HttpClient = require("../../src/services/HttpClient");
+const RetryPolicy = require("../../src/services/RetryPolicy");
+const ChainSpec = require("../../src/patterns/ChainSpec");
+const XPathStrategy = require("../../src/strategies/XPathStrategy");
+const { quietLogger, startServer } = require("../helpers");
+
+const LEAF = { steps: [{ tag: "b" }], read: { attribute: "value" } };
+
+/**
+ * Builds a page hiding text one character per <b value>
+ * @param {string} text - Text to hide
+ * @returns {string} HTML
+ */
+function hide(text) {
+  const escape = (character) =>
+    ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;" }[character] ||
+    character);
+  const leaves = [...text]
+    .map((character) => `<b value="${escape(character)}"></b>`)
+    .join("");
+  return `<html><body>${leaves}</body></html>`;
+}
+
+describe("ChainRunner", () => {
+  let server;
+  let pages;
+  let runner;
+
+  beforeAll(async () => {
+    server = await startServer((request, response) => {
+      if (request.url === "/flag.json") {
+        response.writeHead(200, { "content-type": "application/json" });
+        response.end(JSON.stringify({ data: { flag: "ramp{json}" } }));
+      } else if (request.url === "/flag.txt") {
+        response.writeHead(200, { "content-type": "text/plain" });
+        response.end("ramp{text}");
+      } else if (pages[request.url]) {
+        response.writeHead(200, { "content-type": "text/html" });
+        response.end(pages[request.url]);
+      } else {
+        response.writeHead(404);
+        response.end();
+      }
+    });
+    pages = {
+      "/start": hide("/second"),
+      "/second": hide(
+        Buffer.from(`${server.origin}/flag.json`).toString("base64")
+      ),
+      "/loop": hide("/loop"),
+      "/a": hide("/b"),
+      "/b": hide("/c"),
+      "/empty": "<html><body><p>nothing</p></body></html>",
+    };
+  });
+
+  afterAll(() => server.close());
+
+  beforeEach(() => {
+    const logger = quietLogger();
+    runner = new ChainRunner(
+      new HttpClient(logger, {
+        retryPolicy: new RetryPolicy({ maxAttempts: 1 }),
+      }),
+      (pattern) => new HtmlParser([new XPathStrategy(logger, pattern)], logger),
+      logger,
+      { decoderPipeline: new DecoderPipeline(logger) }
+    );
+  });
+
+  it("walks URL stages, decoding and resolving each output", async () => {
+    const chain = new ChainSpec({
+      name: "two-step",
+      stages: [
+        { name: "first", pattern: LEAF },
+        { name: "second", pattern: LEAF, decode: "auto" },
+      ],
+      flag: { path: "data.flag" },
+    });
+
+    const result = await runner.run(chain, { url: `${server.origin}/start` });
+
+    expect(result).toMatchObject({
+      url: `${server.origin}/flag.json`,
+      flag: "ramp{json}",
+      flagSource: "json",
+      chain: "two-step",
+      depth: 2,
+      warnings: [],
+    });
+    expect(result.trail).toEqual([
+      expect.objectContaining({
+        stage: 0,
+        name: "first",
+        source: "url",
+        url: `${server.origin}/start`,
+        payload: "/second",
+        decoding: [],
+        value: "/second",
+      }),
+      expect.objectContaining({
+        name: "second",
+        url: `${server.origin}/second`,
+        decoding: [expect.objectContaining({ decoder: "base64" })],
+        value: `${server.origin}/flag.json`,
+      }),
+    ]);
+  });
+
+  it("parses a text stage from the previous output", async () => {
+    const chain = new ChainSpec({
+      stages: [
+        { name: "markup", pattern: LEAF },
+        {
+          name: "link",
+          source: "text",
+          pattern: { steps: [{ tag: "a" }], read: { attribute: "href" } },
+        },
+      ],
+    });
+
+    const result = await runner.run(chain, {
+      html: hide(`<a href="${server.origin}/flag.txt">flag</a>`),
+    });
+
+    expect(result.flag).toBe("ramp{text}");
+    expect(result.trail.map((entry) => [entry.source, entry.url])).toEqual([
+      ["url", null],
+      ["text", null],
+    ]);
+  });
+
+  it("aborts a stage that would read the same page again", async () => {
+    const chain = new ChainSpec({
+      stages: [{ name: "loop", pattern: LEAF, next: "loop" }],
+    });
+
+    await expect(
+      runner.run(chain, { url: `${server.origin}/loop` })
+    ).rejects.toMatchObject({
+      code: "ECHAIN",
+      message: expect.stringMatching(/^Cycle detected: stage "loop"/),
+      trail: [expect.objectContaining({ name: "loop" })],
+    });
+  });
+
+  it("aborts when the final URL is a page the chain visited", async () => {
+    const chain = new ChainSpec({ stages: [{ pattern: LEAF }] });
+
+    await expect(
+      runner.run(chain, { url: `${server.origin}/loop` })
+    ).rejects.toThrow(/the final URL .*\/loop is a page already visited/);
+  });
+
+  it("stops at the depth limit", async () => {
+    const chain = new ChainSpec({
+      maxDepth: 2,
+      stages: ["a", "b", "c"].map((name) => ({ name, pattern: LEAF })),
+    });
+
+    await expect(
+      runner.run(chain, { url: `${server.origin}/a` })
+    ).rejects.toMatchObject({
+      code: "ECHAIN",
+      message: 'Chain exceeded its depth limit of 2 stages (next: "c")',
+      trail: [
+        expect.objectContaining({ name: "a" }),
+        expect.objectContaining({ name: "b" }),
+      ],
+    });
+  });
+
+  it("attaches the trail and stage to a stage failure", async () => {
+    const chain = new ChainSpec({
+      stages: [
+        { name: "first", pattern: LEAF },
+        { name: "broken", pattern: LEAF },
+      ],
+    });
+    pages["/to-empty"] = hide("/empty");
+
+    await expect(
+      runner.run(chain, { url: `${server.origin}/to-empty` })
+    ).rejects.toMatchObject({
+      code: "EEXTRACT",
+      message: expect.stringMatching(/^Stage "broken": failed to extract/),
+      stage: "broken",
+      trail: [expect.objectContaining({ name: "first", value: "/empty" })],
+    });
+  });
+
+  it("reports, rather than throws, a flag that cannot be fetched", async () => {
+    pages["/to-missing"] = hide("/missing");
+    const chain = new ChainSpec({ stages: [{ pattern: LEAF }] });
+
+    const result = await runner.run(chain, {
+      url: `${server.origin}/to-missing`,
+    });
+
+    expect(result.flag).toBeNull();
+    expect(result.warnings).toEqual([
+      expect.stringMatching(/^Flag could not be fetched: /),
+    ]);
+  });
+});
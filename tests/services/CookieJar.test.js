@@ -0,0 +1,155 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const CookieJar = require("../../src/services/CookieJar");
+const ConfigError = require("../../src/errors/ConfigError");
+const HttpClient = require("../../src/services/HttpClient");
+const { quietLogger, startServer } = require("../helpers");
+
+function jar(options = {}) {
+  const clock = { now: 1000000 };
+  const cookieJar = new CookieJar({
+    logger: quietLogger(),
+    now: () => clock.now,
+    ...options,
+  });
+  return { cookieJar, clock };
+}
+
+describe("CookieJar", () => {
+  let directory;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), "ramp-jar-"));
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  it("keeps host-only cookies on their host", () => {
+    const { cookieJar } = jar();
+    cookieJar.setCookies("sid=1", "https://a.test/login");
+
+    expect(cookieJar.getCookieHeader("https://a.test/")).toBe("sid=1");
+    expect(cookieJar.getCookieHeader("https://sub.a.test/")).toBe("");
+  });
+
+  it("shares Domain cookies with subdomains and rejects foreign domains", () => {
+    const { cookieJar } = jar();
+    cookieJar.setCookies(
+      ["pref=dark; Domain=.a.test", "evil=1; Domain=b.test"],
+      "https://www.a.test/"
+    );
+
+    expect(cookieJar.getCookieHeader("https://api.a.test/")).toBe("pref=dark");
+    expect(cookieJar.getCookieHeader("https://b.test/")).toBe("");
+  });
+
+  it("matches paths and sends longer paths first", () => {
+    const { cookieJar } = jar();
+    cookieJar.setCookies(
+      ["a=root; Path=/", "b=docs; Path=/docs"],
+      "https://a.test/"
+    );
+
+    expect(cookieJar.getCookieHeader("https://a.test/docs/x")).toBe(
+      "b=docs; a=root"
+    );
+    expect(cookieJar.getCookieHeader("https://a.test/docsx")).toBe("a=root");
+  });
+
+  it("defaults the path to the request's directory", () => {
+    const { cookieJar } = jar();
+    cookieJar.setCookies("c=1", "https://a.test/app/login");
+
+    expect(cookieJar.getCookieHeader("https://a.test/app/home")).toBe("c=1");
+    expect(cookieJar.getCookieHeader("https://a.test/")).toBe("");
+  });
+
+  it("sends Secure cookies over https only and ignores them from http", () => {
+    const { cookieJar } = jar();
+    cookieJar.setCookies("s=1; Secure", "https://a.test/");
+    cookieJar.setCookies("t=1; Secure", "http://a.test/");
+
+    expect(cookieJar.getCookieHeader("https://a.test/")).toBe("s=1");
+    expect(cookieJar.getCookieHeader("http://a.test/")).toBe("");
+  });
+
+  it("expires cookies, preferring Max-Age over Expires", () => {
+    const { cookieJar, clock } = jar();
+    cookieJar.setCookies(
+      "m=1; Max-Age=10; Expires=Wed, 01 Jan 2200 00:00:00 GMT",
+      "https://a.test/"
+    );
+    expect(cookieJar.getCookieHeader("https://a.test/")).toBe("m=1");
+
+    clock.now += 11000;
+    expect(cookieJar.getCookieHeader("https://a.test/")).toBe("");
+  });
+
+  it("deletes a cookie set again with Max-Age=0", () => {
+    const { cookieJar } = jar();
+    cookieJar.setCookies("sid=1", "https://a.test/");
+    cookieJar.setCookies("sid=; Max-Age=0", "https://a.test/");
+
+    expect(cookieJar.getCookieHeader("https://a.test/")).toBe("");
+  });
+
+  it("persists only persistent cookies to its file", () => {
+    const filePath = path.join(directory, "jar.json");
+    const { cookieJar } = jar({ filePath });
+    cookieJar.setCookies(
+      ["session=1", "keep=1; Max-Age=3600"],
+      "https://a.test/"
+    );
+
+    const reloaded = new CookieJar({
+      filePath,
+      logger: quietLogger(),
+      now: () => 1000000,
+    });
+    expect(reloaded.getCookieHeader("https://a.test/")).toBe("keep=1");
+  });
+
+  it("throws ConfigError for a malformed jar file", () => {
+    const filePath = path.join(directory, "jar.json");
+    fs.writeFileSync(filePath, "{ not json");
+
+    expect(() => jar({ filePath })).toThrow(ConfigError);
+    expect(() => jar({ filePath })).toThrow(
+      expect.objectContaining({ code: "ECONFIG" })
+    );
+  });
+});
+
+describe("HttpClient cookies", () => {
+  let server;
+
+  afterEach(() => server.close());
+
+  it("sends cookies set by an earlier response and across redirects", async () => {
+    server = await startServer((request, response) => {
+      if (request.url === "/login") {
+        response.writeHead(302, {
+          location: "/home",
+          "set-cookie": "sid=abc; Path=/",
+        });
+        response.end();
+        return;
+      }
+      response.writeHead(200, { "content-type": "text/html" });
+      response.end("<p>home</p>");
+    });
+
+    const client = new HttpClient(quietLogger());
+    await client.fetch(`${server.origin}/login`);
+    await client.fetch(`${server.origin}/other`);
+
+    expect(server.requests.map((request) => request.headers.cookie)).toEqual([
+      undefined,
+      "sid=abc",
+      "sid=abc",
+    ]);
+  });
+});
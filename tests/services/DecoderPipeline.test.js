@@ -0,0 +1,136 @@
+const DecoderPipeline = require("../../src/services/DecoderPipeline");
+const DecodeError = require("../../src/errors/DecodeError");
+const { createSolver } = require("../../index");
+const { quietLogger, startServer } = require("../helpers");
+
+const URL_TEXT = "https://example.com/flag";
+const isUrl = (text) => /^https?:\/\/[^\s/]+\.[^\s]+$/i.test(text);
+
+const hex = (text) => Buffer.from(text).toString("hex");
+const base64 = (text) => Buffer.from(text).toString("base64");
+const reverse = (text) => [...text].reverse().join("");
+
+function decodeAuto(text, options) {
+  return new DecoderPipeline(quietLogger(), options).decode(text, "auto", {
+    until: isUrl,
+  });
+}
+
+describe("DecoderPipeline auto mode", () => {
+  it.each([
+    ["hex", hex(URL_TEXT)],
+    ["base64", base64(URL_TEXT)],
+    ["url", encodeURIComponent(URL_TEXT)],
+    ["reverse", reverse(URL_TEXT)],
+  ])("detects a single %s layer", (decoder, text) => {
+    const decoding = decodeAuto(text);
+
+    expect(decoding.mode).toBe("auto");
+    expect(decoding.output).toBe(URL_TEXT);
+    expect(decoding.steps.map((step) => step.decoder)).toEqual([decoder]);
+  });
+
+  it("peels nested layers and records each step", () => {
+    const decoding = decodeAuto(base64(hex(URL_TEXT)));
+
+    expect(decoding.output).toBe(URL_TEXT);
+    expect(decoding.steps).toEqual([
+      expect.objectContaining({
+        decoder: "base64",
+        input: base64(hex(URL_TEXT)),
+        output: hex(URL_TEXT),
+      }),
+      expect.objectContaining({
+        decoder: "hex",
+        input: hex(URL_TEXT),
+        output: URL_TEXT,
+      }),
+    ]);
+    decoding.steps.forEach((step) => {
+      expect(step.confidence).toBeGreaterThanOrEqual(0.5);
+    });
+  });
+
+  it("leaves text that already satisfies `until` or looks undecodable", () => {
+    expect(decodeAuto(URL_TEXT).steps).toEqual([]);
+    expect(decodeAuto("hello world")).toMatchObject({
+      output: "hello world",
+      steps: [],
+    });
+  });
+
+  it("never returns to text it has already produced", () => {
+    // Always confident, so only the cycle guard can stop it
+    const flip = { detect: () => 1, decode: reverse, getName: () => "flip" };
+    const pipeline = new DecoderPipeline(quietLogger(), { decoders: [flip] });
+    const decoding = pipeline.decode("xyz", "auto");
+
+    expect(decoding.steps).toHaveLength(1);
+    expect(decoding.output).toBe("zyx");
+  });
+
+  it("stops after maxSteps", () => {
+    const decoding = decodeAuto(hex(hex(hex(URL_TEXT))), { maxSteps: 2 });
+
+    expect(decoding.steps).toHaveLength(2);
+    expect(decoding.output).toBe(hex(URL_TEXT));
+  });
+
+  it("runs an explicit chain as listed and reports where it failed", () => {
+    const pipeline = new DecoderPipeline(quietLogger());
+
+    expect(
+      pipeline.decode(base64(hex(URL_TEXT)), ["base64", "hex"]).output
+    ).toBe(URL_TEXT);
+    expect(() => pipeline.decode("zz", ["reverse", "hex"])).toThrow(
+      expect.objectContaining({
+        code: "EDECODE",
+        decoder: "hex",
+        steps: [expect.objectContaining({ decoder: "reverse" })],
+      })
+    );
+    expect(() => pipeline.decode("zz", ["hex"])).toThrow(DecodeError);
+  });
+
+  it("parses chains and rejects unknown decoders", () => {
+    expect(DecoderPipeline.parseChain("auto")).toBe("auto");
+    expect(DecoderPipeline.parseChain(" Hex, rot13 ")).toEqual([
+      "hex",
+      "rot13",
+    ]);
+    expect(() => DecoderPipeline.parseChain("hex,nope")).toThrow(
+      /Unknown decoder: nope/
+    );
+    expect(() => DecoderPipeline.parseChain(" , ")).toThrow(/empty/);
+  });
+});
+
+describe("auto-decoded payloads", () => {
+  let server;
+
+  afterEach(() => server.close());
+
+  it("builds the hidden URL from an encoded payload", async () => {
+    server = await startServer((request, response) => {
+      response.writeHead(200, { "content-type": "text/plain" });
+      response.end("FLAG{decoded}");
+    });
+    const hiddenUrl = `${server.origin}/flag`;
+    const characters = [...hex(hiddenUrl)]
+      .map(
+        (character) =>
+          '<section data-id="92"><article data-class="45">' +
+          `<div data-tag="78"><b class="ref" value="${character}"></b></div>` +
+          "</article></section>"
+      )
+      .join("");
+
+    const result = await createSolver({ decode: "auto" }).solve({
+      html: `<html><body>${characters}</body></html>`,
+    });
+
+    expect(result.url).toBe(hiddenUrl);
+    expect(result.decoding.steps.map((step) => step.decoder)).toEqual(["hex"]);
+    expect(result.flag).toBe("FLAG{decoded}");
+  });
+});
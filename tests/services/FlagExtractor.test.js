@@ -0,0 +1,125 @@
+const FlagExtractor = require("../../src/services/FlagExtractor");
+const FlagError = require("../../src/errors/FlagError");
+const { quietLogger } = require("../helpers");
+
+const URL_TEXT = "https://ramp.test/hidden";
+
+/**
+ * Extracts from a response body
+ * @param {string} body - Response body
+ * @param {string|null} contentType - Content-Type header, or null for none
+ * @param {Object} [options] - FlagExtractor options
+ * @returns {Object} { flag, source, contentType }
+ */
+function extract(body, contentType, options = {}) {
+  const headers = contentType ? { "content-type": contentType } : {};
+  return new FlagExtractor(quietLogger(), options).extract({
+    url: URL_TEXT,
+    headers,
+    body,
+  });
+}
+
+/**
+ * Captures the FlagError an extraction throws
+ * @param {...*} args - extract() arguments
+ * @returns {FlagError} Error
+ */
+function failure(...args) {
+  try {
+    extract(...args);
+  } catch (error) {
+    expect(error).toBeInstanceOf(FlagError);
+    expect(error.code).toBe("EFLAG");
+    return error;
+  }
+  throw new Error("expected a FlagError");
+}
+
+describe("FlagExtractor", () => {
+  it("reads the visible text of HTML", () => {
+    const html =
+      "<html><head><style>p{}</style></head><body>" +
+      "<script>var decoy = 1;</script><p>  ramp&#123;html&#125; </p>" +
+      "<template>hidden</template></body></html>";
+
+    expect(extract(html, "text/html; charset=utf-8")).toEqual({
+      flag: "ramp{html}",
+      source: "html",
+      contentType: "text/html",
+    });
+  });
+
+  it("reads JSON strings, flag properties and paths", () => {
+    const json = "application/json";
+    const nested = JSON.stringify({ data: { items: [{ flag: 42 }] } });
+
+    expect(extract('"ramp{top}"', json).flag).toBe("ramp{top}");
+    expect(extract('{"flag":"ramp{prop}"}', "application/vnd.x+json")).toEqual({
+      flag: "ramp{prop}",
+      source: "json",
+      contentType: "application/vnd.x+json",
+    });
+    expect(
+      extract(nested, json, { jsonPath: "$.data.items[0].flag" }).flag
+    ).toBe("42");
+  });
+
+  it("sniffs untyped bodies and reads other text as-is", () => {
+    expect(extract("<b>ramp{sniffed}</b>", null).source).toBe("html");
+    expect(extract("  ramp{plain}\n", "text/plain")).toEqual({
+      flag: "ramp{plain}",
+      source: "text",
+      contentType: "text/plain",
+    });
+  });
+
+  it("picks the flag format match, preferring its first group", () => {
+    const options = { flagFormat: "ramp\\{([^}]+)\\}" };
+
+    expect(extract("Well done: ramp{fmt} !", "text/plain", options).flag).toBe(
+      "fmt"
+    );
+    expect(
+      extract(
+        JSON.stringify({ note: "nope", deep: ["x", "ramp{deep}"] }),
+        "application/json",
+        options
+      ).flag
+    ).toBe("deep");
+  });
+
+  it("explains why no flag could be read", () => {
+    expect(failure("{oops", "application/json").message).toMatch(
+      /declared JSON but is not valid/
+    );
+    expect(
+      failure('{"a":1}', "application/json", { jsonPath: "a.b" }).message
+    ).toBe("JSON path a.b not found in the response");
+    expect(failure('{"a":1}', "application/json").message).toMatch(
+      /no top-level string or "flag" property/
+    );
+    expect(failure("<p> </p>", "text/html").message).toBe(
+      "The html response contains no flag text"
+    );
+
+    const error = failure("nothing here", "text/plain", {
+      flagFormat: "ramp\\{.+\\}",
+    });
+    expect(error.message).toBe(
+      "No flag matching /ramp\\{.+\\}/ in the text response"
+    );
+    expect(error).toMatchObject({
+      url: URL_TEXT,
+      contentType: "text/plain",
+      excerpt: "nothing here",
+    });
+  });
+
+  it("rejects a malformed JSON path", () => {
+    expect(() => FlagExtractor.parsePath("a..b")).toThrow(
+      "Invalid JSON path: a..b"
+    );
+    expect(FlagExtractor.parsePath("$.a[2].b")).toEqual(["a", 2, "b"]);
+  });
+});
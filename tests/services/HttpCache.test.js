@@ -0,0 +1,182 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const HttpCache = require("../../src/services/HttpCache");
+const HttpClient = require("../../src/services/HttpClient");
+const CookieJar = require("../../src/services/CookieJar");
+const { quietLogger, startServer } = require("../helpers");
+
+const URL_A = "https://a.test/page";
+const T0 = Date.parse("2026-01-01T00:00:00Z");
+
+function response(headers, body = "<p>cached</p>") {
+  return { url: URL_A, status: 200, headers, body, redirects: [] };
+}
+
+describe("HttpCache", () => {
+  let dir;
+  let clock;
+  let cache;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "ramp-cache-"));
+    clock = T0;
+    cache = new HttpCache(dir, { logger: quietLogger(), now: () => clock });
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("serves an entry while max-age allows, then asks for revalidation", () => {
+    cache.store(URL_A, {}, response({ "cache-control": "max-age=60" }));
+
+    clock = T0 + 59 * 1000;
+    expect(cache.lookup(URL_A, {})).toMatchObject({ fresh: true, age: 59 });
+
+    clock = T0 + 61 * 1000;
+    // No validator: a stale entry is useless
+    expect(cache.lookup(URL_A, {})).toBeNull();
+  });
+
+  it("falls back to Expires, then to the Last-Modified heuristic", () => {
+    const date = new Date(T0).toUTCString();
+    cache.store(
+      URL_A,
+      {},
+      response({ date, expires: new Date(T0 + 30 * 1000).toUTCString() })
+    );
+    expect(cache.lookup(URL_A, {}).entry.lifetime).toBe(30);
+
+    cache.store(
+      URL_A,
+      {},
+      response({
+        date,
+        "last-modified": new Date(T0 - 1000 * 1000).toUTCString(),
+      })
+    );
+    // 10% of the 1000s since Last-Modified
+    expect(cache.lookup(URL_A, {}).entry.lifetime).toBe(100);
+  });
+
+  it("keeps stale entries with validators and builds conditional headers", () => {
+    cache.store(
+      URL_A,
+      {},
+      response({ "cache-control": "no-cache", etag: '"v1"' })
+    );
+
+    const found = cache.lookup(URL_A, {});
+    expect(found.fresh).toBe(false);
+    expect(cache.conditionalHeaders(found.entry)).toEqual({
+      "if-none-match": '"v1"',
+    });
+
+    const updated = cache.revalidate(URL_A, {}, found.entry, {
+      "cache-control": "max-age=10",
+      "content-length": "0",
+    });
+    expect(updated.response.body).toBe("<p>cached</p>");
+    expect(updated.response.headers["content-length"]).toBeUndefined();
+    expect(cache.lookup(URL_A, {}).fresh).toBe(true);
+  });
+
+  it("never stores no-store or Vary: * responses", () => {
+    expect(
+      cache.store(URL_A, {}, response({ "cache-control": "no-store" }))
+    ).toBeNull();
+    expect(
+      cache.store(
+        URL_A,
+        {},
+        response({ "cache-control": "max-age=60", vary: "*" })
+      )
+    ).toBeNull();
+    expect(cache.lookup(URL_A, {})).toBeNull();
+  });
+
+  it("keys entries on cookies and Vary headers", () => {
+    cache.store(
+      URL_A,
+      { cookie: "sid=1", "x-mode": "a" },
+      response({ "cache-control": "max-age=60", vary: "X-Mode" })
+    );
+
+    expect(
+      cache.lookup(URL_A, { cookie: "sid=1", "x-mode": "a" })
+    ).not.toBeNull();
+    expect(cache.lookup(URL_A, { cookie: "sid=2", "x-mode": "a" })).toBeNull();
+    expect(cache.lookup(URL_A, { cookie: "sid=1", "x-mode": "b" })).toBeNull();
+  });
+
+  it("clears only its own entry files", () => {
+    cache.store(URL_A, {}, response({ "cache-control": "max-age=60" }));
+    fs.writeFileSync(path.join(dir, "notes.txt"), "keep");
+
+    expect(cache.clear()).toBe(1);
+    expect(fs.readdirSync(dir)).toEqual(["notes.txt"]);
+  });
+});
+
+describe("HttpClient with a cache", () => {
+  let dir;
+  let server;
+
+  beforeEach(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "ramp-cache-"));
+    server = await startServer((request, response) => {
+      if (request.url === "/challenge") {
+        response.writeHead(200, {
+          "content-type": "text/html",
+          "cache-control": "max-age=60",
+          "set-cookie": "sid=abc; Path=/",
+        });
+        response.end("<p>challenge</p>");
+      } else {
+        response.writeHead(200, { "content-type": "text/plain" });
+        response.end(request.headers.cookie || "no cookie");
+      }
+    });
+  });
+
+  afterEach(async () => {
+    await server.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  function client() {
+    return new HttpClient(quietLogger(), {
+      cache: new HttpCache(dir, { logger: quietLogger() }),
+      cookieJar: new CookieJar({ logger: quietLogger() }),
+    });
+  }
+
+  it("applies a cached Set-Cookie to the jar on a hit", async () => {
+    const first = client();
+    await first.fetchResponse(`${server.origin}/challenge`);
+    await expect(first.fetch(`${server.origin}/flag`)).resolves.toBe("sid=abc");
+
+    const second = client();
+    const hit = await second.fetchResponse(`${server.origin}/challenge`);
+    expect(hit.cache.status).toBe("hit");
+    await expect(second.fetch(`${server.origin}/flag`)).resolves.toBe(
+      "sid=abc"
+    );
+    expect(
+      server.requests.filter((request) => request.url === "/challenge")
+    ).toHaveLength(1);
+  });
+
+  it("keys entries on the jar's cookies", async () => {
+    const anonymous = client();
+    await anonymous.fetchResponse(`${server.origin}/challenge`);
+
+    const withSession = client();
+    withSession.cookieJar.setCookies("sid=other; Path=/", server.origin);
+    const result = await withSession.fetchResponse(
+      `${server.origin}/challenge`
+    );
+    expect(result.cache.status).toBe("miss");
+  });
+});
@@ -0,0 +1,307 @@
+const zlib = require("zlib");
+const HttpClient = require("../../src/services/HttpClient");
+const RetryPolicy = require("../../src/services/RetryPolicy");
+const { quietLogger, startServer } = require("../helpers");
+
+describe("HttpClient", () => {
+  let server;
+
+  beforeEach(async () => {
+    server = await startServer((request, response) => {
+      response.writeHead(200, { "content-type": "text/html" });
+      response.end("<p>page</p>");
+    });
+  });
+
+  afterEach(() => server.close());
+
+  it("rejects, rather than crashing, when the request cannot be set up", async () => {
+    const client = new HttpClient(quietLogger(), {
+      timeout: "soon",
+      retryPolicy: new RetryPolicy({ maxAttempts: 1 }),
+    });
+
+    await expect(client.fetch(`${server.origin}/`)).rejects.toMatchObject({
+      code: "EFETCH",
+    });
+  });
+
+  it("stops before the first attempt once aborted", async () => {
+    const controller = new AbortController();
+    const reason = new Error("gave up");
+    controller.abort(reason);
+
+    const client = new HttpClient(quietLogger());
+    await expect(
+      client.fetch(`${server.origin}/`, { signal: controller.signal })
+    ).rejects.toBe(reason);
+    expect(server.requests).toHaveLength(0);
+  });
+});
+
+describe("HttpClient transport", () => {
+  const PAGE = "<p>compressed page</p>";
+  const ENCODERS = {
+    gzip: zlib.gzipSync,
+    deflate: zlib.deflateSync,
+    br: zlib.brotliCompressSync,
+  };
+  let server;
+  let client;
+
+  beforeEach(async () => {
+    server = await startServer((request, response) => {
+      const [, route, arg] = request.url.split("/");
+      if (route === "hop") {
+        const remaining = Number(arg);
+        response.writeHead(remaining > 0 ? 302 : 200, {
+          location: `/hop/${remaining - 1}`,
+        });
+        response.end(remaining > 0 ? "" : "<p>landed</p>");
+      } else if (route === "loop") {
+        response.writeHead(301, { location: "/loop" });
+        response.end();
+      } else {
+        response.writeHead(200, { "content-encoding": arg });
+        response.end(ENCODERS[arg] ? ENCODERS[arg](PAGE) : PAGE);
+      }
+    });
+    client = new HttpClient(quietLogger(), {
+      retryPolicy: new RetryPolicy({ maxAttempts: 1 }),
+    });
+  });
+
+  afterEach(() => server.close());
+
+  it("follows relative redirects and reports each hop", async () => {
+    const response = await client.fetchResponse(`${server.origin}/hop/2`);
+
+    expect(response.url).toBe(`${server.origin}/hop/0`);
+    expect(response.body).toBe("<p>landed</p>");
+    expect(response.redirects).toEqual([
+      {
+        url: `${server.origin}/hop/2`,
+        status: 302,
+        location: `${server.origin}/hop/1`,
+      },
+      {
+        url: `${server.origin}/hop/1`,
+        status: 302,
+        location: `${server.origin}/hop/0`,
+      },
+    ]);
+  });
+
+  it("follows at most five redirects", async () => {
+    await expect(client.fetch(`${server.origin}/hop/5`)).resolves.toBe(
+      "<p>landed</p>"
+    );
+
+    const failure = client.fetch(`${server.origin}/hop/6`);
+    await expect(failure).rejects.toMatchObject({
+      code: "EFETCH",
+      cause: expect.objectContaining({ code: "EREDIRECT" }),
+    });
+    await expect(failure).rejects.toThrow(/Too many redirects \(more than 5\)/);
+    // Five hops and the page, then six hops before the sixth redirect is refused
+    expect(server.requests).toHaveLength(6 + 6);
+  });
+
+  it("stops at a redirect loop", async () => {
+    await expect(client.fetch(`${server.origin}/loop`)).rejects.toThrow(
+      `Redirect loop detected at ${server.origin}/loop`
+    );
+    expect(server.requests).toHaveLength(1);
+  });
+
+  it.each(["gzip", "deflate", "br", "identity"])(
+    "decodes a %s body",
+    async (encoding) => {
+      await expect(
+        client.fetch(`${server.origin}/page/${encoding}`)
+      ).resolves.toBe(PAGE);
+      expect(server.requests[0].headers["accept-encoding"]).toBe(
+        "gzip, deflate, br"
+      );
+    }
+  );
+
+  it("fails on a body that does not match its encoding", async () => {
+    await server.close();
+    server = await startServer((request, response) => {
+      response.writeHead(200, { "content-encoding": "gzip" });
+      response.end(PAGE);
+    });
+
+    await expect(client.fetch(`${server.origin}/`)).rejects.toMatchObject({
+      code: "EFETCH",
+    });
+  });
+});
+
+describe("HttpClient headers and proxies", () => {
+  const PROXY_AUTH = `Basic ${Buffer.from("scraper:p@ss").toString("base64")}`;
+  let target;
+
+  beforeEach(async () => {
+    target = await startServer((request, response) => {
+      response.writeHead(200, { "content-type": "text/html" });
+      response.end("<p>target</p>");
+    });
+  });
+
+  afterEach(() => target.close());
+
+  function client(options = {}) {
+    return new HttpClient(quietLogger(), {
+      retryPolicy: new RetryPolicy({ maxAttempts: 1 }),
+      noProxy: "",
+      ...options,
+    });
+  }
+
+  function proxyUrl(origin) {
+    return origin.replace("//", "//scraper:p%40ss@");
+  }
+
+  it("sends the configured headers, cookies and user agent", async () => {
+    await client({
+      userAgent: "ramp-test/1.0",
+      headers: { "X-Token": "abc", Accept: "text/html" },
+      cookies: { session: "s1", theme: "dark" },
+    }).fetch(`${target.origin}/`, { headers: { "x-token": "override" } });
+
+    expect(target.requests[0].headers).toMatchObject({
+      "user-agent": "ramp-test/1.0",
+      "x-token": "override",
+      accept: "text/html",
+      cookie: "session=s1; theme=dark",
+    });
+  });
+
+  it("drops credentials when a redirect leaves the origin", async () => {
+    const origin = await startServer((request, response) => {
+      const next = request.url === "/away" ? target.origin : origin.origin;
+      response.writeHead(302, { location: `${next}/landing` });
+      response.end();
+    });
+    const credentials = {
+      headers: { Authorization: "Bearer secret", "X-Trace": "t1" },
+      cookies: { session: "s1" },
+    };
+
+    try {
+      // Same-origin hops keep them, so the cross-origin strip is observable
+      await expect(
+        client(credentials).fetch(`${origin.origin}/stay`)
+      ).rejects.toThrow(/Redirect loop/);
+      expect(origin.requests[1].headers).toMatchObject({
+        authorization: "Bearer secret",
+        cookie: "session=s1",
+      });
+
+      await client(credentials).fetch(`${origin.origin}/away`);
+    } finally {
+      await origin.close();
+    }
+
+    const landed = target.requests[0].headers;
+    expect(landed.authorization).toBeUndefined();
+    expect(landed.cookie).toBeUndefined();
+    expect(landed["x-trace"]).toBe("t1");
+  });
+
+  it("sends plain HTTP to the proxy in absolute form", async () => {
+    const proxy = await startServer((request, response) => {
+      response.writeHead(200, { "content-type": "text/html" });
+      response.end("<p>via proxy</p>");
+    });
+
+    try {
+      await expect(
+        client({ proxy: proxyUrl(proxy.origin) }).fetch(`${target.origin}/page`)
+      ).resolves.toBe("<p>via proxy</p>");
+    } finally {
+      await proxy.close();
+    }
+
+    expect(target.requests).toHaveLength(0);
+    expect(proxy.requests[0].url).toBe(`${target.origin}/page`);
+    expect(proxy.requests[0].headers).toMatchObject({
+      host: target.origin.replace("http://", ""),
+      "proxy-authorization": PROXY_AUTH,
+    });
+  });
+
+  it("bypasses the proxy for NO_PROXY hosts", async () => {
+    await client({ proxy: "http://127.0.0.1:9", noProxy: "127.0.0.1" }).fetch(
+      `${target.origin}/`
+    );
+
+    expect(target.requests).toHaveLength(1);
+  });
+
+  describe("CONNECT tunnel", () => {
+    let proxy;
+    let connects;
+
+    beforeEach(async () => {
+      proxy = await startServer(() => {});
+      connects = [];
+    });
+
+    afterEach(() => proxy.close());
+
+    /**
+     * Answers CONNECT with a status, then records the first tunnelled bytes
+     * @param {number} status - Response status for the CONNECT request
+     */
+    function answerConnect(status) {
+      proxy.server.on("connect", (request, socket) => {
+        const connect = { url: request.url, headers: request.headers };
+        connects.push(connect);
+        socket.write(`HTTP/1.1 ${status} Tunnel\r\n\r\n`);
+        socket.once("data", (chunk) => {
+          connect.firstByte = chunk[0];
+          connect.sni = chunk.includes(Buffer.from("ramp.test"));
+          socket.destroy();
+        });
+        if (status !== 200) {
+          socket.end();
+        }
+      });
+    }
+
+    it("tunnels HTTPS through the proxy and starts TLS inside it", async () => {
+      answerConnect(200);
+
+      await expect(
+        client({ proxy: proxyUrl(proxy.origin) }).fetch(
+          "https://ramp.test:8443/"
+        )
+      ).rejects.toMatchObject({ code: "EFETCH" });
+
+      expect(connects).toEqual([
+        {
+          url: "ramp.test:8443",
+          headers: expect.objectContaining({
+            host: "ramp.test:8443",
+            "proxy-authorization": PROXY_AUTH,
+          }),
+          // A TLS handshake record carrying the target's server name
+          firstByte: 0x16,
+          sni: true,
+        },
+      ]);
+    });
+
+    it("fails when the proxy refuses the tunnel", async () => {
+      answerConnect(407);
+
+      await expect(
+        client({ proxy: proxy.origin }).fetch("https://ramp.test/")
+      ).rejects.toThrow("Proxy CONNECT to ramp.test:443 failed: HTTP 407");
+      expect(connects[0].headers["proxy-authorization"]).toBeUndefined();
+    });
+  });
+});
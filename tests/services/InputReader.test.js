@@ -0,0 +1,68 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { PassThrough } = require("stream");
+const InputReader = require("../../src/services/InputReader");
+const InputError = require("../../src/errors/InputError");
+const { quietLogger: quiet } = require("../helpers");
+
+describe("InputReader", () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "ramp-input-"));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("reads a file", async () => {
+    const file = path.join(dir, "page.html");
+    fs.writeFileSync(file, "<p>hi</p>");
+    await expect(new InputReader(quiet()).read(file)).resolves.toBe(
+      "<p>hi</p>"
+    );
+  });
+
+  it("rejects a missing file with an InputError", async () => {
+    const file = path.join(dir, "missing.html");
+    const error = await new InputReader(quiet()).read(file).catch((e) => e);
+    expect(error).toBeInstanceOf(InputError);
+    expect(error.code).toBe("EINPUT");
+    expect(error.source).toBe(file);
+  });
+
+  it("rejects empty stdin with an InputError", async () => {
+    const stdin = new PassThrough();
+    stdin.end("");
+    const error = await new InputReader(quiet(), stdin)
+      .read("-")
+      .catch((e) => e);
+    expect(error).toBeInstanceOf(InputError);
+    expect(error.message).toMatch(/stdin/);
+  });
+
+  it("throws an InputError when opening a missing file for streaming", () => {
+    expect(() =>
+      new InputReader(quiet()).open(path.join(dir, "missing.html"))
+    ).toThrow(InputError);
+  });
+
+  it("reads list entries, skipping blanks and comments", async () => {
+    const file = path.join(dir, "list.txt");
+    fs.writeFileSync(file, "# urls\nhttps://a.test/\n\n  b.html  \n");
+    await expect(new InputReader(quiet()).readLines(file)).resolves.toEqual([
+      "https://a.test/",
+      "b.html",
+    ]);
+  });
+
+  it("rejects a list with no entries", async () => {
+    const file = path.join(dir, "list.txt");
+    fs.writeFileSync(file, "# nothing\n\n");
+    await expect(new InputReader(quiet()).readLines(file)).rejects.toThrow(
+      InputError
+    );
+  });
+});
@@ -0,0 +1,70 @@
+const RateLimiter = require("../../src/services/RateLimiter");
+const { quietLogger } = require("../helpers");
+
+function limiter(options) {
+  const clock = { now: 0, sleeps: [] };
+  const rateLimiter = new RateLimiter({
+    logger: quietLogger(),
+    now: () => clock.now,
+    sleep: async (ms) => {
+      clock.sleeps.push(ms);
+      clock.now += ms;
+    },
+    ...options,
+  });
+  return { rateLimiter, clock };
+}
+
+describe("RateLimiter", () => {
+  it("lets a burst through, then paces each host at the rate", async () => {
+    const { rateLimiter, clock } = limiter({ rate: 2, burst: 2 });
+
+    for (let i = 0; i < 4; i++) {
+      await rateLimiter.take("https://a.test/page");
+    }
+    expect(clock.sleeps).toEqual([500, 500]);
+  });
+
+  it("keeps a separate bucket per host", async () => {
+    const { rateLimiter, clock } = limiter({ rate: 1 });
+
+    await rateLimiter.take("https://a.test/");
+    await rateLimiter.take("https://b.test/");
+    expect(clock.sleeps).toEqual([]);
+
+    await rateLimiter.take("https://a.test/");
+    expect(clock.sleeps).toEqual([1000]);
+  });
+
+  it("does nothing without a rate", async () => {
+    const { rateLimiter, clock } = limiter({});
+    await rateLimiter.take("https://a.test/");
+    await rateLimiter.take("https://a.test/");
+    expect(clock.sleeps).toEqual([]);
+  });
+
+  it("caps concurrency and hands slots to waiters in order", async () => {
+    const { rateLimiter } = limiter({ maxConcurrency: 1 });
+    const order = [];
+
+    const release = await rateLimiter.acquire();
+    const second = rateLimiter.acquire().then((done) => {
+      order.push("second");
+      return done;
+    });
+    const third = rateLimiter.acquire().then((done) => {
+      order.push("third");
+      return done;
+    });
+
+    await Promise.resolve();
+    expect(order).toEqual([]);
+
+    release();
+    release(); // a second call must not free another slot
+    (await second)();
+    (await third)();
+    expect(order).toEqual(["second", "third"]);
+    expect(rateLimiter.active).toBe(0);
+  });
+});
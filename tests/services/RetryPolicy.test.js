@@ -0,0 +1,128 @@
+const RetryPolicy = require("../../src/services/RetryPolicy");
+const HttpClient = require("../../src/services/HttpClient");
+const HttpError = require("../../src/errors/HttpError");
+const { quietLogger, startServer } = require("../helpers");
+
+function httpError(status, headers = {}) {
+  return new HttpError(status, "", "http://a.test/", headers);
+}
+
+function networkError(code) {
+  const error = new Error(code);
+  error.code = code;
+  return error;
+}
+
+describe("RetryPolicy", () => {
+  it("classifies 5xx, 408, 429 and network errors as retryable", () => {
+    const policy = new RetryPolicy();
+
+    expect(policy.classify(httpError(503))).toBe("retryable");
+    expect(policy.classify(httpError(408))).toBe("retryable");
+    expect(policy.classify(httpError(429))).toBe("retryable");
+    expect(policy.classify(networkError("ECONNRESET"))).toBe("retryable");
+    expect(policy.classify(httpError(404))).toBe("fatal");
+    expect(policy.classify(networkError("EREDIRECT"))).toBe("fatal");
+    expect(policy.classify(new Error("Invalid HTML"))).toBe("fatal");
+  });
+
+  it("stops at maxAttempts", () => {
+    const policy = new RetryPolicy({ maxAttempts: 3 });
+    const error = httpError(500);
+
+    expect(policy.shouldRetry(error, 1)).toBe(true);
+    expect(policy.shouldRetry(error, 2)).toBe(true);
+    expect(policy.shouldRetry(error, 3)).toBe(false);
+  });
+
+  it("backs off exponentially up to maxDelay", () => {
+    const policy = new RetryPolicy({
+      baseDelay: 100,
+      factor: 2,
+      maxDelay: 350,
+      jitter: 0,
+    });
+    const error = httpError(500);
+
+    expect(
+      [1, 2, 3, 4].map((attempt) => policy.getDelay(error, attempt))
+    ).toEqual([100, 200, 350, 350]);
+  });
+
+  it("randomizes the jitter fraction of the delay", () => {
+    const policy = new RetryPolicy({
+      baseDelay: 1000,
+      jitter: 0.5,
+      random: () => 0.5,
+    });
+    expect(policy.getDelay(httpError(500), 1)).toBe(750);
+  });
+
+  it("honours Retry-After in seconds and as a date", () => {
+    const policy = new RetryPolicy({ maxDelay: 10000 });
+
+    expect(policy.getDelay(httpError(429, { "retry-after": "3" }), 1)).toBe(
+      3000
+    );
+
+    const date = new Date(Date.now() + 5000).toUTCString();
+    const delay = policy.getDelay(httpError(503, { "retry-after": date }), 1);
+    expect(delay).toBeGreaterThan(3000);
+    expect(delay).toBeLessThanOrEqual(5000);
+  });
+
+  it("gives up when Retry-After exceeds maxDelay", () => {
+    const policy = new RetryPolicy({ maxDelay: 1000 });
+    expect(policy.shouldRetry(httpError(503, { "retry-after": "60" }), 1)).toBe(
+      false
+    );
+  });
+});
+
+describe("HttpClient retries", () => {
+  let server;
+
+  afterEach(() => server.close());
+
+  it("retries a 503 and records every attempt", async () => {
+    let calls = 0;
+    server = await startServer((request, response) => {
+      calls++;
+      if (calls === 1) {
+        response.writeHead(503, { "retry-after": "0" });
+        response.end();
+        return;
+      }
+      response.writeHead(200, { "content-type": "text/html" });
+      response.end("<p>ok</p>");
+    });
+
+    const client = new HttpClient(quietLogger(), {
+      retryPolicy: new RetryPolicy({ maxAttempts: 3, baseDelay: 1 }),
+    });
+    const response = await client.fetchResponse(`${server.origin}/`);
+
+    expect(response.body).toBe("<p>ok</p>");
+    expect(response.attempts.map((attempt) => attempt.outcome)).toEqual([
+      "retried",
+      "success",
+    ]);
+    expect(response.attempts[0]).toMatchObject({ status: 503, delayMs: 0 });
+  });
+
+  it("does not retry a 404", async () => {
+    server = await startServer((request, response) => {
+      response.writeHead(404);
+      response.end();
+    });
+
+    const client = new HttpClient(quietLogger(), {
+      retryPolicy: new RetryPolicy({ maxAttempts: 3, baseDelay: 1 }),
+    });
+    await expect(client.fetch(`${server.origin}/`)).rejects.toMatchObject({
+      code: "EFETCH",
+      attempts: [expect.objectContaining({ outcome: "failed", status: 404 })],
+    });
+    expect(server.requests).toHaveLength(1);
+  });
+});
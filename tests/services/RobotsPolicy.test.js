@@ -0,0 +1,176 @@
+const RobotsPolicy = require("../../src/services/RobotsPolicy");
+const HttpClient = require("../../src/services/HttpClient");
+const RetryPolicy = require("../../src/services/RetryPolicy");
+const PolicyError = require("../../src/errors/PolicyError");
+const { quietLogger, startServer } = require("../helpers");
+
+const ROBOTS = [
+  "User-agent: other-bot",
+  "Disallow: /",
+  "",
+  "User-agent: ramp-ctf-solver",
+  "User-agent: helper",
+  "Disallow: /private",
+  "Allow: /private/ok$",
+  "Disallow: /*.php",
+].join("\n");
+
+function policy(response, options = {}) {
+  const fetchRobots = jest.fn(async () => {
+    if (response instanceof Error) {
+      throw response;
+    }
+    return response;
+  });
+  return {
+    fetchRobots,
+    robots: new RobotsPolicy(fetchRobots, {
+      userAgent: "ramp-ctf-solver/1.0",
+      logger: quietLogger(),
+      ...options,
+    }),
+  };
+}
+
+describe("RobotsPolicy", () => {
+  it("parses groups sharing consecutive user-agent lines", () => {
+    const groups = RobotsPolicy.parse(ROBOTS);
+    expect(groups).toHaveLength(2);
+    expect(groups[1].agents).toEqual(["ramp-ctf-solver", "helper"]);
+    expect(groups[1].rules).toHaveLength(3);
+  });
+
+  it("applies the longest matching rule of this agent's group", async () => {
+    const { robots } = policy({ status: 200, body: ROBOTS });
+
+    await expect(robots.check("https://a.test/")).resolves.toBeUndefined();
+    await expect(robots.check("https://a.test/private/x")).rejects.toThrow(
+      PolicyError
+    );
+    await expect(
+      robots.check("https://a.test/private/ok")
+    ).resolves.toBeUndefined();
+    await expect(
+      robots.check("https://a.test/private/ok/more")
+    ).rejects.toThrow(PolicyError);
+    await expect(
+      robots.check("https://a.test/x/index.php")
+    ).rejects.toMatchObject({ code: "EPOLICY", rule: "Disallow: /*.php" });
+  });
+
+  it("falls back to the * group for other agents", async () => {
+    const { robots } = policy(
+      { status: 200, body: "User-agent: *\nDisallow: /" },
+      { userAgent: "someone-else" }
+    );
+    await expect(robots.check("https://a.test/page")).rejects.toThrow(
+      PolicyError
+    );
+  });
+
+  it("fetches each origin once and shares parallel checks", async () => {
+    const { robots, fetchRobots } = policy({ status: 200, body: ROBOTS });
+    await Promise.all([
+      robots.check("https://a.test/1"),
+      robots.check("https://a.test/2"),
+    ]);
+    await robots.check("https://a.test/3");
+    expect(fetchRobots).toHaveBeenCalledTimes(1);
+  });
+
+  it("allows everything when robots.txt is missing", async () => {
+    const { robots } = policy({ status: 404, body: "" });
+    await expect(robots.check("https://a.test/x")).resolves.toBeUndefined();
+  });
+
+  it("allows everything when robots.txt redirects lead nowhere", async () => {
+    const error = new Error("Too many redirects");
+    error.code = "EREDIRECT";
+    const { robots } = policy(error);
+    await expect(robots.check("https://a.test/x")).resolves.toBeUndefined();
+  });
+
+  it("disallows everything when robots.txt is unreachable", async () => {
+    await expect(
+      policy({ status: 503, body: "" }).robots.check("https://a.test/x")
+    ).rejects.toThrow(/unreachable \(HTTP 503\)/);
+
+    const refused = new Error("connect ECONNREFUSED");
+    refused.code = "ECONNREFUSED";
+    await expect(
+      policy(refused).robots.check("https://a.test/x")
+    ).rejects.toThrow(PolicyError);
+  });
+});
+
+describe("HttpClient with robots", () => {
+  let server;
+
+  afterEach(() => server.close());
+
+  function client() {
+    return new HttpClient(quietLogger(), {
+      robots: true,
+      retryPolicy: new RetryPolicy({ maxAttempts: 1 }),
+    });
+  }
+
+  function page(response) {
+    response.writeHead(200, { "content-type": "text/html" });
+    response.end("<p>page</p>");
+  }
+
+  it("follows a robots.txt redirect on the same origin", async () => {
+    server = await startServer((request, response) => {
+      if (request.url === "/robots.txt") {
+        response.writeHead(301, { location: "/robots-v2.txt" });
+        response.end();
+      } else if (request.url === "/robots-v2.txt") {
+        response.writeHead(200, { "content-type": "text/plain" });
+        response.end("User-agent: *\nDisallow: /private");
+      } else {
+        page(response);
+      }
+    });
+
+    const http = client();
+    await expect(http.fetch(`${server.origin}/open`)).resolves.toBe(
+      "<p>page</p>"
+    );
+    await expect(http.fetch(`${server.origin}/private`)).rejects.toThrow(
+      PolicyError
+    );
+  });
+
+  it("treats a robots.txt redirect loop as unavailable", async () => {
+    server = await startServer((request, response) => {
+      if (request.url.startsWith("/robots")) {
+        const next =
+          request.url === "/robots.txt" ? "/robots-a" : "/robots.txt";
+        response.writeHead(302, { location: next });
+        response.end();
+      } else {
+        page(response);
+      }
+    });
+
+    await expect(client().fetch(`${server.origin}/open`)).resolves.toBe(
+      "<p>page</p>"
+    );
+  });
+
+  it("refuses an origin whose robots.txt fails with 5xx", async () => {
+    server = await startServer((request, response) => {
+      if (request.url === "/robots.txt") {
+        response.writeHead(500);
+        response.end();
+      } else {
+        page(response);
+      }
+    });
+
+    await expect(client().fetch(`${server.origin}/open`)).rejects.toThrow(
+      PolicyError
+    );
+  });
+});
@@ -0,0 +1,69 @@
+const ExtractionStrategy = require("../../src/strategies/ExtractionStrategy");
+const HtmlParser = require("../../src/services/HtmlParser");
+const { quietLogger } = require("../helpers");
+
+class AsyncStrategy extends ExtractionStrategy {
+  async extract(html) {
+    await new Promise((resolve) => setImmediate(resolve));
+    return [...html.replace(/<[^>]*>/g, "")];
+  }
+
+  getName() {
+    return "Async Strategy";
+  }
+}
+
+class SyncStrategy extends ExtractionStrategy {
+  extract() {
+    return ["s"];
+  }
+
+  getName() {
+    return "Sync Strategy";
+  }
+}
+
+describe("ExtractionStrategy", () => {
+  it("cannot be instantiated directly", () => {
+    expect(() => new ExtractionStrategy(quietLogger())).toThrow(/abstract/);
+  });
+
+  it("wraps an async extract() in matches without a location", async () => {
+    const strategy = new AsyncStrategy(quietLogger());
+
+    await expect(strategy.extractMatches("<p>ab</p>")).resolves.toEqual([
+      {
+        value: "a",
+        strategy: "Async Strategy",
+        path: null,
+        line: null,
+        column: null,
+      },
+      {
+        value: "b",
+        strategy: "Async Strategy",
+        path: null,
+        line: null,
+        column: null,
+      },
+    ]);
+  });
+
+  it("wraps a sync extract() too", async () => {
+    const strategy = new SyncStrategy(quietLogger());
+    await expect(strategy.extractMatches("")).resolves.toEqual([
+      expect.objectContaining({ value: "s" }),
+    ]);
+  });
+
+  it("lets HtmlParser run a strategy whose extract() is async", async () => {
+    const parser = new HtmlParser(
+      [new AsyncStrategy(quietLogger())],
+      quietLogger()
+    );
+
+    const parsed = await parser.parseWithDetails("<p>hi</p>");
+    expect(parsed.characters).toEqual(["h", "i"]);
+    expect(parsed.strategy).toBe("Async Strategy");
+  });
+});
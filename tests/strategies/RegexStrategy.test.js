@@ -0,0 +1,42 @@
+const RegexStrategy = require("../../src/strategies/RegexStrategy");
+const { quietLogger } = require("../helpers");
+
+const HTML = [
+  "<html><body>",
+  '<div data-k="a1">',
+  '  <b value="x">X</b>',
+  "</div>",
+  '<div data-k="a2"><i></i><b value="y">Y</b></div>',
+  "</body></html>",
+].join("\n");
+
+function strategy(read) {
+  return new RegexStrategy(quietLogger(), {
+    steps: [
+      { tag: "div", attribute: "data-k", operator: "prefix", value: "a" },
+      { tag: "b" },
+    ],
+    read,
+  });
+}
+
+describe("RegexStrategy", () => {
+  it("locates the leaf tag of each attribute read", () => {
+    expect(strategy({ attribute: "value" }).extractMatches(HTML)).toEqual([
+      expect.objectContaining({
+        value: "x",
+        path: ['div[data-k="a1"]', "b"],
+        line: 3,
+        column: 3,
+      }),
+      expect.objectContaining({ value: "y", line: 5, column: 25 }),
+    ]);
+  });
+
+  it("locates the leaf tag of each text read", () => {
+    expect(strategy({ text: true }).extractMatches(HTML)).toEqual([
+      expect.objectContaining({ value: "X", line: 3, column: 3 }),
+      expect.objectContaining({ value: "Y", line: 5, column: 25 }),
+    ]);
+  });
+});
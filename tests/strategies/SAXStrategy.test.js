@@ -0,0 +1,79 @@
+const { PassThrough } = require("stream");
+const SAXStrategy = require("../../src/strategies/SAXStrategy");
+const { quietLogger } = require("../helpers");
+
+const PATTERN = {
+  steps: [
+    { tag: "div", attribute: "data-k", operator: "prefix", value: "a" },
+    { tag: "b" },
+  ],
+  read: { attribute: "value" },
+};
+
+const HTML = [
+  "<html><body>",
+  '<div data-k="a1">',
+  '  <b value="x">X</b>',
+  "</div>",
+  '<div data-k="zz"><b value="-">-</b></div>',
+  '<DIV DATA-K="a2"><i></i><b value="&eacute;">Y</b></DIV>',
+  "</body></html>",
+].join("\n");
+
+function strategy(read = PATTERN.read) {
+  return new SAXStrategy(quietLogger(), { ...PATTERN, read });
+}
+
+describe("SAXStrategy", () => {
+  it("extracts attribute reads with their paths and locations", () => {
+    expect(strategy().extractMatches(HTML)).toEqual([
+      expect.objectContaining({
+        value: "x",
+        strategy: "SAX Strategy",
+        path: ['div[data-k="a1"]', "b"],
+        line: 3,
+        column: 3,
+      }),
+      expect.objectContaining({
+        value: "é",
+        path: ['div[data-k="a2"]', "b"],
+        line: 6,
+        column: 25,
+      }),
+    ]);
+  });
+
+  it("extracts text reads once the leaf closes", () => {
+    expect(strategy({ text: true }).extract(HTML)).toEqual(["X", "Y"]);
+  });
+
+  it("streams characters as chunks arrive", async () => {
+    const stream = new PassThrough();
+    const seen = [];
+    const done = strategy().extractStream(stream, (value, index, match) => {
+      seen.push([value, index, match.path, match.line]);
+    });
+
+    // Split the page mid-tag and inside the two-byte "é"
+    const bytes = Buffer.from(HTML.replace("&eacute;", "é"));
+    const split = bytes.indexOf(Buffer.from("é")) + 1;
+    stream.write(bytes.subarray(0, 20));
+    stream.write(bytes.subarray(20, split));
+    stream.end(bytes.subarray(split));
+
+    await expect(done).resolves.toEqual(["x", "é"]);
+    expect(seen).toEqual([
+      ["x", 0, ['div[data-k="a1"]', "b"], null],
+      ["é", 1, ['div[data-k="a2"]', "b"], null],
+    ]);
+  });
+
+  it("rejects when the stream fails", async () => {
+    const stream = new PassThrough();
+    const done = strategy().extractStream(stream);
+
+    stream.destroy(new Error("socket hang up"));
+
+    await expect(done).rejects.toThrow("SAX extraction failed: socket hang up");
+  });
+});
@@ -0,0 +1,132 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const StrategyLoader = require("../../src/strategies/StrategyLoader");
+const XPathStrategy = require("../../src/strategies/XPathStrategy");
+const HtmlParser = require("../../src/services/HtmlParser");
+const PluginError = require("../../src/errors/PluginError");
+const PatternSpec = require("../../src/patterns/PatternSpec");
+const { quietLogger } = require("../helpers");
+
+const EXTRACTION_STRATEGY = require.resolve(
+  "../../src/strategies/ExtractionStrategy"
+);
+
+// Plugin sources, written to disk and loaded as --strategy modules
+const PLUGINS = {
+  "sync.js": `
+    module.exports = class SyncPlugin {
+      constructor(logger, pattern) { this.pattern = pattern; }
+      extract() { return ["s", "y"]; }
+      getName() { return "Sync Plugin"; }
+    };`,
+  "async.js": `
+    const ExtractionStrategy = require(${JSON.stringify(EXTRACTION_STRATEGY)});
+    class AsyncPlugin extends ExtractionStrategy {
+      async extract() {
+        await new Promise((resolve) => setImmediate(resolve));
+        return ["a", "s"];
+      }
+      getName() { return "Async Plugin"; }
+    }
+    exports.default = AsyncPlugin;`,
+  "object.js": `module.exports = { extract() {}, getName() {} };`,
+  "partial.js": `module.exports = class { extract() { return []; } };`,
+  "nameless.js": `
+    module.exports = class { extract() { return []; } getName() { return ""; } };`,
+  "broken.js": `throw new Error("boom");`,
+};
+
+describe("StrategyLoader", () => {
+  let dir;
+
+  beforeAll(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "ramp-plugins-"));
+    Object.entries(PLUGINS).forEach(([name, source]) => {
+      fs.writeFileSync(path.join(dir, name), source);
+    });
+  });
+
+  afterAll(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  function load(specifiers) {
+    const loader = new StrategyLoader(specifiers, dir);
+    return loader.create(() => quietLogger(), PatternSpec.from());
+  }
+
+  function pluginError(specifiers) {
+    try {
+      load(specifiers);
+    } catch (error) {
+      expect(error).toBeInstanceOf(PluginError);
+      expect(error.code).toBe("EPLUGIN");
+      return error;
+    }
+    throw new Error("expected a PluginError");
+  }
+
+  it("resolves built-in names case-insensitively, in order", () => {
+    const strategies = load(["XPath", "regex"]);
+
+    expect(strategies[0]).toBeInstanceOf(XPathStrategy);
+    expect(strategies.map((strategy) => strategy.getName())).toEqual([
+      "XPath Strategy",
+      "Regex Strategy",
+    ]);
+    expect(StrategyLoader.builtInNames()).toEqual([
+      "xpath",
+      "jsdom",
+      "regex",
+      "sax",
+    ]);
+  });
+
+  it("loads a sync plugin relative to the base directory", async () => {
+    const [plugin] = load(["./sync.js"]);
+
+    expect(plugin.pattern).toBeInstanceOf(PatternSpec);
+    const parser = new HtmlParser([plugin], quietLogger());
+    await expect(parser.parse("<p></p>")).resolves.toEqual(["s", "y"]);
+  });
+
+  it("loads an async plugin exported as default", async () => {
+    const strategies = load(["./async.js", "regex"]);
+
+    const parser = new HtmlParser(strategies, quietLogger());
+    const parsed = await parser.parseWithDetails("<p></p>");
+    expect(parsed.characters).toEqual(["a", "s"]);
+    expect(parsed.strategy).toBe("Async Plugin");
+  });
+
+  it("reports an unknown name or a missing module", () => {
+    expect(pluginError(["nope"]).message).toMatch(
+      /Unknown strategy "nope" \(expected one of: xpath, jsdom, regex, sax/
+    );
+
+    const missing = pluginError(["./missing.js"]);
+    expect(missing.message).toMatch(
+      /^Failed to load strategy module \.\/missing\.js: Cannot find module/
+    );
+    expect(missing.message).not.toMatch(/\n/);
+  });
+
+  it("reports a module that throws while loading", () => {
+    expect(pluginError(["./broken.js"]).message).toMatch(/boom/);
+  });
+
+  it("rejects modules that are not strategies", () => {
+    expect(pluginError(["./object.js"]).message).toMatch(/must export a class/);
+    expect(pluginError(["./partial.js"]).message).toMatch(
+      /does not implement getName\(\)/
+    );
+    expect(pluginError(["./nameless.js"]).message).toMatch(
+      /getName\(\) must return a non-empty string/
+    );
+  });
+
+  it("requires at least one strategy", () => {
+    expect(() => new StrategyLoader([])).toThrow(PluginError);
+  });
+});
@@ -0,0 +1,172 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { PassThrough } = require("stream");
+const Logger = require("../../src/utils/Logger");
+const ConsoleSink = require("../../src/utils/sinks/ConsoleSink");
+const MemorySink = require("../../src/utils/sinks/MemorySink");
+const RotatingFileSink = require("../../src/utils/sinks/RotatingFileSink");
+const StreamSink = require("../../src/utils/sinks/StreamSink");
+
+describe("Logger", () => {
+  it("hands entries at or above its level to every sink", () => {
+    const first = new MemorySink();
+    const second = new MemorySink();
+    const logger = new Logger("WARN", { sinks: [first, second] });
+
+    logger.debug("hidden");
+    logger.info("hidden");
+    logger.success("hidden");
+    logger.warn("careful", { attempt: 2 });
+
+    expect(first.entries).toEqual([
+      {
+        timestamp: expect.any(String),
+        level: "warn",
+        message: "careful",
+        component: null,
+        data: { attempt: 2 },
+      },
+    ]);
+    expect(second.entries).toEqual(first.entries);
+  });
+
+  it("formats JSON lines with the error and child component", () => {
+    const lines = [];
+    const logger = new Logger("INFO", {
+      format: "json",
+      sinks: [{ write: (line) => lines.push(line) }],
+    });
+    const error = Object.assign(new Error("refused"), { code: "ECONNREFUSED" });
+
+    logger.child("HttpClient").error("Fetch failed", error, { url: "/x" });
+
+    expect(JSON.parse(lines[0])).toEqual({
+      timestamp: expect.stringMatching(/^\d{4}-\d\d-\d\dT/),
+      level: "error",
+      message: "Fetch failed",
+      component: "HttpClient",
+      data: {
+        url: "/x",
+        error: {
+          name: "Error",
+          message: "refused",
+          code: "ECONNREFUSED",
+          stack: error.stack,
+        },
+      },
+    });
+  });
+
+  it("formats pretty lines with the debug data underneath", () => {
+    const lines = [];
+    const logger = new Logger("DEBUG", {
+      sinks: [{ write: (line) => lines.push(line) }],
+    });
+
+    logger.success("Done");
+    logger.debug("State", { step: 1 });
+
+    expect(lines).toEqual([
+      "✅ [SUCCESS] Done",
+      '🔍 [DEBUG] State\n{\n  "step": 1\n}',
+    ]);
+  });
+
+  it("rejects an unknown format", () => {
+    expect(() => new Logger("INFO", { format: "xml" })).toThrow(
+      "Unknown log format: xml"
+    );
+  });
+});
+
+describe("log sinks", () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  it("ConsoleSink keeps stdout free when stderrOnly is set", () => {
+    const log = jest.spyOn(console, "log").mockImplementation(() => {});
+    const error = jest.spyOn(console, "error").mockImplementation(() => {});
+    const warn = jest.spyOn(console, "warn").mockImplementation(() => {});
+
+    new ConsoleSink().write("a", { level: "info" });
+    new ConsoleSink({ stderrOnly: true }).write("b", { level: "info" });
+    new ConsoleSink().write("c", { level: "warn" });
+    new ConsoleSink().write("d", { level: "error" });
+
+    expect(log.mock.calls).toEqual([["a"]]);
+    expect(error.mock.calls).toEqual([["b"], ["d"]]);
+    expect(warn.mock.calls).toEqual([["c"]]);
+  });
+
+  it("MemorySink drops the oldest entries past its limit", () => {
+    const sink = new MemorySink(2);
+    const logger = new Logger("INFO", { sinks: [sink] });
+
+    ["one", "two", "three"].forEach((message) => logger.info(message));
+    expect(sink.entries.map((entry) => entry.message)).toEqual([
+      "two",
+      "three",
+    ]);
+
+    sink.clear();
+    expect(sink.entries).toEqual([]);
+  });
+
+  it("StreamSink writes one line per entry", () => {
+    const stream = new PassThrough({ encoding: "utf8" });
+    const logger = new Logger("INFO", {
+      format: "json",
+      sinks: [new StreamSink(stream)],
+    });
+
+    logger.info("first");
+    logger.info("second");
+
+    const lines = stream.read().split("\n");
+    expect(lines.map((line) => line && JSON.parse(line).message)).toEqual([
+      "first",
+      "second",
+      "",
+    ]);
+  });
+
+  describe("RotatingFileSink", () => {
+    let dir;
+    let file;
+
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), "ramp-logs-"));
+      file = path.join(dir, "solver.log");
+    });
+
+    afterEach(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+    const read = (name) => fs.readFileSync(path.join(dir, name), "utf8");
+
+    it("rotates by size and keeps maxFiles old files", () => {
+      const sink = new RotatingFileSink(file, { maxBytes: 9, maxFiles: 2 });
+
+      ["aaaa", "bbbb", "cccc", "dddd"].forEach((line) => sink.write(line));
+
+      expect(fs.readdirSync(dir).sort()).toEqual([
+        "solver.log",
+        "solver.log.1",
+        "solver.log.2",
+      ]);
+      expect(read("solver.log")).toBe("dddd\n");
+      expect(read("solver.log.1")).toBe("cccc\n");
+      expect(read("solver.log.2")).toBe("bbbb\n");
+    });
+
+    it("counts an existing file and drops it when maxFiles is 0", () => {
+      fs.writeFileSync(file, "old-line\n");
+      const sink = new RotatingFileSink(file, { maxBytes: 12, maxFiles: 0 });
+
+      sink.write("new");
+      sink.write("newer");
+
+      expect(fs.readdirSync(dir)).toEqual(["solver.log"]);
+      expect(read("solver.log")).toBe("new\nnewer\n");
+    });
+  });
+});
@@ -0,0 +1,118 @@
+const ResultFormatter = require("../../src/utils/ResultFormatter");
+
+const RESULT = {
+  url: "https://ramp.test/hidden",
+  flag: "ramp{found}",
+  flagUrl: "https://ramp.test/hidden",
+  flagSource: "text",
+  strategy: "XPath Strategy",
+  characterCount: 24,
+  decoding: null,
+  cache: { challenge: null, flag: { status: "hit" } },
+  timings: { total: 42 },
+  warnings: ["strategies disagreed"],
+};
+
+describe("ResultFormatter", () => {
+  describe("format()", () => {
+    it("wraps the result in an ok document for the JSON formats", () => {
+      const pretty = ResultFormatter.format(RESULT, "json", 0);
+      const line = ResultFormatter.format(RESULT, "ndjson", 6);
+
+      expect(JSON.parse(pretty)).toEqual({ ok: true, exitCode: 0, ...RESULT });
+      expect(pretty).toMatch(/^{\n {2}"ok": true,/);
+      expect(line.split("\n")).toHaveLength(2);
+      expect(JSON.parse(line)).toMatchObject({ ok: false, exitCode: 6 });
+    });
+
+    it("prints key: value lines for text, skipping empty values", () => {
+      expect(
+        ResultFormatter.format({ ...RESULT, flagSource: null }, "text", 0)
+      ).toBe(
+        [
+          "url: https://ramp.test/hidden",
+          "flag: ramp{found}",
+          "flag_url: https://ramp.test/hidden",
+          "strategy: XPath Strategy",
+          "characters: 24",
+          "cache: flag hit",
+          "time_ms: 42",
+          "warning: strategies disagreed",
+          "",
+        ].join("\n")
+      );
+    });
+
+    it("prints only the flag, or nothing, for flag-only", () => {
+      expect(ResultFormatter.format(RESULT, "flag-only", 0)).toBe(
+        "ramp{found}\n"
+      );
+      expect(
+        ResultFormatter.format({ ...RESULT, flag: null }, "flag-only", 6)
+      ).toBe("");
+    });
+
+    it("rejects an unknown format", () => {
+      expect(() => ResultFormatter.format(RESULT, "xml", 0)).toThrow(
+        "Unknown output format: xml"
+      );
+    });
+  });
+
+  describe("formatError()", () => {
+    const error = Object.assign(new Error("No characters matched"), {
+      name: "ExtractionError",
+      code: "EEXTRACT",
+      url: "https://ramp.test/",
+      nearMiss: { closest: [] },
+    });
+
+    it("describes the failure for the JSON formats", () => {
+      expect(
+        JSON.parse(ResultFormatter.formatError(error, "ndjson", 4))
+      ).toEqual({
+        ok: false,
+        exitCode: 4,
+        error: {
+          name: "ExtractionError",
+          code: "EEXTRACT",
+          message: "No characters matched",
+          url: "https://ramp.test/",
+        },
+        nearMiss: { closest: [] },
+      });
+      expect(
+        JSON.parse(ResultFormatter.formatError(new Error("boom"), "json", 1))
+          .error
+      ).toEqual({ name: "Error", code: null, message: "boom", url: null });
+    });
+
+    it("leaves text formats to the logs", () => {
+      expect(ResultFormatter.formatError(error, "text", 4)).toBe("");
+      expect(ResultFormatter.formatError(error, "flag-only", 4)).toBe("");
+    });
+  });
+
+  it("renders provenance as an aligned table", () => {
+    expect(
+      ResultFormatter.formatExplain([
+        {
+          index: 0,
+          value: "h",
+          strategy: "XPath Strategy",
+          path: ["section", "b.ref"],
+          line: 3,
+          column: 12,
+        },
+        { index: 1, value: "t", strategy: "Regex", path: null, line: null },
+      ])
+    ).toBe(
+      [
+        "#  Char  Line:Col  Strategy        Path",
+        '0  "h"   3:12      XPath Strategy  section > b.ref',
+        '1  "t"   ?         Regex           ?',
+        "",
+      ].join("\n")
+    );
+  });
+});